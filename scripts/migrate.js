@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Schema migration CLI
+ *   npm run migrate                 apply all pending migrations
+ *   npm run migrate -- up [version] apply pending migrations up to a version
+ *   npm run migrate -- status       list applied and pending migrations
+ *   npm run migrate -- rollback [n] revert the last n migrations (default 1)
+ */
+
+require('dotenv').config();
+
+const { DB_PATH, createDatabaseDirectory, getDatabase, closeDatabase } = require('../src/models/database');
+const { runMigrations, rollbackMigrations, getMigrationStatus } = require('../src/models/migrator');
+
+const [command = 'up', argument] = process.argv.slice(2);
+
+const printStatus = async (db) => {
+  const migrations = await getMigrationStatus(db);
+
+  console.log(`Database: ${DB_PATH}`);
+  migrations.forEach(migration => {
+    const state = migration.status === 'applied' ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`  ${migration.version}_${migration.name.padEnd(36)} ${state}`);
+  });
+
+  const pending = migrations.filter(migration => migration.status === 'pending').length;
+  console.log(`${migrations.length - pending} applied, ${pending} pending`);
+};
+
+const main = async () => {
+  createDatabaseDirectory();
+  const db = getDatabase();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await runMigrations(db, { target: argument });
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema already up to date');
+        break;
+      }
+      case 'rollback': {
+        const steps = argument ? parseInt(argument) : 1;
+        if (!steps || steps < 1) {
+          throw new Error(`Invalid rollback step count: ${argument}`);
+        }
+
+        const reverted = await rollbackMigrations(db, { steps });
+        console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+        break;
+      }
+      case 'status':
+        await printStatus(db);
+        break;
+      default:
+        throw new Error(`Unknown command "${command}". Use up, status or rollback`);
+    }
+  } finally {
+    await closeDatabase();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -2,11 +2,28 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
-const { initializeDatabase } = require('./src/models/database');
+const { initializeDatabase, getDatabase, closeDatabase } = require('./src/models/database');
+const { startAnalysisWorker, stopAnalysisWorker } = require('./src/services/analysisQueue');
+const { getTokenSecret } = require('./src/services/auth');
+const { requireAuth, requireScope } = require('./src/middleware/auth');
+const authRoute = require('./src/routes/auth');
+const keysRoute = require('./src/routes/keys');
+const instrumentsRoute = require('./src/routes/instruments');
+const goalsRoute = require('./src/routes/goals');
+const rulesRoute = require('./src/routes/rules');
+const ledgerRoute = require('./src/routes/ledger');
+const analyticsRoute = require('./src/routes/analytics');
 const uploadRoute = require('./src/routes/upload');
 const progressRoute = require('./src/routes/progress');
 const patternsRoute = require('./src/routes/patterns');
 const alertsRoute = require('./src/routes/alerts');
+const behaviorRoute = require('./src/routes/behavior');
+const coachingRoute = require('./src/routes/coaching');
+const importsRoute = require('./src/routes/imports');
+const jobsRoute = require('./src/routes/jobs');
+const eventsRoute = require('./src/routes/events');
+const settingsRoute = require('./src/routes/settings');
+const uploadsRoute = require('./src/routes/uploads');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -40,23 +57,22 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Last-Event-ID']
 }));
 
 // Body parsing
 app.use(express.json({ limit: '15mb' }));
 app.use(express.urlencoded({ extended: true, limit: '15mb' }));
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// Uploaded screenshots: signed links from the API, or the owner's credentials
+app.use('/uploads', uploadsRoute);
 
 // EMERGENCY TRADES ENDPOINT
-app.get('/api/trades', async (req, res) => {
+app.get('/api/trades', requireAuth, requireScope('trades:read'), async (req, res) => {
   try {
-    const { getDatabase } = require('./src/models/database');
     const db = getDatabase();
 
-    const allTrades = db.prepare(`
+    const allTrades = await db.all(`
       SELECT
         id as trade_id,
         pattern_type,
@@ -68,8 +84,9 @@ app.get('/api/trades', async (req, res) => {
         created_at,
         timestamp as updated_at
       FROM trades
+      WHERE user_id = ?
       ORDER BY created_at DESC
-    `).all();
+    `, [req.user.id]);
 
     res.json({
       success: true,
@@ -87,8 +104,6 @@ app.get('/api/trades', async (req, res) => {
       total: allTrades.length,
       emergency_mode: true
     });
-
-    db.close();
   } catch (error) {
     console.error('Emergency trades endpoint error:', error);
     res.status(500).json({
@@ -109,11 +124,27 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Registration and login are the only public API routes
+app.use('/api', authRoute);
+app.use('/api', requireAuth);
+
 // API routes
+app.use('/api', keysRoute);
+app.use('/api', instrumentsRoute);
+app.use('/api', goalsRoute);
+app.use('/api', rulesRoute);
+app.use('/api', ledgerRoute);
+app.use('/api', analyticsRoute);
 app.use('/api', uploadRoute);
 app.use('/api', progressRoute);
 app.use('/api', patternsRoute);
 app.use('/api', alertsRoute);
+app.use('/api', behaviorRoute);
+app.use('/api', coachingRoute);
+app.use('/api', importsRoute);
+app.use('/api', jobsRoute);
+app.use('/api', eventsRoute);
+app.use('/api', settingsRoute);
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -135,15 +166,25 @@ app.use('*', (req, res) => {
 // Start server
 const startServer = async () => {
   try {
+    // Fail fast when AUTH_SECRET is missing in production
+    getTokenSecret();
+
     await initializeDatabase();
     console.log('✅ Database initialized');
 
+    await startAnalysisWorker();
+    console.log('✅ Analysis worker started');
+
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 EMERGENCY SERVER ONLINE - Port: ${PORT}`);
     });
 
     process.on('SIGTERM', () => {
-      server.close(() => process.exit(0));
+      stopAnalysisWorker();
+      server.close(async () => {
+        await closeDatabase();
+        process.exit(0);
+      });
     });
 
   } catch (error) {
@@ -152,5 +193,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Tests require the app without starting the server
+if (require.main === module) {
+  startServer();
+}
+
 module.exports = app;
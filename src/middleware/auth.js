@@ -0,0 +1,89 @@
+const { authenticateToken } = require('../services/auth');
+const { authenticateApiKey, consumeRateLimit, isApiKey } = require('../services/apiKeys');
+const { createErrorResponse } = require('../services/errorHandler');
+
+/**
+ * Require a valid access token or API key and attach the caller as req.user.
+ * Credentials come from "Authorization: Bearer <token>"; EventSource cannot set headers,
+ * so event-stream requests may pass ?access_token= instead. API key requests also get
+ * req.apiKey and are held to the key's per-minute rate limit.
+ */
+const requireAuth = async (req, res, next) => {
+  const token = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json(createErrorResponse('UNAUTHORIZED'));
+  }
+
+  try {
+    if (isApiKey(token)) {
+      const { user, api_key } = await authenticateApiKey(token, req.ip);
+      req.user = user;
+      req.apiKey = api_key;
+
+      const usage = consumeRateLimit(api_key);
+      res.set({
+        'X-RateLimit-Limit': usage.limit,
+        'X-RateLimit-Remaining': usage.remaining
+      });
+
+      if (!usage.allowed) {
+        res.set('Retry-After', usage.retry_after);
+        return res.status(429).json(createErrorResponse('RATE_LIMIT_EXCEEDED', { retry_after: usage.retry_after }));
+      }
+    } else {
+      req.user = await authenticateToken(token);
+    }
+
+    next();
+  } catch (error) {
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(401).json(createErrorResponse('UNAUTHORIZED', { details: error.message }));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Require an API key to carry a scope. Access tokens from a login are not scoped.
+ * @param {string} scope - e.g. 'trades:write'
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
+    return next();
+  }
+
+  res.status(403).json(createErrorResponse('INSUFFICIENT_SCOPE', { required_scope: scope }));
+};
+
+/**
+ * Require a login access token - API keys cannot manage the account itself
+ */
+const requireSession = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  res.status(403).json(createErrorResponse('FORBIDDEN', { details: 'This route is not available to API keys' }));
+};
+
+const getRequestToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token.trim();
+  }
+
+  if ((req.get('Accept') || '').includes('text/event-stream') && req.query.access_token) {
+    return req.query.access_token;
+  }
+
+  return null;
+};
+
+module.exports = {
+  requireAuth,
+  requireScope,
+  requireSession
+};
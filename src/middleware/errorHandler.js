@@ -82,49 +82,8 @@ const asyncHandler = (fn) => {
   };
 };
 
-const validateTradingRules = (tradeData) => {
-  const errors = [];
-
-  if (tradeData.risk_amount > (parseFloat(process.env.MAX_RISK_PER_TRADE) || 50)) {
-    errors.push({
-      rule: 'MAX_RISK',
-      message: `Risk amount $${tradeData.risk_amount} exceeds maximum $${process.env.MAX_RISK_PER_TRADE || 50} per trade`,
-      severity: 'HIGH'
-    });
-  }
-
-  const tradeTime = new Date(tradeData.timestamp);
-  const hours = tradeTime.getHours();
-  const minutes = tradeTime.getMinutes();
-  const timeInMinutes = hours * 60 + minutes;
-  const sessionStart = 9 * 60 + 30;
-  const sessionEnd = 10 * 60 + 15;
-
-  if (timeInMinutes < sessionStart || timeInMinutes > sessionEnd) {
-    errors.push({
-      rule: 'TRADING_HOURS',
-      message: `Trade outside optimal session (9:30-10:15 AM EST)`,
-      severity: 'MEDIUM'
-    });
-  }
-
-  if (tradeData.risk_reward_ratio < 2.0) {
-    errors.push({
-      rule: 'RISK_REWARD',
-      message: `Risk/reward ratio ${tradeData.risk_reward_ratio} below 2:1 minimum`,
-      severity: 'MEDIUM'
-    });
-  }
-
-  return {
-    valid: errors.length === 0,
-    errors: errors
-  };
-};
-
 module.exports = {
   errorHandler,
   notFound,
-  asyncHandler,
-  validateTradingRules
+  asyncHandler
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { createRepositories } = require('../repositories');
+const { createErrorResponse } = require('../services/errorHandler');
+const { evaluateRiskState, validateOverrideJustification } = require('../services/riskState');
+const { cleanupFile, cleanupMultiTimeframeFiles } = require('./upload');
+
+/**
+ * Refuse new pre-trade uploads while the account is locked out. Placed after the
+ * upload middleware so multipart fields are parsed; uploaded files are removed
+ * when the request is refused. Sending override_lockout=true with an
+ * override_justification lets the upload through as req.lockoutOverride; the
+ * route stores it in the transaction that stores the trade, so uploads that fail
+ * or are rejected leave no override behind.
+ */
+const enforceTradingLockout = async (req, res, next) => {
+  try {
+    const repos = createRepositories(req.user.id);
+    const state = await evaluateRiskState(repos);
+
+    if (!state.locked) {
+      return next();
+    }
+
+    const body = req.body || {};
+    if (body.override_lockout !== true && body.override_lockout !== 'true') {
+      removeUploadedFiles(req);
+      const response = createErrorResponse('LOCKED_OUT', { lockout: state.lockout });
+      return res.status(response.code).json(response);
+    }
+
+    let justification;
+    try {
+      justification = validateOverrideJustification(body.override_justification);
+    } catch (error) {
+      removeUploadedFiles(req);
+      const response = createErrorResponse(error.code, { message: error.message, lockout: state.lockout });
+      return res.status(response.code).json(response);
+    }
+
+    req.lockoutOverride = { lockout_id: state.lockout.id, endpoint: req.originalUrl, justification };
+    next();
+  } catch (error) {
+    removeUploadedFiles(req);
+    next(error);
+  }
+};
+
+const removeUploadedFiles = (req) => {
+  if (req.file) {
+    cleanupFile(req.file.path);
+  } else if (Array.isArray(req.files)) {
+    req.files.forEach(file => cleanupFile(file.path));
+  } else if (req.files) {
+    cleanupMultiTimeframeFiles(req.files);
+  }
+};
+
+module.exports = {
+  enforceTradingLockout
+};
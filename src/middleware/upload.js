@@ -108,6 +108,26 @@ const universalTimeframeUpload = multer({
   fileFilter: fileFilter
 });
 
+// Broker statement upload (CSV kept in memory, never written to disk)
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_STATEMENT_SIZE) || 5 * 1024 * 1024,
+    files: 1,
+    fields: 10
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+    const isCsvName = path.extname(file.originalname || '').toLowerCase() === '.csv';
+
+    if (allowedTypes.includes(file.mimetype) || isCsvName) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV statement exports are allowed.'), false);
+    }
+  }
+});
+
 const validateUploadedFile = (req, res, next) => {
   console.log('🔍 File validation debug:', {
     hasReqFile: !!req.file,
@@ -248,6 +268,8 @@ const validateMultiTimeframeUpload = (req, res, next) => {
 const validateFrontendTimeframeUpload = (req, res, next) => {
   const { createErrorResponse, validateFileUpload, validateTimeframes } = require('../services/errorHandler');
 
+  req.files = groupFilesByField(req.files);
+
   // Check if files were uploaded
   if (!req.files || Object.keys(req.files).length === 0) {
     return res.status(400).json(createErrorResponse('NO_FILES_UPLOADED'));
@@ -297,7 +319,7 @@ const validateFrontendTimeframeUpload = (req, res, next) => {
     } else {
       // Fallback to individual fields
       tradingContext = {
-        instrument: req.body.instrument || 'MNQ',
+        instrument: req.body.instrument || null, // Resolved against the instrument registry by the route
         trading_style: req.body.trading_style || 'scalping',
         session_info: req.body.session_info || getCurrentSessionTime(),
         account_size: parseFloat(req.body.account_size) || 67500
@@ -341,6 +363,8 @@ const validateFrontendTimeframeUpload = (req, res, next) => {
 
 // Legacy validation for backward compatibility
 const validateUniversalTimeframeUpload = (req, res, next) => {
+  req.files = groupFilesByField(req.files);
+
   if (!req.files || Object.keys(req.files).length === 0) {
     return res.status(400).json({
       success: false,
@@ -385,7 +409,7 @@ const validateUniversalTimeframeUpload = (req, res, next) => {
 
   // Add trading context from request body
   req.tradingContext = {
-    instrument: req.body.instrument || 'MNQ',
+    instrument: req.body.instrument || null, // Resolved against the instrument registry by the route
     trading_style: req.body.trading_style || 'mnq_scalping',
     session_info: req.body.session_info || req.body.session_time || getCurrentSessionTime(),
     account_size: req.body.account_size || process.env.DEFAULT_ACCOUNT_SIZE || 67500,
@@ -418,6 +442,17 @@ const cleanupFile = (filePath) => {
 };
 
 // Cleanup multiple timeframe files
+// upload.any() yields a flat array; the timeframe validators expect files keyed by field name
+const groupFilesByField = (files) => {
+  if (!Array.isArray(files)) return files;
+
+  return files.reduce((grouped, file) => {
+    grouped[file.fieldname] = grouped[file.fieldname] || [];
+    grouped[file.fieldname].push(file);
+    return grouped;
+  }, {});
+};
+
 const cleanupMultiTimeframeFiles = (files) => {
   try {
     for (const timeframe in files) {
@@ -461,6 +496,7 @@ module.exports = {
   upload,
   multiTimeframeUpload,
   universalTimeframeUpload,
+  statementUpload,
   validateUploadedFile,
   validateMultiTimeframeUpload,
   validateUniversalTimeframeUpload,
@@ -0,0 +1,336 @@
+/**
+ * Shared Database Connection
+ * One sqlite3 connection per process, opened lazily in WAL mode with a busy
+ * timeout. Queries go through a promise API (get/all/run/exec) backed by a
+ * prepared statement cache, and are serialized so a transaction never picks up
+ * statements issued by unrelated requests.
+ *
+ * Callbacks are still accepted as a trailing argument so older helpers written
+ * against the raw sqlite3 API keep working unchanged.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
+
+const BUSY_TIMEOUT = parseInt(process.env.DB_BUSY_TIMEOUT) || 5000;
+const STATEMENT_CACHE_SIZE = parseInt(process.env.DB_STATEMENT_CACHE_SIZE) || 100;
+
+const transactionContext = new AsyncLocalStorage();
+
+let connection = null;
+
+class DatabaseConnection {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.statements = new Map();
+    this.savepointCounter = 0;
+
+    this.db = new sqlite3.Database(dbPath, (err) => {
+      if (err) console.error('Error opening database:', err);
+    });
+    this.db.configure('busyTimeout', BUSY_TIMEOUT);
+
+    // Every query waits on this chain; the first link switches the journal to WAL
+    this.queue = this.rawExec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA synchronous = NORMAL;
+    `).catch((error) => {
+      console.error('Failed to configure database connection:', error);
+    });
+  }
+
+  /**
+   * Fetch the first matching row
+   * @param {string} sql - SQL statement
+   * @param {Array|object} params - Bound parameters
+   * @returns {Promise<object|undefined>} Row
+   */
+  get(sql, ...args) {
+    const { params, callback } = normalizeArgs(args);
+    const promise = this.schedule(() => this.withStatement(sql, (stmt, done) => {
+      stmt.get(params, (err, row) => {
+        // Reset so the statement does not hold a read transaction open
+        stmt.reset(() => done(err, row));
+      });
+    }));
+
+    return settle(promise, callback);
+  }
+
+  /**
+   * Fetch all matching rows
+   * @param {string} sql - SQL statement
+   * @param {Array|object} params - Bound parameters
+   * @returns {Promise<object[]>} Rows
+   */
+  all(sql, ...args) {
+    const { params, callback } = normalizeArgs(args);
+    const promise = this.schedule(() => this.withStatement(sql, (stmt, done) => {
+      stmt.all(params, done);
+    }));
+
+    return settle(promise, callback);
+  }
+
+  /**
+   * Execute a write statement
+   * @param {string} sql - SQL statement
+   * @param {Array|object} params - Bound parameters
+   * @returns {Promise<object>} { lastID, changes }
+   */
+  run(sql, ...args) {
+    const { params, callback } = normalizeArgs(args);
+    const promise = this.schedule(() => this.withStatement(sql, (stmt, done) => {
+      stmt.run(params, function(err) {
+        done(err, err ? undefined : { lastID: this.lastID, changes: this.changes });
+      });
+    }));
+
+    return settle(promise, callback, true);
+  }
+
+  /**
+   * Execute one or more statements without parameters (DDL, pragmas)
+   * @param {string} sql - SQL text
+   * @returns {Promise<void>}
+   */
+  exec(sql, callback) {
+    return settle(this.schedule(() => this.rawExec(sql)), callback);
+  }
+
+  /**
+   * Run fn inside a transaction. Queries made while fn runs - through this
+   * connection or any getDatabase() handle - join the transaction; nested calls
+   * use savepoints. Commits when fn resolves, rolls back when it throws.
+   * @param {Function} fn - async (db) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  transaction(fn) {
+    const current = transactionContext.getStore();
+
+    if (current && current.active) {
+      return this.savepoint(fn);
+    }
+
+    return this.schedule(() => {
+      const store = { active: true, afterCommit: [] };
+
+      return transactionContext.run(store, async () => {
+        await this.rawExec('BEGIN IMMEDIATE');
+
+        try {
+          const result = await fn(this);
+          await this.rawExec('COMMIT');
+          return result;
+        } catch (error) {
+          await this.rawExec('ROLLBACK').catch((rollbackError) => {
+            console.error('Transaction rollback failed:', rollbackError);
+          });
+          throw error;
+        } finally {
+          store.active = false;
+        }
+      }).then((result) => {
+        store.afterCommit.forEach(runAfterCommit);
+        return result;
+      });
+    });
+  }
+
+  /**
+   * Run callback once the current transaction commits, or right away outside
+   * one. Callbacks registered inside a transaction or savepoint that rolls back
+   * are dropped, so nothing announces writes that were never stored.
+   * @param {Function} callback - () => void
+   */
+  afterCommit(callback) {
+    const current = transactionContext.getStore();
+
+    if (current && current.active) {
+      current.afterCommit.push(callback);
+      return;
+    }
+
+    runAfterCommit(callback);
+  }
+
+  async savepoint(fn) {
+    this.savepointCounter += 1;
+    const name = `sp_${this.savepointCounter}`;
+    const store = transactionContext.getStore();
+    const pending = store.afterCommit.length;
+
+    await this.rawExec(`SAVEPOINT ${name}`);
+
+    try {
+      const result = await fn(this);
+      await this.rawExec(`RELEASE ${name}`);
+      return result;
+    } catch (error) {
+      await this.rawExec(`ROLLBACK TO ${name}`);
+      await this.rawExec(`RELEASE ${name}`);
+      store.afterCommit.length = pending;
+      throw error;
+    }
+  }
+
+  // Queries inside an active transaction run immediately; everything else waits its turn
+  schedule(task) {
+    const current = transactionContext.getStore();
+
+    if (current && current.active) {
+      return task();
+    }
+
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  withStatement(sql, execute) {
+    return this.getStatement(sql).then(stmt => new Promise((resolve, reject) => {
+      execute(stmt, (err, value) => {
+        if (err) reject(err);
+        else resolve(value);
+      });
+    }));
+  }
+
+  getStatement(sql) {
+    const cached = this.statements.get(sql);
+
+    if (cached) {
+      // Refresh recency for LRU eviction
+      this.statements.delete(sql);
+      this.statements.set(sql, cached);
+      return cached;
+    }
+
+    const prepared = new Promise((resolve, reject) => {
+      const stmt = this.db.prepare(sql, (err) => {
+        if (err) {
+          this.statements.delete(sql);
+          reject(err);
+        } else {
+          resolve(stmt);
+        }
+      });
+    });
+
+    this.statements.set(sql, prepared);
+    this.evictStatements();
+
+    return prepared;
+  }
+
+  evictStatements() {
+    while (this.statements.size > STATEMENT_CACHE_SIZE) {
+      const [oldestSql, oldest] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      oldest.then(stmt => stmt.finalize(), () => {});
+    }
+  }
+
+  rawExec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Kept for handles obtained through getDatabase(): the connection is shared,
+   * so per-request close() calls are no-ops. Use closeConnection() on shutdown.
+   */
+  close(callback) {
+    if (callback) callback(null);
+  }
+
+  async shutdown() {
+    await this.queue;
+
+    const statements = await Promise.allSettled([...this.statements.values()]);
+    this.statements.clear();
+
+    await Promise.all(statements
+      .filter(result => result.status === 'fulfilled')
+      .map(result => new Promise(resolve => result.value.finalize(() => resolve()))));
+
+    await new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Get the shared connection, opening it on first use
+ * @param {string} dbPath - Database file path
+ * @returns {DatabaseConnection} Shared connection
+ */
+const getConnection = (dbPath) => {
+  if (!connection) {
+    connection = new DatabaseConnection(dbPath);
+  }
+  return connection;
+};
+
+/**
+ * Close the shared connection (server shutdown, CLI exit)
+ * @returns {Promise<void>}
+ */
+const closeConnection = async () => {
+  if (!connection) return;
+
+  const closing = connection;
+  connection = null;
+  await closing.shutdown();
+};
+
+// The data is already committed, so a failing callback must not fail the caller
+const runAfterCommit = (callback) => {
+  try {
+    callback();
+  } catch (error) {
+    console.error('After-commit callback error:', error);
+  }
+};
+
+// Accepts (params, callback), (callback), (...params, callback) like sqlite3
+const normalizeArgs = (args) => {
+  const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+  let params = [];
+  if (args.length === 1 && (Array.isArray(args[0]) || (args[0] !== null && typeof args[0] === 'object'))) {
+    params = args[0];
+  } else if (args.length > 0) {
+    params = args;
+  }
+
+  return { params, callback };
+};
+
+// Run a legacy callback when given; sqlite3 exposes lastID/changes on `this` for run()
+const settle = (promise, callback, bindResult = false) => {
+  if (callback) {
+    promise
+      .then(
+        (result) => (bindResult ? callback.call(result, null) : callback(null, result)),
+        (err) => callback(err)
+      )
+      .catch((error) => console.error('Database callback error:', error));
+  }
+
+  // Fire-and-forget callers must not surface as unhandled rejections
+  promise.catch(() => {});
+  return promise;
+};
+
+module.exports = {
+  getConnection,
+  closeConnection
+};
@@ -0,0 +1,91 @@
+const { exec } = require('./helpers');
+
+// Original single-screenshot journal: trades, weekly progress, pattern learning and risk alerts
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS trades (
+      id TEXT PRIMARY KEY,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      screenshot_path TEXT,
+      setup_quality REAL,
+      risk_reward_ratio REAL,
+      pattern_type TEXT,
+      entry_quality TEXT,
+      stop_placement TEXT,
+      target_selection TEXT,
+      ai_commentary TEXT,
+      risk_amount REAL,
+      within_limits BOOLEAN,
+      session_timing TEXT,
+      trade_frequency TEXT,
+      learning_insights TEXT,
+      recommendation TEXT,
+      actual_outcome TEXT,
+      actual_pnl REAL,
+      executed BOOLEAN DEFAULT FALSE,
+      week_number INTEGER,
+      year INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS progress (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date DATE DEFAULT CURRENT_DATE,
+      account_balance REAL,
+      weekly_deposit REAL,
+      trades_this_week INTEGER DEFAULT 0,
+      week_pnl_percentage REAL DEFAULT 0,
+      cumulative_pnl REAL DEFAULT 0,
+      projection_variance REAL DEFAULT 0,
+      week_number INTEGER,
+      year INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS patterns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pattern_name TEXT UNIQUE,
+      success_count INTEGER DEFAULT 0,
+      total_count INTEGER DEFAULT 0,
+      avg_return REAL DEFAULT 0,
+      last_seen DATE DEFAULT CURRENT_DATE,
+      confidence_score REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS account_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      balance REAL,
+      phase INTEGER,
+      deposits_total REAL,
+      trading_pnl REAL,
+      target_progress_percentage REAL,
+      days_elapsed INTEGER,
+      projection_status TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS risk_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id TEXT,
+      alert_type TEXT,
+      message TEXT,
+      severity TEXT,
+      acknowledged BOOLEAN DEFAULT FALSE,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_id) REFERENCES trades (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_trades_week ON trades (year, week_number);
+    CREATE INDEX IF NOT EXISTS idx_progress_date ON progress (date);
+    CREATE INDEX IF NOT EXISTS idx_patterns_name ON patterns (pattern_name);
+  `);
+};
+
+// Irreversible: up adopts tables of databases created before migrations existed, so
+// dropping them here would delete journals this migration never created
+const down = async () => {
+  throw new Error('Migration 001_initial_schema cannot be reverted');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,77 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Pre-trade / execution linking, planned vs actual prices and execution coaching
+const TRADE_COLUMNS = {
+  trade_phase: "TEXT DEFAULT 'pre_trade'",
+  linked_execution_id: 'TEXT',
+  execution_upload_token: 'TEXT',
+  planned_entry: 'REAL',
+  planned_stop: 'REAL',
+  planned_target: 'REAL',
+  planned_rr: 'REAL',
+  actual_entry: 'REAL',
+  actual_stop: 'REAL',
+  actual_target: 'REAL',
+  actual_rr: 'REAL',
+  execution_timing: 'TEXT',
+  execution_quality_grade: 'TEXT',
+  price_variance_analysis: 'TEXT',
+  behavioral_observations: 'TEXT',
+  execution_coaching: 'TEXT',
+  trade_outcome: 'TEXT',
+  entry_variance: 'REAL',
+  stop_variance: 'REAL',
+  target_variance: 'REAL',
+  execution_screenshot_path: 'TEXT'
+};
+
+const up = async (db) => {
+  await addColumns(db, 'trades', TRADE_COLUMNS);
+
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS execution_patterns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trader_id TEXT DEFAULT 'main_trader',
+      pattern_type TEXT,
+      frequency_count INTEGER DEFAULT 1,
+      success_rate REAL DEFAULT 0.0,
+      average_impact REAL,
+      confidence_score REAL,
+      first_seen DATE DEFAULT CURRENT_DATE,
+      last_seen DATE DEFAULT CURRENT_DATE,
+      coaching_priority INTEGER DEFAULT 1,
+      improvement_suggestion TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS coaching_effectiveness (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pattern_type TEXT,
+      suggestion_given TEXT,
+      trades_since_suggestion INTEGER DEFAULT 0,
+      improvement_observed BOOLEAN DEFAULT FALSE,
+      effectiveness_score REAL DEFAULT 0.0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trades_phase ON trades (trade_phase);
+    CREATE INDEX IF NOT EXISTS idx_trades_linked ON trades (linked_execution_id);
+    CREATE INDEX IF NOT EXISTS idx_execution_patterns_type ON execution_patterns (pattern_type);
+    CREATE INDEX IF NOT EXISTS idx_execution_patterns_trader ON execution_patterns (trader_id);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP INDEX IF EXISTS idx_trades_phase;
+    DROP INDEX IF EXISTS idx_trades_linked;
+    DROP TABLE IF EXISTS coaching_effectiveness;
+    DROP TABLE IF EXISTS execution_patterns;
+  `);
+
+  await dropColumns(db, 'trades', Object.keys(TRADE_COLUMNS));
+};
+
+module.exports = { up, down };
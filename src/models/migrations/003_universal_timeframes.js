@@ -0,0 +1,58 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Any-timeframe screenshot uploads with per-screenshot analysis and user settings
+const TRADE_COLUMNS = {
+  screenshots_metadata: 'TEXT', // JSON array of screenshot info
+  timeframes_used: 'TEXT', // comma-separated custom timeframes
+  trading_style: "TEXT DEFAULT 'mnq_scalping'", // 'mnq_scalping', 'swing', 'position', etc.
+  analysis_specialization: "TEXT DEFAULT 'mnq_specialist'", // 'mnq_specialist', 'general', etc.
+  analysis_completeness_score: 'INTEGER DEFAULT 1',
+  multi_timeframe_insights: 'TEXT',
+  trend_alignment_score: 'REAL',
+  structure_confirmation: 'TEXT'
+};
+
+const up = async (db) => {
+  await addColumns(db, 'trades', TRADE_COLUMNS);
+
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS screenshot_analysis (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id TEXT,
+      screenshot_path TEXT,
+      timeframe_label TEXT, -- user-defined: '1min', '4hr', 'daily', etc.
+      timeframe_category TEXT, -- 'ultra_short', 'short_term', 'medium_term', 'long_term'
+      timeframe_priority TEXT, -- 'entry_timing', 'structure', 'trend', 'bias'
+      is_primary BOOLEAN DEFAULT FALSE, -- main timeframe for analysis focus
+      individual_analysis TEXT,
+      pattern_identified TEXT,
+      trend_direction TEXT,
+      key_levels TEXT, -- JSON array
+      volume_analysis TEXT,
+      confluence_score REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_id) REFERENCES trades (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS user_settings (
+      id INTEGER PRIMARY KEY DEFAULT 1,
+      settings_json TEXT, -- JSON blob for all user settings
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_screenshot_analysis_trade ON screenshot_analysis (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_screenshot_analysis_timeframe ON screenshot_analysis (timeframe_label);
+    CREATE INDEX IF NOT EXISTS idx_screenshot_analysis_category ON screenshot_analysis (timeframe_category);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP TABLE IF EXISTS user_settings;
+    DROP TABLE IF EXISTS screenshot_analysis;
+  `);
+
+  await dropColumns(db, 'trades', Object.keys(TRADE_COLUMNS));
+};
+
+module.exports = { up, down };
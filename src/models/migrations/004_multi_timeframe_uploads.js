@@ -0,0 +1,40 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Fixed 1min/5min/15min/daily uploads written by /upload-trade-multi
+const TRADE_COLUMNS = {
+  screenshot_1min: 'TEXT',
+  screenshot_5min: 'TEXT',
+  screenshot_15min: 'TEXT',
+  screenshot_daily: 'TEXT',
+  timeframes_uploaded: 'TEXT' // comma-separated
+};
+
+const up = async (db) => {
+  await addColumns(db, 'trades', TRADE_COLUMNS);
+
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS timeframe_analysis (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id TEXT,
+      timeframe TEXT, -- '1min', '5min', '15min', 'daily'
+      screenshot_path TEXT,
+      individual_analysis TEXT,
+      pattern_identified TEXT,
+      trend_direction TEXT,
+      key_levels TEXT, -- JSON array
+      volume_analysis TEXT,
+      confluence_score REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_id) REFERENCES trades (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_timeframe_analysis_trade ON timeframe_analysis (trade_id);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, 'DROP TABLE IF EXISTS timeframe_analysis;');
+  await dropColumns(db, 'trades', Object.keys(TRADE_COLUMNS));
+};
+
+module.exports = { up, down };
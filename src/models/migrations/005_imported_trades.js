@@ -0,0 +1,37 @@
+const { exec } = require('./helpers');
+
+// Broker round trips imported from fill statements
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS imported_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id TEXT,
+      fingerprint TEXT UNIQUE, -- hash of the round trip, used for duplicate detection
+      broker TEXT, -- 'tradovate', 'ninjatrader', 'rithmic'
+      account TEXT,
+      symbol TEXT,
+      direction TEXT, -- 'long' or 'short'
+      contracts INTEGER,
+      entry_price REAL,
+      exit_price REAL,
+      entry_time DATETIME,
+      exit_time DATETIME,
+      commission REAL,
+      gross_pnl REAL,
+      net_pnl REAL,
+      trade_id TEXT,
+      match_status TEXT, -- 'matched' (pre-trade updated) or 'created' (new execution record)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_id) REFERENCES trades (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_imported_trades_trade ON imported_trades (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_imported_trades_import ON imported_trades (import_id);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, 'DROP TABLE IF EXISTS imported_trades;');
+};
+
+module.exports = { up, down };
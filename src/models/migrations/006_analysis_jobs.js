@@ -0,0 +1,33 @@
+const { exec } = require('./helpers');
+
+// Background screenshot analysis queue
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS analysis_jobs (
+      id TEXT PRIMARY KEY,
+      job_type TEXT, -- 'universal', 'frontend'
+      status TEXT DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+      trade_id TEXT,
+      payload TEXT, -- JSON inputs needed to (re)run the analysis
+      stage TEXT,
+      progress INTEGER DEFAULT 0,
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      last_error TEXT,
+      error_code TEXT,
+      result TEXT, -- JSON response once completed
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      completed_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status ON analysis_jobs (status, created_at);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, 'DROP TABLE IF EXISTS analysis_jobs;');
+};
+
+module.exports = { up, down };
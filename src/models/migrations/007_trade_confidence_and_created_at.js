@@ -0,0 +1,34 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Columns read by the frontend export/dashboard and the trades listing but never created.
+// ALTER TABLE cannot add a CURRENT_TIMESTAMP default, so created_at is backfilled and set by trigger.
+const up = async (db) => {
+  await addColumns(db, 'trades', {
+    confidence_score: 'REAL',
+    created_at: 'DATETIME'
+  });
+
+  await exec(db, `
+    UPDATE trades SET created_at = COALESCE(timestamp, datetime('now')) WHERE created_at IS NULL;
+
+    CREATE TRIGGER IF NOT EXISTS trg_trades_created_at
+    AFTER INSERT ON trades
+    FOR EACH ROW WHEN NEW.created_at IS NULL
+    BEGIN
+      UPDATE trades SET created_at = datetime('now') WHERE id = NEW.id;
+    END;
+
+    CREATE INDEX IF NOT EXISTS idx_trades_created_at ON trades (created_at);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP INDEX IF EXISTS idx_trades_created_at;
+    DROP TRIGGER IF EXISTS trg_trades_created_at;
+  `);
+
+  await dropColumns(db, 'trades', ['confidence_score', 'created_at']);
+};
+
+module.exports = { up, down };
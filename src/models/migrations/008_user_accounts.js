@@ -0,0 +1,156 @@
+const { exec, addColumns, dropColumns, rebuildTable } = require('./helpers');
+
+// Trader accounts. Every user-owned table gets a user_id; execution_patterns already
+// carries trader_id, which now holds the user id. Rows recorded before accounts existed
+// keep a NULL user_id (trader_id 'main_trader') until the first registered user adopts them.
+const USER_OWNED_TABLES = ['trades', 'progress', 'account_snapshots', 'risk_alerts', 'analysis_jobs', 'coaching_effectiveness'];
+
+const PATTERN_COLUMNS = [
+  'id', 'pattern_name', 'success_count', 'total_count', 'avg_return', 'last_seen',
+  'confidence_score', 'created_at', 'updated_at'
+];
+
+const IMPORTED_TRADE_COLUMNS = [
+  'id', 'import_id', 'fingerprint', 'broker', 'account', 'symbol', 'direction', 'contracts',
+  'entry_price', 'exit_price', 'entry_time', 'exit_time', 'commission', 'gross_pnl',
+  'net_pnl', 'trade_id', 'match_status', 'created_at'
+];
+
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL, -- scrypt$<salt>$<hash>
+      display_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login_at DATETIME
+    );
+  `);
+
+  for (const table of USER_OWNED_TABLES) {
+    await addColumns(db, table, { user_id: 'TEXT' });
+  }
+
+  // Pattern names and import fingerprints become unique per user instead of globally
+  await rebuildTable(db, 'patterns', `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    pattern_name TEXT,
+    success_count INTEGER DEFAULT 0,
+    total_count INTEGER DEFAULT 0,
+    avg_return REAL DEFAULT 0,
+    last_seen DATE DEFAULT CURRENT_DATE,
+    confidence_score REAL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, pattern_name)
+  `, PATTERN_COLUMNS);
+
+  await rebuildTable(db, 'imported_trades', `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    import_id TEXT,
+    fingerprint TEXT, -- hash of the round trip, used for duplicate detection
+    broker TEXT, -- 'tradovate', 'ninjatrader', 'rithmic'
+    account TEXT,
+    symbol TEXT,
+    direction TEXT, -- 'long' or 'short'
+    contracts INTEGER,
+    entry_price REAL,
+    exit_price REAL,
+    entry_time DATETIME,
+    exit_time DATETIME,
+    commission REAL,
+    gross_pnl REAL,
+    net_pnl REAL,
+    trade_id TEXT,
+    match_status TEXT, -- 'matched' (pre-trade updated) or 'created' (new execution record)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, fingerprint),
+    FOREIGN KEY (trade_id) REFERENCES trades (id)
+  `, IMPORTED_TRADE_COLUMNS);
+
+  // One settings row per user instead of the fixed id = 1 row
+  await rebuildTable(db, 'user_settings', `
+    user_id TEXT PRIMARY KEY,
+    settings_json TEXT, -- JSON blob for all user settings
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  `, ['settings_json', 'updated_at']);
+
+  await exec(db, `
+    CREATE INDEX IF NOT EXISTS idx_patterns_name ON patterns (pattern_name);
+    CREATE INDEX IF NOT EXISTS idx_imported_trades_trade ON imported_trades (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_imported_trades_import ON imported_trades (import_id);
+
+    CREATE INDEX IF NOT EXISTS idx_trades_user ON trades (user_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_progress_user ON progress (user_id, year, week_number);
+    CREATE INDEX IF NOT EXISTS idx_account_snapshots_user ON account_snapshots (user_id);
+    CREATE INDEX IF NOT EXISTS idx_risk_alerts_user ON risk_alerts (user_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user ON analysis_jobs (user_id, created_at);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP INDEX IF EXISTS idx_trades_user;
+    DROP INDEX IF EXISTS idx_progress_user;
+    DROP INDEX IF EXISTS idx_account_snapshots_user;
+    DROP INDEX IF EXISTS idx_risk_alerts_user;
+    DROP INDEX IF EXISTS idx_analysis_jobs_user;
+  `);
+
+  await rebuildTable(db, 'user_settings', `
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    settings_json TEXT, -- JSON blob for all user settings
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  `, ['settings_json', 'updated_at']);
+
+  await rebuildTable(db, 'imported_trades', `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    import_id TEXT,
+    fingerprint TEXT UNIQUE, -- hash of the round trip, used for duplicate detection
+    broker TEXT, -- 'tradovate', 'ninjatrader', 'rithmic'
+    account TEXT,
+    symbol TEXT,
+    direction TEXT, -- 'long' or 'short'
+    contracts INTEGER,
+    entry_price REAL,
+    exit_price REAL,
+    entry_time DATETIME,
+    exit_time DATETIME,
+    commission REAL,
+    gross_pnl REAL,
+    net_pnl REAL,
+    trade_id TEXT,
+    match_status TEXT, -- 'matched' (pre-trade updated) or 'created' (new execution record)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (trade_id) REFERENCES trades (id)
+  `, IMPORTED_TRADE_COLUMNS);
+
+  await rebuildTable(db, 'patterns', `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pattern_name TEXT UNIQUE,
+    success_count INTEGER DEFAULT 0,
+    total_count INTEGER DEFAULT 0,
+    avg_return REAL DEFAULT 0,
+    last_seen DATE DEFAULT CURRENT_DATE,
+    confidence_score REAL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  `, PATTERN_COLUMNS);
+
+  await exec(db, `
+    CREATE INDEX IF NOT EXISTS idx_patterns_name ON patterns (pattern_name);
+    CREATE INDEX IF NOT EXISTS idx_imported_trades_trade ON imported_trades (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_imported_trades_import ON imported_trades (import_id);
+  `);
+
+  for (const table of USER_OWNED_TABLES) {
+    await dropColumns(db, table, ['user_id']);
+  }
+
+  await exec(db, 'DROP TABLE IF EXISTS users;');
+};
+
+module.exports = { up, down };
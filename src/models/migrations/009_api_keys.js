@@ -0,0 +1,29 @@
+const { exec } = require('./helpers');
+
+// Personal API keys for scripts and the desktop companion. Only a SHA-256 hash of
+// the key is stored; key_prefix is kept in the clear so keys can be told apart.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT,
+      key_prefix TEXT,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT, -- JSON array, e.g. ["trades:write", "analytics:read"]
+      rate_limit INTEGER, -- requests per minute
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id, created_at);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, 'DROP TABLE IF EXISTS api_keys;');
+};
+
+module.exports = { up, down };
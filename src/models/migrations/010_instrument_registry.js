@@ -0,0 +1,72 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Contract specifications. Rows with a NULL user_id are the built-in registry;
+// users add custom contracts (or override a built-in symbol) with their own rows.
+// Session hours are regular trading hours in US Eastern time, typical_daily_range
+// is in points and commission_per_side is dollars per contract per fill.
+const BUILT_IN_INSTRUMENTS = [
+  ['MNQ', 'Micro E-mini Nasdaq-100', 'CME', 0.25, 2, '09:30', '16:00', 45, 0.62],
+  ['NQ', 'E-mini Nasdaq-100', 'CME', 0.25, 20, '09:30', '16:00', 45, 2.25],
+  ['MES', 'Micro E-mini S&P 500', 'CME', 0.25, 5, '09:30', '16:00', 50, 0.62],
+  ['ES', 'E-mini S&P 500', 'CME', 0.25, 50, '09:30', '16:00', 50, 2.25],
+  ['M2K', 'Micro E-mini Russell 2000', 'CME', 0.1, 5, '09:30', '16:00', 30, 0.62],
+  ['RTY', 'E-mini Russell 2000', 'CME', 0.1, 50, '09:30', '16:00', 30, 2.25],
+  ['MYM', 'Micro E-mini Dow', 'CBOT', 1, 0.5, '09:30', '16:00', 350, 0.62],
+  ['YM', 'E-mini Dow', 'CBOT', 1, 5, '09:30', '16:00', 350, 2.25],
+  ['CL', 'Crude Oil', 'NYMEX', 0.01, 1000, '09:00', '14:30', 2.5, 2.5],
+  ['MCL', 'Micro WTI Crude Oil', 'NYMEX', 0.01, 100, '09:00', '14:30', 2.5, 0.62],
+  ['GC', 'Gold', 'COMEX', 0.1, 100, '08:20', '13:30', 40, 2.5],
+  ['MGC', 'Micro Gold', 'COMEX', 0.1, 10, '08:20', '13:30', 40, 0.62]
+];
+
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS instruments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT, -- NULL for built-in contracts
+      symbol TEXT NOT NULL, -- symbol root, e.g. 'MNQ'
+      name TEXT,
+      exchange TEXT,
+      tick_size REAL NOT NULL,
+      point_value REAL NOT NULL, -- dollars per point per contract
+      session_start TEXT, -- 'HH:MM' Eastern
+      session_end TEXT,
+      typical_daily_range REAL, -- points
+      commission_per_side REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, symbol)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_instruments_symbol ON instruments (symbol);
+  `);
+
+  for (const instrument of BUILT_IN_INSTRUMENTS) {
+    await db.run(`
+      INSERT INTO instruments (
+        symbol, name, exchange, tick_size, point_value, session_start, session_end,
+        typical_daily_range, commission_per_side
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, instrument);
+  }
+
+  await addColumns(db, 'trades', { instrument: 'TEXT' });
+
+  // Trades created from broker fills know their contract; everything older was MNQ
+  await exec(db, `
+    UPDATE trades SET instrument = (
+      SELECT it.symbol FROM imported_trades it WHERE it.trade_id = trades.id LIMIT 1
+    )
+    WHERE instrument IS NULL
+    AND id IN (SELECT trade_id FROM imported_trades WHERE trade_id IS NOT NULL);
+
+    UPDATE trades SET instrument = 'MNQ' WHERE instrument IS NULL;
+  `);
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'trades', ['instrument']);
+  await exec(db, 'DROP TABLE IF EXISTS instruments;');
+};
+
+module.exports = { up, down };
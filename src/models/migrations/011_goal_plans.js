@@ -0,0 +1,32 @@
+const { exec } = require('./helpers');
+
+// Wealth-building goal plans. phases is a JSON array of
+// { name, until_balance, deposit_amount, deposit_frequency, target_weekly_return }
+// where the last phase has no until_balance. At most one plan per user is active;
+// users without one are measured against the original $500 -> $951,000 plan.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS goal_plans (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      starting_balance REAL NOT NULL DEFAULT 0,
+      target_balance REAL NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      phases TEXT NOT NULL, -- JSON array
+      milestones TEXT, -- JSON array of balances; derived from the plan when NULL
+      is_active BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_goal_plans_user ON goal_plans (user_id, is_active);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, 'DROP TABLE IF EXISTS goal_plans;');
+};
+
+module.exports = { up, down };
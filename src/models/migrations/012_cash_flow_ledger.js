@@ -0,0 +1,93 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Cash-flow ledger. Amounts are signed: deposits and gains are positive, withdrawals,
+// fees and losses negative. The account balance is the running sum of the ledger;
+// balances the trader reports are kept separately in balance_reports so the two can
+// be reconciled. Trade P&L entries carry their trade_id, one entry per trade.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      entry_type TEXT NOT NULL CHECK (entry_type IN ('deposit', 'withdrawal', 'fee', 'trade_pnl', 'adjustment')),
+      amount REAL NOT NULL,
+      entry_date DATE NOT NULL,
+      trade_id TEXT,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_date ON ledger_entries (user_id, entry_date);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_entries_trade ON ledger_entries (user_id, trade_id)
+      WHERE trade_id IS NOT NULL;
+
+    CREATE TABLE IF NOT EXISTS balance_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      report_date DATE NOT NULL,
+      reported_balance REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_balance_reports_user_date ON balance_reports (user_id, report_date);
+  `);
+
+  await addColumns(db, 'account_snapshots', {
+    snapshot_date: 'DATE',
+    withdrawals_total: 'REAL',
+    fees_total: 'REAL',
+    adjustments_total: 'REAL'
+  });
+
+  // Realized P&L of closed trades. Execution records whose pre-trade already carries
+  // the P&L are skipped so each trade is counted once.
+  await exec(db, `
+    INSERT INTO ledger_entries (user_id, entry_type, amount, entry_date, trade_id, description)
+    SELECT user_id, 'trade_pnl', actual_pnl, date(timestamp), id, 'Trade P&L'
+    FROM trades
+    WHERE actual_pnl IS NOT NULL
+    AND NOT (
+      trade_phase = 'execution'
+      AND id IN (SELECT linked_execution_id FROM trades WHERE linked_execution_id IS NOT NULL AND actual_pnl IS NOT NULL)
+    );
+
+    INSERT INTO balance_reports (user_id, report_date, reported_balance)
+    SELECT user_id, date, account_balance
+    FROM progress
+    WHERE account_balance IS NOT NULL;
+  `);
+
+  // progress.weekly_deposit was filled with the plan default whether or not money
+  // moved, so it is not backfilled as deposits. Instead the first reported balance
+  // opens the ledger with an adjustment for whatever the trade P&L does not explain.
+  await exec(db, `
+    INSERT INTO ledger_entries (user_id, entry_type, amount, entry_date, description)
+    SELECT
+      r.user_id,
+      'adjustment',
+      r.reported_balance - COALESCE((
+        SELECT SUM(l.amount) FROM ledger_entries l
+        WHERE l.user_id IS r.user_id AND l.entry_date <= r.report_date
+      ), 0),
+      r.report_date,
+      'Opening balance'
+    FROM balance_reports r
+    WHERE r.id = (
+      SELECT r2.id FROM balance_reports r2
+      WHERE r2.user_id IS r.user_id
+      ORDER BY r2.report_date ASC, r2.id ASC
+      LIMIT 1
+    );
+  `);
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'account_snapshots', ['snapshot_date', 'withdrawals_total', 'fees_total', 'adjustments_total']);
+
+  await exec(db, `
+    DROP TABLE IF EXISTS balance_reports;
+    DROP TABLE IF EXISTS ledger_entries;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+const { exec } = require('./helpers');
+
+// Trading lockouts raised when a daily/weekly loss or trade-count limit is breached.
+// A lockout lasts until expires_at (the start of the next session); period_start is
+// the day or week it was raised for, so an expired lockout is not raised again for
+// the same period. Uploads made during a lockout with a written justification are
+// kept in lockout_overrides.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS trading_lockouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      reason TEXT NOT NULL CHECK (reason IN ('daily_loss', 'weekly_loss', 'daily_trades', 'weekly_trades')),
+      period_start DATE NOT NULL,
+      limit_value REAL NOT NULL,
+      actual_value REAL NOT NULL,
+      alert_id INTEGER,
+      locked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY (alert_id) REFERENCES risk_alerts (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trading_lockouts_user ON trading_lockouts (user_id, expires_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_trading_lockouts_period ON trading_lockouts (user_id, reason, period_start);
+
+    CREATE TABLE IF NOT EXISTS lockout_overrides (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      lockout_id INTEGER NOT NULL,
+      trade_id TEXT,
+      endpoint TEXT,
+      justification TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lockout_id) REFERENCES trading_lockouts (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lockout_overrides_lockout ON lockout_overrides (lockout_id);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP TABLE IF EXISTS lockout_overrides;
+    DROP TABLE IF EXISTS trading_lockouts;
+  `);
+};
+
+module.exports = { up, down };
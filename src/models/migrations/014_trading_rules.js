@@ -0,0 +1,68 @@
+const { v4: uuidv4 } = require('uuid');
+const { exec } = require('./helpers');
+const { DEFAULT_TRADING_RULES } = require('../../services/tradingRules');
+
+// User-defined trading rules, replacing the fixed max-risk, session-window and
+// risk/reward checks. condition is a JSON object whose shape depends on rule_type
+// (field, time_window, frequency or confluence); alert_type is the risk_alerts type
+// a violation is raised under. Existing traders start with the fixed checks as
+// rules. trade_rule_violations keeps every violation with the rule's name at the
+// time, so history survives the rule being edited or deleted.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS trading_rules (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      rule_type TEXT NOT NULL CHECK (rule_type IN ('field', 'time_window', 'frequency', 'confluence')),
+      condition TEXT NOT NULL, -- JSON object
+      severity TEXT NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('HIGH', 'MEDIUM', 'LOW')),
+      applies_to TEXT NOT NULL DEFAULT 'pre_trade' CHECK (applies_to IN ('pre_trade', 'execution', 'both')),
+      alert_type TEXT NOT NULL,
+      is_enabled BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trading_rules_user ON trading_rules (user_id, is_enabled);
+
+    CREATE TABLE IF NOT EXISTS trade_rule_violations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      trade_id TEXT NOT NULL,
+      rule_id TEXT,
+      rule_name TEXT NOT NULL,
+      trade_phase TEXT,
+      severity TEXT NOT NULL,
+      message TEXT NOT NULL,
+      alert_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_id) REFERENCES trades (id),
+      FOREIGN KEY (alert_id) REFERENCES risk_alerts (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_rule_violations_trade ON trade_rule_violations (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_trade_rule_violations_rule ON trade_rule_violations (user_id, rule_id);
+  `);
+
+  const users = await db.all('SELECT id FROM users');
+  for (const user of users) {
+    for (const rule of DEFAULT_TRADING_RULES) {
+      await db.run(`
+        INSERT INTO trading_rules (id, user_id, name, description, rule_type, condition, severity, applies_to, alert_type)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [uuidv4(), user.id, rule.name, rule.description, rule.rule_type, JSON.stringify(rule.condition),
+        rule.severity, rule.applies_to, rule.alert_type]);
+    }
+  }
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP TABLE IF EXISTS trade_rule_violations;
+    DROP TABLE IF EXISTS trading_rules;
+  `);
+};
+
+module.exports = { up, down };
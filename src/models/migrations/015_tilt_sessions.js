@@ -0,0 +1,35 @@
+const { exec } = require('./helpers');
+
+// Tilt score of each trading session (US Eastern day) from the revenge-trading
+// detector. signals holds the counts behind the score; tilt_started_at is the first
+// trade that raised a signal. alert_id is the TILT alert raised for the session, so
+// a session alerts at most once.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS tilt_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      session_date DATE NOT NULL,
+      tilt_score INTEGER NOT NULL DEFAULT 0,
+      level TEXT NOT NULL CHECK (level IN ('calm', 'elevated', 'tilt')),
+      trade_count INTEGER NOT NULL DEFAULT 0,
+      net_pnl REAL,
+      signals TEXT, -- JSON
+      tilt_started_at DATETIME,
+      alert_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (alert_id) REFERENCES risk_alerts (id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_tilt_sessions_user_date ON tilt_sessions (user_id, session_date);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP TABLE IF EXISTS tilt_sessions;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+const { addColumns, dropColumns } = require('./helpers');
+const { DEFAULT_PATTERN_TAXONOMY } = require('../../services/patternTaxonomy');
+
+// Pattern definitions on top of the per-pattern statistics: what the setup is, when
+// to enter and when it is invalidated, the other names it goes by (aliases, JSON)
+// and its parent family. Retired patterns keep their trades and statistics but are
+// no longer offered to the analyses. The default patterns get their definitions.
+const up = async (db) => {
+  await addColumns(db, 'patterns', {
+    description: 'TEXT',
+    entry_criteria: 'TEXT',
+    invalidation: 'TEXT',
+    aliases: 'TEXT', // JSON array
+    family: 'TEXT',
+    retired: 'BOOLEAN DEFAULT 0'
+  });
+
+  for (const pattern of DEFAULT_PATTERN_TAXONOMY) {
+    await db.run(`
+      UPDATE patterns
+      SET description = ?, entry_criteria = ?, invalidation = ?, aliases = ?, family = ?
+      WHERE pattern_name = ? AND description IS NULL
+    `, [pattern.description, pattern.entry_criteria, pattern.invalidation, JSON.stringify(pattern.aliases),
+      pattern.family, pattern.pattern_name]);
+  }
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'patterns', ['description', 'entry_criteria', 'invalidation', 'aliases', 'family', 'retired']);
+};
+
+module.exports = { up, down };
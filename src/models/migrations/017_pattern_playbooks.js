@@ -0,0 +1,49 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Pattern playbooks: the written checklist of conditions a setup needs (JSON array of
+// { id, item }), the timeframes it is best read on (JSON array) and its typical stop
+// and target distance in points. pattern_examples pins A+ reference trades to a
+// pattern. Each pre-trade analysis stores its checklist scoring (checklist_results,
+// JSON array of { id, item, ticked }) with the ticked and total item counts, so
+// outcomes can be compared for full and partial compliance.
+const TRADE_COLUMNS = {
+  checklist_results: 'TEXT',
+  checklist_ticked: 'INTEGER',
+  checklist_total: 'INTEGER'
+};
+
+const up = async (db) => {
+  await addColumns(db, 'patterns', {
+    checklist: 'TEXT', // JSON array
+    ideal_timeframes: 'TEXT', // JSON array
+    typical_stop_points: 'REAL',
+    typical_target_points: 'REAL'
+  });
+  await addColumns(db, 'trades', TRADE_COLUMNS);
+
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS pattern_examples (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      pattern_id INTEGER NOT NULL,
+      trade_id TEXT NOT NULL,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (pattern_id) REFERENCES patterns (id),
+      FOREIGN KEY (trade_id) REFERENCES trades (id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pattern_examples_pattern_trade ON pattern_examples (pattern_id, trade_id);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP TABLE IF EXISTS pattern_examples;
+  `);
+
+  await dropColumns(db, 'trades', Object.keys(TRADE_COLUMNS));
+  await dropColumns(db, 'patterns', ['checklist', 'ideal_timeframes', 'typical_stop_points', 'typical_target_points']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+const { exec } = require('./helpers');
+
+// Regime changes in each pattern's expectancy found by the CUSUM detector. trade_id
+// is the first trade of the new regime and change_date its session day; detected_on
+// is the day of the trade that confirmed the change. The expectancies (in R) and
+// trade counts describe the regimes on either side. alert_id is the PATTERN_REGIME
+// alert raised for the change, so a change alerts at most once.
+const up = async (db) => {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS pattern_regime_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      pattern_name TEXT NOT NULL,
+      trade_id TEXT NOT NULL,
+      change_date DATE NOT NULL,
+      detected_on DATE NOT NULL,
+      direction TEXT NOT NULL CHECK (direction IN ('degraded', 'improved')),
+      expectancy_before REAL,
+      expectancy_after REAL,
+      trades_before INTEGER NOT NULL DEFAULT 0,
+      trades_after INTEGER NOT NULL DEFAULT 0,
+      alert_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_id) REFERENCES trades (id),
+      FOREIGN KEY (alert_id) REFERENCES risk_alerts (id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pattern_regime_changes_user_pattern_trade
+      ON pattern_regime_changes (user_id, pattern_name, trade_id);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP TABLE IF EXISTS pattern_regime_changes;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// Coaching effectiveness tracking. Each row is one piece of advice given on an
+// execution (trade_id) for the behavior it targets (pattern_type, an execution
+// pattern such as early_entry): the pattern's improvement suggestion and the coaching
+// text of the analysis. baseline_trades/baseline_occurrences count the behavior over
+// the executions up to the advice, follow_up_occurrences over the
+// trades_since_suggestion executions after it. evaluated_at is set once the follow-up
+// window is full and the effectiveness score final.
+const COACHING_COLUMNS = {
+  trade_id: 'TEXT',
+  coaching: 'TEXT',
+  baseline_trades: 'INTEGER DEFAULT 0',
+  baseline_occurrences: 'INTEGER DEFAULT 0',
+  follow_up_occurrences: 'INTEGER DEFAULT 0',
+  evaluated_at: 'DATETIME'
+};
+
+const up = async (db) => {
+  await addColumns(db, 'coaching_effectiveness', COACHING_COLUMNS);
+
+  await exec(db, `
+    CREATE INDEX IF NOT EXISTS idx_coaching_effectiveness_user_behavior ON coaching_effectiveness (user_id, pattern_type);
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    DROP INDEX IF EXISTS idx_coaching_effectiveness_user_behavior;
+  `);
+
+  await dropColumns(db, 'coaching_effectiveness', Object.keys(COACHING_COLUMNS));
+};
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+const { exec, addColumns, dropColumns } = require('./helpers');
+
+// The entry that opens a user's ledger (the starting capital deposit of a new account,
+// or the 'Opening balance' adjustment backfilled by 012) is flagged is_opening. It is
+// dated no later than the user's first trade, so trades journaled from before the
+// account was opened do not run the balance negative; existing openings are moved back.
+const up = async (db) => {
+  await addColumns(db, 'ledger_entries', {
+    is_opening: 'INTEGER DEFAULT 0'
+  });
+
+  await exec(db, `
+    UPDATE ledger_entries
+    SET is_opening = 1
+    WHERE id IN (
+      SELECT MIN(id) FROM ledger_entries
+      WHERE trade_id IS NULL AND description IN ('Starting capital', 'Opening balance')
+      GROUP BY user_id
+    );
+
+    UPDATE ledger_entries
+    SET entry_date = (
+      SELECT MIN(p.entry_date) FROM ledger_entries p
+      WHERE p.user_id IS ledger_entries.user_id AND p.entry_type = 'trade_pnl'
+    )
+    WHERE is_opening = 1
+    AND entry_date > (
+      SELECT MIN(p.entry_date) FROM ledger_entries p
+      WHERE p.user_id IS ledger_entries.user_id AND p.entry_type = 'trade_pnl'
+    );
+  `);
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'ledger_entries', ['is_opening']);
+};
+
+module.exports = { up, down };
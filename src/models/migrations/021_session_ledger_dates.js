@@ -0,0 +1,45 @@
+const { exec } = require('./helpers');
+const { toTradeLedgerDate } = require('../../services/ledger');
+
+// Trade P&L entries are dated by the trade's session date (America/New_York), the
+// date the daily and weekly risk limits count them on, rather than its UTC date.
+// Existing entries are moved, and opening entries kept on or before the first trade.
+const up = async (db) => {
+  const entries = await db.all(`
+    SELECT l.id, l.entry_date, t.timestamp
+    FROM ledger_entries l
+    JOIN trades t ON t.id = l.trade_id
+    WHERE l.entry_type = 'trade_pnl' AND t.timestamp IS NOT NULL
+  `);
+
+  for (const entry of entries) {
+    const sessionDate = toTradeLedgerDate(entry.timestamp);
+    if (sessionDate !== entry.entry_date) {
+      await db.run('UPDATE ledger_entries SET entry_date = ? WHERE id = ?', [sessionDate, entry.id]);
+    }
+  }
+
+  await exec(db, `
+    UPDATE ledger_entries
+    SET entry_date = (
+      SELECT MIN(p.entry_date) FROM ledger_entries p
+      WHERE p.user_id IS ledger_entries.user_id AND p.entry_type = 'trade_pnl'
+    )
+    WHERE is_opening = 1
+    AND entry_date > (
+      SELECT MIN(p.entry_date) FROM ledger_entries p
+      WHERE p.user_id IS ledger_entries.user_id AND p.entry_type = 'trade_pnl'
+    );
+  `);
+};
+
+const down = async (db) => {
+  await exec(db, `
+    UPDATE ledger_entries
+    SET entry_date = (SELECT date(t.timestamp) FROM trades t WHERE t.id = ledger_entries.trade_id)
+    WHERE entry_type = 'trade_pnl'
+    AND trade_id IN (SELECT id FROM trades WHERE timestamp IS NOT NULL);
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,90 @@
+/**
+ * Migration helpers
+ * Schema utilities for use inside migrations. Column helpers are idempotent so
+ * migrations also apply cleanly to databases bootstrapped before migrations existed.
+ */
+
+/**
+ * Execute one or more SQL statements
+ * @param {object} db - Shared database connection
+ * @param {string} sql - SQL text, may contain several statements
+ * @returns {Promise<void>}
+ */
+const exec = (db, sql) => db.exec(sql);
+
+/**
+ * Column names currently defined on a table
+ * @param {object} db - Shared database connection
+ * @param {string} table - Table name
+ * @returns {Promise<string[]>} Column names (empty when the table does not exist)
+ */
+const getColumns = async (db, table) => {
+  const rows = await db.all(`PRAGMA table_info(${table})`);
+  return rows.map(row => row.name);
+};
+
+/**
+ * Add columns that are not already present
+ * @param {object} db - Shared database connection
+ * @param {string} table - Table name
+ * @param {object} columns - Map of column name to definition, e.g. { planned_rr: 'REAL' }
+ * @returns {Promise<string[]>} Columns that were added
+ */
+const addColumns = async (db, table, columns) => {
+  const existing = await getColumns(db, table);
+  const added = [];
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (existing.includes(name)) continue;
+
+    await exec(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    added.push(name);
+  }
+
+  return added;
+};
+
+/**
+ * Drop columns that are present (indexes on them must be dropped first)
+ * @param {object} db - Shared database connection
+ * @param {string} table - Table name
+ * @param {string[]} columns - Column names
+ * @returns {Promise<void>}
+ */
+const dropColumns = async (db, table, columns) => {
+  const existing = await getColumns(db, table);
+
+  for (const name of columns) {
+    if (!existing.includes(name)) continue;
+    await exec(db, `ALTER TABLE ${table} DROP COLUMN ${name}`);
+  }
+};
+
+/**
+ * Recreate a table from a new definition and copy its rows across. SQLite cannot
+ * change constraints with ALTER TABLE, so this is how unique keys are changed.
+ * Rows that violate the new constraints are dropped; indexes must be recreated.
+ * @param {object} db - Shared database connection
+ * @param {string} table - Table name
+ * @param {string} definition - Column and constraint list of the new table
+ * @param {string[]} columns - Columns copied from the old table
+ * @returns {Promise<void>}
+ */
+const rebuildTable = async (db, table, definition, columns) => {
+  const columnList = columns.join(', ');
+
+  await exec(db, `
+    CREATE TABLE ${table}_rebuild (${definition});
+    INSERT OR IGNORE INTO ${table}_rebuild (${columnList}) SELECT ${columnList} FROM ${table};
+    DROP TABLE ${table};
+    ALTER TABLE ${table}_rebuild RENAME TO ${table};
+  `);
+};
+
+module.exports = {
+  exec,
+  getColumns,
+  addColumns,
+  dropColumns,
+  rebuildTable
+};
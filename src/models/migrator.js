@@ -0,0 +1,142 @@
+/**
+ * Schema Migrator
+ * Applies the versioned migrations in src/models/migrations in order and records
+ * each one in schema_migrations. Every migration runs inside a transaction
+ * together with its bookkeeping row, so a failure leaves the schema unchanged.
+ * Expects the shared connection from getDatabase().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load migration modules sorted by version
+ * @returns {object[]} [{ version, name, up, down }]
+ */
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+
+      return {
+        version: match[1],
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+};
+
+/**
+ * Apply pending migrations
+ * @param {object} db - Shared database connection
+ * @param {object} options - { target } optional version to stop at (inclusive)
+ * @returns {Promise<object[]>} Migrations applied in this run
+ */
+const runMigrations = async (db, options = {}) => {
+  await ensureMigrationsTable(db);
+
+  const applied = await getAppliedVersions(db);
+  const pending = loadMigrations().filter(migration =>
+    !applied.has(migration.version) &&
+    (!options.target || parseInt(migration.version) <= parseInt(options.target))
+  );
+
+  for (const migration of pending) {
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+
+    console.log(`🧱 Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  return pending;
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {object} db - Shared database connection
+ * @param {object} options - { steps } number of migrations to revert (default 1)
+ * @returns {Promise<object[]>} Migrations reverted in this run
+ */
+const rollbackMigrations = async (db, options = {}) => {
+  await ensureMigrationsTable(db);
+
+  const steps = options.steps || 1;
+  const applied = await getAppliedVersions(db);
+  const migrations = loadMigrations();
+
+  const toRevert = migrations
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  const unknown = [...applied].filter(version => !migrations.some(migration => migration.version === version));
+  if (unknown.length > 0) {
+    throw new Error(`Applied migrations missing from ${MIGRATIONS_DIR}: ${unknown.join(', ')}`);
+  }
+
+  for (const migration of toRevert) {
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+
+    console.log(`↩️ Reverted migration ${migration.version}_${migration.name}`);
+  }
+
+  return toRevert;
+};
+
+/**
+ * Applied and pending state of every known migration
+ * @param {object} db - Shared database connection
+ * @returns {Promise<object[]>} [{ version, name, status, applied_at }]
+ */
+const getMigrationStatus = async (db) => {
+  await ensureMigrationsTable(db);
+
+  const rows = await db.all('SELECT version, applied_at FROM schema_migrations');
+
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    status: appliedAt.has(migration.version) ? 'applied' : 'pending',
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+};
+
+const ensureMigrationsTable = (db) => {
+  return db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (db) => {
+  const rows = await db.all('SELECT version FROM schema_migrations');
+  return new Set(rows.map(row => row.version));
+};
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus
+};
@@ -0,0 +1,127 @@
+/**
+ * Alert Repository
+ * Risk alerts raised for a user's trades and violation statistics built on them.
+ */
+
+class AlertRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Record a risk alert
+   * @param {object} alert - { trade_id, alert_type, message, severity }
+   * @returns {Promise<number>} Alert id
+   */
+  async create(alert) {
+    const result = await this.db.run(`
+      INSERT INTO risk_alerts (user_id, trade_id, alert_type, message, severity)
+      VALUES (?, ?, ?, ?, ?)
+    `, [this.userId, alert.trade_id, alert.alert_type, alert.message, alert.severity]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Alerts with their trade's setup details, newest first
+   * @param {boolean} acknowledged - Return acknowledged (true) or open (false) alerts
+   * @returns {Promise<object[]>} Alert rows plus pattern_type, setup_quality, risk_reward_ratio, trade_timestamp
+   */
+  findByAcknowledged(acknowledged) {
+    return this.db.all(`
+      SELECT
+        ra.*,
+        t.pattern_type,
+        t.setup_quality,
+        t.risk_reward_ratio,
+        t.timestamp as trade_timestamp
+      FROM risk_alerts ra
+      LEFT JOIN trades t ON ra.trade_id = t.id
+      WHERE ra.user_id = ? AND acknowledged = ?
+      ORDER BY ra.timestamp DESC
+      LIMIT 100
+    `, [this.userId, acknowledged ? 1 : 0]);
+  }
+
+  /**
+   * Alert counts by type and severity
+   * @param {number} days - Look-back window in days
+   * @returns {Promise<object[]>} [{ alert_type, severity, count, unacknowledged_count }]
+   */
+  countByTypeAndSeverity(days = 30) {
+    return this.db.all(`
+      SELECT
+        alert_type,
+        severity,
+        COUNT(*) as count,
+        COUNT(CASE WHEN acknowledged = 0 THEN 1 END) as unacknowledged_count
+      FROM risk_alerts
+      WHERE user_id = ?
+      AND timestamp >= datetime('now', '-' || ? || ' days')
+      GROUP BY alert_type, severity
+      ORDER BY count DESC
+    `, [this.userId, days]);
+  }
+
+  /**
+   * Mark an alert as acknowledged
+   * @param {number|string} alertId - Alert id
+   * @returns {Promise<object>} { changes } - 0 when the alert belongs to someone else
+   */
+  acknowledge(alertId) {
+    return this.db.run(`
+      UPDATE risk_alerts
+      SET acknowledged = 1
+      WHERE id = ? AND user_id = ?
+    `, [alertId, this.userId]);
+  }
+
+  /**
+   * Trades that broke risk limits or raised a high-severity alert
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Trade rows plus alert_type, alert_message, severity
+   */
+  findViolations(limit = 50) {
+    return this.db.all(`
+      SELECT
+        t.*,
+        ra.alert_type,
+        ra.message as alert_message,
+        ra.severity
+      FROM trades t
+      JOIN risk_alerts ra ON t.id = ra.trade_id
+      WHERE t.user_id = ?
+      AND (t.within_limits = 0 OR ra.severity = 'HIGH')
+      ORDER BY t.timestamp DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+  }
+
+  /**
+   * High and medium severity violations grouped by alert type
+   * @param {number} days - Look-back window in days
+   * @returns {Promise<object[]>} [{ alert_type, violation_count, avg_risk_amount,
+   *   avg_setup_quality, week, weeks_affected }] most frequent first
+   */
+  getViolationStats(days = 90) {
+    return this.db.all(`
+      SELECT
+        alert_type,
+        COUNT(*) as violation_count,
+        AVG(t.risk_amount) as avg_risk_amount,
+        AVG(t.setup_quality) as avg_setup_quality,
+        strftime('%Y-%W', t.timestamp) as week,
+        COUNT(DISTINCT strftime('%Y-%W', t.timestamp)) as weeks_affected
+      FROM risk_alerts ra
+      JOIN trades t ON ra.trade_id = t.id
+      WHERE t.user_id = ?
+      AND ra.severity IN ('HIGH', 'MEDIUM')
+      AND t.timestamp >= datetime('now', '-' || ? || ' days')
+      GROUP BY alert_type
+      ORDER BY violation_count DESC
+    `, [this.userId, days]);
+  }
+}
+
+module.exports = AlertRepository;
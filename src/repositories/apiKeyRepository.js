@@ -0,0 +1,78 @@
+/**
+ * API Key Repository
+ * A user's personal API keys. Keys are only ever stored as hashes; the
+ * plain-text key is returned once, when it is created.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const JSON_COLUMNS = ['scopes'];
+
+// Everything but the hash
+const PUBLIC_COLUMNS = `id, name, key_prefix, scopes, rate_limit, last_used_at, last_used_ip,
+  created_at, revoked_at`;
+
+class ApiKeyRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Store a new key
+   * @param {object} apiKey - { id, name, key_prefix, key_hash, scopes, rate_limit }
+   * @returns {Promise<void>}
+   */
+  async create(apiKey) {
+    const record = serializeJsonColumns(apiKey, JSON_COLUMNS);
+
+    await this.db.run(`
+      INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, scopes, rate_limit)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [record.id, this.userId, record.name, record.key_prefix, record.key_hash, record.scopes, record.rate_limit]);
+  }
+
+  /**
+   * Find one of the user's keys
+   * @param {string} keyId - Key id
+   * @returns {Promise<object|undefined>} Key without its hash
+   */
+  async findById(keyId) {
+    const row = await this.db.get(`
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = ? AND user_id = ?
+    `, [keyId, this.userId]);
+
+    return parseJsonColumns(row, JSON_COLUMNS);
+  }
+
+  /**
+   * All of the user's keys, newest first
+   * @param {boolean} includeRevoked - Also return revoked keys
+   * @returns {Promise<object[]>} Keys without their hashes
+   */
+  async findAll(includeRevoked = false) {
+    const rows = await this.db.all(`
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys
+      WHERE user_id = ?
+      ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+      ORDER BY created_at DESC
+    `, [this.userId]);
+
+    return rows.map(row => parseJsonColumns(row, JSON_COLUMNS));
+  }
+
+  /**
+   * Revoke a key so it is no longer accepted
+   * @param {string} keyId - Key id
+   * @returns {Promise<object>} { changes } - 0 when the key is unknown or already revoked
+   */
+  revoke(keyId) {
+    return this.db.run(`
+      UPDATE api_keys
+      SET revoked_at = datetime('now')
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `, [keyId, this.userId]);
+  }
+}
+
+module.exports = ApiKeyRepository;
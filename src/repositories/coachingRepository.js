@@ -0,0 +1,84 @@
+/**
+ * Coaching Repository
+ * Advice given on executions (coaching_effectiveness), the behavior each piece
+ * targets and how often that behavior occurred before and after it.
+ */
+
+const COACHING_COLUMNS = `c.id, c.trade_id, c.pattern_type as behavior, c.suggestion_given, c.coaching,
+  c.baseline_trades, c.baseline_occurrences, c.trades_since_suggestion, c.follow_up_occurrences,
+  c.improvement_observed, c.effectiveness_score, c.evaluated_at, c.created_at, c.updated_at`;
+
+class CoachingRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Record advice given on an execution
+   * @param {object} suggestion - { trade_id, behavior, suggestion_given, coaching }
+   * @returns {Promise<number>} Suggestion id
+   */
+  async create(suggestion) {
+    const result = await this.db.run(`
+      INSERT INTO coaching_effectiveness (user_id, trade_id, pattern_type, suggestion_given, coaching)
+      VALUES (?, ?, ?, ?, ?)
+    `, [this.userId, suggestion.trade_id, suggestion.behavior, suggestion.suggestion_given, suggestion.coaching || null]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Recorded advice with the time of the execution it was given on, oldest first
+   * @param {object} options - { openOnly } - only advice whose follow-up window is not full yet
+   * @returns {Promise<object[]>} Suggestion rows plus trade_timestamp
+   */
+  findAll(options = {}) {
+    return this.db.all(`
+      SELECT ${COACHING_COLUMNS}, t.timestamp as trade_timestamp
+      FROM coaching_effectiveness c
+      LEFT JOIN trades t ON t.id = c.trade_id AND t.user_id = c.user_id
+      WHERE c.user_id = ? AND c.trade_id IS NOT NULL ${options.openOnly ? 'AND c.evaluated_at IS NULL' : ''}
+      ORDER BY t.timestamp, c.id
+    `, [this.userId]);
+  }
+
+  /**
+   * Store the behavior counts and score of a piece of advice
+   * @param {number} id - Suggestion id
+   * @param {object} evaluation - { baseline_trades, baseline_occurrences, trades_since_suggestion,
+   *   follow_up_occurrences, improvement_observed, effectiveness_score, evaluated }
+   * @returns {Promise<object>} { changes }
+   */
+  updateEvaluation(id, evaluation) {
+    return this.db.run(`
+      UPDATE coaching_effectiveness
+      SET baseline_trades = ?,
+          baseline_occurrences = ?,
+          trades_since_suggestion = ?,
+          follow_up_occurrences = ?,
+          improvement_observed = ?,
+          effectiveness_score = ?,
+          evaluated_at = ${evaluation.evaluated ? 'CURRENT_TIMESTAMP' : 'NULL'},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `, [evaluation.baseline_trades, evaluation.baseline_occurrences, evaluation.trades_since_suggestion,
+      evaluation.follow_up_occurrences, evaluation.improvement_observed ? 1 : 0, evaluation.effectiveness_score,
+      id, this.userId]);
+  }
+
+  /**
+   * Execution records with their planned vs actual price variances, oldest first
+   * @returns {Promise<object[]>} [{ id, timestamp, entry_variance, stop_variance, target_variance }]
+   */
+  findExecutions() {
+    return this.db.all(`
+      SELECT id, timestamp, entry_variance, stop_variance, target_variance
+      FROM trades
+      WHERE user_id = ? AND trade_phase = 'execution'
+      ORDER BY timestamp, id
+    `, [this.userId]);
+  }
+}
+
+module.exports = CoachingRepository;
@@ -0,0 +1,128 @@
+/**
+ * Goal Plan Repository
+ * A user's wealth-building goal plans. At most one plan is active at a time.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const JSON_COLUMNS = ['phases', 'milestones'];
+
+const PLAN_FIELDS = [
+  'name', 'starting_balance', 'target_balance', 'start_date', 'end_date', 'phases', 'milestones'
+];
+
+const parsePlan = (row) => {
+  const plan = parseJsonColumns(row, JSON_COLUMNS);
+  if (plan) plan.is_active = Boolean(plan.is_active);
+  return plan;
+};
+
+class GoalPlanRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * All of the user's plans, active plan first
+   * @returns {Promise<object[]>} Plans with phases and milestones parsed
+   */
+  async findAll() {
+    const rows = await this.db.all(`
+      SELECT * FROM goal_plans
+      WHERE user_id = ?
+      ORDER BY is_active DESC, created_at DESC
+    `, [this.userId]);
+
+    return rows.map(parsePlan);
+  }
+
+  /**
+   * Find one of the user's plans
+   * @param {string} planId - Plan id
+   * @returns {Promise<object|undefined>} Plan
+   */
+  async findById(planId) {
+    const row = await this.db.get('SELECT * FROM goal_plans WHERE id = ? AND user_id = ?', [planId, this.userId]);
+    return parsePlan(row);
+  }
+
+  /**
+   * The plan progress is measured against
+   * @returns {Promise<object|undefined>} Active plan, if the user has one
+   */
+  async findActive() {
+    const row = await this.db.get(
+      'SELECT * FROM goal_plans WHERE user_id = ? AND is_active = 1 LIMIT 1',
+      [this.userId]
+    );
+    return parsePlan(row);
+  }
+
+  /**
+   * Store a new plan (inactive until activate() is called)
+   * @param {object} plan - { id, name, starting_balance, target_balance, start_date, end_date, phases, milestones }
+   * @returns {Promise<void>}
+   */
+  async create(plan) {
+    const record = serializeJsonColumns(plan, JSON_COLUMNS);
+
+    await this.db.run(`
+      INSERT INTO goal_plans (id, user_id, ${PLAN_FIELDS.join(', ')})
+      VALUES (?, ?, ${PLAN_FIELDS.map(() => '?').join(', ')})
+    `, [record.id, this.userId, ...PLAN_FIELDS.map(field => (record[field] === undefined ? null : record[field]))]);
+  }
+
+  /**
+   * Change fields of a plan
+   * @param {string} planId - Plan id
+   * @param {object} changes - Subset of the plan fields
+   * @returns {Promise<object>} { changes } - 0 when the plan is unknown
+   */
+  update(planId, changes) {
+    const record = serializeJsonColumns(changes, JSON_COLUMNS);
+    const fields = PLAN_FIELDS.filter(field => record[field] !== undefined);
+
+    return this.db.run(`
+      UPDATE goal_plans
+      SET ${fields.map(field => `${field} = ?`).concat('updated_at = CURRENT_TIMESTAMP').join(', ')}
+      WHERE id = ? AND user_id = ?
+    `, [...fields.map(field => record[field]), planId, this.userId]);
+  }
+
+  /**
+   * Make a plan the active one, deactivating any other
+   * @param {string} planId - Plan id
+   * @returns {Promise<boolean>} False when the plan is unknown
+   */
+  activate(planId) {
+    return this.db.transaction(async () => {
+      const plan = await this.db.get('SELECT id FROM goal_plans WHERE id = ? AND user_id = ?', [planId, this.userId]);
+      if (!plan) return false;
+
+      await this.db.run('UPDATE goal_plans SET is_active = 0 WHERE user_id = ? AND is_active = 1', [this.userId]);
+      await this.db.run('UPDATE goal_plans SET is_active = 1 WHERE id = ? AND user_id = ?', [planId, this.userId]);
+      return true;
+    });
+  }
+
+  /**
+   * Stop measuring progress against a plan
+   * @param {string} planId - Plan id
+   * @returns {Promise<object>} { changes }
+   */
+  deactivate(planId) {
+    return this.db.run('UPDATE goal_plans SET is_active = 0 WHERE id = ? AND user_id = ?', [planId, this.userId]);
+  }
+
+  /**
+   * Delete a plan
+   * @param {string} planId - Plan id
+   * @returns {Promise<object>} { changes } - 0 when the plan is unknown
+   */
+  delete(planId) {
+    return this.db.run('DELETE FROM goal_plans WHERE id = ? AND user_id = ?', [planId, this.userId]);
+  }
+}
+
+module.exports = GoalPlanRepository;
@@ -0,0 +1,90 @@
+/**
+ * Repositories
+ * Data access for the routers. Each repository owns the SQL, column mapping and
+ * JSON column (de)serialization of its tables, and only ever reads or writes the
+ * rows of the user it was created for.
+ */
+
+const { getDatabase } = require('../models/database');
+const TradeRepository = require('./tradeRepository');
+const PatternRepository = require('./patternRepository');
+const ProgressRepository = require('./progressRepository');
+const AlertRepository = require('./alertRepository');
+const SettingsRepository = require('./settingsRepository');
+const ApiKeyRepository = require('./apiKeyRepository');
+const InstrumentRepository = require('./instrumentRepository');
+const GoalPlanRepository = require('./goalPlanRepository');
+const LedgerRepository = require('./ledgerRepository');
+const LockoutRepository = require('./lockoutRepository');
+const RuleRepository = require('./ruleRepository');
+const TiltRepository = require('./tiltRepository');
+const PlaybookRepository = require('./playbookRepository');
+const RegimeRepository = require('./regimeRepository');
+const CoachingRepository = require('./coachingRepository');
+const JobRepository = require('./jobRepository');
+const UserRepository = require('./userRepository');
+
+/**
+ * Create the repositories of one user on top of a database connection
+ * @param {string} userId - Id of the user every query is scoped to
+ * @param {object} db - Database connection (defaults to the shared connection)
+ * @returns {object} { userId, trades, patterns, progress, alerts, settings, apiKeys, instruments,
+ *   goalPlans, ledger, lockouts, rules, tilt, playbooks, regimes, coaching, jobs, transaction,
+ *   afterCommit }
+ */
+const createRepositories = (userId, db = getDatabase()) => {
+  if (!userId) {
+    throw new Error('createRepositories requires the id of the user to scope queries to');
+  }
+
+  return {
+    userId,
+    trades: new TradeRepository(db, userId),
+    patterns: new PatternRepository(db, userId),
+    progress: new ProgressRepository(db, userId),
+    alerts: new AlertRepository(db, userId),
+    settings: new SettingsRepository(db, userId),
+    apiKeys: new ApiKeyRepository(db, userId),
+    instruments: new InstrumentRepository(db, userId),
+    goalPlans: new GoalPlanRepository(db, userId),
+    ledger: new LedgerRepository(db, userId),
+    lockouts: new LockoutRepository(db, userId),
+    rules: new RuleRepository(db, userId),
+    tilt: new TiltRepository(db, userId),
+    playbooks: new PlaybookRepository(db, userId),
+    regimes: new RegimeRepository(db, userId),
+    coaching: new CoachingRepository(db, userId),
+    jobs: new JobRepository(db, userId),
+    transaction: (fn) => db.transaction(fn),
+    afterCommit: (callback) => db.afterCommit(callback)
+  };
+};
+
+/**
+ * Create the (unscoped) user repository
+ * @param {object} db - Database connection (defaults to the shared connection)
+ * @returns {UserRepository} User repository
+ */
+const createUserRepository = (db = getDatabase()) => new UserRepository(db);
+
+module.exports = {
+  createRepositories,
+  createUserRepository,
+  TradeRepository,
+  PatternRepository,
+  ProgressRepository,
+  AlertRepository,
+  SettingsRepository,
+  ApiKeyRepository,
+  InstrumentRepository,
+  GoalPlanRepository,
+  LedgerRepository,
+  LockoutRepository,
+  RuleRepository,
+  TiltRepository,
+  PlaybookRepository,
+  RegimeRepository,
+  CoachingRepository,
+  JobRepository,
+  UserRepository
+};
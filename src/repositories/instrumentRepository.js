@@ -0,0 +1,98 @@
+/**
+ * Instrument Repository
+ * Contract specifications a user can trade: the built-in registry (user_id NULL)
+ * plus the user's custom contracts. A custom row with a built-in symbol overrides it.
+ */
+
+const INSTRUMENT_FIELDS = [
+  'name', 'exchange', 'tick_size', 'point_value', 'session_start', 'session_end',
+  'typical_daily_range', 'commission_per_side'
+];
+
+// The user's row wins over the built-in one for the same symbol
+const VISIBLE_INSTRUMENTS = `
+  SELECT *, CASE WHEN user_id IS NULL THEN 1 ELSE 0 END as built_in
+  FROM instruments i
+  WHERE (i.user_id = ? OR (i.user_id IS NULL AND NOT EXISTS (
+    SELECT 1 FROM instruments o WHERE o.user_id = ? AND o.symbol = i.symbol
+  )))
+`;
+
+class InstrumentRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Every instrument visible to the user, by symbol
+   * @returns {Promise<object[]>} Instrument rows plus built_in (1 for registry defaults)
+   */
+  findAll() {
+    return this.db.all(`${VISIBLE_INSTRUMENTS} ORDER BY symbol`, [this.userId, this.userId]);
+  }
+
+  /**
+   * Find the instrument the user trades under a symbol
+   * @param {string} symbol - Symbol root, e.g. 'MNQ' (case-insensitive)
+   * @returns {Promise<object|undefined>} Instrument row plus built_in
+   */
+  findBySymbol(symbol) {
+    return this.db.get(`${VISIBLE_INSTRUMENTS} AND i.symbol = ?`, [this.userId, this.userId, symbol.toUpperCase()]);
+  }
+
+  /**
+   * Find the user's own row for a symbol (custom contract or override)
+   * @param {string} symbol - Symbol root (case-insensitive)
+   * @returns {Promise<object|undefined>} Instrument row
+   */
+  findCustomBySymbol(symbol) {
+    return this.db.get('SELECT * FROM instruments WHERE user_id = ? AND symbol = ?', [this.userId, symbol.toUpperCase()]);
+  }
+
+  /**
+   * Add a custom contract
+   * @param {object} instrument - { symbol, name, exchange, tick_size, point_value, session_start,
+   *   session_end, typical_daily_range, commission_per_side }
+   * @returns {Promise<number>} Instrument id
+   */
+  async create(instrument) {
+    const values = INSTRUMENT_FIELDS.map(field => (instrument[field] === undefined ? null : instrument[field]));
+
+    const result = await this.db.run(`
+      INSERT INTO instruments (user_id, symbol, ${INSTRUMENT_FIELDS.join(', ')})
+      VALUES (?, ?, ${INSTRUMENT_FIELDS.map(() => '?').join(', ')})
+    `, [this.userId, instrument.symbol.toUpperCase(), ...values]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Change fields of one of the user's contracts
+   * @param {string} symbol - Symbol root (case-insensitive)
+   * @param {object} changes - Subset of the instrument fields
+   * @returns {Promise<object>} { changes } - 0 when the user has no row for the symbol
+   */
+  update(symbol, changes) {
+    const fields = INSTRUMENT_FIELDS.filter(field => changes[field] !== undefined);
+
+    return this.db.run(`
+      UPDATE instruments
+      SET ${fields.map(field => `${field} = ?`).concat('updated_at = CURRENT_TIMESTAMP').join(', ')}
+      WHERE user_id = ? AND symbol = ?
+    `, [...fields.map(field => changes[field]), this.userId, symbol.toUpperCase()]);
+  }
+
+  /**
+   * Remove one of the user's contracts (an override falls back to the built-in)
+   * @param {string} symbol - Symbol root (case-insensitive)
+   * @returns {Promise<object>} { changes } - 0 when the user has no row for the symbol
+   */
+  delete(symbol) {
+    return this.db.run('DELETE FROM instruments WHERE user_id = ? AND symbol = ?', [this.userId, symbol.toUpperCase()]);
+  }
+}
+
+InstrumentRepository.FIELDS = INSTRUMENT_FIELDS;
+
+module.exports = InstrumentRepository;
@@ -0,0 +1,68 @@
+/**
+ * Job Repository
+ * A user's background analysis jobs (analysis_jobs). The queue worker itself
+ * claims and updates jobs of every user in src/services/analysisQueue.js.
+ */
+
+class JobRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Find one job
+   * @param {string} jobId - Job id
+   * @returns {Promise<object|undefined>} Job row
+   */
+  findById(jobId) {
+    return this.db.get('SELECT * FROM analysis_jobs WHERE id = ? AND user_id = ?', [jobId, this.userId]);
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {object} filters - { status, type, trade_id, limit }
+   * @returns {Promise<object[]>} Job rows
+   */
+  findAll(filters = {}) {
+    const conditions = ['user_id = ?'];
+    const params = [this.userId];
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.type) {
+      conditions.push('job_type = ?');
+      params.push(filters.type);
+    }
+
+    if (filters.trade_id) {
+      conditions.push('trade_id = ?');
+      params.push(filters.trade_id);
+    }
+
+    return this.db.all(`
+      SELECT * FROM analysis_jobs
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `, [...params, filters.limit || 50]);
+  }
+
+  /**
+   * Job counts by status
+   * @returns {Promise<object[]>} [{ status, count }]
+   */
+  countByStatus() {
+    return this.db.all(`
+      SELECT status, COUNT(*) as count
+      FROM analysis_jobs
+      WHERE user_id = ?
+      GROUP BY status
+    `, [this.userId]);
+  }
+}
+
+module.exports = JobRepository;
@@ -0,0 +1,54 @@
+/**
+ * JSON column helpers
+ * Some columns hold JSON text (screenshots_metadata, behavioral_observations,
+ * key_levels, ...). Repositories serialize them on write and parse them on
+ * read so routes only ever see structured values.
+ */
+
+/**
+ * Serialize JSON columns of a record for storage
+ * @param {object} record - Column values keyed by column name
+ * @param {string[]} columns - Columns stored as JSON text
+ * @returns {object} Copy of the record with JSON columns stringified
+ */
+const serializeJsonColumns = (record, columns) => {
+  const serialized = { ...record };
+
+  columns.forEach(column => {
+    const value = serialized[column];
+    if (value === undefined || value === null || typeof value === 'string') return;
+    serialized[column] = JSON.stringify(value);
+  });
+
+  return serialized;
+};
+
+/**
+ * Parse JSON columns of a row read from the database
+ * @param {object} row - Database row
+ * @param {string[]} columns - Columns stored as JSON text
+ * @returns {object} Row with JSON columns parsed (undefined rows pass through)
+ */
+const parseJsonColumns = (row, columns) => {
+  if (!row) return row;
+
+  const parsed = { ...row };
+
+  columns.forEach(column => {
+    const value = parsed[column];
+    if (typeof value !== 'string') return;
+
+    try {
+      parsed[column] = JSON.parse(value);
+    } catch (error) {
+      // Older rows stored plain text in some of these columns - keep it as is
+    }
+  });
+
+  return parsed;
+};
+
+module.exports = {
+  serializeJsonColumns,
+  parseJsonColumns
+};
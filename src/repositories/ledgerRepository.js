@@ -0,0 +1,232 @@
+/**
+ * Ledger Repository
+ * A user's cash-flow ledger (ledger_entries) and the balances they reported
+ * (balance_reports). Amounts are signed; the balance is the sum of the ledger.
+ */
+
+const ENTRY_COLUMNS = 'id, entry_type, amount, entry_date, trade_id, description, is_opening, created_at';
+
+class LedgerRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Page through ledger entries, newest first
+   * @param {object} filters - { type, from, to, limit, offset } (dates as YYYY-MM-DD, inclusive)
+   * @returns {Promise<object>} { entries, total }
+   */
+  async findPage(filters = {}) {
+    const conditions = ['user_id = ?'];
+    const params = [this.userId];
+
+    if (filters.type) {
+      conditions.push('entry_type = ?');
+      params.push(filters.type);
+    }
+    if (filters.from) {
+      conditions.push('entry_date >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('entry_date <= ?');
+      params.push(filters.to);
+    }
+
+    const where = conditions.join(' AND ');
+    const entries = await this.db.all(`
+      SELECT ${ENTRY_COLUMNS}
+      FROM ledger_entries
+      WHERE ${where}
+      ORDER BY entry_date DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, filters.limit || 50, filters.offset || 0]);
+
+    const totalRow = await this.db.get(`SELECT COUNT(*) as total FROM ledger_entries WHERE ${where}`, params);
+
+    return { entries, total: totalRow.total };
+  }
+
+  /**
+   * Every entry up to a date, oldest first
+   * @param {string|null} to - Last date to include (YYYY-MM-DD), null for all
+   * @returns {Promise<object[]>} Ledger entries
+   */
+  findAllUntil(to = null) {
+    return this.db.all(`
+      SELECT ${ENTRY_COLUMNS}
+      FROM ledger_entries
+      WHERE user_id = ?
+      ${to ? 'AND entry_date <= ?' : ''}
+      ORDER BY entry_date ASC, id ASC
+    `, to ? [this.userId, to] : [this.userId]);
+  }
+
+  /**
+   * Every entry up to a date with the pattern and time of its trade, in the order
+   * the money moved: by date, then trade time
+   * @param {string|null} to - Last date to include (YYYY-MM-DD), null for all
+   * @returns {Promise<object[]>} Ledger entries plus pattern_type and trade_timestamp
+   */
+  findAllWithTrades(to = null) {
+    return this.db.all(`
+      SELECT
+        l.id, l.entry_type, l.amount, l.entry_date, l.trade_id, l.description,
+        t.pattern_type,
+        t.timestamp as trade_timestamp
+      FROM ledger_entries l
+      LEFT JOIN trades t ON t.id = l.trade_id AND t.user_id = l.user_id
+      WHERE l.user_id = ?
+      ${to ? 'AND l.entry_date <= ?' : ''}
+      ORDER BY l.entry_date ASC, COALESCE(t.timestamp, l.created_at) ASC, l.id ASC
+    `, to ? [this.userId, to] : [this.userId]);
+  }
+
+  /**
+   * Find one entry
+   * @param {number} entryId - Entry id
+   * @returns {Promise<object|undefined>} Ledger entry
+   */
+  findById(entryId) {
+    return this.db.get(`SELECT ${ENTRY_COLUMNS} FROM ledger_entries WHERE id = ? AND user_id = ?`, [entryId, this.userId]);
+  }
+
+  /**
+   * Add an entry
+   * @param {object} entry - { entry_type, amount (signed), entry_date, description, trade_id }
+   * @returns {Promise<number>} Entry id
+   */
+  async create(entry) {
+    const result = await this.db.run(`
+      INSERT INTO ledger_entries (user_id, entry_type, amount, entry_date, trade_id, description)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [this.userId, entry.entry_type, entry.amount, entry.entry_date, entry.trade_id || null, entry.description || null]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Set the realized P&L entry of a trade, replacing any earlier one. A trade dated
+   * before the opening entry moves the opening entry back to the trade's date.
+   * @param {string} tradeId - Trade id
+   * @param {number|null} pnl - Realized P&L (null removes the entry)
+   * @param {string} entryDate - Date of the trade (YYYY-MM-DD)
+   * @returns {Promise<object>} { changes }
+   */
+  recordTradePnl(tradeId, pnl, entryDate) {
+    if (pnl === null || pnl === undefined) {
+      return this.db.run(
+        'DELETE FROM ledger_entries WHERE user_id = ? AND trade_id = ? AND entry_type = \'trade_pnl\'',
+        [this.userId, tradeId]
+      );
+    }
+
+    return this.db.transaction(async () => {
+      await this.db.run(`
+        UPDATE ledger_entries SET entry_date = ?
+        WHERE user_id = ? AND is_opening = 1 AND entry_date > ?
+      `, [entryDate, this.userId, entryDate]);
+
+      return this.db.run(`
+        INSERT INTO ledger_entries (user_id, entry_type, amount, entry_date, trade_id, description)
+        VALUES (?, 'trade_pnl', ?, ?, ?, 'Trade P&L')
+        ON CONFLICT (user_id, trade_id) WHERE trade_id IS NOT NULL
+        DO UPDATE SET amount = excluded.amount, entry_date = excluded.entry_date
+      `, [this.userId, pnl, entryDate, tradeId]);
+    });
+  }
+
+  /**
+   * Delete an entry
+   * @param {number} entryId - Entry id
+   * @returns {Promise<object>} { changes } - 0 when the entry is unknown
+   */
+  delete(entryId) {
+    return this.db.run('DELETE FROM ledger_entries WHERE id = ? AND user_id = ?', [entryId, this.userId]);
+  }
+
+  /**
+   * Ledger totals by entry type
+   * @param {string|null} asOf - Last date to include (YYYY-MM-DD), null for all
+   * @returns {Promise<object>} { entry_count, balance, deposits, withdrawals, fees, trading_pnl, adjustments }
+   */
+  async getSummary(asOf = null) {
+    const row = await this.db.get(`
+      SELECT
+        COUNT(*) as entry_count,
+        COALESCE(SUM(amount), 0) as balance,
+        COALESCE(SUM(CASE WHEN entry_type = 'deposit' THEN amount END), 0) as deposits,
+        COALESCE(SUM(CASE WHEN entry_type = 'withdrawal' THEN amount END), 0) as withdrawals,
+        COALESCE(SUM(CASE WHEN entry_type = 'fee' THEN amount END), 0) as fees,
+        COALESCE(SUM(CASE WHEN entry_type = 'trade_pnl' THEN amount END), 0) as trading_pnl,
+        COALESCE(SUM(CASE WHEN entry_type = 'adjustment' THEN amount END), 0) as adjustments
+      FROM ledger_entries
+      WHERE user_id = ?
+      ${asOf ? 'AND entry_date <= ?' : ''}
+    `, asOf ? [this.userId, asOf] : [this.userId]);
+
+    return row;
+  }
+
+  /**
+   * Realized trading result between two dates: trade P&L plus fees, and trades closed
+   * @param {string} from - First date (YYYY-MM-DD, inclusive)
+   * @param {string} to - Last date (YYYY-MM-DD, inclusive)
+   * @returns {Promise<object>} { realized_pnl, trade_count }
+   */
+  getTradingTotals(from, to) {
+    return this.db.get(`
+      SELECT
+        COALESCE(SUM(amount), 0) as realized_pnl,
+        COUNT(CASE WHEN entry_type = 'trade_pnl' THEN 1 END) as trade_count
+      FROM ledger_entries
+      WHERE user_id = ?
+      AND entry_type IN ('trade_pnl', 'fee')
+      AND entry_date BETWEEN ? AND ?
+    `, [this.userId, from, to]);
+  }
+
+  /**
+   * Record a balance the trader reported
+   * @param {string} reportDate - Date of the report (YYYY-MM-DD)
+   * @param {number} balance - Reported balance
+   * @returns {Promise<number>} Report id
+   */
+  async addBalanceReport(reportDate, balance) {
+    const result = await this.db.run(`
+      INSERT INTO balance_reports (user_id, report_date, reported_balance)
+      VALUES (?, ?, ?)
+    `, [this.userId, reportDate, balance]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Reported balances, oldest first
+   * @param {object} range - { from, to } (YYYY-MM-DD, inclusive, optional)
+   * @returns {Promise<object[]>} [{ id, report_date, reported_balance, created_at }]
+   */
+  findBalanceReports(range = {}) {
+    const conditions = ['user_id = ?'];
+    const params = [this.userId];
+
+    if (range.from) {
+      conditions.push('report_date >= ?');
+      params.push(range.from);
+    }
+    if (range.to) {
+      conditions.push('report_date <= ?');
+      params.push(range.to);
+    }
+
+    return this.db.all(`
+      SELECT id, report_date, reported_balance, created_at
+      FROM balance_reports
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY report_date ASC, id ASC
+    `, params);
+  }
+}
+
+module.exports = LedgerRepository;
@@ -0,0 +1,121 @@
+/**
+ * Lockout Repository
+ * Trading lockouts raised when a loss or trade-count limit is breached, and the
+ * justified overrides made while one was in force.
+ */
+
+class LockoutRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * The lockout in force at a moment, latest expiry first
+   * @param {string} at - ISO timestamp
+   * @returns {Promise<object|undefined>} Lockout
+   */
+  findActive(at) {
+    return this.db.get(`
+      SELECT * FROM trading_lockouts
+      WHERE user_id = ? AND expires_at > ?
+      ORDER BY expires_at DESC, id DESC
+      LIMIT 1
+    `, [this.userId, at]);
+  }
+
+  /**
+   * Find the lockout already raised for a limit in a day or week
+   * @param {string} reason - 'daily_loss', 'weekly_loss', 'daily_trades' or 'weekly_trades'
+   * @param {string} periodStart - Day, or Monday of the week (YYYY-MM-DD)
+   * @returns {Promise<object|undefined>} Lockout
+   */
+  findForPeriod(reason, periodStart) {
+    return this.db.get(
+      'SELECT * FROM trading_lockouts WHERE user_id = ? AND reason = ? AND period_start = ?',
+      [this.userId, reason, periodStart]
+    );
+  }
+
+  /**
+   * Most recent lockouts with their override counts
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Lockouts plus override_count, newest first
+   */
+  findRecent(limit = 10) {
+    return this.db.all(`
+      SELECT l.*, COUNT(o.id) as override_count
+      FROM trading_lockouts l
+      LEFT JOIN lockout_overrides o ON o.lockout_id = l.id
+      WHERE l.user_id = ?
+      GROUP BY l.id
+      ORDER BY l.locked_at DESC, l.id DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+  }
+
+  /**
+   * Record a lockout, unless one was already raised for the same limit and period
+   * @param {object} lockout - { reason, period_start, limit_value, actual_value, alert_id, expires_at }
+   * @returns {Promise<number|null>} Lockout id, or null when the period was already locked
+   */
+  async create(lockout) {
+    const result = await this.db.run(`
+      INSERT OR IGNORE INTO trading_lockouts (user_id, reason, period_start, limit_value, actual_value, alert_id, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      this.userId,
+      lockout.reason,
+      lockout.period_start,
+      lockout.limit_value,
+      lockout.actual_value,
+      lockout.alert_id || null,
+      lockout.expires_at
+    ]);
+
+    return result.changes > 0 ? result.lastID : null;
+  }
+
+  /**
+   * Link a lockout to the risk alert raised for it
+   * @param {number} lockoutId - Lockout id
+   * @param {number} alertId - Risk alert id
+   * @returns {Promise<object>} { changes }
+   */
+  attachAlert(lockoutId, alertId) {
+    return this.db.run(
+      'UPDATE trading_lockouts SET alert_id = ? WHERE id = ? AND user_id = ?',
+      [alertId, lockoutId, this.userId]
+    );
+  }
+
+  /**
+   * Record an upload made during a lockout
+   * @param {object} override - { lockout_id, trade_id, endpoint, justification }
+   * @returns {Promise<number>} Override id
+   */
+  async addOverride(override) {
+    const result = await this.db.run(`
+      INSERT INTO lockout_overrides (user_id, lockout_id, trade_id, endpoint, justification)
+      VALUES (?, ?, ?, ?, ?)
+    `, [this.userId, override.lockout_id, override.trade_id || null, override.endpoint || null, override.justification]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Overrides of a lockout, oldest first
+   * @param {number} lockoutId - Lockout id
+   * @returns {Promise<object[]>} [{ id, trade_id, endpoint, justification, created_at }]
+   */
+  findOverrides(lockoutId) {
+    return this.db.all(`
+      SELECT id, trade_id, endpoint, justification, created_at
+      FROM lockout_overrides
+      WHERE user_id = ? AND lockout_id = ?
+      ORDER BY id ASC
+    `, [this.userId, lockoutId]);
+  }
+}
+
+module.exports = LockoutRepository;
@@ -0,0 +1,557 @@
+/**
+ * Pattern Repository
+ * Setup pattern definitions and statistics (patterns table and per-pattern trade
+ * aggregates) and the trader's execution patterns, scoped to one user. Execution
+ * patterns key the user by their trader_id column.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const JSON_COLUMNS = ['aliases', 'checklist', 'ideal_timeframes'];
+
+const DEFINITION_FIELDS = ['pattern_name', 'description', 'entry_criteria', 'invalidation', 'aliases', 'family', 'retired'];
+
+const parsePattern = (row) => {
+  const pattern = parseJsonColumns(row, JSON_COLUMNS);
+  if (pattern) {
+    pattern.aliases = Array.isArray(pattern.aliases) ? pattern.aliases : [];
+    pattern.checklist = Array.isArray(pattern.checklist) ? pattern.checklist : [];
+    pattern.ideal_timeframes = Array.isArray(pattern.ideal_timeframes) ? pattern.ideal_timeframes : [];
+    pattern.retired = Boolean(pattern.retired);
+  }
+  return pattern;
+};
+
+class PatternRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Find a pattern by name
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<object|undefined>} Pattern row
+   */
+  async findByName(patternName) {
+    const row = await this.db.get('SELECT * FROM patterns WHERE user_id = ? AND pattern_name = ?', [this.userId, patternName]);
+    return parsePattern(row);
+  }
+
+  /**
+   * Every pattern definition with its occurrence counts, retired ones included
+   * @returns {Promise<object[]>} [{ id, pattern_name, family, description, entry_criteria, invalidation,
+   *   aliases, retired, checklist, ideal_timeframes, typical_stop_points, typical_target_points,
+   *   success_count, total_count, confidence_score, last_seen, created_at, updated_at }] by name
+   */
+  async findDefinitions() {
+    const rows = await this.db.all(`
+      SELECT id, pattern_name, family, description, entry_criteria, invalidation, aliases, retired,
+        checklist, ideal_timeframes, typical_stop_points, typical_target_points, success_count, total_count, confidence_score, last_seen, created_at, updated_at
+      FROM patterns
+      WHERE user_id = ?
+      ORDER BY pattern_name
+    `, [this.userId]);
+
+    return rows.map(parsePattern);
+  }
+
+  /**
+   * Add a pattern definition
+   * @param {object} definition - { pattern_name, description, entry_criteria, invalidation, aliases, family, retired }
+   * @returns {Promise<number>} Pattern id
+   */
+  async create(definition) {
+    const record = serializeJsonColumns({ aliases: [], retired: false, ...definition }, JSON_COLUMNS);
+
+    const result = await this.db.run(`
+      INSERT INTO patterns (user_id, confidence_score, ${DEFINITION_FIELDS.join(', ')})
+      VALUES (?, 0.5, ${DEFINITION_FIELDS.map(() => '?').join(', ')})
+    `, [this.userId, ...DEFINITION_FIELDS.map(field => (record[field] === undefined ? null : record[field]))]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Change fields of a pattern definition (pattern_name renames it; move its trades with reassignTrades)
+   * @param {string} patternName - Current pattern name
+   * @param {object} changes - Subset of the definition fields
+   * @returns {Promise<object>} { changes } - 0 when the pattern is unknown
+   */
+  update(patternName, changes) {
+    const record = serializeJsonColumns(changes, JSON_COLUMNS);
+    const fields = DEFINITION_FIELDS.filter(field => record[field] !== undefined);
+
+    return this.db.run(`
+      UPDATE patterns
+      SET ${fields.map(field => `${field} = ?`).concat('updated_at = CURRENT_TIMESTAMP').join(', ')}
+      WHERE user_id = ? AND pattern_name = ?
+    `, [...fields.map(field => record[field]), this.userId, patternName]);
+  }
+
+  /**
+   * File every trade of one pattern under another
+   * @param {string} fromName - Pattern the trades are filed under
+   * @param {string} toName - Pattern to file them under
+   * @returns {Promise<number>} Trades updated
+   */
+  async reassignTrades(fromName, toName) {
+    const result = await this.db.run(
+      'UPDATE trades SET pattern_type = ? WHERE user_id = ? AND pattern_type = ?',
+      [toName, this.userId, fromName]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Add a pattern's occurrence and success counts to another pattern
+   * @param {string} sourceName - Pattern whose counts are added
+   * @param {string} targetName - Pattern that receives them
+   * @returns {Promise<object>} { changes }
+   */
+  async addCountsFrom(sourceName, targetName) {
+    const source = await this.findByName(sourceName);
+    if (!source) return { changes: 0 };
+
+    return this.db.run(`
+      UPDATE patterns
+      SET success_count = success_count + ?,
+          total_count = total_count + ?,
+          last_seen = MAX(COALESCE(last_seen, ?), COALESCE(?, last_seen)),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND pattern_name = ?
+    `, [source.success_count || 0, source.total_count || 0, source.last_seen, source.last_seen, this.userId, targetName]);
+  }
+
+  /**
+   * Delete a pattern definition and its statistics
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<object>} { changes } - 0 when the pattern is unknown
+   */
+  delete(patternName) {
+    return this.db.run('DELETE FROM patterns WHERE user_id = ? AND pattern_name = ?', [this.userId, patternName]);
+  }
+
+  /**
+   * All patterns with success rate and executed-trade performance
+   * @returns {Promise<object[]>} Pattern rows plus success_rate, avg_return, frequency
+   */
+  async findAllWithPerformance() {
+    const rows = await this.db.all(`
+      SELECT
+        p.*,
+        CASE
+          WHEN p.total_count > 0 THEN (p.success_count * 1.0 / p.total_count) * 100
+          ELSE 0
+        END as success_rate,
+        COALESCE(t.avg_pnl, 0) as avg_return,
+        COALESCE(t.frequency, 0) as frequency
+      FROM patterns p
+      LEFT JOIN (
+        SELECT
+          pattern_type,
+          AVG(actual_pnl) as avg_pnl,
+          COUNT(*) as frequency
+        FROM trades
+        WHERE user_id = ? AND executed = 1 AND actual_pnl IS NOT NULL
+        GROUP BY pattern_type
+      ) t ON p.pattern_name = t.pattern_type
+      WHERE p.user_id = ?
+      ORDER BY success_rate DESC, frequency DESC
+    `, [this.userId, this.userId]);
+
+    return rows.map(parsePattern);
+  }
+
+  /**
+   * Store a pattern's confidence score (patternConfidence computes it from closed trades)
+   * @param {string} patternName - Pattern name
+   * @param {number} confidenceScore - Probability, 0 to 1
+   * @returns {Promise<object>} { changes }
+   */
+  updateConfidence(patternName, confidenceScore) {
+    return this.db.run(
+      'UPDATE patterns SET confidence_score = ? WHERE user_id = ? AND pattern_name = ?',
+      [confidenceScore, this.userId, patternName]
+    );
+  }
+
+  /**
+   * Count a new occurrence of a pattern, creating it on first sight
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<void>}
+   */
+  recordOccurrence(patternName) {
+    return this.db.transaction(async () => {
+      await this.db.run(`
+        INSERT OR IGNORE INTO patterns (user_id, pattern_name, total_count, last_seen)
+        VALUES (?, ?, 1, date('now'))
+      `, [this.userId, patternName]);
+
+      await this.db.run(`
+        UPDATE patterns
+        SET total_count = total_count + 1,
+            last_seen = date('now'),
+            updated_at = datetime('now')
+        WHERE user_id = ? AND pattern_name = ?
+      `, [this.userId, patternName]);
+    });
+  }
+
+  /**
+   * Take back an occurrence counted for a trade that was deleted again
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<object>} { changes }
+   */
+  removeOccurrence(patternName) {
+    return this.db.run(`
+      UPDATE patterns
+      SET total_count = MAX(0, total_count - 1),
+          updated_at = datetime('now')
+      WHERE user_id = ? AND pattern_name = ?
+    `, [this.userId, patternName]);
+  }
+
+  /**
+   * Count a winning trade for a pattern
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<object>} { changes }
+   */
+  recordSuccess(patternName) {
+    return this.db.run(`
+      UPDATE patterns
+      SET success_count = success_count + 1,
+          updated_at = datetime('now')
+      WHERE user_id = ? AND pattern_name = ?
+    `, [this.userId, patternName]);
+  }
+
+  /**
+   * Apply manual learning feedback to a pattern's counts; its confidence follows closed trades
+   * @param {string} patternName - Pattern name
+   * @param {string} outcome - 'success' or 'failure' (anything else is ignored)
+   * @returns {Promise<void>}
+   */
+  async recordLearningOutcome(patternName, outcome) {
+    if (outcome === 'success') {
+      await this.db.run(`
+        UPDATE patterns
+        SET success_count = success_count + 1,
+            updated_at = datetime('now')
+        WHERE user_id = ? AND pattern_name = ?
+      `, [this.userId, patternName]);
+    } else if (outcome === 'failure') {
+      await this.db.run(`
+        UPDATE patterns
+        SET updated_at = datetime('now')
+        WHERE user_id = ? AND pattern_name = ?
+      `, [this.userId, patternName]);
+    }
+  }
+
+  /**
+   * Trade statistics grouped by pattern type
+   * @returns {Promise<object[]>} [{ pattern_type, total_occurrences, executed_count, winning_count,
+   *   avg_setup_quality, avg_risk_reward, avg_pnl, last_seen }]
+   */
+  getTradeStats() {
+    return this.db.all(`
+      SELECT
+        pattern_type,
+        COUNT(*) as total_occurrences,
+        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_count,
+        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as winning_count,
+        AVG(setup_quality) as avg_setup_quality,
+        AVG(risk_reward_ratio) as avg_risk_reward,
+        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl,
+        MAX(timestamp) as last_seen
+      FROM trades
+      WHERE user_id = ? AND pattern_type IS NOT NULL
+      GROUP BY pattern_type
+      ORDER BY avg_pnl DESC
+    `, [this.userId]);
+  }
+
+  /**
+   * Trade performance of one pattern
+   * @param {string} patternName - Pattern type
+   * @returns {Promise<object>} { total_occurrences, executed_count, winning_trades,
+   *   avg_setup_quality, avg_pnl, total_pnl }
+   */
+  async getPerformance(patternName) {
+    const row = await this.db.get(`
+      SELECT
+        COUNT(*) as total_occurrences,
+        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_count,
+        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as winning_trades,
+        AVG(setup_quality) as avg_setup_quality,
+        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl,
+        SUM(CASE WHEN executed = 1 THEN actual_pnl END) as total_pnl
+      FROM trades
+      WHERE user_id = ? AND pattern_type = ?
+    `, [this.userId, patternName]);
+
+    return row || {};
+  }
+
+  /**
+   * Win rates of patterns with closed trades
+   * @param {object} options - { minTrades, limit }
+   * @returns {Promise<object[]>} [{ pattern_type, total, wins, win_rate }] best first
+   */
+  getWinRates(options = {}) {
+    return this.db.all(`
+      SELECT
+        pattern_type,
+        COUNT(*) as total,
+        SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) as wins,
+        ROUND(
+          (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
+        ) as win_rate
+      FROM trades
+      WHERE user_id = ?
+      AND pattern_type IS NOT NULL
+      AND actual_pnl IS NOT NULL
+      GROUP BY pattern_type
+      HAVING COUNT(*) >= ?
+      ORDER BY win_rate DESC
+      LIMIT ?
+    `, [this.userId, options.minTrades || 3, options.limit || 5]);
+  }
+
+  /**
+   * Per-pattern breakdown with 30-day trend figures for the analytics chart
+   * @returns {Promise<object[]>} [{ pattern_type, total_trades, win_rate, avg_rr, avg_pnl,
+   *   recent_trades, recent_win_rate, avg_hold_time_minutes }]
+   */
+  getBreakdown() {
+    // Minutes since the previous closed trade come from a window over the user's trades,
+    // which SQLite cannot nest inside the per-pattern aggregates
+    return this.db.all(`
+      WITH closed AS (
+        SELECT
+          user_id,
+          pattern_type,
+          timestamp,
+          actual_pnl,
+          risk_reward_ratio,
+          (julianday(timestamp) - julianday(LAG(timestamp) OVER (ORDER BY timestamp))) * 24 * 60 as minutes_since_previous
+        FROM trades
+        WHERE user_id = ?
+        AND pattern_type IS NOT NULL
+        AND actual_pnl IS NOT NULL
+      )
+      SELECT
+        pattern_type,
+        COUNT(*) as total_trades,
+        ROUND(
+          (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
+        ) as win_rate,
+        ROUND(AVG(risk_reward_ratio), 2) as avg_rr,
+        AVG(actual_pnl) as avg_pnl,
+        COUNT(CASE WHEN timestamp >= datetime('now', '-30 days') THEN 1 END) as recent_trades,
+        (
+          SELECT ROUND(
+            (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
+          )
+          FROM closed c2
+          WHERE c2.pattern_type = closed.pattern_type
+          AND c2.timestamp >= datetime('now', '-30 days')
+        ) as recent_win_rate,
+        ROUND(AVG(CASE WHEN timestamp >= datetime('now', '-30 days') THEN minutes_since_previous END), 0) as avg_hold_time_minutes
+      FROM closed
+      GROUP BY pattern_type
+      HAVING total_trades >= 3
+      ORDER BY win_rate DESC, total_trades DESC
+      LIMIT 10
+    `, [this.userId]);
+  }
+
+  /**
+   * Pattern pairs that repeatedly show up on the same day
+   * @returns {Promise<object[]>} [{ pattern_a, pattern_b, co_occurrences }]
+   */
+  getCoOccurrences() {
+    return this.db.all(`
+      SELECT
+        t1.pattern_type as pattern_a,
+        t2.pattern_type as pattern_b,
+        COUNT(*) as co_occurrences
+      FROM trades t1
+      JOIN trades t2 ON DATE(t1.timestamp) = DATE(t2.timestamp)
+        AND t2.user_id = t1.user_id
+        AND t1.pattern_type != t2.pattern_type
+        AND t1.id < t2.id
+      WHERE t1.user_id = ?
+      GROUP BY t1.pattern_type, t2.pattern_type
+      HAVING co_occurrences >= 2
+      ORDER BY co_occurrences DESC
+    `, [this.userId]);
+  }
+
+  /**
+   * Executed trades per pattern and day of week
+   * @returns {Promise<object[]>} [{ pattern_type, day_of_week, frequency, avg_pnl }]
+   */
+  getSeasonality() {
+    return this.db.all(`
+      SELECT
+        pattern_type,
+        CAST(strftime('%w', timestamp) as INTEGER) as day_of_week,
+        COUNT(*) as frequency,
+        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl
+      FROM trades
+      WHERE user_id = ? AND executed = 1
+      GROUP BY pattern_type, day_of_week
+      ORDER BY pattern_type, frequency DESC
+    `, [this.userId]);
+  }
+
+  /**
+   * Pattern performance per session timing
+   * @returns {Promise<object[]>} [{ pattern_type, session_timing, frequency, avg_quality, avg_pnl }]
+   */
+  getSessionBreakdown() {
+    return this.db.all(`
+      SELECT
+        pattern_type,
+        session_timing,
+        COUNT(*) as frequency,
+        AVG(setup_quality) as avg_quality,
+        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl
+      FROM trades
+      WHERE user_id = ?
+      GROUP BY pattern_type, session_timing
+      ORDER BY avg_pnl DESC
+    `, [this.userId]);
+  }
+
+  /**
+   * All execution patterns of the trader
+   * @returns {Promise<object[]>} Execution pattern rows, most frequent first
+   */
+  findExecutionPatterns() {
+    return this.db.all(`
+      SELECT
+        pattern_type,
+        frequency_count,
+        success_rate,
+        average_impact,
+        confidence_score,
+        first_seen,
+        last_seen,
+        coaching_priority,
+        improvement_suggestion
+      FROM execution_patterns
+      WHERE trader_id = ?
+      ORDER BY frequency_count DESC, average_impact DESC
+    `, [this.userId]);
+  }
+
+  /**
+   * Execution patterns to feed into execution analysis, by coaching priority
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Execution pattern rows
+   */
+  findCoachingPatterns(limit = 10) {
+    return this.db.all(`
+      SELECT
+        pattern_type,
+        frequency_count,
+        success_rate,
+        average_impact,
+        confidence_score,
+        improvement_suggestion
+      FROM execution_patterns
+      WHERE trader_id = ?
+      ORDER BY coaching_priority ASC, frequency_count DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+  }
+
+  /**
+   * Recurring execution patterns with their share of all occurrences
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} [{ type, frequency, avg_impact, trend, coaching, frequency_percentage }]
+   */
+  findDominantExecutionPatterns(limit = 5) {
+    return this.db.all(`
+      SELECT
+        ep.pattern_type as type,
+        ep.frequency_count as frequency,
+        ep.average_impact as avg_impact,
+        CASE
+          WHEN ep.average_impact > 0 THEN 'improving'
+          WHEN ep.average_impact < -0.1 THEN 'declining'
+          ELSE 'stable'
+        END as trend,
+        ep.improvement_suggestion as coaching,
+        ROUND((ep.frequency_count * 100.0 /
+          (SELECT SUM(frequency_count) FROM execution_patterns WHERE trader_id = ?)), 1) as frequency_percentage
+      FROM execution_patterns ep
+      WHERE ep.trader_id = ? AND ep.frequency_count >= 2
+      ORDER BY ep.frequency_count DESC
+      LIMIT ?
+    `, [this.userId, this.userId, limit]);
+  }
+
+  /**
+   * Execution patterns with their recent (30-day) occurrences in trades
+   * @returns {Promise<object[]>} [{ pattern_type, frequency_count, average_impact,
+   *   recent_occurrences, recent_avg_variance }]
+   */
+  getExecutionTrends() {
+    return this.db.all(`
+      SELECT
+        ep.pattern_type,
+        ep.frequency_count,
+        ep.average_impact,
+        COUNT(t.id) as recent_occurrences,
+        AVG(t.entry_variance) as recent_avg_variance
+      FROM execution_patterns ep
+      LEFT JOIN trades t ON ep.pattern_type = 'early_entry'
+        AND t.user_id = ep.trader_id
+        AND t.entry_variance > 2
+        AND t.timestamp >= datetime('now', '-30 days')
+      WHERE ep.trader_id = ?
+      GROUP BY ep.pattern_type
+      ORDER BY ep.frequency_count DESC
+    `, [this.userId]);
+  }
+
+  /**
+   * Count an execution pattern occurrence and fold its impact into the running average
+   * @param {object} pattern - { type, impact, suggestion }
+   * @returns {Promise<void>}
+   */
+  async recordExecutionPattern(pattern) {
+    const existing = await this.db.get(`
+      SELECT id, frequency_count, success_rate, average_impact
+      FROM execution_patterns
+      WHERE pattern_type = ? AND trader_id = ?
+    `, [pattern.type, this.userId]);
+
+    if (existing) {
+      const frequency = existing.frequency_count + 1;
+      const averageImpact = ((existing.average_impact * existing.frequency_count) + pattern.impact) / frequency;
+
+      await this.db.run(`
+        UPDATE execution_patterns
+        SET frequency_count = ?,
+            average_impact = ?,
+            last_seen = date('now'),
+            updated_at = datetime('now')
+        WHERE id = ?
+      `, [frequency, averageImpact, existing.id]);
+    } else {
+      await this.db.run(`
+        INSERT INTO execution_patterns (
+          trader_id, pattern_type, frequency_count, average_impact,
+          confidence_score, improvement_suggestion
+        ) VALUES (?, ?, 1, ?, 0.5, ?)
+      `, [this.userId, pattern.type, pattern.impact, pattern.suggestion]);
+    }
+  }
+}
+
+module.exports = PatternRepository;
@@ -0,0 +1,123 @@
+/**
+ * Playbook Repository
+ * Pattern playbooks: the checklist, ideal timeframes and typical stop/target stored
+ * on a pattern, the A+ example trades pinned to it (pattern_examples) and the
+ * checklist scoring of its trades.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const PLAYBOOK_FIELDS = ['checklist', 'ideal_timeframes', 'typical_stop_points', 'typical_target_points'];
+const PLAYBOOK_JSON_COLUMNS = ['checklist', 'ideal_timeframes'];
+
+class PlaybookRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Change fields of a pattern's playbook
+   * @param {string} patternName - Pattern name
+   * @param {object} playbook - Subset of { checklist, ideal_timeframes, typical_stop_points, typical_target_points }
+   * @returns {Promise<object>} { changes } - 0 when the pattern is unknown
+   */
+  update(patternName, playbook) {
+    const record = serializeJsonColumns(playbook, PLAYBOOK_JSON_COLUMNS);
+    const fields = PLAYBOOK_FIELDS.filter(field => record[field] !== undefined);
+
+    return this.db.run(`
+      UPDATE patterns
+      SET ${fields.map(field => `${field} = ?`).concat('updated_at = CURRENT_TIMESTAMP').join(', ')}
+      WHERE user_id = ? AND pattern_name = ?
+    `, [...fields.map(field => record[field]), this.userId, patternName]);
+  }
+
+  /**
+   * Example trades pinned to a pattern, oldest pin first
+   * @param {number} patternId - Pattern id
+   * @returns {Promise<object[]>} [{ trade_id, note, pinned_at, timestamp, screenshot_path, setup_quality,
+   *   recommendation, actual_pnl, trade_outcome, checklist_ticked, checklist_total }]
+   */
+  findExamples(patternId) {
+    return this.db.all(`
+      SELECT
+        e.trade_id, e.note, e.created_at as pinned_at,
+        t.timestamp, t.screenshot_path, t.setup_quality, t.recommendation,
+        t.actual_pnl, t.trade_outcome, t.checklist_ticked, t.checklist_total
+      FROM pattern_examples e
+      JOIN trades t ON t.id = e.trade_id AND t.user_id = e.user_id
+      WHERE e.user_id = ? AND e.pattern_id = ?
+      ORDER BY e.created_at, e.id
+    `, [this.userId, patternId]);
+  }
+
+  /**
+   * Pin a trade to a pattern, or replace the note of an existing pin
+   * @param {number} patternId - Pattern id
+   * @param {string} tradeId - Trade id
+   * @param {string|null} note - Why the trade is an A+ example
+   * @returns {Promise<object>} { changes }
+   */
+  addExample(patternId, tradeId, note) {
+    return this.db.run(`
+      INSERT INTO pattern_examples (user_id, pattern_id, trade_id, note)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (pattern_id, trade_id) DO UPDATE SET note = excluded.note
+    `, [this.userId, patternId, tradeId, note]);
+  }
+
+  /**
+   * Unpin a trade from a pattern
+   * @param {number} patternId - Pattern id
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object>} { changes } - 0 when the trade was not pinned
+   */
+  removeExample(patternId, tradeId) {
+    return this.db.run(
+      'DELETE FROM pattern_examples WHERE user_id = ? AND pattern_id = ? AND trade_id = ?',
+      [this.userId, patternId, tradeId]
+    );
+  }
+
+  /**
+   * Move a pattern's pinned examples to another pattern (trades pinned to both stay pinned once)
+   * @param {number} fromPatternId - Pattern the examples are pinned to
+   * @param {number} toPatternId - Pattern to pin them to
+   * @returns {Promise<void>}
+   */
+  async moveExamples(fromPatternId, toPatternId) {
+    await this.db.run(
+      'UPDATE OR IGNORE pattern_examples SET pattern_id = ? WHERE user_id = ? AND pattern_id = ?',
+      [toPatternId, this.userId, fromPatternId]
+    );
+    await this.deleteExamples(fromPatternId);
+  }
+
+  /**
+   * Unpin every example of a pattern
+   * @param {number} patternId - Pattern id
+   * @returns {Promise<object>} { changes }
+   */
+  deleteExamples(patternId) {
+    return this.db.run('DELETE FROM pattern_examples WHERE user_id = ? AND pattern_id = ?', [this.userId, patternId]);
+  }
+
+  /**
+   * Closed trades of a pattern whose pre-trade analysis scored the checklist
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<object[]>} [{ id, timestamp, checklist_results, checklist_ticked, checklist_total, actual_pnl }]
+   */
+  async findChecklistTrades(patternName) {
+    const rows = await this.db.all(`
+      SELECT id, timestamp, checklist_results, checklist_ticked, checklist_total, actual_pnl
+      FROM trades
+      WHERE user_id = ? AND pattern_type = ? AND checklist_total > 0 AND actual_pnl IS NOT NULL
+      ORDER BY timestamp
+    `, [this.userId, patternName]);
+
+    return rows.map(row => parseJsonColumns(row, ['checklist_results']));
+  }
+}
+
+module.exports = PlaybookRepository;
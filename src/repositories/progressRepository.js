@@ -0,0 +1,176 @@
+/**
+ * Progress Repository
+ * Weekly account progress rows and account snapshots of one user.
+ */
+
+const DEFAULT_WEEKLY_DEPOSIT = 1750;
+
+class ProgressRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Most recent progress row
+   * @returns {Promise<object|undefined>} Progress row
+   */
+  getLatest() {
+    return this.db.get('SELECT * FROM progress WHERE user_id = ? ORDER BY date DESC LIMIT 1', [this.userId]);
+  }
+
+  /**
+   * Progress row of a week
+   * @param {number} weekNumber - ISO week number
+   * @param {number} year - Year
+   * @returns {Promise<object|undefined>} Progress row
+   */
+  findByWeek(weekNumber, year) {
+    return this.db.get(`
+      SELECT * FROM progress
+      WHERE user_id = ? AND week_number = ? AND year = ?
+      ORDER BY date DESC
+      LIMIT 1
+    `, [this.userId, weekNumber, year]);
+  }
+
+  /**
+   * Milestones the balance has reached, with the first progress row that reached each
+   * @param {number[]} milestones - Milestone balances
+   * @param {number} limit - Maximum milestones (highest first)
+   * @returns {Promise<object[]>} [{ milestone, date, account_balance, cumulative_pnl }]
+   */
+  async getMilestonesReached(milestones, limit = 5) {
+    const reached = [];
+    const descending = [...milestones].sort((a, b) => b - a);
+
+    for (const milestone of descending) {
+      if (reached.length >= limit) break;
+
+      const row = await this.db.get(`
+        SELECT
+          date,
+          account_balance,
+          cumulative_pnl
+        FROM progress
+        WHERE user_id = ? AND account_balance >= ?
+        ORDER BY date ASC
+        LIMIT 1
+      `, [this.userId, milestone]);
+
+      if (row) reached.push({ milestone, ...row });
+    }
+
+    return reached;
+  }
+
+  /**
+   * Set the account balance of a week, creating the week's row if needed
+   * @param {number} balance - Account balance
+   * @param {number|null} depositAmount - Weekly deposit (kept as is when omitted)
+   * @param {number} weekNumber - ISO week number
+   * @param {number} year - Year
+   * @param {number} defaultDeposit - Deposit recorded for a new week when none is given
+   * @returns {Promise<void>}
+   */
+  saveWeekBalance(balance, depositAmount, weekNumber, year, defaultDeposit = DEFAULT_WEEKLY_DEPOSIT) {
+    return this.db.transaction(async () => {
+      const existing = await this.db.get(
+        'SELECT id FROM progress WHERE user_id = ? AND week_number = ? AND year = ?',
+        [this.userId, weekNumber, year]
+      );
+
+      if (existing) {
+        await this.db.run(`
+          UPDATE progress
+          SET account_balance = ?, weekly_deposit = COALESCE(?, weekly_deposit)
+          WHERE user_id = ? AND week_number = ? AND year = ?
+        `, [balance, depositAmount, this.userId, weekNumber, year]);
+      } else {
+        await this.db.run(`
+          INSERT INTO progress (user_id, account_balance, weekly_deposit, week_number, year)
+          VALUES (?, ?, ?, ?, ?)
+        `, [this.userId, balance, depositAmount || defaultDeposit, weekNumber, year]);
+      }
+    });
+  }
+
+  /**
+   * Add realized P&L to a week's progress
+   * @param {number} pnl - Realized P&L
+   * @param {number} weekNumber - ISO week number
+   * @param {number} year - Year
+   * @returns {Promise<object>} { changes }
+   */
+  addWeeklyPnl(pnl, weekNumber, year) {
+    return this.db.run(`
+      UPDATE progress
+      SET week_pnl_percentage = week_pnl_percentage + ?,
+          cumulative_pnl = cumulative_pnl + ?
+      WHERE user_id = ? AND week_number = ? AND year = ?
+    `, [pnl, pnl, this.userId, weekNumber, year]);
+  }
+
+  /**
+   * Record an account snapshot
+   * @param {object} snapshot - { balance, phase, target_progress_percentage, days_elapsed, projection_status,
+   *   snapshot_date, deposits_total, withdrawals_total, fees_total, trading_pnl, adjustments_total }
+   * @returns {Promise<number>} Snapshot id
+   */
+  async createSnapshot(snapshot) {
+    const result = await this.db.run(`
+      INSERT INTO account_snapshots (
+        user_id, balance, phase, target_progress_percentage, days_elapsed, projection_status,
+        snapshot_date, deposits_total, withdrawals_total, fees_total, trading_pnl, adjustments_total
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      this.userId,
+      snapshot.balance,
+      snapshot.phase,
+      snapshot.target_progress_percentage,
+      snapshot.days_elapsed,
+      snapshot.projection_status,
+      snapshot.snapshot_date || null,
+      snapshot.deposits_total ?? null,
+      snapshot.withdrawals_total ?? null,
+      snapshot.fees_total ?? null,
+      snapshot.trading_pnl ?? null,
+      snapshot.adjustments_total ?? null
+    ]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Replace all of the user's account snapshots
+   * @param {object[]} snapshots - Snapshots as accepted by createSnapshot, oldest first
+   * @returns {Promise<number>} Snapshots written
+   */
+  replaceSnapshots(snapshots) {
+    return this.db.transaction(async () => {
+      await this.db.run('DELETE FROM account_snapshots WHERE user_id = ?', [this.userId]);
+
+      for (const snapshot of snapshots) {
+        await this.createSnapshot(snapshot);
+      }
+
+      return snapshots.length;
+    });
+  }
+
+  /**
+   * Most recent account snapshots
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Snapshot rows, newest first
+   */
+  findSnapshots(limit = 52) {
+    return this.db.all(`
+      SELECT * FROM account_snapshots
+      WHERE user_id = ?
+      ORDER BY COALESCE(snapshot_date, date(timestamp)) DESC, id DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+  }
+}
+
+module.exports = ProgressRepository;
@@ -0,0 +1,115 @@
+/**
+ * Regime Repository
+ * Changes in pattern expectancy found by the regime detector and the
+ * PATTERN_REGIME alerts raised for them.
+ */
+
+const CHANGE_COLUMNS = `id, pattern_name, trade_id, change_date, detected_on, direction, expectancy_before,
+  expectancy_after, trades_before, trades_after, alert_id, created_at, updated_at`;
+
+class RegimeRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Insert or refresh a regime change; an alert already linked to it is kept
+   * @param {object} change - { pattern_name, trade_id, change_date, detected_on, direction,
+   *   expectancy_before, expectancy_after, trades_before, trades_after }
+   * @returns {Promise<object>} Stored change
+   */
+  async save(change) {
+    await this.db.run(`
+      INSERT INTO pattern_regime_changes (user_id, pattern_name, trade_id, change_date, detected_on, direction,
+        expectancy_before, expectancy_after, trades_before, trades_after)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, pattern_name, trade_id) DO UPDATE SET
+        change_date = excluded.change_date,
+        detected_on = excluded.detected_on,
+        direction = excluded.direction,
+        expectancy_before = excluded.expectancy_before,
+        expectancy_after = excluded.expectancy_after,
+        trades_before = excluded.trades_before,
+        trades_after = excluded.trades_after,
+        updated_at = CURRENT_TIMESTAMP
+    `, [this.userId, change.pattern_name, change.trade_id, change.change_date, change.detected_on, change.direction,
+      change.expectancy_before, change.expectancy_after, change.trades_before, change.trades_after]);
+
+    return this.db.get(
+      `SELECT ${CHANGE_COLUMNS} FROM pattern_regime_changes WHERE user_id = ? AND pattern_name = ? AND trade_id = ?`,
+      [this.userId, change.pattern_name, change.trade_id]
+    );
+  }
+
+  /**
+   * Link a regime change to the PATTERN_REGIME alert raised for it
+   * @param {number} changeId - Regime change id
+   * @param {number} alertId - Risk alert id
+   * @returns {Promise<object>} { changes }
+   */
+  attachAlert(changeId, alertId) {
+    return this.db.run(
+      'UPDATE pattern_regime_changes SET alert_id = ? WHERE id = ? AND user_id = ?',
+      [alertId, changeId, this.userId]
+    );
+  }
+
+  /**
+   * Delete the changes the detector no longer finds (trades removed or refiled under another pattern)
+   * @param {number[]} keepIds - Ids of the changes still detected
+   * @param {string|null} patternName - Only delete changes of this pattern (null for all)
+   * @returns {Promise<object>} { changes }
+   */
+  deleteExcept(keepIds, patternName = null) {
+    return this.db.run(`
+      DELETE FROM pattern_regime_changes
+      WHERE user_id = ? ${patternName !== null ? 'AND pattern_name = ?' : ''}
+      ${keepIds.length > 0 ? `AND id NOT IN (${keepIds.map(() => '?').join(', ')})` : ''}
+    `, [this.userId, ...(patternName !== null ? [patternName] : []), ...keepIds]);
+  }
+
+  /**
+   * File a pattern's changes under another pattern name. A change the target already
+   * has at the same trade keeps the alert of either; the source's copy is dropped.
+   * @param {string} fromName - Pattern the changes are filed under
+   * @param {string} toName - Pattern to file them under
+   * @returns {Promise<void>}
+   */
+  async moveToPattern(fromName, toName) {
+    await this.db.run(`
+      UPDATE pattern_regime_changes
+      SET alert_id = (
+        SELECT source.alert_id FROM pattern_regime_changes source
+        WHERE source.user_id = pattern_regime_changes.user_id AND source.pattern_name = ?
+        AND source.trade_id = pattern_regime_changes.trade_id
+      ), updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND pattern_name = ? AND alert_id IS NULL
+    `, [fromName, this.userId, toName]);
+
+    await this.db.run(`
+      UPDATE OR IGNORE pattern_regime_changes
+      SET pattern_name = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND pattern_name = ?
+    `, [toName, this.userId, fromName]);
+
+    await this.db.run(
+      'DELETE FROM pattern_regime_changes WHERE user_id = ? AND pattern_name = ?',
+      [this.userId, fromName]
+    );
+  }
+
+  /**
+   * Stored regime changes of a pattern, oldest first
+   * @param {string} patternName - Pattern name
+   * @returns {Promise<object[]>} Regime change rows
+   */
+  findByPattern(patternName) {
+    return this.db.all(
+      `SELECT ${CHANGE_COLUMNS} FROM pattern_regime_changes WHERE user_id = ? AND pattern_name = ? ORDER BY change_date, id`,
+      [this.userId, patternName]
+    );
+  }
+}
+
+module.exports = RegimeRepository;
@@ -0,0 +1,155 @@
+/**
+ * Rule Repository
+ * A user's trading rules and the violations they raised on trades.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const JSON_COLUMNS = ['condition'];
+
+const RULE_FIELDS = [
+  'name', 'description', 'rule_type', 'condition', 'severity', 'applies_to', 'alert_type', 'is_enabled'
+];
+
+const parseRule = (row) => {
+  const rule = parseJsonColumns(row, JSON_COLUMNS);
+  if (rule) rule.is_enabled = Boolean(rule.is_enabled);
+  return rule;
+};
+
+class RuleRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * All of the user's rules with how often each was violated, oldest first
+   * @returns {Promise<object[]>} Rules plus violation_count and last_violation_at
+   */
+  async findAll() {
+    const rows = await this.db.all(`
+      SELECT r.*, COUNT(v.id) as violation_count, MAX(v.created_at) as last_violation_at
+      FROM trading_rules r
+      LEFT JOIN trade_rule_violations v ON v.rule_id = r.id AND v.user_id = r.user_id
+      WHERE r.user_id = ?
+      GROUP BY r.id
+      ORDER BY r.created_at ASC, r.rowid ASC
+    `, [this.userId]);
+
+    return rows.map(parseRule);
+  }
+
+  /**
+   * Rules that are switched on
+   * @returns {Promise<object[]>} Rules, oldest first
+   */
+  async findEnabled() {
+    const rows = await this.db.all(`
+      SELECT * FROM trading_rules
+      WHERE user_id = ? AND is_enabled = 1
+      ORDER BY created_at ASC, rowid ASC
+    `, [this.userId]);
+
+    return rows.map(parseRule);
+  }
+
+  /**
+   * Find one of the user's rules
+   * @param {string} ruleId - Rule id
+   * @returns {Promise<object|undefined>} Rule
+   */
+  async findById(ruleId) {
+    const row = await this.db.get('SELECT * FROM trading_rules WHERE id = ? AND user_id = ?', [ruleId, this.userId]);
+    return parseRule(row);
+  }
+
+  /**
+   * Store a new rule
+   * @param {object} rule - { id, name, description, rule_type, condition, severity, applies_to, alert_type, is_enabled }
+   * @returns {Promise<void>}
+   */
+  async create(rule) {
+    const record = serializeJsonColumns(rule, JSON_COLUMNS);
+
+    await this.db.run(`
+      INSERT INTO trading_rules (id, user_id, ${RULE_FIELDS.join(', ')})
+      VALUES (?, ?, ${RULE_FIELDS.map(() => '?').join(', ')})
+    `, [record.id, this.userId, ...RULE_FIELDS.map(field => (record[field] === undefined ? null : record[field]))]);
+  }
+
+  /**
+   * Change fields of a rule
+   * @param {string} ruleId - Rule id
+   * @param {object} changes - Subset of the rule fields
+   * @returns {Promise<object>} { changes } - 0 when the rule is unknown
+   */
+  update(ruleId, changes) {
+    const record = serializeJsonColumns(changes, JSON_COLUMNS);
+    const fields = RULE_FIELDS.filter(field => record[field] !== undefined);
+
+    return this.db.run(`
+      UPDATE trading_rules
+      SET ${fields.map(field => `${field} = ?`).concat('updated_at = CURRENT_TIMESTAMP').join(', ')}
+      WHERE id = ? AND user_id = ?
+    `, [...fields.map(field => record[field]), ruleId, this.userId]);
+  }
+
+  /**
+   * Delete a rule. Violations it raised are kept under the rule's name.
+   * @param {string} ruleId - Rule id
+   * @returns {Promise<object>} { changes } - 0 when the rule is unknown
+   */
+  delete(ruleId) {
+    return this.db.run('DELETE FROM trading_rules WHERE id = ? AND user_id = ?', [ruleId, this.userId]);
+  }
+
+  /**
+   * Record a rule violation on a trade
+   * @param {object} violation - { trade_id, rule_id, rule_name, trade_phase, severity, message, alert_id }
+   * @returns {Promise<number>} Violation id
+   */
+  async addViolation(violation) {
+    const result = await this.db.run(`
+      INSERT INTO trade_rule_violations (user_id, trade_id, rule_id, rule_name, trade_phase, severity, message, alert_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [this.userId, violation.trade_id, violation.rule_id, violation.rule_name, violation.trade_phase || null,
+      violation.severity, violation.message, violation.alert_id || null]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Violations recorded on a trade
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object[]>} Violations, oldest first
+   */
+  findViolationsForTrade(tradeId) {
+    return this.db.all(`
+      SELECT id, trade_id, rule_id, rule_name, trade_phase, severity, message, alert_id, created_at
+      FROM trade_rule_violations
+      WHERE user_id = ? AND trade_id = ?
+      ORDER BY id ASC
+    `, [this.userId, tradeId]);
+  }
+
+  /**
+   * Most recent violations of a rule
+   * @param {string} ruleId - Rule id
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Violations plus pattern_type and trade_timestamp, newest first
+   */
+  findViolationsForRule(ruleId, limit = 20) {
+    return this.db.all(`
+      SELECT v.id, v.trade_id, v.trade_phase, v.severity, v.message, v.alert_id, v.created_at,
+        t.pattern_type, t.timestamp as trade_timestamp
+      FROM trade_rule_violations v
+      LEFT JOIN trades t ON t.id = v.trade_id AND t.user_id = v.user_id
+      WHERE v.user_id = ? AND v.rule_id = ?
+      ORDER BY v.id DESC
+      LIMIT ?
+    `, [this.userId, ruleId, limit]);
+  }
+}
+
+module.exports = RuleRepository;
@@ -0,0 +1,58 @@
+/**
+ * Settings Repository
+ * A user's user_settings row, stored as JSON in settings_json.
+ */
+
+class SettingsRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Stored settings
+   * @returns {Promise<object|null>} { settings, updated_at } (settings is null when unreadable),
+   *   or null when nothing has been saved
+   */
+  async get() {
+    const row = await this.db.get('SELECT * FROM user_settings WHERE user_id = ?', [this.userId]);
+    if (!row) return null;
+
+    let settings = null;
+    if (row.settings_json) {
+      try {
+        settings = JSON.parse(row.settings_json);
+      } catch (error) {
+        console.warn('Failed to parse stored settings, using defaults:', error);
+      }
+    }
+
+    return {
+      settings,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Replace the stored settings
+   * @param {object} settings - Settings object
+   * @param {string} timestamp - ISO timestamp recorded as updated_at
+   * @returns {Promise<void>}
+   */
+  async save(settings, timestamp) {
+    await this.db.run(`
+      INSERT OR REPLACE INTO user_settings (user_id, settings_json, updated_at)
+      VALUES (?, ?, ?)
+    `, [this.userId, JSON.stringify(settings), timestamp]);
+  }
+
+  /**
+   * Remove the stored settings so defaults apply again
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await this.db.run('DELETE FROM user_settings WHERE user_id = ?', [this.userId]);
+  }
+}
+
+module.exports = SettingsRepository;
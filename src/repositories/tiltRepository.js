@@ -0,0 +1,63 @@
+/**
+ * Tilt Repository
+ * Per-session tilt scores from the revenge-trading detector and the TILT alerts
+ * raised for them.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const JSON_COLUMNS = ['signals'];
+
+const SESSION_COLUMNS = `id, session_date, tilt_score, level, trade_count, net_pnl, signals, tilt_started_at,
+  alert_id, created_at, updated_at`;
+
+class TiltRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Insert or refresh a session's score; an alert already linked to it is kept
+   * @param {object} session - { session_date, tilt_score, level, trade_count, net_pnl, signals, tilt_started_at }
+   * @returns {Promise<object>} Stored session
+   */
+  async save(session) {
+    const record = serializeJsonColumns(session, JSON_COLUMNS);
+
+    await this.db.run(`
+      INSERT INTO tilt_sessions (user_id, session_date, tilt_score, level, trade_count, net_pnl, signals, tilt_started_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, session_date) DO UPDATE SET
+        tilt_score = excluded.tilt_score,
+        level = excluded.level,
+        trade_count = excluded.trade_count,
+        net_pnl = excluded.net_pnl,
+        signals = excluded.signals,
+        tilt_started_at = excluded.tilt_started_at,
+        updated_at = CURRENT_TIMESTAMP
+    `, [this.userId, record.session_date, record.tilt_score, record.level, record.trade_count,
+      record.net_pnl, record.signals || null, record.tilt_started_at || null]);
+
+    const row = await this.db.get(
+      `SELECT ${SESSION_COLUMNS} FROM tilt_sessions WHERE user_id = ? AND session_date = ?`,
+      [this.userId, session.session_date]
+    );
+    return parseJsonColumns(row, JSON_COLUMNS);
+  }
+
+  /**
+   * Link a session to the TILT alert raised for it
+   * @param {number} sessionId - Tilt session id
+   * @param {number} alertId - Risk alert id
+   * @returns {Promise<object>} { changes }
+   */
+  attachAlert(sessionId, alertId) {
+    return this.db.run(
+      'UPDATE tilt_sessions SET alert_id = ? WHERE id = ? AND user_id = ?',
+      [alertId, sessionId, this.userId]
+    );
+  }
+}
+
+module.exports = TiltRepository;
@@ -0,0 +1,987 @@
+/**
+ * Trade Repository
+ * Persistence for a user's trades and the per-trade analysis tables
+ * (screenshot_analysis, timeframe_analysis, imported_trades). Trade rows come back
+ * with their JSON columns parsed; inserts only write known trade columns and are
+ * stamped with the repository's user. Screenshot rows are reached through their trade.
+ */
+
+const { serializeJsonColumns, parseJsonColumns } = require('./jsonColumns');
+
+const TRADE_COLUMNS = [
+  'id', 'timestamp', 'screenshot_path', 'setup_quality', 'risk_reward_ratio',
+  'pattern_type', 'entry_quality', 'stop_placement', 'target_selection',
+  'ai_commentary', 'risk_amount', 'within_limits', 'session_timing',
+  'trade_frequency', 'learning_insights', 'recommendation', 'actual_outcome',
+  'actual_pnl', 'executed', 'week_number', 'year', 'trade_phase',
+  'linked_execution_id', 'execution_upload_token', 'planned_entry', 'planned_stop',
+  'planned_target', 'planned_rr', 'actual_entry', 'actual_stop', 'actual_target',
+  'actual_rr', 'execution_timing', 'execution_quality_grade', 'price_variance_analysis',
+  'behavioral_observations', 'execution_coaching', 'trade_outcome', 'entry_variance',
+  'stop_variance', 'target_variance', 'execution_screenshot_path', 'screenshots_metadata',
+  'timeframes_used', 'trading_style', 'analysis_specialization',
+  'analysis_completeness_score', 'multi_timeframe_insights', 'trend_alignment_score',
+  'structure_confirmation', 'screenshot_1min', 'screenshot_5min', 'screenshot_15min',
+  'screenshot_daily', 'timeframes_uploaded', 'confidence_score', 'user_id', 'instrument',
+  'checklist_results', 'checklist_ticked', 'checklist_total'
+];
+
+const TRADE_JSON_COLUMNS = ['screenshots_metadata', 'behavioral_observations', 'price_variance_analysis', 'checklist_results'];
+const ANALYSIS_JSON_COLUMNS = ['individual_analysis', 'key_levels'];
+const SCREENSHOT_JSON_COLUMNS = [...ANALYSIS_JSON_COLUMNS, 'screenshots_metadata'];
+
+class TradeRepository {
+  constructor(db, userId) {
+    this.db = db;
+    this.userId = userId;
+  }
+
+  /**
+   * Find a trade by id
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object|undefined>} Trade row
+   */
+  async findById(tradeId) {
+    const row = await this.db.get('SELECT * FROM trades WHERE id = ? AND user_id = ?', [tradeId, this.userId]);
+    return parseTrade(row);
+  }
+
+  /**
+   * Find a trade that is still waiting for its execution upload
+   * @param {string} tradeId - Pre-trade id
+   * @returns {Promise<object|undefined>} Trade row
+   */
+  async findPreTrade(tradeId) {
+    const row = await this.db.get(`
+      SELECT * FROM trades
+      WHERE id = ? AND user_id = ? AND trade_phase = 'pre_trade'
+    `, [tradeId, this.userId]);
+
+    return parseTrade(row);
+  }
+
+  /**
+   * Find the execution record linked to a pre-trade
+   * @param {string} preTradeId - Pre-trade id
+   * @returns {Promise<object|undefined>} Execution trade row
+   */
+  async findExecutionFor(preTradeId) {
+    const row = await this.db.get(`
+      SELECT * FROM trades
+      WHERE linked_execution_id = ? AND user_id = ? AND trade_phase = 'execution'
+    `, [preTradeId, this.userId]);
+
+    return parseTrade(row);
+  }
+
+  /**
+   * Find execution data for a trade id that may be either the pre-trade or the execution
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object|undefined>} Execution trade row
+   */
+  async findExecutionByTradeId(tradeId) {
+    const row = await this.db.get(`
+      SELECT * FROM trades
+      WHERE user_id = ?
+      AND (trade_phase = 'execution' AND linked_execution_id = ?
+         OR (id = ? AND linked_execution_id IS NOT NULL))
+    `, [this.userId, tradeId, tradeId]);
+
+    return parseTrade(row);
+  }
+
+  /**
+   * Find a trade with the timeframes of its uploaded screenshots
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object|undefined>} Trade row plus available_timeframes and primary_screenshot
+   */
+  async findWithScreenshotSummary(tradeId) {
+    const row = await this.db.get(`
+      SELECT t.*,
+             GROUP_CONCAT(sa.timeframe_label) as available_timeframes,
+             sa.screenshot_path as primary_screenshot
+      FROM trades t
+      LEFT JOIN screenshot_analysis sa ON t.id = sa.trade_id
+      WHERE t.id = ? AND t.user_id = ?
+      GROUP BY t.id
+    `, [tradeId, this.userId]);
+
+    return parseTrade(row);
+  }
+
+  /**
+   * Paginated trade history
+   * @param {object} filters - { pattern, result ('win'|'loss'), sinceDays, limit, offset }
+   * @returns {Promise<object>} { trades, total }
+   */
+  async findHistory(filters) {
+    const conditions = ['user_id = ?'];
+    const params = [this.userId];
+
+    if (filters.pattern) {
+      conditions.push('pattern_type LIKE ?');
+      params.push(`%${filters.pattern}%`);
+    }
+
+    if (filters.result === 'win') {
+      conditions.push('actual_pnl > 0');
+    } else if (filters.result === 'loss') {
+      conditions.push('actual_pnl < 0');
+    }
+
+    if (filters.sinceDays !== null && filters.sinceDays !== undefined) {
+      conditions.push("timestamp >= datetime('now', '-' || ? || ' days')");
+      params.push(filters.sinceDays);
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    const totalRow = await this.db.get(`
+      SELECT COUNT(*) as total
+      FROM trades
+      WHERE ${whereClause}
+    `, params);
+
+    const trades = await this.db.all(`
+      SELECT
+        id,
+        date(timestamp) as date,
+        pattern_type as pattern,
+        CASE
+          WHEN actual_pnl > 0 THEN 'Win'
+          WHEN actual_pnl < 0 THEN 'Loss'
+          WHEN actual_pnl = 0 THEN 'Breakeven'
+          ELSE 'Pending'
+        END as result,
+        actual_pnl as pnl,
+        risk_reward_ratio,
+        CASE WHEN linked_execution_id IS NOT NULL THEN 1 ELSE 0 END as has_execution_analysis,
+        1 as has_setup_analysis,
+        setup_quality,
+        confidence_score,
+        recommendation,
+        trading_style,
+        timeframes_used
+      FROM trades
+      WHERE ${whereClause}
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `, [...params, filters.limit, filters.offset]);
+
+    return { trades, total: totalRow.total };
+  }
+
+  /**
+   * Trades for CSV/JSON export
+   * @param {number|null} sinceDays - Only trades from the last N days (null for all)
+   * @returns {Promise<object[]>} Export rows
+   */
+  findForExport(sinceDays) {
+    const hasRange = sinceDays !== null && sinceDays !== undefined;
+    const params = hasRange ? [this.userId, sinceDays] : [this.userId];
+
+    return this.db.all(`
+      SELECT
+        id,
+        timestamp,
+        pattern_type,
+        setup_quality,
+        risk_reward_ratio,
+        actual_pnl,
+        confidence_score,
+        recommendation,
+        session_timing,
+        trading_style,
+        timeframes_used,
+        risk_amount,
+        entry_quality,
+        stop_placement,
+        target_selection
+      FROM trades
+      WHERE user_id = ?
+      ${hasRange ? "AND timestamp >= datetime('now', '-' || ? || ' days')" : ''}
+      ORDER BY timestamp DESC
+    `, params);
+  }
+
+  /**
+   * Most recent trades
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Trade summaries
+   */
+  findRecent(limit = 5) {
+    return this.db.all(`
+      SELECT
+        id,
+        timestamp,
+        pattern_type,
+        actual_pnl,
+        setup_quality,
+        recommendation
+      FROM trades
+      WHERE user_id = ?
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+  }
+
+  /**
+   * Recent trades of one pattern
+   * @param {string} patternName - Pattern type
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Trade summaries
+   */
+  findByPattern(patternName, limit = 10) {
+    return this.db.all(`
+      SELECT
+        id,
+        timestamp,
+        setup_quality,
+        risk_reward_ratio,
+        recommendation,
+        executed,
+        actual_pnl,
+        ai_commentary
+      FROM trades
+      WHERE user_id = ? AND pattern_type = ?
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `, [this.userId, patternName, limit]);
+  }
+
+  /**
+   * Trades of a week together with that week's progress figures
+   * @param {number} weekNumber - ISO week number
+   * @param {number} year - Year
+   * @returns {Promise<object[]>} Trade rows plus account_balance, week_pnl_percentage, weekly_deposit
+   */
+  async findByWeek(weekNumber, year) {
+    const rows = await this.db.all(`
+      SELECT
+        t.*,
+        p.account_balance,
+        p.week_pnl_percentage,
+        p.weekly_deposit
+      FROM trades t
+      LEFT JOIN progress p ON t.week_number = p.week_number AND t.year = p.year
+        AND p.user_id = t.user_id
+      WHERE t.user_id = ? AND t.week_number = ? AND t.year = ?
+      ORDER BY t.timestamp ASC
+    `, [this.userId, weekNumber, year]);
+
+    return rows.map(parseTrade);
+  }
+
+  /**
+   * Pre-trade analyses without a recorded outcome in a time window
+   * @param {string} from - ISO timestamp (inclusive)
+   * @param {string} to - ISO timestamp (inclusive)
+   * @returns {Promise<object[]>} Trade rows
+   */
+  async findOpenPreTrades(from, to) {
+    const rows = await this.db.all(`
+      SELECT * FROM trades
+      WHERE user_id = ?
+        AND trade_phase = 'pre_trade'
+        AND (executed IS NULL OR executed = 0)
+        AND actual_pnl IS NULL
+        AND julianday(timestamp) BETWEEN julianday(?) AND julianday(?)
+    `, [this.userId, from, to]);
+
+    return rows.map(parseTrade);
+  }
+
+  /**
+   * Most recent closed execution records with their plan variances
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<object[]>} Trade rows plus is_recent (last 30 days)
+   */
+  async findRecentExecutions(limit = 100) {
+    const rows = await this.db.all(`
+      SELECT
+        t.*,
+        (t.actual_entry - COALESCE(t.planned_entry, t.actual_entry)) as entry_variance,
+        (t.actual_stop - COALESCE(t.planned_stop, t.actual_stop)) as stop_variance,
+        (t.actual_target - COALESCE(t.planned_target, t.actual_target)) as target_variance,
+        CASE WHEN t.timestamp >= datetime('now', '-30 days') THEN 1 ELSE 0 END as is_recent
+      FROM trades t
+      WHERE t.user_id = ?
+      AND t.trade_phase = 'execution'
+      AND t.actual_pnl IS NOT NULL
+      ORDER BY t.timestamp DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+
+    return rows.map(parseTrade);
+  }
+
+  /**
+   * Realized results of closed trades, oldest first. Execution records whose
+   * pre-trade already carries the P&L are skipped so a trade counts once.
+   * @param {number|null} sinceDays - Only trades from the last N days (null for all)
+   * @returns {Promise<object[]>} [{ id, timestamp, actual_pnl, risk_amount, week_number, year }]
+   */
+  findClosedResults(sinceDays = null) {
+    const hasRange = sinceDays !== null && sinceDays !== undefined;
+    const params = hasRange ? [this.userId, this.userId, sinceDays] : [this.userId, this.userId];
+
+    return this.db.all(`
+      SELECT id, timestamp, actual_pnl, risk_amount, week_number, year
+      FROM trades
+      WHERE user_id = ?
+      AND actual_pnl IS NOT NULL
+      AND NOT (
+        trade_phase = 'execution'
+        AND id IN (
+          SELECT linked_execution_id FROM trades
+          WHERE user_id = ? AND linked_execution_id IS NOT NULL AND actual_pnl IS NOT NULL
+        )
+      )
+      ${hasRange ? "AND timestamp >= datetime('now', '-' || ? || ' days')" : ''}
+      ORDER BY timestamp ASC
+    `, params);
+  }
+
+  /**
+   * Closed trades with what the performance statistics need, oldest first. Skips
+   * execution records whose pre-trade carries the P&L, like findClosedResults.
+   * @param {object} filters - { pattern, session, trading_style, from, to } (dates as YYYY-MM-DD, inclusive)
+   * @returns {Promise<object[]>} Trades plus contracts (from matched broker fills, null when unknown)
+   */
+  findStatisticsTrades(filters = {}) {
+    const conditions = ['t.user_id = ?', 't.actual_pnl IS NOT NULL'];
+    const params = [this.userId];
+
+    if (filters.pattern) {
+      conditions.push('t.pattern_type = ?');
+      params.push(filters.pattern);
+    }
+    if (filters.session) {
+      conditions.push('t.session_timing = ?');
+      params.push(filters.session);
+    }
+    if (filters.trading_style) {
+      conditions.push('t.trading_style = ?');
+      params.push(filters.trading_style);
+    }
+    if (filters.from) {
+      conditions.push('date(t.timestamp) >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('date(t.timestamp) <= ?');
+      params.push(filters.to);
+    }
+
+    return this.db.all(`
+      SELECT
+        t.id, t.timestamp, t.pattern_type, t.session_timing, t.trading_style,
+        t.timeframes_used, t.instrument, t.planned_entry, t.planned_stop,
+        t.risk_amount, t.actual_pnl,
+        (SELECT SUM(i.contracts) FROM imported_trades i WHERE i.trade_id = t.id AND i.user_id = t.user_id) as contracts
+      FROM trades t
+      WHERE ${conditions.join(' AND ')}
+      AND NOT (
+        t.trade_phase = 'execution'
+        AND t.id IN (
+          SELECT linked_execution_id FROM trades
+          WHERE user_id = ? AND linked_execution_id IS NOT NULL AND actual_pnl IS NOT NULL
+        )
+      )
+      ORDER BY t.timestamp ASC
+    `, [...params, this.userId]);
+  }
+
+  /**
+   * Times of the user's pre-trade analyses (including completed ones) or execution
+   * records since a moment, for trade-frequency rules
+   * @param {string} phase - 'pre_trade' or 'execution'
+   * @param {string} since - ISO timestamp (inclusive)
+   * @param {string|null} excludeId - Trade to leave out (the one being checked)
+   * @returns {Promise<string[]>} Timestamps, oldest first
+   */
+  async findPhaseTimestamps(phase, since, excludeId = null) {
+    const rows = await this.db.all(`
+      SELECT timestamp FROM trades
+      WHERE user_id = ?
+      AND ${phase === 'execution' ? "trade_phase = 'execution'" : "trade_phase IN ('pre_trade', 'complete')"}
+      AND julianday(timestamp) >= julianday(?)
+      AND id != ?
+      ORDER BY timestamp ASC
+    `, [this.userId, since, excludeId || '']);
+
+    return rows.map(row => row.timestamp);
+  }
+
+  /**
+   * Closed trades since a moment, oldest first, for the tilt detector. A trade counts
+   * once (as in findStatisticsTrades); execution records take their pre-trade's setup_quality.
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<object[]>} [{ id, timestamp, pattern_type, setup_quality, risk_amount, actual_pnl, contracts }]
+   */
+  findBehaviorTrades(since) {
+    return this.db.all(`
+      SELECT
+        t.id, t.timestamp, t.pattern_type, t.risk_amount, t.actual_pnl,
+        COALESCE(t.setup_quality, p.setup_quality) as setup_quality,
+        (SELECT SUM(i.contracts) FROM imported_trades i WHERE i.trade_id = t.id AND i.user_id = t.user_id) as contracts
+      FROM trades t
+      LEFT JOIN trades p ON p.linked_execution_id = t.id AND p.user_id = t.user_id
+      WHERE t.user_id = ?
+      AND t.actual_pnl IS NOT NULL
+      AND julianday(t.timestamp) >= julianday(?)
+      AND NOT (
+        t.trade_phase = 'execution'
+        AND t.id IN (
+          SELECT linked_execution_id FROM trades
+          WHERE user_id = ? AND linked_execution_id IS NOT NULL AND actual_pnl IS NOT NULL
+        )
+      )
+      ORDER BY t.timestamp ASC
+    `, [this.userId, since, this.userId]);
+  }
+
+  /**
+   * Every pre-trade and execution record between two dates, oldest first, for
+   * testing a trading rule against the user's history
+   * @param {object} range - { from, to } (YYYY-MM-DD, inclusive, optional)
+   * @returns {Promise<object[]>} Trade rows
+   */
+  async findRuleHistory(range = {}) {
+    const conditions = ['user_id = ?'];
+    const params = [this.userId];
+
+    if (range.from) {
+      conditions.push('date(timestamp) >= ?');
+      params.push(range.from);
+    }
+    if (range.to) {
+      conditions.push('date(timestamp) <= ?');
+      params.push(range.to);
+    }
+
+    const rows = await this.db.all(`
+      SELECT * FROM trades
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY timestamp ASC
+    `, params);
+
+    return rows.map(parseTrade);
+  }
+
+  /**
+   * Insert a trade. Keys that are not trade columns are ignored.
+   * @param {object} record - Trade values keyed by column name
+   * @returns {Promise<number>} Row id of the new trade
+   */
+  async create(record) {
+    const values = serializeJsonColumns({ ...record, user_id: this.userId }, TRADE_JSON_COLUMNS);
+    const columns = TRADE_COLUMNS.filter(column => values[column] !== undefined);
+
+    const result = await this.db.run(`
+      INSERT INTO trades (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `, columns.map(column => values[column]));
+
+    return result.lastID;
+  }
+
+  /**
+   * Record the outcome reported for a trade
+   * @param {string} tradeId - Trade id
+   * @param {object} outcome - { executed, actual_pnl, actual_outcome }
+   * @returns {Promise<object>} { changes }
+   */
+  updateOutcome(tradeId, outcome) {
+    return this.db.run(`
+      UPDATE trades
+      SET executed = ?, actual_pnl = ?, actual_outcome = ?
+      WHERE id = ? AND user_id = ?
+    `, [outcome.executed, outcome.actual_pnl, outcome.actual_outcome, tradeId, this.userId]);
+  }
+
+  /**
+   * Link an execution record to its pre-trade and mark the pre-trade complete.
+   * Only applies while the pre-trade is still in the pre_trade phase.
+   * @param {string} preTradeId - Pre-trade id
+   * @param {string} executionId - Execution trade id
+   * @returns {Promise<object>} { changes } - 0 when the pre-trade was already linked
+   */
+  linkExecution(preTradeId, executionId) {
+    return this.db.run(`
+      UPDATE trades
+      SET linked_execution_id = ?, trade_phase = 'complete'
+      WHERE id = ? AND user_id = ? AND trade_phase = 'pre_trade'
+    `, [executionId, preTradeId, this.userId]);
+  }
+
+  /**
+   * Store the result of a manually reported execution on its pre-trade
+   * @param {string} preTradeId - Pre-trade id
+   * @param {string} executionId - Execution trade id
+   * @param {object} result - { actual_pnl, actual_outcome }
+   * @returns {Promise<object>} { changes }
+   */
+  recordExecutionResult(preTradeId, executionId, result) {
+    return this.db.run(`
+      UPDATE trades
+      SET linked_execution_id = ?, actual_pnl = ?, executed = TRUE, actual_outcome = ?
+      WHERE id = ? AND user_id = ?
+    `, [executionId, result.actual_pnl, result.actual_outcome, preTradeId, this.userId]);
+  }
+
+  /**
+   * Apply broker fills to a pre-trade analysis
+   * @param {string} tradeId - Pre-trade id
+   * @param {object} fills - { actual_entry, actual_pnl, trade_outcome }
+   * @returns {Promise<object>} { changes }
+   */
+  applyFills(tradeId, fills) {
+    return this.db.run(`
+      UPDATE trades
+      SET actual_entry = ?, actual_pnl = ?, executed = TRUE, trade_outcome = ?
+      WHERE id = ? AND user_id = ?
+    `, [fills.actual_entry, fills.actual_pnl, fills.trade_outcome, tradeId, this.userId]);
+  }
+
+  /**
+   * Delete a trade together with its screenshot analysis, risk alerts, rule violations
+   * and lockout override
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object|undefined>} { id, pattern_type } of the deleted trade
+   */
+  deleteWithRelated(tradeId) {
+    return this.db.transaction(async () => {
+      const trade = await this.db.get('SELECT id, pattern_type FROM trades WHERE id = ? AND user_id = ?', [tradeId, this.userId]);
+      if (!trade) return undefined;
+
+      await this.db.run('DELETE FROM screenshot_analysis WHERE trade_id = ?', [tradeId]);
+      await this.db.run('DELETE FROM timeframe_analysis WHERE trade_id = ?', [tradeId]);
+      await this.db.run('DELETE FROM trade_rule_violations WHERE trade_id = ?', [tradeId]);
+      await this.db.run('DELETE FROM risk_alerts WHERE trade_id = ?', [tradeId]);
+      await this.db.run('DELETE FROM lockout_overrides WHERE trade_id = ? AND user_id = ?', [tradeId, this.userId]);
+      await this.db.run('DELETE FROM trades WHERE id = ?', [tradeId]);
+      return trade;
+    });
+  }
+
+  /**
+   * Aggregate figures for the trades of one week
+   * @param {number} weekNumber - ISO week number
+   * @param {number} year - Year
+   * @returns {Promise<object>} { total_trades, executed_trades, winning_trades,
+   *   avg_setup_quality, executed_avg_setup_quality, avg_risk, max_risk, violations,
+   *   avg_risk_reward, total_pnl, executed_pnl, avg_executed_pnl }
+   */
+  async getWeekSummary(weekNumber, year) {
+    const row = await this.db.get(`
+      SELECT
+        COUNT(*) as total_trades,
+        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_trades,
+        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as winning_trades,
+        AVG(setup_quality) as avg_setup_quality,
+        AVG(CASE WHEN executed = 1 THEN setup_quality END) as executed_avg_setup_quality,
+        AVG(risk_amount) as avg_risk,
+        MAX(risk_amount) as max_risk,
+        COUNT(CASE WHEN within_limits = 0 THEN 1 END) as violations,
+        AVG(risk_reward_ratio) as avg_risk_reward,
+        SUM(actual_pnl) as total_pnl,
+        SUM(CASE WHEN executed = 1 THEN actual_pnl END) as executed_pnl,
+        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_executed_pnl
+      FROM trades
+      WHERE user_id = ? AND week_number = ? AND year = ?
+    `, [this.userId, weekNumber, year]);
+
+    return row || {};
+  }
+
+  /**
+   * Lifetime totals across all trades
+   * @returns {Promise<object>} { total_trades, closed_trades, winning_trades,
+   *   executed_trades, avg_winning_trade }
+   */
+  async getTotals() {
+    const row = await this.db.get(`
+      SELECT
+        COUNT(*) as total_trades,
+        COUNT(actual_pnl) as closed_trades,
+        COUNT(CASE WHEN actual_pnl > 0 THEN 1 END) as winning_trades,
+        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_trades,
+        AVG(CASE WHEN executed = 1 AND actual_pnl > 0 THEN actual_pnl END) as avg_winning_trade
+      FROM trades
+      WHERE user_id = ?
+    `, [this.userId]);
+
+    return row || {};
+  }
+
+  /**
+   * Realized P&L of trades taken today
+   * @returns {Promise<number>} Sum of actual_pnl
+   */
+  async getTodayPnl() {
+    const row = await this.db.get(`
+      SELECT COALESCE(SUM(actual_pnl), 0) as today_pnl
+      FROM trades
+      WHERE user_id = ?
+      AND date(timestamp) = date('now')
+      AND actual_pnl IS NOT NULL
+    `, [this.userId]);
+
+    return row?.today_pnl || 0;
+  }
+
+  /**
+   * Average setup quality for the last 30 days and the 30 days before that
+   * @returns {Promise<object>} { current_score, previous_score, total_trades }
+   */
+  async getMonthlySetupQuality() {
+    const row = await this.db.get(`
+      SELECT
+        COALESCE(AVG(CASE WHEN timestamp >= datetime('now', '-30 days') THEN setup_quality END), 0) as current_score,
+        COALESCE(AVG(CASE WHEN timestamp BETWEEN datetime('now', '-60 days') AND datetime('now', '-30 days')
+          THEN setup_quality END), 0) as previous_score,
+        COUNT(CASE WHEN timestamp >= datetime('now', '-30 days') THEN 1 END) as total_trades
+      FROM trades
+      WHERE user_id = ?
+    `, [this.userId]);
+
+    return row || { current_score: 0, previous_score: 0, total_trades: 0 };
+  }
+
+  /**
+   * Realized P&L per week, newest first
+   * @param {number} limit - Maximum weeks
+   * @returns {Promise<object[]>} [{ week_number, year, week_pnl }]
+   */
+  getWeeklyPnl(limit = 10) {
+    return this.db.all(`
+      SELECT
+        week_number,
+        year,
+        SUM(actual_pnl) as week_pnl
+      FROM trades
+      WHERE user_id = ? AND actual_pnl IS NOT NULL
+      GROUP BY week_number, year
+      ORDER BY year DESC, week_number DESC
+      LIMIT ?
+    `, [this.userId, limit]);
+  }
+
+  /**
+   * Performance grouped by session timing
+   * @param {object} options - { sinceDays, closedOnly, executedOnly }
+   * @returns {Promise<object[]>} [{ session_timing, total_trades, win_rate, avg_pnl,
+   *   avg_quality, avg_risk_reward }] ordered by avg_pnl
+   */
+  getSessionStats(options = {}) {
+    const conditions = ['user_id = ?', 'session_timing IS NOT NULL'];
+    const params = [this.userId];
+
+    if (options.sinceDays) {
+      conditions.push("timestamp >= datetime('now', '-' || ? || ' days')");
+      params.push(options.sinceDays);
+    }
+    if (options.closedOnly) conditions.push('actual_pnl IS NOT NULL');
+    if (options.executedOnly) conditions.push('executed = 1');
+
+    return this.db.all(`
+      SELECT
+        session_timing,
+        COUNT(*) as total_trades,
+        ROUND(
+          (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
+        ) as win_rate,
+        AVG(actual_pnl) as avg_pnl,
+        ROUND(AVG(setup_quality), 1) as avg_quality,
+        ROUND(AVG(risk_reward_ratio), 2) as avg_risk_reward
+      FROM trades
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY session_timing
+      ORDER BY avg_pnl DESC
+    `, params);
+  }
+
+  /**
+   * Pattern counts per session timing
+   * @param {number} sinceDays - Look-back window in days
+   * @returns {Promise<object[]>} [{ session_timing, pattern_type, pattern_count }]
+   */
+  getSessionPatternCounts(sinceDays = 90) {
+    return this.db.all(`
+      SELECT
+        session_timing,
+        pattern_type,
+        COUNT(*) as pattern_count
+      FROM trades
+      WHERE user_id = ?
+      AND session_timing IS NOT NULL
+      AND pattern_type IS NOT NULL
+      AND timestamp >= datetime('now', '-' || ? || ' days')
+      GROUP BY session_timing, pattern_type
+      ORDER BY session_timing, pattern_count DESC
+    `, [this.userId, sinceDays]);
+  }
+
+  /**
+   * Outcome by AI recommendation
+   * @param {number} sinceDays - Look-back window in days
+   * @returns {Promise<object[]>} [{ recommendation, total, avg_pnl, avg_confidence }]
+   */
+  getRecommendationStats(sinceDays = 60) {
+    return this.db.all(`
+      SELECT
+        recommendation,
+        COUNT(*) as total,
+        COALESCE(AVG(actual_pnl), 0) as avg_pnl,
+        ROUND(AVG(confidence_score), 2) as avg_confidence
+      FROM trades
+      WHERE user_id = ?
+      AND recommendation IS NOT NULL
+      AND timestamp >= datetime('now', '-' || ? || ' days')
+      GROUP BY recommendation
+      ORDER BY avg_pnl DESC
+    `, [this.userId, sinceDays]);
+  }
+
+  /**
+   * Risk figures across executed trades
+   * @returns {Promise<object>} { avg_risk, max_risk, violations, total_trades, avg_risk_reward }
+   */
+  async getRiskProfile() {
+    const row = await this.db.get(`
+      SELECT
+        AVG(risk_amount) as avg_risk,
+        MAX(risk_amount) as max_risk,
+        COUNT(CASE WHEN within_limits = 0 THEN 1 END) as violations,
+        COUNT(*) as total_trades,
+        AVG(risk_reward_ratio) as avg_risk_reward
+      FROM trades
+      WHERE user_id = ? AND executed = 1
+    `, [this.userId]);
+
+    return row || {};
+  }
+
+  /**
+   * Store the analysis of one screenshot from a universal/frontend upload
+   * @param {object} analysis - screenshot_analysis values (key_levels and individual_analysis as objects)
+   * @returns {Promise<number>} Row id
+   */
+  async addScreenshotAnalysis(analysis) {
+    const values = serializeJsonColumns(analysis, ANALYSIS_JSON_COLUMNS);
+
+    const result = await this.db.run(`
+      INSERT INTO screenshot_analysis (
+        trade_id, screenshot_path, timeframe_label, timeframe_category,
+        timeframe_priority, is_primary, individual_analysis, pattern_identified,
+        trend_direction, key_levels, volume_analysis, confluence_score
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      values.trade_id,
+      values.screenshot_path,
+      values.timeframe_label,
+      values.timeframe_category,
+      values.timeframe_priority,
+      values.is_primary ? 1 : 0,
+      values.individual_analysis,
+      values.pattern_identified,
+      values.trend_direction,
+      values.key_levels,
+      values.volume_analysis,
+      values.confluence_score
+    ]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Store the analysis of one fixed-timeframe screenshot from a multi-timeframe upload
+   * @param {object} analysis - timeframe_analysis values (key_levels and individual_analysis as objects)
+   * @returns {Promise<number>} Row id
+   */
+  async addTimeframeAnalysis(analysis) {
+    const values = serializeJsonColumns(analysis, ANALYSIS_JSON_COLUMNS);
+
+    const result = await this.db.run(`
+      INSERT INTO timeframe_analysis (
+        trade_id, timeframe, screenshot_path, individual_analysis,
+        pattern_identified, trend_direction, key_levels, volume_analysis, confluence_score
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      values.trade_id,
+      values.timeframe,
+      values.screenshot_path,
+      values.individual_analysis,
+      values.pattern_identified,
+      values.trend_direction,
+      values.key_levels,
+      values.volume_analysis,
+      values.confluence_score
+    ]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Screenshot paths of a trade by timeframe label
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object[]>} [{ timeframe_label, screenshot_path }]
+   */
+  findScreenshotPaths(tradeId) {
+    return this.db.all(`
+      SELECT sa.timeframe_label, sa.screenshot_path
+      FROM screenshot_analysis sa
+      JOIN trades t ON t.id = sa.trade_id
+      WHERE sa.trade_id = ? AND t.user_id = ?
+    `, [tradeId, this.userId]);
+  }
+
+  /**
+   * Whether an uploaded file belongs to one of the user's trades, as a trade's
+   * screenshot, an execution screenshot or an analyzed timeframe screenshot
+   * @param {string} screenshotPath - Stored path ('uploads/...', forward slashes)
+   * @returns {Promise<boolean>}
+   */
+  async ownsScreenshot(screenshotPath) {
+    const row = await this.db.get(`
+      SELECT 1 FROM trades
+      WHERE user_id = ?
+        AND (REPLACE(screenshot_path, '\\', '/') = ? OR REPLACE(execution_screenshot_path, '\\', '/') = ?)
+      UNION ALL
+      SELECT 1 FROM screenshot_analysis sa
+      JOIN trades t ON t.id = sa.trade_id
+      WHERE t.user_id = ? AND REPLACE(sa.screenshot_path, '\\', '/') = ?
+      UNION ALL
+      SELECT 1 FROM timeframe_analysis ta
+      JOIN trades t ON t.id = ta.trade_id
+      WHERE t.user_id = ? AND REPLACE(ta.screenshot_path, '\\', '/') = ?
+      LIMIT 1
+    `, [this.userId, screenshotPath, screenshotPath, this.userId, screenshotPath, this.userId, screenshotPath]);
+
+    return Boolean(row);
+  }
+
+  /**
+   * Primary screenshot analysis of a trade with the trade's screenshot metadata.
+   * Returns a row whenever the trade exists, even without a primary screenshot.
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object|undefined>} screenshot_analysis row plus screenshots_metadata
+   */
+  async findPrimaryScreenshot(tradeId) {
+    const row = await this.db.get(`
+      SELECT sa.*, t.screenshots_metadata
+      FROM trades t
+      LEFT JOIN screenshot_analysis sa ON t.id = sa.trade_id AND sa.is_primary = 1
+      WHERE t.id = ? AND t.user_id = ?
+    `, [tradeId, this.userId]);
+
+    return parseJsonColumns(row, SCREENSHOT_JSON_COLUMNS);
+  }
+
+  /**
+   * Earliest uploaded screenshot of a trade
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object|undefined>} { screenshot_path, timeframe_label }
+   */
+  findFirstScreenshot(tradeId) {
+    return this.db.get(`
+      SELECT sa.screenshot_path, sa.timeframe_label
+      FROM screenshot_analysis sa
+      JOIN trades t ON t.id = sa.trade_id
+      WHERE sa.trade_id = ? AND t.user_id = ?
+      ORDER BY sa.created_at ASC
+      LIMIT 1
+    `, [tradeId, this.userId]);
+  }
+
+  /**
+   * All screenshot analyses of a trade, primary first
+   * @param {string} tradeId - Trade id
+   * @returns {Promise<object[]>} screenshot_analysis rows plus screenshots_metadata
+   */
+  async findScreenshots(tradeId) {
+    const rows = await this.db.all(`
+      SELECT sa.*, t.screenshots_metadata
+      FROM screenshot_analysis sa
+      JOIN trades t ON t.id = sa.trade_id
+      WHERE sa.trade_id = ? AND t.user_id = ?
+      ORDER BY sa.is_primary DESC, sa.timeframe_priority ASC, sa.created_at ASC
+    `, [tradeId, this.userId]);
+
+    return rows.map(row => parseJsonColumns(row, SCREENSHOT_JSON_COLUMNS));
+  }
+
+  /**
+   * Screenshot of a trade for one timeframe label
+   * @param {string} tradeId - Trade id
+   * @param {string} timeframe - Timeframe label
+   * @returns {Promise<object|undefined>} { screenshot_path }
+   */
+  findScreenshot(tradeId, timeframe) {
+    return this.db.get(`
+      SELECT sa.screenshot_path
+      FROM screenshot_analysis sa
+      JOIN trades t ON t.id = sa.trade_id
+      WHERE sa.trade_id = ? AND sa.timeframe_label = ? AND t.user_id = ?
+    `, [tradeId, timeframe, this.userId]);
+  }
+
+  /**
+   * Round trips already imported, by fingerprint
+   * @param {string[]} fingerprints - Round-trip fingerprints
+   * @returns {Promise<Map>} fingerprint -> trade_id
+   */
+  async findImportedFingerprints(fingerprints) {
+    if (fingerprints.length === 0) return new Map();
+
+    const placeholders = fingerprints.map(() => '?').join(', ');
+    const rows = await this.db.all(`
+      SELECT fingerprint, trade_id FROM imported_trades
+      WHERE user_id = ? AND fingerprint IN (${placeholders})
+    `, [this.userId, ...fingerprints]);
+
+    return new Map(rows.map(row => [row.fingerprint, row.trade_id]));
+  }
+
+  /**
+   * Record an imported round trip for duplicate detection and auditing
+   * @param {string} importId - Import batch id
+   * @param {string} broker - Broker format
+   * @param {object} roundTrip - Round trip with trade_id and status
+   * @returns {Promise<number>} Row id
+   */
+  async addImportedTrade(importId, broker, roundTrip) {
+    const result = await this.db.run(`
+      INSERT INTO imported_trades (
+        user_id, import_id, fingerprint, broker, account, symbol, direction, contracts,
+        entry_price, exit_price, entry_time, exit_time, commission, gross_pnl,
+        net_pnl, trade_id, match_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      this.userId,
+      importId,
+      roundTrip.fingerprint,
+      broker,
+      roundTrip.account,
+      roundTrip.symbol,
+      roundTrip.direction,
+      roundTrip.contracts,
+      roundTrip.entry_price,
+      roundTrip.exit_price,
+      roundTrip.entry_time,
+      roundTrip.exit_time,
+      roundTrip.commission,
+      roundTrip.gross_pnl,
+      roundTrip.net_pnl,
+      roundTrip.trade_id,
+      roundTrip.status
+    ]);
+
+    return result.lastID;
+  }
+}
+
+const parseTrade = (row) => parseJsonColumns(row, TRADE_JSON_COLUMNS);
+
+module.exports = TradeRepository;
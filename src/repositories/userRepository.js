@@ -0,0 +1,126 @@
+/**
+ * User Repository
+ * Trader accounts. Unlike the other repositories this one is not scoped to a
+ * user - it is what resolves the user in the first place.
+ */
+
+const PUBLIC_COLUMNS = 'id, email, display_name, created_at, last_login_at';
+
+// Tables whose rows recorded before accounts existed have no user_id yet
+const UNOWNED_TABLES = ['trades', 'progress', 'patterns', 'account_snapshots', 'risk_alerts',
+  'analysis_jobs', 'coaching_effectiveness', 'imported_trades', 'user_settings', 'ledger_entries',
+  'balance_reports'];
+
+class UserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Find a user by id
+   * @param {string} userId - User id
+   * @returns {Promise<object|undefined>} User without the password hash
+   */
+  findById(userId) {
+    return this.db.get(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [userId]);
+  }
+
+  /**
+   * Find a user by email (case-insensitive), including the password hash for login
+   * @param {string} email - Email address
+   * @returns {Promise<object|undefined>} User row
+   */
+  findByEmail(email) {
+    return this.db.get('SELECT * FROM users WHERE email = ?', [email]);
+  }
+
+  /**
+   * Number of registered users
+   * @returns {Promise<number>} User count
+   */
+  async count() {
+    const row = await this.db.get('SELECT COUNT(*) as count FROM users');
+    return row.count;
+  }
+
+  /**
+   * Create a user
+   * @param {object} user - { id, email, password_hash, display_name }
+   * @returns {Promise<void>}
+   */
+  async create(user) {
+    await this.db.run(`
+      INSERT INTO users (id, email, password_hash, display_name)
+      VALUES (?, ?, ?, ?)
+    `, [user.id, user.email, user.password_hash, user.display_name || null]);
+  }
+
+  /**
+   * Stamp the time of a successful login
+   * @param {string} userId - User id
+   * @returns {Promise<object>} { changes }
+   */
+  recordLogin(userId) {
+    return this.db.run(`UPDATE users SET last_login_at = datetime('now') WHERE id = ?`, [userId]);
+  }
+
+  /**
+   * Resolve an API key hash to its active key and owner
+   * @param {string} keyHash - SHA-256 hash of the presented key
+   * @returns {Promise<object|undefined>} { user, api_key } - undefined for unknown or revoked keys
+   */
+  async findByApiKeyHash(keyHash) {
+    const row = await this.db.get(`
+      SELECT
+        k.id as key_id,
+        k.scopes,
+        k.rate_limit,
+        u.id, u.email, u.display_name, u.created_at, u.last_login_at
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL
+    `, [keyHash]);
+
+    if (!row) return undefined;
+
+    const { key_id, scopes, rate_limit, ...user } = row;
+
+    return {
+      user,
+      api_key: {
+        id: key_id,
+        scopes: JSON.parse(scopes || '[]'),
+        rate_limit
+      }
+    };
+  }
+
+  /**
+   * Stamp the time and address an API key was last used from
+   * @param {string} keyId - Key id
+   * @param {string} ip - Client address
+   * @returns {Promise<object>} { changes }
+   */
+  recordApiKeyUse(keyId, ip) {
+    return this.db.run(`
+      UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = ? WHERE id = ?
+    `, [ip || null, keyId]);
+  }
+
+  /**
+   * Give a user every row recorded before accounts existed
+   * @param {string} userId - User id
+   * @returns {Promise<void>}
+   */
+  async adoptUnownedData(userId) {
+    for (const table of UNOWNED_TABLES) {
+      await this.db.run(`UPDATE ${table} SET user_id = ? WHERE user_id IS NULL`, [userId]);
+    }
+
+    await this.db.run(`
+      UPDATE execution_patterns SET trader_id = ? WHERE trader_id = 'main_trader'
+    `, [userId]);
+  }
+}
+
+module.exports = UserRepository;
@@ -1,17 +1,26 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { getDatabase, getWeekNumber } = require('../models/database');
+const { requireScope } = require('../middleware/auth');
+const { getWeekNumber } = require('../models/database');
+const { createRepositories } = require('../repositories');
+const { EVENT_TYPES, publishEvent } = require('../services/eventBus');
+const { evaluateRiskState, describeLockout } = require('../services/riskState');
+const { resolveInstrument } = require('../services/instruments');
+const { validatePositionSizeRequest, sizePosition } = require('../services/positionSizing');
+const { validateRiskOfRuinQuery, assessRiskOfRuin } = require('../services/riskOfRuin');
+const { createErrorResponse } = require('../services/errorHandler');
 
 const router = express.Router();
 
 router.get('/alerts',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
     const { acknowledged = false } = req.query;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const alerts = await getRiskAlerts(db, acknowledged === 'true');
-      const summary = await getAlertsSummary(db);
+      const alerts = await repos.alerts.findByAcknowledged(acknowledged === 'true');
+      const summary = await getAlertsSummary(repos);
 
       res.json({
         success: true,
@@ -25,19 +34,18 @@ router.get('/alerts',
     } catch (error) {
       console.error('Risk alerts error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.post('/alerts/:alertId/acknowledge',
+  requireScope('alerts:write'),
   asyncHandler(async (req, res) => {
     const { alertId } = req.params;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const result = await acknowledgeAlert(db, alertId);
+      const result = await repos.alerts.acknowledge(alertId);
 
       if (result.changes === 0) {
         return res.status(404).json({
@@ -46,6 +54,8 @@ router.post('/alerts/:alertId/acknowledge',
         });
       }
 
+      publishEvent(req.user.id, EVENT_TYPES.ALERT_ACKNOWLEDGED, { alert_id: parseInt(alertId) });
+
       res.json({
         success: true,
         message: 'Alert acknowledged successfully'
@@ -54,20 +64,19 @@ router.post('/alerts/:alertId/acknowledge',
     } catch (error) {
       console.error('Alert acknowledgment error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/risk-check',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
     const currentWeek = getWeekNumber(new Date());
     const currentYear = new Date().getFullYear();
 
     try {
-      const riskAssessment = await performRiskCheck(db, currentWeek, currentYear);
+      const riskAssessment = await performRiskCheck(repos, currentWeek, currentYear);
 
       res.json({
         success: true,
@@ -77,13 +86,41 @@ router.get('/risk-check',
     } catch (error) {
       console.error('Risk check error:', error);
       throw error;
-    } finally {
-      db.close();
+    }
+  })
+);
+
+// Realized loss and trade counts against the daily/weekly limits, and any lockout in force
+router.get('/risk-state',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const state = await evaluateRiskState(repos);
+      const recentLockouts = await repos.lockouts.findRecent(10);
+
+      res.json({
+        success: true,
+        data: {
+          ...state,
+          overrides: state.lockout ? await repos.lockouts.findOverrides(state.lockout.id) : [],
+          recent_lockouts: recentLockouts.map(lockout => ({
+            ...describeLockout(lockout),
+            override_count: lockout.override_count
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('Risk state error:', error);
+      throw error;
     }
   })
 );
 
 router.post('/risk-check/manual',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
     const { trade_data } = req.body;
 
@@ -94,10 +131,8 @@ router.post('/risk-check/manual',
       });
     }
 
-    const db = getDatabase();
-
     try {
-      const assessment = await assessTradeRisk(db, trade_data);
+      const assessment = assessTradeRisk(trade_data);
 
       res.json({
         success: true,
@@ -107,20 +142,75 @@ router.post('/risk-check/manual',
     } catch (error) {
       console.error('Manual risk assessment error:', error);
       throw error;
-    } finally {
-      db.close();
+    }
+  })
+);
+
+// Contracts for a planned entry and stop under a risk model, checked against the max risk per trade
+router.post('/position-size',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const request = validatePositionSizeRequest(req.body);
+      const instrument = await resolveInstrument(repos, req.body.instrument);
+
+      if (!instrument) {
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', { instrument: req.body.instrument }));
+      }
+
+      res.json({
+        success: true,
+        data: await sizePosition(repos, instrument, request)
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_POSITION_SIZE') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Position sizing error:', error);
+      throw error;
+    }
+  })
+);
+
+// Probability of a ruin_threshold drawdown at a risk per trade, from the trader's closed trades
+// or a hypothetical win_rate and payoff_ratio; pass seed to reproduce the drawdown paths
+router.get('/risk-of-ruin',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const options = validateRiskOfRuinQuery(req.query);
+
+      res.json({
+        success: true,
+        data: await assessRiskOfRuin(repos, options)
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_RISK_OF_RUIN_QUERY' || error.code === 'INSUFFICIENT_TRADE_HISTORY') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Risk of ruin error:', error);
+      throw error;
     }
   })
 );
 
 router.get('/violations',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
     const { limit = 50 } = req.query;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const violations = await getRiskViolations(db, parseInt(limit));
-      const analysis = await analyzeViolations(db);
+      const violations = await repos.alerts.findViolations(parseInt(limit));
+      const analysis = await analyzeViolations(repos);
 
       res.json({
         success: true,
@@ -134,123 +224,38 @@ router.get('/violations',
     } catch (error) {
       console.error('Risk violations error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
-const getRiskAlerts = (db, acknowledgedOnly) => {
-  return new Promise((resolve, reject) => {
-    const whereClause = acknowledgedOnly ? 'WHERE acknowledged = 1' : 'WHERE acknowledged = 0';
-
-    db.all(`
-      SELECT
-        ra.*,
-        t.pattern_type,
-        t.setup_quality,
-        t.risk_reward_ratio,
-        t.timestamp as trade_timestamp
-      FROM risk_alerts ra
-      LEFT JOIN trades t ON ra.trade_id = t.id
-      ${whereClause}
-      ORDER BY ra.timestamp DESC
-      LIMIT 100
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
+const getAlertsSummary = async (repos) => {
+  const rows = await repos.alerts.countByTypeAndSeverity(30);
 
-const getAlertsSummary = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        alert_type,
-        severity,
-        COUNT(*) as count,
-        COUNT(CASE WHEN acknowledged = 0 THEN 1 END) as unacknowledged_count
-      FROM risk_alerts
-      WHERE timestamp >= datetime('now', '-30 days')
-      GROUP BY alert_type, severity
-      ORDER BY count DESC
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const summary = {
-        total_alerts_30_days: 0,
-        unacknowledged_count: 0,
-        by_type: {},
-        by_severity: { HIGH: 0, MEDIUM: 0, LOW: 0 }
-      };
-
-      (rows || []).forEach(row => {
-        summary.total_alerts_30_days += row.count;
-        summary.unacknowledged_count += row.unacknowledged_count;
-        summary.by_type[row.alert_type] = row.count;
-        summary.by_severity[row.severity] += row.count;
-      });
+  const summary = {
+    total_alerts_30_days: 0,
+    unacknowledged_count: 0,
+    by_type: {},
+    by_severity: { HIGH: 0, MEDIUM: 0, LOW: 0 }
+  };
 
-      resolve(summary);
-    });
+  rows.forEach(row => {
+    summary.total_alerts_30_days += row.count;
+    summary.unacknowledged_count += row.unacknowledged_count;
+    summary.by_type[row.alert_type] = row.count;
+    summary.by_severity[row.severity] += row.count;
   });
-};
 
-const acknowledgeAlert = (db, alertId) => {
-  return new Promise((resolve, reject) => {
-    db.run(`
-      UPDATE risk_alerts
-      SET acknowledged = 1
-      WHERE id = ?
-    `, [alertId], function(err) {
-      if (err) reject(err);
-      else resolve({ changes: this.changes });
-    });
-  });
+  return summary;
 };
 
-const performRiskCheck = (db, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        COUNT(*) as total_trades,
-        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_trades,
-        AVG(risk_amount) as avg_risk,
-        MAX(risk_amount) as max_risk,
-        COUNT(CASE WHEN within_limits = 0 THEN 1 END) as violations,
-        SUM(CASE WHEN executed = 1 THEN actual_pnl END) as week_pnl,
-        AVG(risk_reward_ratio) as avg_risk_reward
-      FROM trades
-      WHERE week_number = ? AND year = ?
-    `, [weekNumber, year], (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+const performRiskCheck = async (repos, weekNumber, year) => {
+  const weekSummary = await repos.trades.getWeekSummary(weekNumber, year);
+  const weekProgress = await repos.progress.findByWeek(weekNumber, year);
 
-      const data = rows[0] || {};
+  const data = { ...weekSummary, week_pnl: weekSummary.executed_pnl };
+  const currentBalance = weekProgress?.account_balance || 0;
 
-      db.get(`
-        SELECT account_balance
-        FROM progress
-        WHERE week_number = ? AND year = ?
-      `, [weekNumber, year], (err, balanceRow) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        const currentBalance = balanceRow?.account_balance || 0;
-        const assessment = generateRiskAssessment(data, currentBalance, weekNumber);
-
-        resolve(assessment);
-      });
-    });
-  });
+  return generateRiskAssessment(data, currentBalance, weekNumber);
 };
 
 const generateRiskAssessment = (tradeData, currentBalance, weekNumber) => {
@@ -321,147 +326,104 @@ const calculateRiskScore = (tradeData, maxRisk) => {
   return Math.min(10, score);
 };
 
-const assessTradeRisk = (db, tradeData) => {
-  return new Promise((resolve, reject) => {
-    const assessment = {
-      trade_assessment: 'ANALYZING',
-      risk_factors: [],
-      recommendations: [],
-      compliance_check: {},
-      score: 0
-    };
-
-    const maxRisk = parseFloat(process.env.MAX_RISK_PER_TRADE) || 50;
-
-    if (tradeData.risk_amount > maxRisk) {
-      assessment.risk_factors.push({
-        factor: 'RISK_AMOUNT_EXCEEDED',
-        message: `Risk amount $${tradeData.risk_amount} exceeds $${maxRisk} limit`,
-        severity: 'HIGH'
-      });
-      assessment.score += 5;
-    }
+const assessTradeRisk = (tradeData) => {
+  const assessment = {
+    trade_assessment: 'ANALYZING',
+    risk_factors: [],
+    recommendations: [],
+    compliance_check: {},
+    score: 0
+  };
 
-    if (tradeData.risk_reward_ratio < 2.0) {
-      assessment.risk_factors.push({
-        factor: 'LOW_RISK_REWARD',
-        message: `Risk-reward ratio ${tradeData.risk_reward_ratio} below 2:1 minimum`,
-        severity: 'MEDIUM'
-      });
-      assessment.score += 2;
-    }
+  const maxRisk = parseFloat(process.env.MAX_RISK_PER_TRADE) || 50;
 
-    if (tradeData.setup_quality < 6) {
-      assessment.risk_factors.push({
-        factor: 'LOW_SETUP_QUALITY',
-        message: `Setup quality ${tradeData.setup_quality}/10 below standards`,
-        severity: 'MEDIUM'
-      });
-      assessment.score += 1;
-    }
+  if (tradeData.risk_amount > maxRisk) {
+    assessment.risk_factors.push({
+      factor: 'RISK_AMOUNT_EXCEEDED',
+      message: `Risk amount $${tradeData.risk_amount} exceeds $${maxRisk} limit`,
+      severity: 'HIGH'
+    });
+    assessment.score += 5;
+  }
 
-    const tradeTime = new Date(tradeData.timestamp);
-    const hours = tradeTime.getHours();
-    const minutes = tradeTime.getMinutes();
-    const timeInMinutes = hours * 60 + minutes;
+  if (tradeData.risk_reward_ratio < 2.0) {
+    assessment.risk_factors.push({
+      factor: 'LOW_RISK_REWARD',
+      message: `Risk-reward ratio ${tradeData.risk_reward_ratio} below 2:1 minimum`,
+      severity: 'MEDIUM'
+    });
+    assessment.score += 2;
+  }
 
-    if (timeInMinutes < (9 * 60 + 30) || timeInMinutes > (10 * 60 + 15)) {
-      assessment.risk_factors.push({
-        factor: 'OUTSIDE_OPTIMAL_HOURS',
-        message: 'Trade outside optimal 9:30-10:15 AM EST window',
-        severity: 'LOW'
-      });
-      assessment.score += 0.5;
-    }
+  if (tradeData.setup_quality < 6) {
+    assessment.risk_factors.push({
+      factor: 'LOW_SETUP_QUALITY',
+      message: `Setup quality ${tradeData.setup_quality}/10 below standards`,
+      severity: 'MEDIUM'
+    });
+    assessment.score += 1;
+  }
 
-    if (assessment.score === 0) {
-      assessment.trade_assessment = 'LOW_RISK';
-      assessment.recommendations.push('Trade meets all risk management criteria');
-    } else if (assessment.score <= 3) {
-      assessment.trade_assessment = 'MODERATE_RISK';
-      assessment.recommendations.push('Consider risk factors before execution');
-    } else {
-      assessment.trade_assessment = 'HIGH_RISK';
-      assessment.recommendations.push('High risk - consider skipping this trade');
-    }
+  const tradeTime = new Date(tradeData.timestamp);
+  const hours = tradeTime.getHours();
+  const minutes = tradeTime.getMinutes();
+  const timeInMinutes = hours * 60 + minutes;
 
-    assessment.compliance_check = {
-      risk_amount: tradeData.risk_amount <= maxRisk,
-      risk_reward_ratio: tradeData.risk_reward_ratio >= 2.0,
-      setup_quality: tradeData.setup_quality >= 6,
-      timing: timeInMinutes >= (9 * 60 + 30) && timeInMinutes <= (10 * 60 + 15),
-      overall_compliant: assessment.score <= 1
-    };
+  if (timeInMinutes < (9 * 60 + 30) || timeInMinutes > (10 * 60 + 15)) {
+    assessment.risk_factors.push({
+      factor: 'OUTSIDE_OPTIMAL_HOURS',
+      message: 'Trade outside optimal 9:30-10:15 AM EST window',
+      severity: 'LOW'
+    });
+    assessment.score += 0.5;
+  }
 
-    resolve(assessment);
-  });
-};
+  if (assessment.score === 0) {
+    assessment.trade_assessment = 'LOW_RISK';
+    assessment.recommendations.push('Trade meets all risk management criteria');
+  } else if (assessment.score <= 3) {
+    assessment.trade_assessment = 'MODERATE_RISK';
+    assessment.recommendations.push('Consider risk factors before execution');
+  } else {
+    assessment.trade_assessment = 'HIGH_RISK';
+    assessment.recommendations.push('High risk - consider skipping this trade');
+  }
 
-const getRiskViolations = (db, limit) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        t.*,
-        ra.alert_type,
-        ra.message as alert_message,
-        ra.severity
-      FROM trades t
-      JOIN risk_alerts ra ON t.id = ra.trade_id
-      WHERE t.within_limits = 0 OR ra.severity = 'HIGH'
-      ORDER BY t.timestamp DESC
-      LIMIT ?
-    `, [limit], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
+  assessment.compliance_check = {
+    risk_amount: tradeData.risk_amount <= maxRisk,
+    risk_reward_ratio: tradeData.risk_reward_ratio >= 2.0,
+    setup_quality: tradeData.setup_quality >= 6,
+    timing: timeInMinutes >= (9 * 60 + 30) && timeInMinutes <= (10 * 60 + 15),
+    overall_compliant: assessment.score <= 1
+  };
+
+  return assessment;
 };
 
-const analyzeViolations = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        alert_type,
-        COUNT(*) as violation_count,
-        AVG(t.risk_amount) as avg_risk_amount,
-        AVG(t.setup_quality) as avg_setup_quality,
-        strftime('%Y-%W', t.timestamp) as week,
-        COUNT(DISTINCT strftime('%Y-%W', t.timestamp)) as weeks_affected
-      FROM risk_alerts ra
-      JOIN trades t ON ra.trade_id = t.id
-      WHERE ra.severity IN ('HIGH', 'MEDIUM')
-      AND t.timestamp >= datetime('now', '-90 days')
-      GROUP BY alert_type
-      ORDER BY violation_count DESC
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+const analyzeViolations = async (repos) => {
+  const rows = await repos.alerts.getViolationStats(90);
 
-      const analysis = {
-        total_violations: 0,
-        most_common_violation: null,
-        violation_trend: 'stable',
-        patterns: []
-      };
-
-      if (rows && rows.length > 0) {
-        analysis.total_violations = rows.reduce((sum, row) => sum + row.violation_count, 0);
-        analysis.most_common_violation = rows[0];
-
-        analysis.patterns = rows.map(row => ({
-          type: row.alert_type,
-          count: row.violation_count,
-          avg_risk_amount: Math.round((row.avg_risk_amount || 0) * 100) / 100,
-          avg_setup_quality: Math.round((row.avg_setup_quality || 0) * 10) / 10,
-          weeks_affected: row.weeks_affected
-        }));
-      }
+  const analysis = {
+    total_violations: 0,
+    most_common_violation: null,
+    violation_trend: 'stable',
+    patterns: []
+  };
 
-      resolve(analysis);
-    });
-  });
+  if (rows.length > 0) {
+    analysis.total_violations = rows.reduce((sum, row) => sum + row.violation_count, 0);
+    analysis.most_common_violation = rows[0];
+
+    analysis.patterns = rows.map(row => ({
+      type: row.alert_type,
+      count: row.violation_count,
+      avg_risk_amount: Math.round((row.avg_risk_amount || 0) * 100) / 100,
+      avg_setup_quality: Math.round((row.avg_setup_quality || 0) * 10) / 10,
+      weeks_affected: row.weeks_affected
+    }));
+  }
+
+  return analysis;
 };
 
 const generateViolationRecommendations = (analysis) => {
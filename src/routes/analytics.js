@@ -0,0 +1,390 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { getWeekNumber } = require('../models/database');
+const { createErrorResponse } = require('../services/errorHandler');
+const { getActivePlan, getPhase } = require('../services/goalPlans');
+const { getAccountBalance } = require('../services/ledger');
+const { validateEquityQuery, buildEquityAnalytics } = require('../services/equityAnalytics');
+const {
+  validateStatisticsQuery,
+  getTradeStatistics,
+  loadTradeResults,
+  calculateStatistics,
+  groupStatistics
+} = require('../services/statistics');
+const { assessPatternRegimes } = require('../services/patternRegimes');
+const { convertScoreToGrade } = require('../utils/grades');
+
+const router = express.Router();
+
+// Chart label of a pattern's regime status
+const REGIME_PERFORMANCE = {
+  improved: 'improving',
+  degraded: 'declining',
+  stable: 'stable',
+  insufficient_data: 'stable'
+};
+
+// Equity curve from the ledger, with drawdown episodes and the patterns behind them
+router.get('/analytics/equity',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const query = validateEquityQuery(req.query);
+      const entries = await repos.ledger.findAllWithTrades(query.to);
+
+      res.json({
+        success: true,
+        data: buildEquityAnalytics(entries, query)
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_ANALYTICS_QUERY') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Equity analytics error:', error);
+      throw error;
+    }
+  })
+);
+
+// Expectancy, profit factor, R-multiples, SQN and the other core statistics of closed trades
+router.get('/analytics/statistics',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const filters = validateStatisticsQuery(req.query);
+      const { results, balances } = await loadTradeResults(repos, filters);
+
+      res.json({
+        success: true,
+        data: {
+          filters: {
+            pattern: filters.pattern || null,
+            session: filters.session || null,
+            trading_style: filters.trading_style || null,
+            timeframes: filters.timeframes || null,
+            from: filters.from || null,
+            to: filters.to || null
+          },
+          statistics: calculateStatistics(results, balances),
+          ...(filters.group_by && { groups: groupStatistics(results, balances, filters.group_by) }),
+          ...(filters.include_trades && { trades: results })
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_ANALYTICS_QUERY') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Statistics error:', error);
+      throw error;
+    }
+  })
+);
+
+// Pattern breakdown chart data
+router.get('/analytics/pattern-breakdown',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const patterns = await repos.patterns.getBreakdown();
+      const regimes = await assessPatternRegimes(repos);
+
+      const formattedPatterns = patterns.map(pattern => {
+        // Only a regime change found by the detector counts as a trend, not 30-day noise
+        const regime = regimes[pattern.pattern_type] || { status: 'insufficient_data', regimes: [], changes: [] };
+        const lastChange = regime.changes[regime.changes.length - 1];
+        const currentRegime = regime.regimes[regime.regimes.length - 1];
+
+        return {
+          name: pattern.pattern_type,
+          win_rate: pattern.win_rate,
+          total_trades: pattern.total_trades,
+          avg_rr: pattern.avg_rr || 2.0,
+          recent_performance: REGIME_PERFORMANCE[regime.status],
+          regime: {
+            status: regime.status,
+            since: lastChange ? lastChange.change_date : null,
+            expectancy_r: currentRegime ? currentRegime.expectancy_r : null
+          },
+          hover_details: {
+            last_30_days: pattern.recent_trades,
+            success_rate_trend: pattern.recent_win_rate ?
+              `${pattern.recent_win_rate > pattern.win_rate ? '+' : ''}${(pattern.recent_win_rate - pattern.win_rate).toFixed(1)}%` : 'N/A',
+            avg_hold_time: `${pattern.avg_hold_time_minutes || 15} minutes`,
+            avg_pnl: pattern.avg_pnl ? `$${pattern.avg_pnl.toFixed(0)}` : '$0'
+          }
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          patterns: formattedPatterns
+        }
+      });
+
+    } catch (error) {
+      console.error('Pattern breakdown error:', error);
+      throw error;
+    }
+  })
+);
+
+// Dashboard data endpoint
+router.get('/dashboard',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const currentWeek = getWeekNumber(new Date());
+      const currentYear = new Date().getFullYear();
+
+      // Get today's P&L change
+      const todayPnl = await repos.trades.getTodayPnl();
+
+      // Get this week's progress
+      const weeklyStats = await repos.trades.getWeekSummary(currentWeek, currentYear);
+
+      // Get total trades count and win rate
+      const totals = await repos.trades.getTotals();
+
+      // Get recent trades
+      const recentTrades = await repos.trades.findRecent(5);
+
+      // Expectancy, profit factor and the other core statistics over all closed trades
+      const statistics = await getTradeStatistics(repos);
+
+      const accountBalance = (await getAccountBalance(repos)) || 67500;
+      const weeklyPnlDollar = weeklyStats.total_pnl || 0;
+      const weeklyPnlPercent = (weeklyPnlDollar / accountBalance) * 100;
+      const weeklyTarget = getPhase(await getActivePlan(repos), accountBalance).target_weekly_return;
+      const calculatedWinRate = totals.closed_trades > 0 ?
+        (totals.winning_trades / totals.closed_trades) * 100 : 0;
+
+      res.json({
+        success: true,
+        data: {
+          account_balance: accountBalance,
+          today_change: todayPnl,
+          weekly_progress: {
+            current: Number(weeklyPnlPercent.toFixed(2)),
+            target: weeklyTarget,
+            dollar_change: weeklyPnlDollar
+          },
+          total_trades: totals.total_trades || 0,
+          this_week_trades: `${weeklyStats.total_trades || 0}/${process.env.MAX_TRADES_PER_WEEK || 3}`,
+          win_rate: Number(calculatedWinRate.toFixed(1)),
+          performance: {
+            expectancy: statistics.expectancy,
+            expectancy_r: statistics.expectancy_r,
+            profit_factor: statistics.profit_factor,
+            payoff_ratio: statistics.payoff_ratio,
+            sqn: statistics.sqn,
+            sharpe_ratio: statistics.sharpe_ratio,
+            current_streak: statistics.current_streak
+          },
+          recent_trades: recentTrades.map(trade => ({
+            id: trade.id,
+            date: new Date(trade.timestamp).toLocaleDateString(),
+            pattern: trade.pattern_type || 'Unknown',
+            pnl: trade.actual_pnl || 0,
+            grade: convertScoreToGrade(trade.setup_quality || 5),
+            recommendation: trade.recommendation || 'WAIT'
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('Dashboard error:', error);
+      throw error;
+    }
+  })
+);
+
+// Analytics data endpoint
+router.get('/analytics',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      // Get execution score (average setup quality) with the previous month for comparison
+      const executionScore = await repos.trades.getMonthlySetupQuality();
+
+      // Get pattern success rates
+      const patternSuccess = await repos.patterns.getWinRates({ minTrades: 3, limit: 5 });
+
+      // Get weekly streak
+      const weeklyStreak = await repos.trades.getWeeklyPnl(10);
+
+      // Calculate streak
+      let currentStreak = 0;
+      for (const week of weeklyStreak) {
+        if (week.week_pnl > 0) {
+          currentStreak++;
+        } else {
+          break;
+        }
+      }
+
+      // Get session performance
+      const sessionPerformance = await repos.trades.getSessionStats({ sinceDays: 90 });
+
+      // Get behavioral insights
+      const behavioralInsights = await repos.trades.getRecommendationStats(60);
+
+      // Core statistics overall and per pattern
+      const { results, balances } = await loadTradeResults(repos);
+      const patternStatistics = groupStatistics(results, balances, 'pattern');
+
+      const currentScore = Math.round(executionScore.current_score * 10 || 50);
+      const previousScore = Math.round(executionScore.previous_score * 10 || 50);
+      const monthlyChange = currentScore - previousScore;
+
+      const bestPattern = patternSuccess[0];
+
+      res.json({
+        success: true,
+        data: {
+          execution_score: {
+            current: currentScore,
+            target: 85,
+            monthly_change: monthlyChange
+          },
+          pattern_success: {
+            best_pattern: bestPattern?.pattern_type || 'No pattern data',
+            win_rate: bestPattern?.win_rate || 0
+          },
+          weekly_streak: currentStreak,
+          statistics: calculateStatistics(results, balances),
+          pattern_breakdown: patternSuccess.map(pattern => {
+            const statistics = patternStatistics.find(group => group.group === pattern.pattern_type);
+
+            return {
+              pattern: pattern.pattern_type,
+              total_trades: pattern.total,
+              win_rate: pattern.win_rate,
+              wins: pattern.wins,
+              expectancy_r: statistics ? statistics.expectancy_r : null,
+              profit_factor: statistics ? statistics.profit_factor : null
+            };
+          }),
+          session_performance: sessionPerformance.map(session => ({
+            session: session.session_timing,
+            avg_pnl: Number((session.avg_pnl || 0).toFixed(2)),
+            avg_quality: session.avg_quality,
+            total_trades: session.total_trades
+          })),
+          behavioral_insights: behavioralInsights.map(insight => ({
+            recommendation_type: insight.recommendation,
+            total_trades: insight.total,
+            avg_pnl: Number(insight.avg_pnl.toFixed(2)),
+            avg_confidence: insight.avg_confidence,
+            success_rate: insight.avg_pnl > 0 ? 'Positive' : 'Negative'
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('Analytics error:', error);
+      throw error;
+    }
+  })
+);
+
+// Market conditions bucket of a session timing
+const getSessionMarketConditions = (sessionTiming) => {
+  if (sessionTiming === 'optimal' || sessionTiming === 'good') return 'optimal';
+  if (sessionTiming === 'fair' || sessionTiming === 'acceptable') return 'moderate';
+  return 'poor';
+};
+
+// Session performance with detailed breakdown
+router.get('/analytics/session-performance',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const sessions = await repos.trades.getSessionStats({ sinceDays: 90, closedOnly: true });
+
+      // Get pattern distribution for each session
+      const sessionPatterns = await repos.trades.getSessionPatternCounts(90);
+
+      // Core statistics per session over the same 90 days
+      const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const { results, balances } = await loadTradeResults(repos, { from: since });
+      const sessionStatistics = groupStatistics(results, balances, 'session');
+
+      // Map time windows
+      const timeWindowMap = {
+        'optimal': '9:30-10:15 AM',
+        'good': '10:15-11:30 AM',
+        'fair': '11:30-1:00 PM',
+        'acceptable': '1:00-3:00 PM',
+        'poor': 'Extended Hours'
+      };
+
+      const formattedSessions = sessions.map(session => {
+        const patterns = sessionPatterns
+          .filter(sp => sp.session_timing === session.session_timing)
+          .reduce((acc, sp) => {
+            acc[sp.pattern_type] = sp.pattern_count;
+            return acc;
+          }, {});
+        const statistics = sessionStatistics.find(group => group.group === session.session_timing);
+
+        return {
+          time_window: timeWindowMap[session.session_timing] || 'Unknown',
+          session_timing: session.session_timing,
+          win_rate: session.win_rate,
+          total_trades: session.total_trades,
+          avg_pnl: Math.round(session.avg_pnl || 0),
+          risk_adjusted_return: session.avg_risk_reward || 2.0,
+          market_conditions: getSessionMarketConditions(session.session_timing),
+          statistics: statistics ? {
+            expectancy: statistics.expectancy,
+            expectancy_r: statistics.expectancy_r,
+            profit_factor: statistics.profit_factor,
+            payoff_ratio: statistics.payoff_ratio,
+            sqn: statistics.sqn,
+            max_consecutive_losses: statistics.max_consecutive_losses
+          } : null,
+          detailed_breakdown: {
+            pattern_distribution: patterns,
+            execution_quality: {
+              avg_setup_quality: session.avg_quality,
+              quality_grade: convertScoreToGrade(session.avg_quality)
+            }
+          }
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          sessions: formattedSessions
+        }
+      });
+
+    } catch (error) {
+      console.error('Session performance error:', error);
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
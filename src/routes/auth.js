@@ -0,0 +1,67 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth } = require('../middleware/auth');
+const { registerUser, loginUser } = require('../services/auth');
+const { createErrorResponse } = require('../services/errorHandler');
+
+const router = express.Router();
+
+const AUTH_ERROR_CODES = ['INVALID_ACCOUNT_DETAILS', 'EMAIL_ALREADY_REGISTERED', 'INVALID_CREDENTIALS'];
+
+// Create a trader account and return an access token
+router.post('/auth/register', asyncHandler(async (req, res) => {
+  const { email, password, display_name } = req.body || {};
+
+  try {
+    const session = await registerUser({ email, password, display_name });
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    if (AUTH_ERROR_CODES.includes(error.code)) {
+      return sendAuthError(res, error);
+    }
+    console.error('Registration error:', error);
+    throw error;
+  }
+}));
+
+// Exchange email and password for an access token
+router.post('/auth/login', asyncHandler(async (req, res) => {
+  const { email, password } = req.body || {};
+
+  try {
+    const session = await loginUser(email, password);
+
+    res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    if (AUTH_ERROR_CODES.includes(error.code)) {
+      return sendAuthError(res, error);
+    }
+    console.error('Login error:', error);
+    throw error;
+  }
+}));
+
+// The account behind the access token
+router.get('/auth/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Helper functions
+const sendAuthError = (res, error) => {
+  const response = createErrorResponse(error.code, { message: error.message });
+  return res.status(response.code).json(response);
+};
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { createErrorResponse } = require('../services/errorHandler');
+const { validateTiltQuery, evaluateTilt, summarizeTilt } = require('../services/tiltDetection');
+
+const router = express.Router();
+
+// Tilt score per session with the trades that raised it (from/to narrow the range, default 30 days)
+router.get('/behavior/tilt',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const range = validateTiltQuery(req.query);
+      const { settings, current, sessions } = await evaluateTilt(repos, range);
+
+      res.json({
+        success: true,
+        data: {
+          range,
+          settings,
+          current,
+          summary: summarizeTilt(sessions),
+          sessions
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_ANALYTICS_QUERY') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Tilt history error:', error);
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { getCoachingEffectiveness } = require('../services/coachingEffectiveness');
+
+const router = express.Router();
+
+// Advice given on executions and whether the behavior it targets changed over the following executions
+router.get('/coaching/effectiveness',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const effectiveness = await getCoachingEffectiveness(repos);
+
+      res.json({
+        success: true,
+        data: effectiveness
+      });
+
+    } catch (error) {
+      console.error('Coaching effectiveness error:', error);
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
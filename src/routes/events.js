@@ -0,0 +1,86 @@
+const express = require('express');
+const { requireScope } = require('../middleware/auth');
+const { EVENT_TYPES, subscribe, getEventsSince } = require('../services/eventBus');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 25000;
+const RECONNECT_DELAY = 5000;
+
+// Server-Sent Events stream of the caller's analysis progress, risk alerts and balance updates.
+// Reconnecting clients send Last-Event-ID (or ?last_event_id=) to receive missed events.
+router.get('/events', requireScope('events:read'), (req, res) => {
+  const validTypes = Object.values(EVENT_TYPES);
+  const requestedTypes = req.query.types
+    ? req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+    : validTypes;
+
+  const invalidTypes = requestedTypes.filter(type => !validTypes.includes(type));
+  if (invalidTypes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid event type(s): ${invalidTypes.join(', ')}. Expected: ${validTypes.join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  const sendEvent = (event) => {
+    if (event.user_id !== req.user.id || !requestedTypes.includes(event.type)) return;
+    res.write(formatEvent(event));
+  };
+
+  // Subscribe before replaying so nothing published in between is lost
+  const pending = [];
+  let replaying = true;
+  const unsubscribe = subscribe((event) => {
+    if (replaying) pending.push(event);
+    else sendEvent(event);
+  });
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+  let replayedUpTo = 0;
+
+  if (!Number.isNaN(lastEventId)) {
+    const { events, missed } = getEventsSince(lastEventId);
+
+    if (missed) {
+      // Events were dropped from the buffer (or the server restarted) - client should refetch state
+      res.write(`event: resync\ndata: ${JSON.stringify({ last_event_id: lastEventId })}\n\n`);
+    }
+
+    events.forEach(sendEvent);
+    replayedUpTo = events.length > 0 ? events[events.length - 1].id : lastEventId;
+  }
+
+  pending.filter(event => event.id > replayedUpTo).forEach(sendEvent);
+  replaying = false;
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Helper functions
+const formatEvent = (event) => {
+  const payload = {
+    ...event.data,
+    timestamp: event.timestamp
+  };
+
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+};
+
+module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { getDatabase, getWeekNumber } = require('../models/database');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { convertScoreToGrade } = require('../utils/grades');
+const { createScreenshotUrl } = require('../services/screenshotUrls');
 
 const router = express.Router();
 
 // Get trade history with pagination and filtering
-router.get('/trades/history', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/history', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
 
   try {
     const {
@@ -19,78 +22,12 @@ router.get('/trades/history', asyncHandler(async (req, res) => {
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build filter conditions
-    let whereConditions = ['1=1']; // Always true base condition
-    let queryParams = [];
-
-    if (pattern !== 'all') {
-      whereConditions.push('pattern_type LIKE ?');
-      queryParams.push(`%${pattern}%`);
-    }
-
-    if (result !== 'all') {
-      if (result === 'win') {
-        whereConditions.push('actual_pnl > 0');
-      } else if (result === 'loss') {
-        whereConditions.push('actual_pnl < 0');
-      }
-    }
-
-    if (date_range !== 'all') {
-      whereConditions.push("timestamp >= datetime('now', '-' || ? || ' days')");
-      queryParams.push(parseInt(date_range));
-    }
-
-    const whereClause = whereConditions.join(' AND ');
-
-    // Get total count for pagination
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM trades
-      WHERE ${whereClause}
-    `;
-
-    const totalResult = await new Promise((resolve, reject) => {
-      db.get(countQuery, queryParams, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get paginated trades
-    const tradesQuery = `
-      SELECT
-        id,
-        date(timestamp) as date,
-        pattern_type as pattern,
-        CASE
-          WHEN actual_pnl > 0 THEN 'Win'
-          WHEN actual_pnl < 0 THEN 'Loss'
-          WHEN actual_pnl = 0 THEN 'Breakeven'
-          ELSE 'Pending'
-        END as result,
-        actual_pnl as pnl,
-        risk_reward_ratio,
-        CASE WHEN linked_execution_id IS NOT NULL THEN 1 ELSE 0 END as has_execution_analysis,
-        1 as has_setup_analysis,
-        setup_quality,
-        confidence_score,
-        recommendation,
-        trading_style,
-        timeframes_used
-      FROM trades
-      WHERE ${whereClause}
-      ORDER BY timestamp DESC
-      LIMIT ? OFFSET ?
-    `;
-
-    queryParams.push(parseInt(limit), offset);
-
-    const trades = await new Promise((resolve, reject) => {
-      db.all(tradesQuery, queryParams, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
+    const { trades, total } = await repos.trades.findHistory({
+      pattern: pattern !== 'all' ? pattern : null,
+      result: result,
+      sinceDays: date_range !== 'all' ? parseInt(date_range) : null,
+      limit: parseInt(limit),
+      offset: offset
     });
 
     // Format trades for frontend
@@ -110,7 +47,7 @@ router.get('/trades/history', asyncHandler(async (req, res) => {
       timeframes: trade.timeframes_used ? trade.timeframes_used.split(',') : []
     }));
 
-    const totalTrades = totalResult.total;
+    const totalTrades = total;
     const totalPages = Math.ceil(totalTrades / parseInt(limit));
     const currentPage = parseInt(page);
 
@@ -132,31 +69,16 @@ router.get('/trades/history', asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Trade history error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
 // Get individual trade setup analysis
-router.get('/trades/:tradeId/setup-analysis', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/:tradeId/setup-analysis', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
   const { tradeId } = req.params;
 
   try {
-    const trade = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT t.*,
-               GROUP_CONCAT(sa.timeframe_label) as available_timeframes,
-               sa.screenshot_path as primary_screenshot
-        FROM trades t
-        LEFT JOIN screenshot_analysis sa ON t.id = sa.trade_id
-        WHERE t.id = ?
-        GROUP BY t.id
-      `, [tradeId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const trade = await repos.trades.findWithScreenshotSummary(tradeId);
 
     if (!trade) {
       return res.status(404).json({
@@ -168,20 +90,11 @@ router.get('/trades/:tradeId/setup-analysis', asyncHandler(async (req, res) => {
     }
 
     // Get screenshot paths
-    const screenshots = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT timeframe_label, screenshot_path
-        FROM screenshot_analysis
-        WHERE trade_id = ?
-      `, [tradeId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const screenshots = await repos.trades.findScreenshotPaths(tradeId);
 
     const screenshotPaths = {};
     screenshots.forEach(screenshot => {
-      screenshotPaths[screenshot.timeframe_label] = `/uploads/${screenshot.screenshot_path.replace(/\\/g, '/')}`;
+      screenshotPaths[screenshot.timeframe_label] = createScreenshotUrl(screenshot.screenshot_path);
     });
 
     // Build frontend-compatible response
@@ -235,28 +148,17 @@ router.get('/trades/:tradeId/setup-analysis', asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Setup analysis error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
 // Get individual trade execution analysis
-router.get('/trades/:tradeId/execution-analysis', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/:tradeId/execution-analysis', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
   const { tradeId } = req.params;
 
   try {
     // Get execution trade (linked trade)
-    const executionTrade = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT * FROM trades
-        WHERE trade_phase = 'execution' AND linked_execution_id = ?
-           OR (id = ? AND linked_execution_id IS NOT NULL)
-      `, [tradeId, tradeId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const executionTrade = await repos.trades.findExecutionByTradeId(tradeId);
 
     if (!executionTrade) {
       return res.status(404).json({
@@ -280,8 +182,7 @@ router.get('/trades/:tradeId/execution-analysis', asyncHandler(async (req, res)
         stop_variance: executionTrade.stop_variance || 0,
         target_variance: executionTrade.target_variance || 0
       },
-      behavioral_observations: executionTrade.behavioral_observations ?
-        JSON.parse(executionTrade.behavioral_observations) :
+      behavioral_observations: executionTrade.behavioral_observations ||
         ['Execution analysis completed'],
       coaching_insights: executionTrade.execution_coaching ?
         executionTrade.execution_coaching.split('\n') :
@@ -297,38 +198,20 @@ router.get('/trades/:tradeId/execution-analysis', asyncHandler(async (req, res)
   } catch (error) {
     console.error('Execution analysis error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
 // EXECUTION ANALYSIS PAGE INTEGRATION
 // GET /api/execution-analysis/{tradeId} - Comprehensive execution analysis for frontend display
-router.get('/execution-analysis/:tradeId', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/execution-analysis/:tradeId', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
   const { tradeId } = req.params;
 
   try {
     // Get both pre-trade and execution records
     const [preTrade, executionTrade] = await Promise.all([
-      new Promise((resolve, reject) => {
-        db.get(`
-          SELECT * FROM trades
-          WHERE id = ? AND trade_phase = 'pre_trade'
-        `, [tradeId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      }),
-      new Promise((resolve, reject) => {
-        db.get(`
-          SELECT * FROM trades
-          WHERE linked_execution_id = ? AND trade_phase = 'execution'
-        `, [tradeId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      })
+      repos.trades.findPreTrade(tradeId),
+      repos.trades.findExecutionFor(tradeId)
     ]);
 
     if (!preTrade || !executionTrade) {
@@ -411,7 +294,7 @@ router.get('/execution-analysis/:tradeId', asyncHandler(async (req, res) => {
         'Execution Timing Protocol: Use 3-2-1 entry confirmation system'
       ],
 
-      execution_screenshot_path: `/uploads/${executionTrade.screenshot_path?.replace(/\\/g, '/')}` || null
+      execution_screenshot_path: createScreenshotUrl(executionTrade.screenshot_path)
     };
 
     res.json({
@@ -422,14 +305,12 @@ router.get('/execution-analysis/:tradeId', asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Comprehensive execution analysis error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
 // Export trade data
-router.get('/trades/export', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/export', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
 
   try {
     const {
@@ -437,40 +318,7 @@ router.get('/trades/export', asyncHandler(async (req, res) => {
       date_range = 90
     } = req.query;
 
-    let whereCondition = '1=1';
-    let queryParams = [];
-
-    if (date_range !== 'all') {
-      whereCondition = "timestamp >= datetime('now', '-' || ? || ' days')";
-      queryParams.push(parseInt(date_range));
-    }
-
-    const trades = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          id,
-          timestamp,
-          pattern_type,
-          setup_quality,
-          risk_reward_ratio,
-          actual_pnl,
-          confidence_score,
-          recommendation,
-          session_timing,
-          trading_style,
-          timeframes_used,
-          risk_amount,
-          entry_quality,
-          stop_placement,
-          target_selection
-        FROM trades
-        WHERE ${whereCondition}
-        ORDER BY timestamp DESC
-      `, queryParams, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const trades = await repos.trades.findForExport(date_range !== 'all' ? parseInt(date_range) : null);
 
     if (format === 'csv') {
       const csvHeaders = [
@@ -524,523 +372,6 @@ router.get('/trades/export', asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Export error:', error);
     throw error;
-  } finally {
-    db.close();
-  }
-}));
-
-// Dashboard data endpoint
-router.get('/dashboard', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    const currentWeek = getWeekNumber(new Date());
-    const currentYear = new Date().getFullYear();
-
-    // Get account balance from latest progress entry
-    const latestProgress = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT account_balance, cumulative_pnl, week_pnl_percentage
-        FROM progress
-        ORDER BY date DESC
-        LIMIT 1
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get today's P&L change
-    const todayPnl = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT COALESCE(SUM(actual_pnl), 0) as today_pnl
-        FROM trades
-        WHERE date(timestamp) = date('now')
-        AND actual_pnl IS NOT NULL
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get this week's progress
-    const weeklyStats = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT
-          COUNT(*) as trades_this_week,
-          COALESCE(SUM(actual_pnl), 0) as week_pnl,
-          COALESCE(AVG(setup_quality), 0) as avg_setup_quality
-        FROM trades
-        WHERE week_number = ? AND year = ?
-      `, [currentWeek, currentYear], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get total trades count
-    const totalTrades = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT COUNT(*) as total
-        FROM trades
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get win rate
-    const winRate = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT
-          COUNT(*) as total_executed,
-          SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) as wins
-        FROM trades
-        WHERE actual_pnl IS NOT NULL
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get recent trades
-    const recentTrades = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          id,
-          timestamp,
-          pattern_type,
-          actual_pnl,
-          setup_quality,
-          recommendation
-        FROM trades
-        ORDER BY timestamp DESC
-        LIMIT 5
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    const accountBalance = latestProgress?.account_balance || 67500;
-    const weeklyPnlDollar = weeklyStats?.week_pnl || 0;
-    const weeklyPnlPercent = (weeklyPnlDollar / accountBalance) * 100;
-    const weeklyTarget = 0.75; // 0.75% weekly target
-    const calculatedWinRate = winRate?.total_executed > 0 ?
-      (winRate.wins / winRate.total_executed) * 100 : 0;
-
-    res.json({
-      success: true,
-      data: {
-        account_balance: accountBalance,
-        today_change: todayPnl?.today_pnl || 0,
-        weekly_progress: {
-          current: Number(weeklyPnlPercent.toFixed(2)),
-          target: weeklyTarget,
-          dollar_change: weeklyPnlDollar
-        },
-        total_trades: totalTrades?.total || 0,
-        this_week_trades: `${weeklyStats?.trades_this_week || 0}/${process.env.MAX_TRADES_PER_WEEK || 3}`,
-        win_rate: Number(calculatedWinRate.toFixed(1)),
-        recent_trades: recentTrades.map(trade => ({
-          id: trade.id,
-          date: new Date(trade.timestamp).toLocaleDateString(),
-          pattern: trade.pattern_type || 'Unknown',
-          pnl: trade.actual_pnl || 0,
-          grade: convertScoreToGrade(trade.setup_quality || 5),
-          recommendation: trade.recommendation || 'WAIT'
-        }))
-      }
-    });
-
-  } catch (error) {
-    console.error('Dashboard error:', error);
-    throw error;
-  } finally {
-    db.close();
-  }
-}));
-
-// Analytics data endpoint
-router.get('/analytics', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    // Get execution score (average setup quality)
-    const executionScore = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT
-          COALESCE(AVG(setup_quality), 0) as current_score,
-          COUNT(*) as total_trades
-        FROM trades
-        WHERE timestamp >= datetime('now', '-30 days')
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get previous month for comparison
-    const previousExecutionScore = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT COALESCE(AVG(setup_quality), 0) as prev_score
-        FROM trades
-        WHERE timestamp BETWEEN datetime('now', '-60 days') AND datetime('now', '-30 days')
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Get pattern success rates
-    const patternSuccess = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          pattern_type,
-          COUNT(*) as total,
-          SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) as wins,
-          ROUND(
-            (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
-          ) as win_rate
-        FROM trades
-        WHERE pattern_type IS NOT NULL
-        AND actual_pnl IS NOT NULL
-        GROUP BY pattern_type
-        HAVING COUNT(*) >= 3
-        ORDER BY win_rate DESC
-        LIMIT 5
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    // Get weekly streak
-    const weeklyStreak = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          week_number,
-          year,
-          SUM(actual_pnl) as week_pnl
-        FROM trades
-        WHERE actual_pnl IS NOT NULL
-        GROUP BY week_number, year
-        ORDER BY year DESC, week_number DESC
-        LIMIT 10
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    // Calculate streak
-    let currentStreak = 0;
-    for (const week of weeklyStreak) {
-      if (week.week_pnl > 0) {
-        currentStreak++;
-      } else {
-        break;
-      }
-    }
-
-    // Get session performance
-    const sessionPerformance = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          session_timing,
-          COUNT(*) as total,
-          COALESCE(AVG(actual_pnl), 0) as avg_pnl,
-          ROUND(AVG(setup_quality), 1) as avg_quality
-        FROM trades
-        WHERE session_timing IS NOT NULL
-        AND timestamp >= datetime('now', '-90 days')
-        GROUP BY session_timing
-        ORDER BY avg_pnl DESC
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    // Get behavioral insights
-    const behavioralInsights = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          recommendation,
-          COUNT(*) as total,
-          COALESCE(AVG(actual_pnl), 0) as avg_pnl,
-          ROUND(AVG(confidence_score), 2) as avg_confidence
-        FROM trades
-        WHERE recommendation IS NOT NULL
-        AND timestamp >= datetime('now', '-60 days')
-        GROUP BY recommendation
-        ORDER BY avg_pnl DESC
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    const currentScore = Math.round(executionScore?.current_score * 10 || 50);
-    const previousScore = Math.round(previousExecutionScore?.prev_score * 10 || 50);
-    const monthlyChange = currentScore - previousScore;
-
-    const bestPattern = patternSuccess[0];
-
-    res.json({
-      success: true,
-      data: {
-        execution_score: {
-          current: currentScore,
-          target: 85,
-          monthly_change: monthlyChange
-        },
-        pattern_success: {
-          best_pattern: bestPattern?.pattern_type || 'No pattern data',
-          win_rate: bestPattern?.win_rate || 0
-        },
-        weekly_streak: currentStreak,
-        pattern_breakdown: patternSuccess.map(pattern => ({
-          pattern: pattern.pattern_type,
-          total_trades: pattern.total,
-          win_rate: pattern.win_rate,
-          wins: pattern.wins
-        })),
-        session_performance: sessionPerformance.map(session => ({
-          session: session.session_timing,
-          avg_pnl: Number(session.avg_pnl.toFixed(2)),
-          avg_quality: session.avg_quality,
-          total_trades: session.total
-        })),
-        behavioral_insights: behavioralInsights.map(insight => ({
-          recommendation_type: insight.recommendation,
-          total_trades: insight.total,
-          avg_pnl: Number(insight.avg_pnl.toFixed(2)),
-          avg_confidence: insight.avg_confidence,
-          success_rate: insight.avg_pnl > 0 ? 'Positive' : 'Negative'
-        }))
-      }
-    });
-
-  } catch (error) {
-    console.error('Analytics error:', error);
-    throw error;
-  } finally {
-    db.close();
-  }
-}));
-
-// Helper function to convert numeric score to letter grade
-const convertScoreToGrade = (score) => {
-  if (score >= 9.5) return 'A+';
-  if (score >= 9) return 'A';
-  if (score >= 8.5) return 'A-';
-  if (score >= 8) return 'B+';
-  if (score >= 7.5) return 'B';
-  if (score >= 7) return 'B-';
-  if (score >= 6.5) return 'C+';
-  if (score >= 6) return 'C';
-  if (score >= 5.5) return 'C-';
-  if (score >= 5) return 'D';
-  return 'F';
-};
-
-// Settings management endpoints
-router.get('/settings', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    // Get user settings from database (with defaults)
-    const settings = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT * FROM user_settings
-        WHERE id = 1
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    // Default settings structure
-    const defaultSettings = {
-      trading_settings: {
-        default_instrument: 'MNQ',
-        default_trading_style: 'mnq_scalping',
-        session_preferences: {
-          preferred_sessions: ['opening', 'mid_morning'],
-          avoid_lunch_hours: true
-        },
-        weekly_target_percentage: 0.75,
-        max_trades_per_week: 3
-      },
-      risk_management: {
-        max_risk_per_trade: 50,
-        account_size: 67500,
-        max_daily_loss: 150,
-        position_size_model: 'fixed_dollar',
-        enable_session_risk_adjustment: true
-      },
-      analysis_preferences: {
-        primary_timeframe_preference: 'ultra_short',
-        require_confluence_timeframes: true,
-        min_confidence_threshold: 0.6,
-        enable_mnq_specialization: true
-      },
-      notification_settings: {
-        enable_trade_alerts: true,
-        enable_weekly_summaries: true,
-        enable_pattern_reminders: false
-      },
-      display_preferences: {
-        default_chart_layout: 'multi_timeframe',
-        show_risk_metrics: true,
-        compact_trade_history: false,
-        theme: 'dark'
-      }
-    };
-
-    // Merge stored settings with defaults
-    let userSettings = defaultSettings;
-    if (settings?.settings_json) {
-      try {
-        const storedSettings = JSON.parse(settings.settings_json);
-        userSettings = {
-          ...defaultSettings,
-          ...storedSettings,
-          trading_settings: { ...defaultSettings.trading_settings, ...storedSettings.trading_settings },
-          risk_management: { ...defaultSettings.risk_management, ...storedSettings.risk_management },
-          analysis_preferences: { ...defaultSettings.analysis_preferences, ...storedSettings.analysis_preferences },
-          notification_settings: { ...defaultSettings.notification_settings, ...storedSettings.notification_settings },
-          display_preferences: { ...defaultSettings.display_preferences, ...storedSettings.display_preferences }
-        };
-      } catch (error) {
-        console.warn('Failed to parse stored settings, using defaults:', error);
-      }
-    }
-
-    res.json({
-      success: true,
-      data: {
-        settings: userSettings,
-        last_updated: settings?.updated_at || null
-      }
-    });
-
-  } catch (error) {
-    console.error('Settings retrieval error:', error);
-    throw error;
-  } finally {
-    db.close();
-  }
-}));
-
-router.put('/settings', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    const { settings } = req.body;
-
-    if (!settings || typeof settings !== 'object') {
-      return res.status(400).json({
-        success: false,
-        error: 'INVALID_SETTINGS_FORMAT',
-        message: 'Settings object is required',
-        code: 400
-      });
-    }
-
-    // Validate critical settings
-    if (settings.risk_management) {
-      const { max_risk_per_trade, account_size } = settings.risk_management;
-
-      if (max_risk_per_trade && (max_risk_per_trade < 1 || max_risk_per_trade > 500)) {
-        return res.status(400).json({
-          success: false,
-          error: 'INVALID_RISK_AMOUNT',
-          message: 'Max risk per trade must be between $1 and $500',
-          code: 400
-        });
-      }
-
-      if (account_size && account_size < 1000) {
-        return res.status(400).json({
-          success: false,
-          error: 'INVALID_ACCOUNT_SIZE',
-          message: 'Account size must be at least $1,000',
-          code: 400
-        });
-      }
-    }
-
-    if (settings.trading_settings?.weekly_target_percentage) {
-      const target = settings.trading_settings.weekly_target_percentage;
-      if (target < 0.1 || target > 10) {
-        return res.status(400).json({
-          success: false,
-          error: 'INVALID_WEEKLY_TARGET',
-          message: 'Weekly target must be between 0.1% and 10%',
-          code: 400
-        });
-      }
-    }
-
-    // Prepare settings for storage
-    const settingsJson = JSON.stringify(settings);
-    const timestamp = new Date().toISOString();
-
-    // Insert or update settings
-    await new Promise((resolve, reject) => {
-      db.run(`
-        INSERT OR REPLACE INTO user_settings (id, settings_json, updated_at)
-        VALUES (1, ?, ?)
-      `, [settingsJson, timestamp], function(err) {
-        if (err) reject(err);
-        else resolve(this);
-      });
-    });
-
-    // Return updated settings
-    res.json({
-      success: true,
-      data: {
-        settings: settings,
-        message: 'Settings updated successfully',
-        last_updated: timestamp
-      }
-    });
-
-  } catch (error) {
-    console.error('Settings update error:', error);
-    throw error;
-  } finally {
-    db.close();
-  }
-}));
-
-// Reset settings to defaults
-router.post('/settings/reset', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    await new Promise((resolve, reject) => {
-      db.run(`DELETE FROM user_settings WHERE id = 1`, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-
-    res.json({
-      success: true,
-      data: {
-        message: 'Settings reset to defaults successfully'
-      }
-    });
-
-  } catch (error) {
-    console.error('Settings reset error:', error);
-    throw error;
-  } finally {
-    db.close();
   }
 }));
 
@@ -1241,37 +572,17 @@ const getWeakestArea = (executionTrade) => {
 // SCREENSHOT MANAGEMENT SYSTEM
 
 // Get primary screenshot for display
-router.get('/trades/:tradeId/screenshots/primary', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/:tradeId/screenshots/primary', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
   const { tradeId } = req.params;
 
   try {
     // Get screenshot metadata
-    const primaryScreenshot = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT sa.*, t.screenshots_metadata
-        FROM trades t
-        LEFT JOIN screenshot_analysis sa ON t.id = sa.trade_id AND sa.is_primary = 1
-        WHERE t.id = ?
-      `, [tradeId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const primaryScreenshot = await repos.trades.findPrimaryScreenshot(tradeId);
 
     if (!primaryScreenshot || !primaryScreenshot.screenshot_path) {
       // Try to get any screenshot as fallback
-      const fallbackScreenshot = await new Promise((resolve, reject) => {
-        db.get(`
-          SELECT screenshot_path, timeframe_label FROM screenshot_analysis
-          WHERE trade_id = ?
-          ORDER BY created_at ASC
-          LIMIT 1
-        `, [tradeId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+      const fallbackScreenshot = await repos.trades.findFirstScreenshot(tradeId);
 
       if (!fallbackScreenshot) {
         return res.status(404).json({
@@ -1287,19 +598,11 @@ router.get('/trades/:tradeId/screenshots/primary', asyncHandler(async (req, res)
       primaryScreenshot.timeframe_label = fallbackScreenshot.timeframe_label;
     }
 
-    // Parse metadata if available
-    let metadata = {};
-    try {
-      if (primaryScreenshot.screenshots_metadata) {
-        metadata = JSON.parse(primaryScreenshot.screenshots_metadata);
-      }
-    } catch (error) {
-      console.warn('Failed to parse screenshot metadata:', error);
-    }
+    const metadata = primaryScreenshot.screenshots_metadata || {};
 
     const screenshotData = {
       timeframe: primaryScreenshot.timeframe_label || 'unknown',
-      file_path: `/uploads/${primaryScreenshot.screenshot_path.replace(/\\/g, '/')}`,
+      file_path: createScreenshotUrl(primaryScreenshot.screenshot_path),
       is_primary: true,
       upload_timestamp: primaryScreenshot.created_at || new Date().toISOString(),
       metadata: {
@@ -1318,30 +621,17 @@ router.get('/trades/:tradeId/screenshots/primary', asyncHandler(async (req, res)
   } catch (error) {
     console.error('Primary screenshot error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
 // Get all screenshots for modal display
-router.get('/trades/:tradeId/screenshots/all', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/:tradeId/screenshots/all', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
   const { tradeId } = req.params;
 
   try {
     // Get all screenshots for the trade
-    const screenshots = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT sa.*, t.screenshots_metadata
-        FROM screenshot_analysis sa
-        JOIN trades t ON t.id = sa.trade_id
-        WHERE sa.trade_id = ?
-        ORDER BY sa.is_primary DESC, sa.timeframe_priority ASC, sa.created_at ASC
-      `, [tradeId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const screenshots = await repos.trades.findScreenshots(tradeId);
 
     if (screenshots.length === 0) {
       return res.status(404).json({
@@ -1352,15 +642,7 @@ router.get('/trades/:tradeId/screenshots/all', asyncHandler(async (req, res) =>
       });
     }
 
-    // Parse metadata
-    let globalMetadata = {};
-    try {
-      if (screenshots[0].screenshots_metadata) {
-        globalMetadata = JSON.parse(screenshots[0].screenshots_metadata);
-      }
-    } catch (error) {
-      console.warn('Failed to parse global screenshot metadata:', error);
-    }
+    const globalMetadata = screenshots[0].screenshots_metadata || {};
 
     // Determine primary timeframe using selection logic
     const timeframeLabels = screenshots.map(s => s.timeframe_label);
@@ -1371,7 +653,7 @@ router.get('/trades/:tradeId/screenshots/all', asyncHandler(async (req, res) =>
       total_screenshots: screenshots.length,
       timeframe_data: screenshots.reduce((acc, screenshot) => {
         acc[screenshot.timeframe_label] = {
-          file_path: `/uploads/${screenshot.screenshot_path.replace(/\\/g, '/')}`,
+          file_path: createScreenshotUrl(screenshot.screenshot_path),
           upload_timestamp: screenshot.created_at,
           is_primary: screenshot.timeframe_label === primaryTimeframe,
           timeframe_category: screenshot.timeframe_category || 'unknown',
@@ -1379,7 +661,7 @@ router.get('/trades/:tradeId/screenshots/all', asyncHandler(async (req, res) =>
           analysis_data: {
             pattern_identified: screenshot.pattern_identified || null,
             trend_direction: screenshot.trend_direction || null,
-            key_levels: screenshot.key_levels ? JSON.parse(screenshot.key_levels) : [],
+            key_levels: screenshot.key_levels || [],
             volume_analysis: screenshot.volume_analysis || null,
             confluence_score: screenshot.confluence_score || null,
             individual_analysis: screenshot.individual_analysis || null
@@ -1401,27 +683,17 @@ router.get('/trades/:tradeId/screenshots/all', asyncHandler(async (req, res) =>
   } catch (error) {
     console.error('All screenshots error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
 // Generate thumbnail for performance
-router.get('/trades/:tradeId/screenshots/:timeframe/thumbnail', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/trades/:tradeId/screenshots/:timeframe/thumbnail', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
   const { tradeId, timeframe } = req.params;
 
   try {
     // Get screenshot path
-    const screenshot = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT screenshot_path FROM screenshot_analysis
-        WHERE trade_id = ? AND timeframe_label = ?
-      `, [tradeId, timeframe], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const screenshot = await repos.trades.findScreenshot(tradeId, timeframe);
 
     if (!screenshot) {
       return res.status(404).json({
@@ -1434,7 +706,7 @@ router.get('/trades/:tradeId/screenshots/:timeframe/thumbnail', asyncHandler(asy
 
     // For now, return the original image path
     // In a production environment, you would generate actual thumbnails
-    const thumbnailPath = `/uploads/${screenshot.screenshot_path.replace(/\\/g, '/')}`;
+    const thumbnailPath = createScreenshotUrl(screenshot.screenshot_path);
 
     res.json({
       success: true,
@@ -1449,8 +721,6 @@ router.get('/trades/:tradeId/screenshots/:timeframe/thumbnail', asyncHandler(asy
   } catch (error) {
     console.error('Thumbnail error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
@@ -1472,6 +742,9 @@ const selectPrimaryTimeframe = (timeframes) => {
 // Simple in-memory session store (in production, use Redis or database)
 const sessionStore = new Map();
 
+// Sessions are namespaced by account so one trader cannot read another's navigation
+const getSessionKey = (req, sessionId) => `${req.user.id}:${sessionId}`;
+
 // Track navigation context
 router.post('/navigation/track', asyncHandler(async (req, res) => {
   const {
@@ -1483,7 +756,7 @@ router.post('/navigation/track', asyncHandler(async (req, res) => {
 
   try {
     // Get existing session data
-    let sessionData = sessionStore.get(user_session) || {
+    let sessionData = sessionStore.get(getSessionKey(req, user_session)) || {
       navigation_stack: [],
       page_contexts: {}
     };
@@ -1513,7 +786,7 @@ router.post('/navigation/track', asyncHandler(async (req, res) => {
     sessionData.last_activity = new Date().toISOString();
 
     // Store updated session
-    sessionStore.set(user_session, sessionData);
+    sessionStore.set(getSessionKey(req, user_session), sessionData);
 
     res.json({
       success: true,
@@ -1538,7 +811,7 @@ router.post('/navigation/back', asyncHandler(async (req, res) => {
 
   try {
     // Get session data
-    const sessionData = sessionStore.get(user_session) || {
+    const sessionData = sessionStore.get(getSessionKey(req, user_session)) || {
       navigation_stack: [],
       page_contexts: {}
     };
@@ -1554,7 +827,7 @@ router.post('/navigation/back', asyncHandler(async (req, res) => {
       restoreContext = sessionData.page_contexts[redirectTo] || {};
 
       // Update session
-      sessionStore.set(user_session, sessionData);
+      sessionStore.set(getSessionKey(req, user_session), sessionData);
     }
 
     res.json({
@@ -1577,7 +850,7 @@ router.get('/navigation/state/:sessionId?', asyncHandler(async (req, res) => {
   const sessionId = req.params.sessionId || 'default';
 
   try {
-    const sessionData = sessionStore.get(sessionId) || {
+    const sessionData = sessionStore.get(getSessionKey(req, sessionId)) || {
       navigation_stack: [],
       page_contexts: {},
       current_page: '/',
@@ -1606,7 +879,7 @@ router.delete('/navigation/session/:sessionId?', asyncHandler(async (req, res) =
   const sessionId = req.params.sessionId || 'default';
 
   try {
-    sessionStore.delete(sessionId);
+    sessionStore.delete(getSessionKey(req, sessionId));
 
     res.json({
       success: true,
@@ -1624,210 +897,13 @@ router.delete('/navigation/session/:sessionId?', asyncHandler(async (req, res) =
 
 // ENHANCED ANALYTICS WITH BEHAVIORAL INSIGHTS
 
-// Pattern breakdown chart data
-router.get('/analytics/pattern-breakdown', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    const patterns = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          pattern_type,
-          COUNT(*) as total_trades,
-          ROUND(
-            (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
-          ) as win_rate,
-          ROUND(AVG(risk_reward_ratio), 2) as avg_rr,
-          AVG(actual_pnl) as avg_pnl,
-          COUNT(CASE WHEN timestamp >= datetime('now', '-30 days') THEN 1 END) as recent_trades,
-          (
-            SELECT ROUND(
-              (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
-            )
-            FROM trades t2
-            WHERE t2.pattern_type = trades.pattern_type
-            AND t2.timestamp >= datetime('now', '-30 days')
-            AND t2.actual_pnl IS NOT NULL
-          ) as recent_win_rate,
-          ROUND(AVG(CASE WHEN timestamp >= datetime('now', '-30 days') THEN
-            (julianday(timestamp) - julianday(LAG(timestamp) OVER (ORDER BY timestamp))) * 24 * 60
-          END), 0) as avg_hold_time_minutes
-        FROM trades
-        WHERE pattern_type IS NOT NULL
-        AND actual_pnl IS NOT NULL
-        GROUP BY pattern_type
-        HAVING total_trades >= 3
-        ORDER BY win_rate DESC, total_trades DESC
-        LIMIT 10
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    const formattedPatterns = patterns.map(pattern => {
-      const recentPerformance = pattern.recent_win_rate > pattern.win_rate ? 'improving' :
-                               pattern.recent_win_rate < pattern.win_rate ? 'declining' : 'stable';
-
-      return {
-        name: pattern.pattern_type,
-        win_rate: pattern.win_rate,
-        total_trades: pattern.total_trades,
-        avg_rr: pattern.avg_rr || 2.0,
-        recent_performance: recentPerformance,
-        hover_details: {
-          last_30_days: pattern.recent_trades,
-          success_rate_trend: pattern.recent_win_rate ?
-            `${pattern.recent_win_rate > pattern.win_rate ? '+' : ''}${(pattern.recent_win_rate - pattern.win_rate).toFixed(1)}%` : 'N/A',
-          avg_hold_time: `${pattern.avg_hold_time_minutes || 15} minutes`,
-          avg_pnl: pattern.avg_pnl ? `$${pattern.avg_pnl.toFixed(0)}` : '$0'
-        }
-      };
-    });
-
-    res.json({
-      success: true,
-      data: {
-        patterns: formattedPatterns
-      }
-    });
-
-  } catch (error) {
-    console.error('Pattern breakdown error:', error);
-    throw error;
-  } finally {
-    db.close();
-  }
-}));
-
-// Session performance with detailed breakdown
-router.get('/analytics/session-performance', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-
-  try {
-    const sessions = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          session_timing,
-          COUNT(*) as total_trades,
-          ROUND(
-            (SUM(CASE WHEN actual_pnl > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*)), 1
-          ) as win_rate,
-          ROUND(AVG(actual_pnl), 0) as avg_pnl,
-          ROUND(AVG(setup_quality), 1) as avg_quality,
-          ROUND(AVG(risk_reward_ratio), 2) as risk_adjusted_return,
-          (
-            CASE
-              WHEN session_timing = 'optimal' OR session_timing = 'good' THEN 'optimal'
-              WHEN session_timing = 'fair' OR session_timing = 'acceptable' THEN 'moderate'
-              ELSE 'poor'
-            END
-          ) as market_conditions
-        FROM trades
-        WHERE session_timing IS NOT NULL
-        AND actual_pnl IS NOT NULL
-        AND timestamp >= datetime('now', '-90 days')
-        GROUP BY session_timing
-        ORDER BY avg_pnl DESC
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    // Get pattern distribution for each session
-    const sessionPatterns = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          session_timing,
-          pattern_type,
-          COUNT(*) as pattern_count
-        FROM trades
-        WHERE session_timing IS NOT NULL
-        AND pattern_type IS NOT NULL
-        AND timestamp >= datetime('now', '-90 days')
-        GROUP BY session_timing, pattern_type
-        ORDER BY session_timing, pattern_count DESC
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-
-    // Map time windows
-    const timeWindowMap = {
-      'optimal': '9:30-10:15 AM',
-      'good': '10:15-11:30 AM',
-      'fair': '11:30-1:00 PM',
-      'acceptable': '1:00-3:00 PM',
-      'poor': 'Extended Hours'
-    };
-
-    const formattedSessions = sessions.map(session => {
-      const patterns = sessionPatterns
-        .filter(sp => sp.session_timing === session.session_timing)
-        .reduce((acc, sp) => {
-          acc[sp.pattern_type] = sp.pattern_count;
-          return acc;
-        }, {});
-
-      return {
-        time_window: timeWindowMap[session.session_timing] || 'Unknown',
-        session_timing: session.session_timing,
-        win_rate: session.win_rate,
-        total_trades: session.total_trades,
-        avg_pnl: session.avg_pnl,
-        risk_adjusted_return: session.risk_adjusted_return || 2.0,
-        market_conditions: session.market_conditions,
-        detailed_breakdown: {
-          pattern_distribution: patterns,
-          execution_quality: {
-            avg_setup_quality: session.avg_quality,
-            quality_grade: convertScoreToGrade(session.avg_quality)
-          }
-        }
-      };
-    });
-
-    res.json({
-      success: true,
-      data: {
-        sessions: formattedSessions
-      }
-    });
-
-  } catch (error) {
-    console.error('Session performance error:', error);
-    throw error;
-  } finally {
-    db.close();
-  }
-}));
-
 // Real-time behavioral pattern analysis
-router.get('/analytics/behavioral-insights', asyncHandler(async (req, res) => {
-  const db = getDatabase();
+router.get('/analytics/behavioral-insights', requireScope('analytics:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
 
   try {
     // Analyze behavioral patterns from trade data
-    const behavioralData = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT
-          t.*,
-          (t.actual_entry - COALESCE(t.planned_entry, t.actual_entry)) as entry_variance,
-          (t.actual_stop - COALESCE(t.planned_stop, t.actual_stop)) as stop_variance,
-          (t.actual_target - COALESCE(t.planned_target, t.actual_target)) as target_variance,
-          CASE WHEN t.timestamp >= datetime('now', '-30 days') THEN 1 ELSE 0 END as is_recent
-        FROM trades t
-        WHERE t.trade_phase = 'execution'
-        AND t.actual_pnl IS NOT NULL
-        ORDER BY t.timestamp DESC
-        LIMIT 100
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const behavioralData = await repos.trades.findRecentExecutions(100);
 
     // Calculate behavioral patterns
     const patterns = [];
@@ -1907,8 +983,6 @@ router.get('/analytics/behavioral-insights', asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Behavioral insights error:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }));
 
@@ -0,0 +1,171 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { getActivePlan, validateGoalPlan, getMilestones } = require('../services/goalPlans');
+const { createErrorResponse } = require('../services/errorHandler');
+
+const router = express.Router();
+
+// List the caller's goal plans
+router.get('/goals', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const plans = await repos.goalPlans.findAll();
+    const activePlan = plans.find(plan => plan.is_active);
+
+    res.json({
+      success: true,
+      data: {
+        plans,
+        active_plan_id: activePlan ? activePlan.id : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Goal plan list error:', error);
+    throw error;
+  }
+}));
+
+// The plan progress is currently measured against (the default plan when none is active)
+router.get('/goals/active', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const plan = await getActivePlan(repos);
+
+    res.json({
+      success: true,
+      data: {
+        ...plan,
+        milestones: getMilestones(plan)
+      }
+    });
+
+  } catch (error) {
+    console.error('Active goal plan error:', error);
+    throw error;
+  }
+}));
+
+router.get('/goals/:planId', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const plan = await repos.goalPlans.findById(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json(createErrorResponse('GOAL_PLAN_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Goal plan lookup error:', error);
+    throw error;
+  }
+}));
+
+// Create a plan. It becomes the active plan unless is_active is false.
+router.post('/goals', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const plan = { id: uuidv4(), ...validateGoalPlan(req.body) };
+
+    await repos.transaction(async () => {
+      await repos.goalPlans.create(plan);
+      if (req.body.is_active !== false) {
+        await repos.goalPlans.activate(plan.id);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal plan created',
+      data: await repos.goalPlans.findById(plan.id)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_GOAL_PLAN') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Goal plan creation error:', error);
+    throw error;
+  }
+}));
+
+// Update a plan; is_active true makes it the active plan, false deactivates it
+router.put('/goals/:planId', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+  const { planId } = req.params;
+
+  try {
+    const current = await repos.goalPlans.findById(planId);
+
+    if (!current) {
+      return res.status(404).json(createErrorResponse('GOAL_PLAN_NOT_FOUND'));
+    }
+
+    // A new horizon replaces the stored end date
+    const merged = { ...current, ...req.body };
+    if (req.body.horizon_years !== undefined && req.body.end_date === undefined) {
+      delete merged.end_date;
+    }
+    const plan = validateGoalPlan(merged);
+
+    await repos.transaction(async () => {
+      await repos.goalPlans.update(planId, plan);
+
+      if (req.body.is_active === true) {
+        await repos.goalPlans.activate(planId);
+      } else if (req.body.is_active === false) {
+        await repos.goalPlans.deactivate(planId);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Goal plan updated',
+      data: await repos.goalPlans.findById(planId)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_GOAL_PLAN') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Goal plan update error:', error);
+    throw error;
+  }
+}));
+
+router.delete('/goals/:planId', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const result = await repos.goalPlans.delete(req.params.planId);
+
+    if (result.changes === 0) {
+      return res.status(404).json(createErrorResponse('GOAL_PLAN_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Goal plan deleted'
+    });
+
+  } catch (error) {
+    console.error('Goal plan deletion error:', error);
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { statementUpload } = require('../middleware/upload');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { getWeekNumber } = require('../models/database');
+const { createRepositories } = require('../repositories');
+const {
+  parseFillStatement,
+  buildRoundTrips,
+  matchRoundTripsToPreTrades,
+  classifyOutcome
+} = require('../services/fillImport');
+const { getInstrumentMap } = require('../services/instruments');
+const { toTradeLedgerDate } = require('../services/ledger');
+const { refreshPatternConfidence } = require('../services/patternConfidence');
+const { refreshPatternRegimes } = require('../services/patternRegimes');
+const { evaluateRiskState } = require('../services/riskState');
+const { evaluateTilt } = require('../services/tiltDetection');
+const { checkTradingRules, recordRuleViolations } = require('../services/tradingRules');
+
+const router = express.Router();
+
+// Import broker fills (CSV upload or raw CSV text) into executed trades
+router.post('/imports/fills',
+  requireScope('trades:write'),
+  statementUpload.any(),
+  asyncHandler(async (req, res) => {
+    const file = req.files && req.files[0];
+    const csvText = file ? file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText || !csvText.toString().trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'No statement provided. Upload a CSV file or send its contents in the "csv" field.'
+      });
+    }
+
+    const options = parseImportOptions(req.body);
+    const repos = createRepositories(req.user.id);
+
+    // Point values, commissions and symbol roots come from the user's instrument registry
+    const instruments = await getInstrumentMap(repos);
+
+    let statement;
+    try {
+      statement = parseFillStatement(csvText.toString(), {
+        broker: options.broker,
+        utcOffsetMinutes: options.utc_offset_minutes,
+        instruments
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const { roundTrips, openPositions, unknownSymbols } = buildRoundTrips(statement.fills, {
+      commissionPerContract: options.commission_per_contract,
+      instruments
+    });
+
+    // Without a registered point value the P&L is a guess, so those round trips wait for confirmation
+    const warnings = [...statement.warnings, ...unknownSymbols.map(symbol => (options.allow_unknown_instruments
+      ? `${symbol} is not in the instrument registry; its round trips were priced at $1 per point`
+      : `${symbol} is not in the instrument registry, so its round trips were not imported. Register it with `
+        + 'POST /api/instruments, or send allow_unknown_instruments=true to price them at $1 per point'))];
+    const isPriced = (roundTrip) => roundTrip.point_value_known || options.allow_unknown_instruments;
+
+    try {
+      const existing = await repos.trades.findImportedFingerprints(roundTrips.map(rt => rt.fingerprint));
+      const freshRoundTrips = roundTrips.filter(rt => !existing.has(rt.fingerprint) && isPriced(rt));
+
+      const preTrades = await getOpenPreTrades(repos, freshRoundTrips, options.match_window_minutes);
+      const matches = matchRoundTripsToPreTrades(freshRoundTrips, preTrades, {
+        windowMinutes: options.match_window_minutes
+      });
+
+      const importId = uuidv4();
+      const results = roundTrips.map(roundTrip => {
+        if (existing.has(roundTrip.fingerprint)) {
+          return { ...roundTrip, status: 'duplicate', trade_id: existing.get(roundTrip.fingerprint) };
+        }
+        if (!isPriced(roundTrip)) {
+          return { ...roundTrip, status: 'unknown_instrument', trade_id: null };
+        }
+
+        const match = matches.get(roundTrip.fingerprint);
+        if (match) {
+          return {
+            ...roundTrip,
+            status: 'matched',
+            trade_id: match.trade.id,
+            pattern_type: match.trade.pattern_type,
+            minutes_from_analysis: match.minutes_from_analysis
+          };
+        }
+
+        return { ...roundTrip, status: 'created', trade_id: options.dry_run ? null : uuidv4() };
+      });
+
+      const createdRecords = [];
+
+      if (!options.dry_run) {
+        // A statement is imported completely or not at all
+        await repos.transaction(async () => {
+          for (const result of results) {
+            if (result.status === 'duplicate' || result.status === 'unknown_instrument') continue;
+
+            const match = matches.get(result.fingerprint);
+
+            if (match) {
+              await repos.trades.applyFills(match.trade.id, {
+                actual_entry: result.entry_price,
+                actual_pnl: result.net_pnl,
+                trade_outcome: classifyOutcome(result.net_pnl)
+              });
+              if (result.net_pnl > 0 && match.trade.pattern_type) {
+                await repos.patterns.recordSuccess(match.trade.pattern_type);
+              }
+              await repos.progress.addWeeklyPnl(result.net_pnl, match.trade.week_number, match.trade.year);
+              await repos.ledger.recordTradePnl(match.trade.id, result.net_pnl, toTradeLedgerDate(match.trade.timestamp));
+            } else {
+              const entryTime = new Date(result.entry_time);
+              createdRecords.push(await insertImportedExecution(repos, result, statement.broker, entryTime));
+              await repos.progress.addWeeklyPnl(result.net_pnl, getWeekNumber(entryTime), entryTime.getFullYear());
+              await repos.ledger.recordTradePnl(result.trade_id, result.net_pnl, toTradeLedgerDate(entryTime));
+            }
+
+            await repos.trades.addImportedTrade(importId, statement.broker, result);
+          }
+        });
+        await refreshPatternConfidence(repos);
+        await refreshPatternRegimes(repos);
+
+        console.log(`📥 Fill import ${importId}: ${results.length} round trips from ${statement.broker}`);
+      }
+
+      // New execution records are checked against the trading rules like uploaded ones
+      const ruleViolations = new Map();
+      for (const record of createdRecords) {
+        const validation = await checkTradingRules(repos, record);
+        if (validation.errors.length > 0) {
+          await recordRuleViolations(repos, record, validation.errors);
+          ruleViolations.set(record.id, validation.errors);
+        }
+      }
+
+      // Imported losses count toward today's and this week's limits and the tilt score
+      const riskState = options.dry_run ? null : await evaluateRiskState(repos);
+      const tilt = options.dry_run ? null : await evaluateTilt(repos);
+
+      const countByStatus = (status) => results.filter(result => result.status === status).length;
+
+      res.json({
+        success: true,
+        data: {
+          import_id: options.dry_run ? null : importId,
+          dry_run: options.dry_run,
+          broker: statement.broker,
+          summary: {
+            fills_parsed: statement.fills.length,
+            round_trips: results.length,
+            matched: countByStatus('matched'),
+            created: countByStatus('created'),
+            duplicates: countByStatus('duplicate'),
+            unknown_instrument: countByStatus('unknown_instrument'),
+            open_positions: openPositions.length,
+            net_pnl: Math.round(results
+              .filter(result => result.status === 'matched' || result.status === 'created')
+              .reduce((sum, result) => sum + result.net_pnl, 0) * 100) / 100
+          },
+          round_trips: results.map(result => ({
+            status: result.status,
+            trade_id: result.trade_id,
+            pattern_type: result.pattern_type || null,
+            minutes_from_analysis: result.minutes_from_analysis !== undefined ? result.minutes_from_analysis : null,
+            symbol: result.symbol,
+            account: result.account,
+            direction: result.direction,
+            contracts: result.contracts,
+            entry_price: result.entry_price,
+            exit_price: result.exit_price,
+            entry_time: result.entry_time,
+            exit_time: result.exit_time,
+            point_value: result.point_value,
+            point_value_known: result.point_value_known,
+            commission: result.commission,
+            gross_pnl: result.gross_pnl,
+            net_pnl: result.net_pnl,
+            fingerprint: result.fingerprint,
+            rule_violations: ruleViolations.get(result.trade_id) || []
+          })),
+          open_positions: openPositions,
+          warnings,
+          locked_out: riskState ? riskState.locked : null,
+          lockout: riskState ? riskState.lockout : null,
+          tilt: tilt ? tilt.current : null
+        }
+      });
+
+    } catch (error) {
+      console.error('Fill import error:', error);
+      throw error;
+    }
+  })
+);
+
+// Helper functions
+const parseImportOptions = (body = {}) => {
+  const isTrue = (value) => value === true || value === 'true' || value === '1' || value === 1;
+  const toNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : number;
+  };
+
+  return {
+    broker: body.broker || null,
+    dry_run: isTrue(body.dry_run),
+    allow_unknown_instruments: isTrue(body.allow_unknown_instruments),
+    match_window_minutes: toNumber(body.match_window_minutes, 30),
+    // null reads zone-less fill times as session time (America/New_York)
+    utc_offset_minutes: toNumber(body.utc_offset_minutes, null),
+    // null falls back to each instrument's commission_per_side
+    commission_per_contract: toNumber(body.commission_per_contract, null)
+  };
+};
+
+const getOpenPreTrades = async (repos, roundTrips, windowMinutes) => {
+  if (roundTrips.length === 0) return [];
+
+  const entryTimes = roundTrips.map(rt => new Date(rt.entry_time).getTime());
+  const windowMs = windowMinutes * 60 * 1000;
+  const from = new Date(Math.min(...entryTimes) - windowMs).toISOString();
+  const to = new Date(Math.max(...entryTimes) + windowMs).toISOString();
+
+  return repos.trades.findOpenPreTrades(from, to);
+};
+
+const insertImportedExecution = async (repos, roundTrip, broker, entryTime) => {
+  const record = {
+    id: roundTrip.trade_id,
+    timestamp: roundTrip.entry_time,
+    trade_phase: 'execution',
+    instrument: roundTrip.symbol,
+    executed: 1,
+    actual_entry: roundTrip.entry_price,
+    actual_pnl: roundTrip.net_pnl,
+    trade_outcome: classifyOutcome(roundTrip.net_pnl),
+    ai_commentary: `Imported from ${broker} fills: ${roundTrip.direction} ${roundTrip.contracts} ${roundTrip.symbol} ${roundTrip.entry_price} -> ${roundTrip.exit_price}`,
+    week_number: getWeekNumber(entryTime),
+    year: entryTime.getFullYear()
+  };
+
+  await repos.trades.create(record);
+  return record;
+};
+
+module.exports = router;
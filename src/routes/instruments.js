@@ -0,0 +1,147 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const InstrumentRepository = require('../repositories/instrumentRepository');
+const { validateInstrument } = require('../services/instruments');
+const { createErrorResponse } = require('../services/errorHandler');
+
+const router = express.Router();
+
+// List the built-in registry plus the caller's custom contracts
+router.get('/instruments', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const instruments = await repos.instruments.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        instruments,
+        count: instruments.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Instrument list error:', error);
+    throw error;
+  }
+}));
+
+// Get one contract specification
+router.get('/instruments/:symbol', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const instrument = await repos.instruments.findBySymbol(req.params.symbol);
+
+    if (!instrument) {
+      return res.status(404).json(createErrorResponse('INSTRUMENT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: instrument
+    });
+
+  } catch (error) {
+    console.error('Instrument lookup error:', error);
+    throw error;
+  }
+}));
+
+// Add a custom contract (a built-in symbol may be overridden this way too)
+router.post('/instruments', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const fields = validateInstrument(req.body);
+
+    if (await repos.instruments.findCustomBySymbol(fields.symbol)) {
+      return res.status(409).json(createErrorResponse('INSTRUMENT_ALREADY_EXISTS', { symbol: fields.symbol }));
+    }
+
+    await repos.instruments.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Instrument added',
+      data: await repos.instruments.findBySymbol(fields.symbol)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_INSTRUMENT') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Instrument creation error:', error);
+    throw error;
+  }
+}));
+
+// Update a contract. Changing a built-in creates the caller's own override of it.
+router.put('/instruments/:symbol', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+  const { symbol } = req.params;
+
+  try {
+    const changes = validateInstrument(req.body, { partial: true });
+    const current = await repos.instruments.findBySymbol(symbol);
+
+    if (!current) {
+      return res.status(404).json(createErrorResponse('INSTRUMENT_NOT_FOUND'));
+    }
+
+    // Session bounds are checked together, so validate the merged result as well
+    const merged = {};
+    InstrumentRepository.FIELDS.forEach(field => {
+      merged[field] = changes[field] !== undefined ? changes[field] : current[field];
+    });
+    validateInstrument({ ...merged, symbol: current.symbol });
+
+    if (current.built_in) {
+      await repos.instruments.create({ ...merged, symbol: current.symbol });
+    } else {
+      await repos.instruments.update(symbol, changes);
+    }
+
+    res.json({
+      success: true,
+      message: current.built_in ? 'Built-in instrument overridden for your account' : 'Instrument updated',
+      data: await repos.instruments.findBySymbol(symbol)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_INSTRUMENT') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Instrument update error:', error);
+    throw error;
+  }
+}));
+
+// Remove a custom contract or override (built-ins themselves cannot be deleted)
+router.delete('/instruments/:symbol', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const result = await repos.instruments.delete(req.params.symbol);
+
+    if (result.changes === 0) {
+      return res.status(404).json(createErrorResponse('INSTRUMENT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Instrument removed'
+    });
+
+  } catch (error) {
+    console.error('Instrument deletion error:', error);
+    throw error;
+  }
+}));
+
+module.exports = router;
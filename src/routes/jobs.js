@@ -0,0 +1,111 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { createErrorResponse } = require('../services/errorHandler');
+const { signScreenshotLinks } = require('../services/screenshotUrls');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Get a single analysis job with its progress and, once completed, the analysis result
+router.get('/jobs/:id', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const job = await repos.jobs.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job, { includeResult: true })
+    });
+
+  } catch (error) {
+    console.error('Job status error:', error);
+    throw error;
+  }
+}));
+
+// List analysis jobs, newest first
+router.get('/jobs', requireScope('trades:read'), asyncHandler(async (req, res) => {
+  const { status, type, trade_id } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Expected one of: ${JOB_STATUSES.join(', ')}`
+    });
+  }
+
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const jobs = await repos.jobs.findAll({ status, type, trade_id, limit });
+    const counts = toStatusCounts(await repos.jobs.countByStatus());
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => formatJob(job)),
+        counts,
+        total: jobs.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Job list error:', error);
+    throw error;
+  }
+}));
+
+// Helper functions
+const toStatusCounts = (rows) => {
+  const counts = JOB_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  rows.forEach(row => {
+    counts[row.status] = row.count;
+  });
+  return counts;
+};
+
+const formatJob = (job, options = {}) => {
+  const formatted = {
+    job_id: job.id,
+    job_type: job.job_type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    trade_id: job.trade_id,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    retries: Math.max(0, job.attempts - 1),
+    last_error: job.last_error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    updated_at: job.updated_at
+  };
+
+  if (job.status === 'failed') {
+    formatted.error = createErrorResponse(job.error_code || 'ANALYSIS_FAILED', {
+      details: job.last_error
+    });
+  }
+
+  if (options.includeResult && job.status === 'completed' && job.result) {
+    // Stored results keep plain screenshot links; each read gets freshly signed ones
+    formatted.result = signScreenshotLinks(JSON.parse(job.result));
+  }
+
+  return formatted;
+};
+
+module.exports = router;
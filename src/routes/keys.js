@@ -0,0 +1,84 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireSession } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { API_KEY_SCOPES, createApiKey, clearRateLimit } = require('../services/apiKeys');
+const { createErrorResponse } = require('../services/errorHandler');
+
+const router = express.Router();
+
+// Keys are managed from a logged-in session only
+router.use('/keys', requireSession);
+
+// List the caller's API keys (never their secrets)
+router.get('/keys', asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+  const includeRevoked = req.query.include_revoked === 'true';
+
+  try {
+    const keys = await repos.apiKeys.findAll(includeRevoked);
+
+    res.json({
+      success: true,
+      data: {
+        keys,
+        available_scopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('API key list error:', error);
+    throw error;
+  }
+}));
+
+// Create an API key - the plain-text key is only returned here
+router.post('/keys', asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+  const { name, scopes, rate_limit } = req.body || {};
+
+  try {
+    const apiKey = await createApiKey(repos, { name, scopes, rate_limit });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it will not be shown again',
+      data: apiKey
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_API_KEY_REQUEST') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('API key creation error:', error);
+    throw error;
+  }
+}));
+
+// Revoke an API key
+router.delete('/keys/:keyId', asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+  const { keyId } = req.params;
+
+  try {
+    const result = await repos.apiKeys.revoke(keyId);
+
+    if (result.changes === 0) {
+      return res.status(404).json(createErrorResponse('API_KEY_NOT_FOUND'));
+    }
+
+    clearRateLimit(keyId);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { createErrorResponse } = require('../services/errorHandler');
+const { EVENT_TYPES, publishEvent } = require('../services/eventBus');
+const { getActivePlan } = require('../services/goalPlans');
+const {
+  validateLedgerEntry,
+  validateLedgerQuery,
+  calculateReturns,
+  buildLedgerSnapshots,
+  reconcileBalances
+} = require('../services/ledger');
+
+const router = express.Router();
+
+const LEDGER_ERROR_CODES = ['INVALID_LEDGER_ENTRY', 'INVALID_LEDGER_QUERY'];
+
+router.get('/ledger',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const filters = validateLedgerQuery(req.query);
+      const { entries, total } = await repos.ledger.findPage(filters);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          total,
+          summary: await repos.ledger.getSummary()
+        }
+      });
+
+    } catch (error) {
+      if (LEDGER_ERROR_CODES.includes(error.code)) {
+        return sendLedgerError(res, error);
+      }
+      console.error('Ledger list error:', error);
+      throw error;
+    }
+  })
+);
+
+// Deposits, withdrawals and fees take positive amounts; trade_pnl and adjustment are signed
+router.post('/ledger',
+  requireScope('progress:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const entry = validateLedgerEntry(req.body);
+      const entryId = await repos.ledger.create(entry);
+      const summary = await repos.ledger.getSummary();
+
+      publishEvent(req.user.id, EVENT_TYPES.BALANCE_UPDATE, {
+        balance: summary.balance,
+        ledger_entry_id: entryId,
+        entry_type: entry.entry_type,
+        amount: entry.amount
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Ledger entry recorded',
+        data: {
+          entry: await repos.ledger.findById(entryId),
+          balance: summary.balance
+        }
+      });
+
+    } catch (error) {
+      if (LEDGER_ERROR_CODES.includes(error.code)) {
+        return sendLedgerError(res, error);
+      }
+      console.error('Ledger entry error:', error);
+      throw error;
+    }
+  })
+);
+
+router.delete('/ledger/:entryId',
+  requireScope('progress:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const entry = await repos.ledger.findById(req.params.entryId);
+
+      if (!entry) {
+        return res.status(404).json(createErrorResponse('LEDGER_ENTRY_NOT_FOUND'));
+      }
+
+      // Trade P&L entries follow their trade's recorded outcome
+      if (entry.trade_id) {
+        return sendLedgerError(res, {
+          code: 'INVALID_LEDGER_ENTRY',
+          message: 'This entry is the P&L of a trade; update the trade outcome instead'
+        });
+      }
+
+      await repos.ledger.delete(entry.id);
+      const summary = await repos.ledger.getSummary();
+
+      publishEvent(req.user.id, EVENT_TYPES.BALANCE_UPDATE, {
+        balance: summary.balance,
+        ledger_entry_id: entry.id,
+        deleted: true
+      });
+
+      res.json({
+        success: true,
+        message: 'Ledger entry deleted',
+        data: { balance: summary.balance }
+      });
+
+    } catch (error) {
+      console.error('Ledger deletion error:', error);
+      throw error;
+    }
+  })
+);
+
+// Balance and totals by entry type, optionally as of a date
+router.get('/ledger/balance',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const { as_of: asOf } = validateLedgerQuery(req.query);
+      const summary = await repos.ledger.getSummary(asOf || null);
+
+      res.json({
+        success: true,
+        data: {
+          as_of: asOf || null,
+          ...summary,
+          net_contributions: summary.deposits + summary.withdrawals + summary.adjustments
+        }
+      });
+
+    } catch (error) {
+      if (LEDGER_ERROR_CODES.includes(error.code)) {
+        return sendLedgerError(res, error);
+      }
+      console.error('Ledger balance error:', error);
+      throw error;
+    }
+  })
+);
+
+// Time-weighted and money-weighted returns between two dates
+router.get('/ledger/returns',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const range = validateLedgerQuery(req.query);
+      const entries = await repos.ledger.findAllUntil(range.to || null);
+
+      res.json({
+        success: true,
+        data: calculateReturns(entries, { from: range.from, to: range.to })
+      });
+
+    } catch (error) {
+      if (LEDGER_ERROR_CODES.includes(error.code)) {
+        return sendLedgerError(res, error);
+      }
+      console.error('Ledger returns error:', error);
+      throw error;
+    }
+  })
+);
+
+// Reported balances against the ledger balance on the same day
+router.get('/ledger/reconciliation',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const query = validateLedgerQuery(req.query);
+      const reports = await repos.ledger.findBalanceReports({ from: query.from, to: query.to });
+      const entries = await repos.ledger.findAllUntil(query.to || null);
+      const tolerance = query.tolerance === undefined ? 1 : query.tolerance;
+
+      res.json({
+        success: true,
+        data: reconcileBalances(entries, reports, tolerance)
+      });
+
+    } catch (error) {
+      if (LEDGER_ERROR_CODES.includes(error.code)) {
+        return sendLedgerError(res, error);
+      }
+      console.error('Ledger reconciliation error:', error);
+      throw error;
+    }
+  })
+);
+
+// Replace the account snapshots with weekly snapshots derived from the ledger
+router.post('/ledger/snapshots/rebuild',
+  requireScope('progress:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const plan = await getActivePlan(repos);
+      const entries = await repos.ledger.findAllUntil();
+      const snapshots = buildLedgerSnapshots(plan, entries);
+
+      await repos.progress.replaceSnapshots(snapshots);
+
+      res.json({
+        success: true,
+        message: 'Account snapshots rebuilt from the ledger',
+        data: {
+          snapshots_created: snapshots.length,
+          latest: snapshots[snapshots.length - 1] || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Snapshot rebuild error:', error);
+      throw error;
+    }
+  })
+);
+
+const sendLedgerError = (res, error) => {
+  const response = createErrorResponse(error.code, { message: error.message });
+  return res.status(response.code).json(response);
+};
+
+module.exports = router;
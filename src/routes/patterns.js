@@ -1,16 +1,36 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { getDatabase, getWeekNumber } = require('../models/database');
+const { requireScope } = require('../middleware/auth');
+const { getWeekNumber } = require('../models/database');
+const { createRepositories } = require('../repositories');
+const { getTradeStatistics } = require('../services/statistics');
+const {
+  getPatternTaxonomy,
+  validatePatternDefinition,
+  assertNoAliasConflicts,
+  updatePattern,
+  mergePatterns
+} = require('../services/patternTaxonomy');
+const {
+  CREDIBLE_INTERVAL,
+  assessPatternConfidence,
+  withConfidence,
+  refreshPatternConfidence
+} = require('../services/patternConfidence');
+const { validatePlaybook, validateExample, getPlaybook, pinExample } = require('../services/patternPlaybook');
+const { getRegimeHistory } = require('../services/patternRegimes');
+const { createErrorResponse } = require('../services/errorHandler');
 
 const router = express.Router();
 
 router.get('/patterns',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const patterns = await getAllPatterns(db);
-      const patternAnalysis = await getPatternAnalysis(db);
+      const patterns = withConfidence(await repos.patterns.findAllWithPerformance(), await assessPatternConfidence(repos));
+      const patternAnalysis = await getPatternAnalysis(repos);
       const recommendations = generatePatternRecommendations(patterns);
 
       res.json({
@@ -19,8 +39,8 @@ router.get('/patterns',
           trading_style: 'opening_session_scalper',
           preferred_setups: patterns,
           pattern_analysis: patternAnalysis,
-          risk_profile: await calculateRiskProfile(db),
-          optimal_conditions: await getOptimalConditions(db),
+          risk_profile: await calculateRiskProfile(repos),
+          optimal_conditions: await getOptimalConditions(repos),
           recommendations: recommendations
         }
       });
@@ -28,19 +48,184 @@ router.get('/patterns',
     } catch (error) {
       console.error('Pattern analysis error:', error);
       throw error;
-    } finally {
-      db.close();
+    }
+  })
+);
+
+// Every pattern definition; the active (not retired) ones are what analyses may return
+router.get('/patterns/taxonomy',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const patterns = await repos.patterns.findDefinitions();
+      const families = [...new Set(patterns.map(pattern => pattern.family).filter(Boolean))].sort();
+
+      res.json({
+        success: true,
+        data: {
+          patterns,
+          families,
+          active_count: patterns.filter(pattern => !pattern.retired).length
+        }
+      });
+
+    } catch (error) {
+      console.error('Pattern taxonomy error:', error);
+      throw error;
+    }
+  })
+);
+
+// Add a pattern definition (name, description, entry_criteria, invalidation, aliases, family)
+router.post('/patterns',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const definition = validatePatternDefinition(req.body);
+
+      if (await repos.patterns.findByName(definition.pattern_name)) {
+        return res.status(409).json(createErrorResponse('PATTERN_ALREADY_EXISTS', { pattern_name: definition.pattern_name }));
+      }
+      assertNoAliasConflicts(await repos.patterns.findDefinitions(), definition);
+
+      await repos.patterns.create(definition);
+
+      res.status(201).json({
+        success: true,
+        message: 'Pattern added',
+        data: await repos.patterns.findByName(definition.pattern_name)
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_PATTERN') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Pattern creation error:', error);
+      throw error;
+    }
+  })
+);
+
+// Update a pattern. A new name renames it on every historical trade; retired=true hides it from analyses.
+router.put('/patterns/:patternName',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const changes = validatePatternDefinition(req.body, { partial: true });
+      const pattern = await repos.patterns.findByName(req.params.patternName);
+
+      if (!pattern) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND'));
+      }
+      if (changes.pattern_name && changes.pattern_name !== pattern.pattern_name
+        && await repos.patterns.findByName(changes.pattern_name)) {
+        return res.status(409).json(createErrorResponse('PATTERN_ALREADY_EXISTS', { pattern_name: changes.pattern_name }));
+      }
+
+      const result = await updatePattern(repos, pattern, changes);
+
+      res.json({
+        success: true,
+        message: result.pattern.pattern_name === pattern.pattern_name ? 'Pattern updated' : 'Pattern renamed',
+        data: result
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_PATTERN') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Pattern update error:', error);
+      throw error;
+    }
+  })
+);
+
+// Fold a pattern into another ({ into }); its trades, counts, name and aliases move to the target
+router.post('/patterns/:patternName/merge',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const source = await repos.patterns.findByName(req.params.patternName);
+      const target = typeof req.body.into === 'string' ? await repos.patterns.findByName(req.body.into) : null;
+
+      if (!source || !target) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND', { pattern_name: source ? req.body.into : req.params.patternName }));
+      }
+      if (source.pattern_name === target.pattern_name) {
+        const response = createErrorResponse('INVALID_PATTERN', { message: 'A pattern cannot be merged into itself' });
+        return res.status(response.code).json(response);
+      }
+
+      res.json({
+        success: true,
+        message: `${source.pattern_name} merged into ${target.pattern_name}`,
+        data: await mergePatterns(repos, source, target)
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_PATTERN') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Pattern merge error:', error);
+      throw error;
+    }
+  })
+);
+
+// Delete a pattern nothing is filed under; patterns with trades are retired or merged instead
+router.delete('/patterns/:patternName',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const pattern = await repos.patterns.findByName(req.params.patternName);
+
+      if (!pattern) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND'));
+      }
+
+      const { total_occurrences: tradeCount } = await repos.patterns.getPerformance(pattern.pattern_name);
+      if (tradeCount > 0) {
+        return res.status(409).json(createErrorResponse('PATTERN_IN_USE', { pattern_name: pattern.pattern_name, trades: tradeCount }));
+      }
+
+      await repos.transaction(async () => {
+        await repos.playbooks.deleteExamples(pattern.id);
+        await repos.patterns.delete(pattern.pattern_name);
+      });
+
+      res.json({
+        success: true,
+        message: 'Pattern removed'
+      });
+
+    } catch (error) {
+      console.error('Pattern deletion error:', error);
+      throw error;
     }
   })
 );
 
 router.get('/patterns/:patternName',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
     const { patternName } = req.params;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const patternDetails = await getPatternDetails(db, patternName);
+      const patternDetails = await repos.patterns.findByName(patternName);
 
       if (!patternDetails) {
         return res.status(404).json({
@@ -49,8 +234,9 @@ router.get('/patterns/:patternName',
         });
       }
 
-      const relatedTrades = await getPatternTrades(db, patternName);
-      const performance = await getPatternPerformance(db, patternName);
+      const relatedTrades = await repos.trades.findByPattern(patternName, 10);
+      const performance = await getPatternPerformance(repos, patternName);
+      const statistics = await getTradeStatistics(repos, { pattern: patternName });
 
       res.json({
         success: true,
@@ -58,20 +244,142 @@ router.get('/patterns/:patternName',
           pattern: patternDetails,
           trades: relatedTrades,
           performance: performance,
-          insights: generatePatternInsights(patternDetails, relatedTrades, performance)
+          statistics: statistics,
+          playbook: await getPlaybook(repos, patternDetails),
+          regimes: await getRegimeHistory(repos, patternName),
+          insights: generatePatternInsights(patternDetails, relatedTrades, performance, statistics)
         }
       });
 
     } catch (error) {
       console.error('Pattern details error:', error);
       throw error;
-    } finally {
-      db.close();
+    }
+  })
+);
+
+// Checklist, ideal timeframes, typical stop/target, pinned examples and full vs partial compliance outcomes
+router.get('/patterns/:patternName/playbook',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const pattern = await repos.patterns.findByName(req.params.patternName);
+
+      if (!pattern) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND'));
+      }
+
+      res.json({
+        success: true,
+        data: await getPlaybook(repos, pattern)
+      });
+
+    } catch (error) {
+      console.error('Pattern playbook error:', error);
+      throw error;
+    }
+  })
+);
+
+// Write the playbook; new analyses of the pattern are scored against the checklist
+router.put('/patterns/:patternName/playbook',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const playbook = validatePlaybook(req.body);
+      const pattern = await repos.patterns.findByName(req.params.patternName);
+
+      if (!pattern) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND'));
+      }
+
+      await repos.playbooks.update(pattern.pattern_name, playbook);
+
+      res.json({
+        success: true,
+        message: 'Playbook updated',
+        data: await getPlaybook(repos, await repos.patterns.findByName(pattern.pattern_name))
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_PLAYBOOK') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Pattern playbook update error:', error);
+      throw error;
+    }
+  })
+);
+
+// Pin a trade of the pattern as an A+ example ({ trade_id, note })
+router.post('/patterns/:patternName/examples',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const example = validateExample(req.body);
+      const pattern = await repos.patterns.findByName(req.params.patternName);
+
+      if (!pattern) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND'));
+      }
+
+      await pinExample(repos, pattern, example);
+
+      res.status(201).json({
+        success: true,
+        message: 'Example pinned',
+        data: await repos.playbooks.findExamples(pattern.id)
+      });
+
+    } catch (error) {
+      if (['INVALID_PLAYBOOK', 'TRADE_NOT_FOUND'].includes(error.code)) {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
+      }
+      console.error('Pattern example error:', error);
+      throw error;
+    }
+  })
+);
+
+router.delete('/patterns/:patternName/examples/:tradeId',
+  requireScope('patterns:write'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
+
+    try {
+      const pattern = await repos.patterns.findByName(req.params.patternName);
+
+      if (!pattern) {
+        return res.status(404).json(createErrorResponse('PATTERN_NOT_FOUND'));
+      }
+
+      const result = await repos.playbooks.removeExample(pattern.id, req.params.tradeId);
+      if (result.changes === 0) {
+        return res.status(404).json(createErrorResponse('TRADE_NOT_FOUND', { message: 'Trade is not pinned to this pattern' }));
+      }
+
+      res.json({
+        success: true,
+        message: 'Example unpinned'
+      });
+
+    } catch (error) {
+      console.error('Pattern example removal error:', error);
+      throw error;
     }
   })
 );
 
 router.post('/patterns/learn',
+  requireScope('patterns:write'),
   asyncHandler(async (req, res) => {
     const { pattern_name, outcome, notes } = req.body;
 
@@ -82,11 +390,12 @@ router.post('/patterns/learn',
       });
     }
 
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      await updatePatternLearning(db, pattern_name, outcome, notes);
-      const updatedPattern = await getPatternDetails(db, pattern_name);
+      await repos.patterns.recordLearningOutcome(pattern_name, outcome);
+      await refreshPatternConfidence(repos);
+      const updatedPattern = await repos.patterns.findByName(pattern_name);
 
       res.json({
         success: true,
@@ -97,20 +406,19 @@ router.post('/patterns/learn',
     } catch (error) {
       console.error('Pattern learning error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/patterns/analysis/correlation',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const correlations = await getPatternCorrelations(db);
-      const seasonality = await getPatternSeasonality(db);
-      const marketConditions = await getPatternMarketConditions(db);
+      const correlations = await repos.patterns.getCoOccurrences();
+      const seasonality = await repos.patterns.getSeasonality();
+      const marketConditions = await repos.patterns.getSessionBreakdown();
 
       res.json({
         success: true,
@@ -125,23 +433,25 @@ router.get('/patterns/analysis/correlation',
     } catch (error) {
       console.error('Pattern correlation error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/patterns/recommendations/today',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
     const currentTime = new Date();
     const currentWeek = getWeekNumber(currentTime);
     const currentYear = currentTime.getFullYear();
 
     try {
-      const weekContext = await getWeekContext(db, currentWeek, currentYear);
-      const bestPatterns = await getBestPatternsForToday(db);
-      const recommendations = await generateTodayRecommendations(db, weekContext, bestPatterns);
+      const weekContext = await getWeekContext(repos, currentWeek, currentYear);
+      const bestPatterns = getBestPatterns(
+        withConfidence(await getPatternTaxonomy(repos), await assessPatternConfidence(repos)),
+        3
+      );
+      const recommendations = generateTodayRecommendations(weekContext, bestPatterns);
 
       res.json({
         success: true,
@@ -149,7 +459,7 @@ router.get('/patterns/recommendations/today',
           date: currentTime.toISOString().split('T')[0],
           week_context: weekContext,
           recommended_patterns: recommendations,
-          market_conditions: await getCurrentMarketConditions(db),
+          market_conditions: getCurrentMarketConditions(),
           session_focus: 'Opening session (9:30-10:15 AM EST)'
         }
       });
@@ -157,20 +467,19 @@ router.get('/patterns/recommendations/today',
     } catch (error) {
       console.error('Daily recommendations error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/execution-patterns',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const executionPatterns = await getExecutionPatterns(db);
-      const dominantPatterns = await getDominantExecutionPatterns(db);
-      const trendAnalysis = await analyzeExecutionTrends(db);
+      const executionPatterns = await repos.patterns.findExecutionPatterns();
+      const dominantPatterns = await getDominantExecutionPatterns(repos);
+      const trendAnalysis = await analyzeExecutionTrends(repos);
 
       res.json({
         success: true,
@@ -185,80 +494,26 @@ router.get('/execution-patterns',
     } catch (error) {
       console.error('Execution patterns error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
-const getAllPatterns = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        p.*,
-        CASE
-          WHEN p.total_count > 0 THEN (p.success_count * 1.0 / p.total_count) * 100
-          ELSE 0
-        END as success_rate,
-        COALESCE(t.avg_pnl, 0) as avg_return,
-        COALESCE(t.frequency, 0) as frequency
-      FROM patterns p
-      LEFT JOIN (
-        SELECT
-          pattern_type,
-          AVG(actual_pnl) as avg_pnl,
-          COUNT(*) as frequency
-        FROM trades
-        WHERE executed = 1 AND actual_pnl IS NOT NULL
-        GROUP BY pattern_type
-      ) t ON p.pattern_name = t.pattern_type
-      ORDER BY success_rate DESC, frequency DESC
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
-
-const getPatternAnalysis = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        pattern_type,
-        COUNT(*) as total_occurrences,
-        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_count,
-        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as winning_count,
-        AVG(setup_quality) as avg_setup_quality,
-        AVG(risk_reward_ratio) as avg_risk_reward,
-        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl,
-        MAX(timestamp) as last_seen
-      FROM trades
-      WHERE pattern_type IS NOT NULL
-      GROUP BY pattern_type
-      ORDER BY avg_pnl DESC
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const analysis = (rows || []).map(row => ({
-        pattern: row.pattern_type,
-        total_occurrences: row.total_occurrences,
-        execution_rate: row.total_occurrences > 0 ?
-          Math.round((row.executed_count / row.total_occurrences) * 100) : 0,
-        win_rate: row.executed_count > 0 ?
-          Math.round((row.winning_count / row.executed_count) * 100) : 0,
-        avg_setup_quality: Math.round((row.avg_setup_quality || 0) * 10) / 10,
-        avg_risk_reward: Math.round((row.avg_risk_reward || 0) * 10) / 10,
-        avg_return: Math.round((row.avg_pnl || 0) * 100) / 100,
-        last_seen: row.last_seen,
-        profitability_score: calculateProfitabilityScore(row)
-      }));
-
-      resolve(analysis);
-    });
-  });
+const getPatternAnalysis = async (repos) => {
+  const rows = await repos.patterns.getTradeStats();
+
+  return rows.map(row => ({
+    pattern: row.pattern_type,
+    total_occurrences: row.total_occurrences,
+    execution_rate: row.total_occurrences > 0 ?
+      Math.round((row.executed_count / row.total_occurrences) * 100) : 0,
+    win_rate: row.executed_count > 0 ?
+      Math.round((row.winning_count / row.executed_count) * 100) : 0,
+    avg_setup_quality: Math.round((row.avg_setup_quality || 0) * 10) / 10,
+    avg_risk_reward: Math.round((row.avg_risk_reward || 0) * 10) / 10,
+    avg_return: Math.round((row.avg_pnl || 0) * 100) / 100,
+    last_seen: row.last_seen,
+    profitability_score: calculateProfitabilityScore(row)
+  }));
 };
 
 const calculateProfitabilityScore = (patternData) => {
@@ -272,81 +527,85 @@ const calculateProfitabilityScore = (patternData) => {
   return Math.round(((executionRate * 0.3) + (winRate * 0.4) + (avgReturn * 0.2) + (setupQuality * 0.1)) * 100);
 };
 
+// Only a credible interval clear of zero expectancy makes a pattern proven or underperforming
 const generatePatternRecommendations = (patterns) => {
   const recommendations = [];
+  const active = patterns.filter(p => !p.retired);
 
-  const topPattern = patterns.find(p => p.success_rate > 70 && p.frequency >= 5);
+  const topPattern = active
+    .filter(p => p.confidence.verdict === 'proven')
+    .sort((a, b) => b.confidence.expectancy_r.lower - a.confidence.expectancy_r.lower)[0];
   if (topPattern) {
     recommendations.push({
       type: 'focus',
       pattern: topPattern.pattern_name,
-      message: `Focus on ${topPattern.pattern_name} - ${Math.round(topPattern.success_rate)}% success rate`,
-      priority: 'high'
+      message: `Focus on ${topPattern.pattern_name} - proven edge of ${formatInterval(topPattern.confidence.expectancy_r, 'R')} per trade over ${topPattern.confidence.sample_size} trades`,
+      priority: 'high',
+      confidence: topPattern.confidence
     });
   }
 
-  const lowPerformer = patterns.find(p => p.success_rate < 40 && p.frequency >= 3);
+  const lowPerformer = active
+    .filter(p => p.confidence.verdict === 'underperforming')
+    .sort((a, b) => a.confidence.expectancy_r.upper - b.confidence.expectancy_r.upper)[0];
   if (lowPerformer) {
     recommendations.push({
       type: 'avoid',
       pattern: lowPerformer.pattern_name,
-      message: `Consider avoiding ${lowPerformer.pattern_name} - only ${Math.round(lowPerformer.success_rate)}% success rate`,
-      priority: 'medium'
+      message: `Consider avoiding ${lowPerformer.pattern_name} - losing ${formatInterval(lowPerformer.confidence.expectancy_r, 'R')} per trade over ${lowPerformer.confidence.sample_size} trades`,
+      priority: 'medium',
+      confidence: lowPerformer.confidence
     });
   }
 
-  const underutilized = patterns.find(p => p.success_rate > 60 && p.frequency < 3);
+  const underutilized = active
+    .filter(p => p.confidence.verdict === 'inconclusive' && p.confidence.sample_size > 0 && p.confidence.expectancy_r.mean > 0)
+    .sort((a, b) => b.confidence.probability_of_edge - a.confidence.probability_of_edge)[0];
   if (underutilized) {
     recommendations.push({
       type: 'explore',
       pattern: underutilized.pattern_name,
-      message: `Explore more ${underutilized.pattern_name} setups - good success rate but low frequency`,
-      priority: 'low'
+      message: `Explore more ${underutilized.pattern_name} setups - promising ${Math.round(underutilized.confidence.win_rate.mean)}% win rate but only ${underutilized.confidence.sample_size} trades, too few to call it proven`,
+      priority: 'low',
+      confidence: underutilized.confidence
     });
   }
 
   return recommendations;
 };
 
-const calculateRiskProfile = (db) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT
-        AVG(risk_amount) as avg_risk,
-        MAX(risk_amount) as max_risk,
-        COUNT(CASE WHEN within_limits = 0 THEN 1 END) as violations,
-        COUNT(*) as total_trades,
-        AVG(risk_reward_ratio) as avg_risk_reward
-      FROM trades
-      WHERE executed = 1
-    `, (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const data = row || {};
-      const violationRate = data.total_trades > 0 ?
-        (data.violations / data.total_trades) * 100 : 0;
+// e.g. "0.4R to 1.2R (90% credible)"
+const formatInterval = (interval, unit) => (
+  `${interval.lower}${unit} to ${interval.upper}${unit} (${CREDIBLE_INTERVAL}% credible)`
+);
 
-      let profile = 'conservative';
-      if (data.avg_risk > 40 || violationRate > 10) {
-        profile = 'aggressive';
-      } else if (data.avg_risk > 25 || violationRate > 5) {
-        profile = 'moderate';
-      }
+// Patterns worth looking for today: traded, more likely than not to have an edge, most likely first
+const getBestPatterns = (patterns, limit) => patterns
+  .filter(p => p.confidence.sample_size > 0 && p.confidence.probability_of_edge > 0.5)
+  .sort((a, b) => b.confidence.probability_of_edge - a.confidence.probability_of_edge)
+  .slice(0, limit);
+
+const calculateRiskProfile = async (repos) => {
+  const data = await repos.trades.getRiskProfile();
+  const violationRate = data.total_trades > 0 ?
+    (data.violations / data.total_trades) * 100 : 0;
+
+  let profile = 'conservative';
+  if (data.avg_risk > 40 || violationRate > 10) {
+    profile = 'aggressive';
+  } else if (data.avg_risk > 25 || violationRate > 5) {
+    profile = 'moderate';
+  }
 
-      resolve({
-        profile: profile,
-        avg_risk_per_trade: Math.round((data.avg_risk || 0) * 100) / 100,
-        max_risk_taken: data.max_risk || 0,
-        rule_violations: data.violations || 0,
-        violation_rate: Math.round(violationRate * 10) / 10,
-        avg_risk_reward_ratio: Math.round((data.avg_risk_reward || 0) * 10) / 10,
-        assessment: generateRiskAssessment(profile, violationRate, data.avg_risk_reward || 0)
-      });
-    });
-  });
+  return {
+    profile: profile,
+    avg_risk_per_trade: Math.round((data.avg_risk || 0) * 100) / 100,
+    max_risk_taken: data.max_risk || 0,
+    rule_violations: data.violations || 0,
+    violation_rate: Math.round(violationRate * 10) / 10,
+    avg_risk_reward_ratio: Math.round((data.avg_risk_reward || 0) * 10) / 10,
+    assessment: generateRiskAssessment(profile, violationRate, data.avg_risk_reward || 0)
+  };
 };
 
 const generateRiskAssessment = (profile, violationRate, avgRiskReward) => {
@@ -371,116 +630,51 @@ const generateRiskAssessment = (profile, violationRate, avgRiskReward) => {
   return assessments;
 };
 
-const getOptimalConditions = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        session_timing,
-        COUNT(*) as frequency,
-        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl,
-        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as wins,
-        COUNT(CASE WHEN executed = 1 THEN 1 END) as total_executed
-      FROM trades
-      WHERE executed = 1
-      GROUP BY session_timing
-      ORDER BY avg_pnl DESC
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const bestTiming = (rows || [])[0];
-
-      resolve({
-        time_window: '9:30-10:15 AM EST',
-        best_performance_timing: bestTiming?.session_timing || 'optimal',
-        volume_threshold: '150% of 20-day average',
-        volatility_range: 'moderate (0.5-1.5% NQ range)',
-        market_conditions: 'Opening session with clear directional bias',
-        success_factors: [
-          'Clear volume confirmation',
-          'Clean technical setup',
-          'Proper risk-reward ratio (>2:1)',
-          'Session timing alignment'
-        ]
-      });
-    });
-  });
-};
-
-const getPatternDetails = (db, patternName) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT * FROM patterns WHERE pattern_name = ?
-    `, [patternName], (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
+const getOptimalConditions = async (repos) => {
+  const [bestTiming] = await repos.trades.getSessionStats({ executedOnly: true });
+
+  return {
+    time_window: '9:30-10:15 AM EST',
+    best_performance_timing: bestTiming?.session_timing || 'optimal',
+    volume_threshold: '150% of 20-day average',
+    volatility_range: 'moderate (0.5-1.5% NQ range)',
+    market_conditions: 'Opening session with clear directional bias',
+    success_factors: [
+      'Clear volume confirmation',
+      'Clean technical setup',
+      'Proper risk-reward ratio (>2:1)',
+      'Session timing alignment'
+    ]
+  };
 };
 
-const getPatternTrades = (db, patternName) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        id,
-        timestamp,
-        setup_quality,
-        risk_reward_ratio,
-        recommendation,
-        executed,
-        actual_pnl,
-        ai_commentary
-      FROM trades
-      WHERE pattern_type = ?
-      ORDER BY timestamp DESC
-      LIMIT 10
-    `, [patternName], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
+const getPatternPerformance = async (repos, patternName) => {
+  const data = await repos.patterns.getPerformance(patternName);
+  const winRate = data.executed_count > 0 ?
+    (data.winning_trades / data.executed_count) * 100 : 0;
+
+  return {
+    total_occurrences: data.total_occurrences || 0,
+    execution_rate: data.total_occurrences > 0 ?
+      Math.round((data.executed_count / data.total_occurrences) * 100) : 0,
+    win_rate: Math.round(winRate),
+    avg_setup_quality: Math.round((data.avg_setup_quality || 0) * 10) / 10,
+    avg_pnl_per_trade: Math.round((data.avg_pnl || 0) * 100) / 100,
+    total_contribution: Math.round((data.total_pnl || 0) * 100) / 100
+  };
 };
 
-const getPatternPerformance = (db, patternName) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT
-        COUNT(*) as total_occurrences,
-        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_count,
-        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as winning_trades,
-        AVG(setup_quality) as avg_setup_quality,
-        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl,
-        SUM(CASE WHEN executed = 1 THEN actual_pnl END) as total_pnl
-      FROM trades
-      WHERE pattern_type = ?
-    `, [patternName], (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const data = row || {};
-      const winRate = data.executed_count > 0 ?
-        (data.winning_trades / data.executed_count) * 100 : 0;
-
-      resolve({
-        total_occurrences: data.total_occurrences || 0,
-        execution_rate: data.total_occurrences > 0 ?
-          Math.round((data.executed_count / data.total_occurrences) * 100) : 0,
-        win_rate: Math.round(winRate),
-        avg_setup_quality: Math.round((data.avg_setup_quality || 0) * 10) / 10,
-        avg_pnl_per_trade: Math.round((data.avg_pnl || 0) * 100) / 100,
-        total_contribution: Math.round((data.total_pnl || 0) * 100) / 100
-      });
-    });
-  });
-};
-
-const generatePatternInsights = (pattern, trades, performance) => {
+const generatePatternInsights = (pattern, trades, performance, statistics) => {
   const insights = [];
 
+  if (statistics.trade_count >= 5) {
+    if (statistics.expectancy_r < 0) {
+      insights.push(`Negative expectancy of ${statistics.expectancy_r}R per trade - the edge is not there yet`);
+    } else if (statistics.profit_factor !== null && statistics.profit_factor >= 1.5) {
+      insights.push(`Profit factor of ${statistics.profit_factor} with ${statistics.expectancy_r}R expected per trade`);
+    }
+  }
+
   if (performance.win_rate > 70) {
     insights.push(`Highly reliable pattern with ${performance.win_rate}% win rate`);
   } else if (performance.win_rate < 50) {
@@ -506,94 +700,6 @@ const generatePatternInsights = (pattern, trades, performance) => {
   return insights;
 };
 
-const updatePatternLearning = (db, patternName, outcome, notes) => {
-  return new Promise((resolve, reject) => {
-    if (outcome === 'success') {
-      db.run(`
-        UPDATE patterns
-        SET success_count = success_count + 1,
-            confidence_score = MIN(1.0, confidence_score + 0.05),
-            updated_at = datetime('now')
-        WHERE pattern_name = ?
-      `, [patternName], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    } else if (outcome === 'failure') {
-      db.run(`
-        UPDATE patterns
-        SET confidence_score = MAX(0.0, confidence_score - 0.1),
-            updated_at = datetime('now')
-        WHERE pattern_name = ?
-      `, [patternName], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    } else {
-      resolve();
-    }
-  });
-};
-
-const getPatternCorrelations = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        t1.pattern_type as pattern_a,
-        t2.pattern_type as pattern_b,
-        COUNT(*) as co_occurrences
-      FROM trades t1
-      JOIN trades t2 ON DATE(t1.timestamp) = DATE(t2.timestamp)
-        AND t1.pattern_type != t2.pattern_type
-        AND t1.id < t2.id
-      GROUP BY t1.pattern_type, t2.pattern_type
-      HAVING co_occurrences >= 2
-      ORDER BY co_occurrences DESC
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
-
-const getPatternSeasonality = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        pattern_type,
-        CAST(strftime('%w', timestamp) as INTEGER) as day_of_week,
-        COUNT(*) as frequency,
-        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl
-      FROM trades
-      WHERE executed = 1
-      GROUP BY pattern_type, day_of_week
-      ORDER BY pattern_type, frequency DESC
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
-
-const getPatternMarketConditions = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        pattern_type,
-        session_timing,
-        COUNT(*) as frequency,
-        AVG(setup_quality) as avg_quality,
-        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl
-      FROM trades
-      GROUP BY pattern_type, session_timing
-      ORDER BY avg_pnl DESC
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
-
 const generateCorrelationInsights = (correlations, seasonality) => {
   const insights = [];
 
@@ -621,46 +727,17 @@ const generateCorrelationInsights = (correlations, seasonality) => {
   return insights;
 };
 
-const getWeekContext = (db, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT
-        COUNT(*) as trades_this_week,
-        AVG(setup_quality) as avg_setup_quality,
-        SUM(CASE WHEN executed = 1 THEN actual_pnl END) as week_pnl
-      FROM trades
-      WHERE week_number = ? AND year = ?
-    `, [weekNumber, year], (err, row) => {
-      if (err) reject(err);
-      else resolve(row || { trades_this_week: 0, avg_setup_quality: 0, week_pnl: 0 });
-    });
-  });
-};
+const getWeekContext = async (repos, weekNumber, year) => {
+  const weekSummary = await repos.trades.getWeekSummary(weekNumber, year);
 
-const getBestPatternsForToday = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        p.pattern_name,
-        p.success_count,
-        p.total_count,
-        p.confidence_score,
-        CASE
-          WHEN p.total_count > 0 THEN (p.success_count * 1.0 / p.total_count)
-          ELSE 0
-        END as success_rate
-      FROM patterns p
-      WHERE p.total_count >= 2 AND p.confidence_score > 0.4
-      ORDER BY success_rate DESC, confidence_score DESC
-      LIMIT 3
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
+  return {
+    trades_this_week: weekSummary.total_trades || 0,
+    avg_setup_quality: weekSummary.avg_setup_quality,
+    week_pnl: weekSummary.executed_pnl
+  };
 };
 
-const generateTodayRecommendations = async (db, weekContext, bestPatterns) => {
+const generateTodayRecommendations = (weekContext, bestPatterns) => {
   const recommendations = [];
 
   if (weekContext.trades_this_week >= 3) {
@@ -672,12 +749,22 @@ const generateTodayRecommendations = async (db, weekContext, bestPatterns) => {
   }
 
   bestPatterns.forEach((pattern, index) => {
+    const { confidence } = pattern;
+    const winRate = `${confidence.win_rate.lower}% to ${confidence.win_rate.upper}% win rate over ${confidence.sample_size} trades`;
+
     recommendations.push({
       type: 'pattern',
       pattern_name: pattern.pattern_name,
-      message: `Look for ${pattern.pattern_name} setups - ${Math.round(pattern.success_rate * 100)}% success rate`,
-      priority: index === 0 ? 'high' : 'medium',
-      confidence: pattern.confidence_score
+      message: confidence.verdict === 'proven'
+        ? `Look for ${pattern.pattern_name} setups - proven edge, ${winRate}`
+        : `${pattern.pattern_name} is unproven (${winRate}) - take it at reduced size`,
+      priority: index === 0 && confidence.verdict === 'proven' ? 'high' : 'medium',
+      confidence: confidence.probability_of_edge,
+      verdict: confidence.verdict,
+      win_rate: confidence.win_rate,
+      expectancy_r: confidence.expectancy_r,
+      sample_size: confidence.sample_size,
+      effective_sample_size: confidence.effective_sample_size
     });
   });
 
@@ -707,129 +794,55 @@ const generateTodayRecommendations = async (db, weekContext, bestPatterns) => {
   return recommendations;
 };
 
-const getCurrentMarketConditions = (db) => {
-  return new Promise((resolve, reject) => {
-    resolve({
-      session: 'opening',
-      volatility: 'moderate',
-      volume: 'above_average',
-      trend: 'analyzing',
-      conditions_favorable: true,
-      risk_factors: []
-    });
-  });
-};
+const getCurrentMarketConditions = () => ({
+  session: 'opening',
+  volatility: 'moderate',
+  volume: 'above_average',
+  trend: 'analyzing',
+  conditions_favorable: true,
+  risk_factors: []
+});
 
 // Execution patterns helper functions
 
-const getExecutionPatterns = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        pattern_type,
-        frequency_count,
-        success_rate,
-        average_impact,
-        confidence_score,
-        first_seen,
-        last_seen,
-        coaching_priority,
-        improvement_suggestion
-      FROM execution_patterns
-      WHERE trader_id = 'main_trader'
-      ORDER BY frequency_count DESC, average_impact DESC
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
-
-const getDominantExecutionPatterns = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        ep.pattern_type as type,
-        ep.frequency_count as frequency,
-        ep.average_impact as avg_impact,
-        CASE
-          WHEN ep.average_impact > 0 THEN 'improving'
-          WHEN ep.average_impact < -0.1 THEN 'declining'
-          ELSE 'stable'
-        END as trend,
-        ep.improvement_suggestion as coaching,
-        ROUND((ep.frequency_count * 100.0 /
-          (SELECT SUM(frequency_count) FROM execution_patterns WHERE trader_id = 'main_trader')), 1) as frequency_percentage
-      FROM execution_patterns ep
-      WHERE ep.trader_id = 'main_trader' AND ep.frequency_count >= 2
-      ORDER BY ep.frequency_count DESC
-      LIMIT 5
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const patterns = (rows || []).map(row => ({
-        type: row.type,
-        frequency: row.frequency_percentage || 0,
-        avg_impact: Math.round((row.avg_impact || 0) * 100) / 100,
-        trend: row.trend,
-        coaching: row.coaching || `You exhibit ${row.type} behavior ${row.frequency_percentage || 0}% of the time`
-      }));
+const getDominantExecutionPatterns = async (repos) => {
+  const rows = await repos.patterns.findDominantExecutionPatterns(5);
 
-      resolve(patterns);
-    });
-  });
+  return rows.map(row => ({
+    type: row.type,
+    frequency: row.frequency_percentage || 0,
+    avg_impact: Math.round((row.avg_impact || 0) * 100) / 100,
+    trend: row.trend,
+    coaching: row.coaching || `You exhibit ${row.type} behavior ${row.frequency_percentage || 0}% of the time`
+  }));
 };
 
-const analyzeExecutionTrends = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        ep.pattern_type,
-        ep.frequency_count,
-        ep.average_impact,
-        COUNT(t.id) as recent_occurrences,
-        AVG(t.entry_variance) as recent_avg_variance
-      FROM execution_patterns ep
-      LEFT JOIN trades t ON ep.pattern_type = 'early_entry'
-        AND t.entry_variance > 2
-        AND t.timestamp >= datetime('now', '-30 days')
-      WHERE ep.trader_id = 'main_trader'
-      GROUP BY ep.pattern_type
-      ORDER BY ep.frequency_count DESC
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+const analyzeExecutionTrends = async (repos) => {
+  const rows = await repos.patterns.getExecutionTrends();
 
-      const trends = (rows || []).map(row => {
-        let trendDirection = 'stable';
-        if (row.recent_occurrences > row.frequency_count * 0.3) {
-          trendDirection = 'increasing';
-        } else if (row.recent_occurrences < row.frequency_count * 0.1) {
-          trendDirection = 'decreasing';
-        }
-
-        return {
-          pattern_type: row.pattern_type,
-          trend_direction: trendDirection,
-          recent_frequency: row.recent_occurrences || 0,
-          historical_frequency: row.frequency_count || 0,
-          recent_impact: Math.round((row.recent_avg_variance || 0) * 100) / 100
-        };
-      });
+  const trends = rows.map(row => {
+    let trendDirection = 'stable';
+    if (row.recent_occurrences > row.frequency_count * 0.3) {
+      trendDirection = 'increasing';
+    } else if (row.recent_occurrences < row.frequency_count * 0.1) {
+      trendDirection = 'decreasing';
+    }
 
-      resolve({
-        overall_trend: calculateOverallExecutionTrend(trends),
-        pattern_trends: trends,
-        improvement_areas: identifyImprovementAreas(trends),
-        strengths: identifyExecutionStrengths(trends)
-      });
-    });
+    return {
+      pattern_type: row.pattern_type,
+      trend_direction: trendDirection,
+      recent_frequency: row.recent_occurrences || 0,
+      historical_frequency: row.frequency_count || 0,
+      recent_impact: Math.round((row.recent_avg_variance || 0) * 100) / 100
+    };
   });
+
+  return {
+    overall_trend: calculateOverallExecutionTrend(trends),
+    pattern_trends: trends,
+    improvement_areas: identifyImprovementAreas(trends),
+    strengths: identifyExecutionStrengths(trends)
+  };
 };
 
 const calculateOverallExecutionTrend = (trends) => {
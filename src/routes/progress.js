@@ -1,49 +1,80 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { getDatabase, getWeekNumber } = require('../models/database');
+const { requireScope } = require('../middleware/auth');
+const { getWeekNumber } = require('../models/database');
+const { createRepositories } = require('../repositories');
+const { EVENT_TYPES, publishEvent } = require('../services/eventBus');
+const {
+  getActivePlan,
+  getPhase,
+  getWeeklyDeposit,
+  simulatePlan,
+  getWeeksRemaining,
+  getDaysElapsed,
+  calculateRequiredWeeklyReturn,
+  getMilestones,
+  getSnapshotStatus
+} = require('../services/goalPlans');
+const { toLedgerDate, getAccountBalance } = require('../services/ledger');
+const { MIN_CLOSED_TRADES, validateSimulationOptions, runMonteCarlo } = require('../services/monteCarlo');
+const { assessRiskOfRuin } = require('../services/riskOfRuin');
+const { createErrorResponse } = require('../services/errorHandler');
 
 const router = express.Router();
 
 router.get('/progress',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
     const currentDate = new Date();
     const currentWeek = getWeekNumber(currentDate);
     const currentYear = currentDate.getFullYear();
 
     try {
-      const progressData = await getProgressData(db, currentWeek, currentYear);
-      const fiveYearProjection = calculateFiveYearProjection(progressData);
+      const plan = await getActivePlan(repos);
+      const progressData = await getProgressData(repos, plan, currentWeek, currentYear);
+      const goalProjection = calculateGoalProjection(plan, progressData);
+      const phase = getPhase(plan, progressData.currentBalance);
+      const ledgerSummary = await repos.ledger.getSummary();
 
       res.json({
         success: true,
         data: {
           current_account_balance: progressData.currentBalance,
+          account_breakdown: {
+            net_contributions: ledgerSummary.deposits + ledgerSummary.withdrawals + ledgerSummary.adjustments,
+            deposits: ledgerSummary.deposits,
+            withdrawals: -ledgerSummary.withdrawals,
+            trading_pnl: ledgerSummary.trading_pnl,
+            fees: -ledgerSummary.fees
+          },
           weekly_performance: {
             current_week_trades: progressData.weekTrades,
             current_week_pnl_percentage: progressData.weekPnlPercent,
-            target_progress: `${Math.round((progressData.weekPnlPercent / 0.75) * 100)}%`,
+            target_weekly_return: phase.target_weekly_return,
+            target_progress: `${Math.round((progressData.weekPnlPercent / phase.target_weekly_return) * 100)}%`,
             remaining_trades: Math.max(0, 3 - progressData.weekTrades)
           },
-          five_year_projection: fiveYearProjection,
-          recent_milestones: await getRecentMilestones(db),
-          next_milestone: await getNextMilestone(db, progressData.currentBalance),
-          performance_metrics: await getPerformanceMetrics(db, currentWeek, currentYear)
+          goal_plan: summarizePlan(plan),
+          goal_projection: goalProjection,
+          five_year_projection: goalProjection, // Previous name, kept for existing clients
+          recent_milestones: await repos.progress.getMilestonesReached(getMilestones(plan), 5),
+          next_milestone: getNextMilestone(plan, progressData.currentBalance),
+          performance_metrics: await getPerformanceMetrics(repos, currentWeek, currentYear)
         }
       });
 
     } catch (error) {
       console.error('Progress tracking error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.post('/progress/update-balance',
+  requireScope('progress:write'),
   asyncHandler(async (req, res) => {
-    const { balance, deposit_amount } = req.body;
+    const { balance, deposit_amount, record_adjustment } = req.body;
 
     if (!balance || balance < 0) {
       return res.status(400).json({
@@ -52,22 +83,76 @@ router.post('/progress/update-balance',
       });
     }
 
-    const db = getDatabase();
+    const depositAmount = deposit_amount === undefined || deposit_amount === null ? 0 : parseFloat(deposit_amount);
+    if (isNaN(depositAmount) || depositAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid deposit amount'
+      });
+    }
+
+    const repos = createRepositories(req.user.id);
     const currentDate = new Date();
     const currentWeek = getWeekNumber(currentDate);
     const currentYear = currentDate.getFullYear();
 
     try {
-      await updateAccountBalance(db, balance, deposit_amount, currentWeek, currentYear);
+      const plan = await getActivePlan(repos);
+      const reportedBalance = parseFloat(balance);
+      const today = toLedgerDate(currentDate);
+      let adjustmentId = null;
+
+      // The deposit goes to the ledger; the balance itself is only a report to reconcile against
+      await repos.transaction(async () => {
+        if (depositAmount > 0) {
+          await repos.ledger.create({
+            entry_type: 'deposit',
+            amount: depositAmount,
+            entry_date: today,
+            description: 'Deposit reported with balance update'
+          });
+        }
+
+        await repos.ledger.addBalanceReport(today, reportedBalance);
+
+        if (record_adjustment === true) {
+          const { balance: ledgerBalance } = await repos.ledger.getSummary();
+          const gap = Math.round((reportedBalance - ledgerBalance) * 100) / 100;
+          if (gap !== 0) {
+            adjustmentId = await repos.ledger.create({
+              entry_type: 'adjustment',
+              amount: gap,
+              entry_date: today,
+              description: 'Reconciled to reported balance'
+            });
+          }
+        }
+
+        await repos.progress.saveWeekBalance(reportedBalance, depositAmount || null, currentWeek, currentYear, 0);
+      });
 
-      const snapshot = await createAccountSnapshot(db, balance, currentWeek, currentYear);
+      const ledgerSummary = await repos.ledger.getSummary();
+      const snapshot = await createAccountSnapshot(repos, plan, ledgerSummary, today);
+      const reconciliationGap = Math.round((reportedBalance - ledgerSummary.balance) * 100) / 100;
+
+      publishEvent(req.user.id, EVENT_TYPES.BALANCE_UPDATE, {
+        balance: ledgerSummary.balance,
+        reported_balance: reportedBalance,
+        deposit_amount: depositAmount,
+        snapshot_id: snapshot.id,
+        week_number: currentWeek,
+        year: currentYear
+      });
 
       res.json({
         success: true,
         message: 'Account balance updated successfully',
         data: {
           new_balance: balance,
-          deposit_amount: deposit_amount || 0,
+          deposit_amount: depositAmount,
+          ledger_balance: ledgerSummary.balance,
+          reconciliation_gap: reconciliationGap,
+          adjustment_id: adjustmentId,
           snapshot_id: snapshot.id
         }
       });
@@ -75,13 +160,12 @@ router.post('/progress/update-balance',
     } catch (error) {
       console.error('Balance update error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/progress/weekly/:year/:week',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
     const { year, week } = req.params;
     const weekNum = parseInt(week);
@@ -94,10 +178,10 @@ router.get('/progress/weekly/:year/:week',
       });
     }
 
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const weekData = await getWeeklyData(db, weekNum, yearNum);
+      const weekData = await repos.trades.findByWeek(weekNum, yearNum);
 
       res.json({
         success: true,
@@ -107,19 +191,20 @@ router.get('/progress/weekly/:year/:week',
     } catch (error) {
       console.error('Weekly progress error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/progress/projection',
+  requireScope('analytics:read'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const currentProgress = await getCurrentProgressData(db);
-      const detailedProjection = await generateDetailedProjection(db, currentProgress);
+      const plan = await getActivePlan(repos);
+      const currentProgress = await getCurrentProgressData(repos, plan);
+      const riskOfRuin = await getRiskOfRuin(repos, currentProgress.account_balance);
+      const detailedProjection = generateDetailedProjection(plan, currentProgress, riskOfRuin);
 
       res.json({
         success: true,
@@ -129,101 +214,106 @@ router.get('/progress/projection',
     } catch (error) {
       console.error('Projection calculation error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
-const getProgressData = (db, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT
-        p.account_balance as currentBalance,
-        p.week_pnl_percentage as weekPnlPercent,
-        p.cumulative_pnl as totalPnl,
-        COALESCE(t.weekTrades, 0) as weekTrades,
-        COALESCE(t.avgSetupQuality, 0) as avgSetupQuality,
-        p.weekly_deposit as weeklyDeposit
-      FROM progress p
-      LEFT JOIN (
-        SELECT
-          COUNT(*) as weekTrades,
-          AVG(setup_quality) as avgSetupQuality
-        FROM trades
-        WHERE week_number = ? AND year = ? AND executed = 1
-      ) t ON 1=1
-      WHERE p.week_number = ? AND p.year = ?
-      ORDER BY p.date DESC
-      LIMIT 1
-    `;
-
-    db.get(query, [weekNumber, year, weekNumber, year], (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+// Monte Carlo projection bootstrapped from the trader's closed trades; pass seed to reproduce a run
+router.get('/progress/simulation',
+  requireScope('analytics:read'),
+  asyncHandler(async (req, res) => {
+    const repos = createRepositories(req.user.id);
 
-      if (!row) {
-        db.get('SELECT account_balance FROM progress ORDER BY date DESC LIMIT 1', (err, latestRow) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+    try {
+      const options = validateSimulationOptions(req.query);
+      const plan = await getActivePlan(repos);
+      const currentProgress = await getCurrentProgressData(repos, plan);
+      const trades = await repos.trades.findClosedResults();
+
+      const simulation = runMonteCarlo(plan, trades, {
+        ...options,
+        balance: currentProgress.account_balance,
+        default_risk: parseFloat(process.env.MAX_RISK_PER_TRADE) || 50
+      });
 
-          resolve({
-            currentBalance: latestRow?.account_balance || 500,
-            weekPnlPercent: 0,
-            totalPnl: 0,
-            weekTrades: 0,
-            avgSetupQuality: 0,
-            weeklyDeposit: 1750
-          });
-        });
-        return;
+      res.json({
+        success: true,
+        data: {
+          goal_plan: summarizePlan(plan),
+          ...simulation
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_SIMULATION_OPTIONS' || error.code === 'INSUFFICIENT_TRADE_HISTORY') {
+        const response = createErrorResponse(error.code, { message: error.message });
+        return res.status(response.code).json(response);
       }
+      console.error('Simulation error:', error);
+      throw error;
+    }
+  })
+);
 
-      resolve({
-        currentBalance: row.currentBalance || 500,
-        weekPnlPercent: row.weekPnlPercent || 0,
-        totalPnl: row.totalPnl || 0,
-        weekTrades: row.weekTrades || 0,
-        avgSetupQuality: row.avgSetupQuality || 0,
-        weeklyDeposit: row.weeklyDeposit || 1750
-      });
-    });
-  });
-};
+const getProgressData = async (repos, plan, weekNumber, year) => {
+  const weekProgress = await repos.progress.findByWeek(weekNumber, year);
 
-const calculateFiveYearProjection = (progressData) => {
-  const startDate = new Date('2025-01-01');
-  const currentDate = new Date();
-  const endDate = new Date('2030-01-01');
+  const currentBalance = (await getAccountBalance(repos)) ?? plan.starting_balance;
 
-  const daysElapsed = Math.floor((currentDate - startDate) / (1000 * 60 * 60 * 24));
-  const totalDays = Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24));
-  const monthsElapsed = Math.floor(daysElapsed / 30.44);
+  if (!weekProgress) {
 
-  const currentBalance = progressData.currentBalance;
-  const targetBalance = 951000;
+    return {
+      currentBalance,
+      weekPnlPercent: 0,
+      totalPnl: 0,
+      weekTrades: 0,
+      avgSetupQuality: 0,
+      weeklyDeposit: getWeeklyDeposit(getPhase(plan, currentBalance))
+    };
+  }
 
-  const phase1Target = 50000;
-  const phase = currentBalance >= phase1Target ? 2 : 1;
+  const weekSummary = await repos.trades.getWeekSummary(weekNumber, year);
 
-  const weeklyDepositPhase1 = 1750;
-  const weeklyDepositPhase2 = 750;
-  const targetWeeklyReturn = 0.75;
+  return {
+    currentBalance,
+    weekPnlPercent: weekProgress.week_pnl_percentage || 0,
+    totalPnl: weekProgress.cumulative_pnl || 0,
+    weekTrades: weekSummary.executed_trades || 0,
+    avgSetupQuality: weekSummary.executed_avg_setup_quality || 0,
+    weeklyDeposit: weekProgress.weekly_deposit || getWeeklyDeposit(getPhase(plan, currentBalance))
+  };
+};
 
-  let projectedBalance = currentBalance;
-  let weeksRemaining = Math.floor((totalDays - daysElapsed) / 7);
+const summarizePlan = (plan) => {
+  return {
+    id: plan.id,
+    name: plan.name,
+    starting_balance: plan.starting_balance,
+    target_balance: plan.target_balance,
+    start_date: plan.start_date,
+    end_date: plan.end_date,
+    phase_count: plan.phases.length,
+    is_default: Boolean(plan.is_default)
+  };
+};
 
-  const weeklyDeposit = phase === 1 ? weeklyDepositPhase1 : weeklyDepositPhase2;
-  const avgWeeklyReturn = progressData.weekPnlPercent || targetWeeklyReturn;
+const calculateGoalProjection = (plan, progressData) => {
+  const currentDate = new Date();
+  const monthsElapsed = Math.max(0, Math.floor(getDaysElapsed(plan, currentDate) / 30.44));
 
-  for (let week = 0; week < weeksRemaining; week++) {
-    projectedBalance += weeklyDeposit;
-    projectedBalance *= (1 + avgWeeklyReturn / 100);
-  }
+  const currentBalance = progressData.currentBalance;
+  const targetBalance = plan.target_balance;
+  const phase = getPhase(plan, currentBalance);
+  const weeksRemaining = getWeeksRemaining(plan, currentDate);
+
+  // This week's return when there is one, otherwise each phase's target
+  const projection = simulatePlan(plan, {
+    balance: currentBalance,
+    from: currentDate,
+    weeks: weeksRemaining,
+    weeklyReturn: progressData.weekPnlPercent || null
+  });
+  const projectedBalance = projection.final_balance;
 
   const trajectoryPercentage = ((projectedBalance - targetBalance) / targetBalance) * 100;
 
@@ -231,21 +321,23 @@ const calculateFiveYearProjection = (progressData) => {
     months_elapsed: monthsElapsed,
     projected_final_balance: Math.round(projectedBalance),
     target_balance: targetBalance,
+    target_date: plan.end_date,
     current_trajectory: `${trajectoryPercentage > 0 ? '+' : ''}${Math.round(trajectoryPercentage)}%`,
-    confidence_level: calculateConfidenceLevel(progressData),
-    phase: phase,
+    confidence_level: calculateConfidenceLevel(progressData, phase.target_weekly_return),
+    phase: phase.number,
+    phase_name: phase.name,
     weeks_remaining: weeksRemaining,
-    required_weekly_return: calculateRequiredWeeklyReturn(currentBalance, targetBalance, weeksRemaining, weeklyDeposit)
+    required_weekly_return: calculateRequiredWeeklyReturn(plan, currentBalance, currentDate)
   };
 };
 
-const calculateConfidenceLevel = (progressData) => {
+const calculateConfidenceLevel = (progressData, targetWeeklyReturn) => {
   let confidence = 0.5;
 
   if (progressData.weekTrades >= 2) confidence += 0.1;
   if (progressData.avgSetupQuality >= 7) confidence += 0.15;
-  if (progressData.weekPnlPercent >= 0.5) confidence += 0.2;
-  if (progressData.weekPnlPercent >= 0.75) confidence += 0.05;
+  if (progressData.weekPnlPercent >= targetWeeklyReturn * (2 / 3)) confidence += 0.2;
+  if (progressData.weekPnlPercent >= targetWeeklyReturn) confidence += 0.05;
 
   if (progressData.weekPnlPercent < 0) confidence -= 0.3;
   if (progressData.avgSetupQuality < 5) confidence -= 0.1;
@@ -254,280 +346,184 @@ const calculateConfidenceLevel = (progressData) => {
          Math.max(0.1, Math.min(1.0, confidence)) > 0.4 ? 'medium' : 'low';
 };
 
-const calculateRequiredWeeklyReturn = (currentBalance, targetBalance, weeksRemaining, weeklyDeposit) => {
-  if (weeksRemaining <= 0) return 0;
-
-  let balance = currentBalance;
-  let requiredReturn = 0;
-
-  for (let i = 0; i < 10; i++) {
-    balance = currentBalance;
-    const testReturn = requiredReturn;
-
-    for (let week = 0; week < weeksRemaining; week++) {
-      balance += weeklyDeposit;
-      balance *= (1 + testReturn / 100);
-    }
-
-    if (Math.abs(balance - targetBalance) < 1000) break;
+const getNextMilestone = (plan, currentBalance) => {
+  const nextMilestone = getMilestones(plan).find(milestone => milestone > currentBalance);
 
-    if (balance < targetBalance) {
-      requiredReturn += 0.1;
-    } else {
-      requiredReturn -= 0.05;
-    }
+  if (!nextMilestone) {
+    return {
+      target: plan.target_balance,
+      estimated_date: 'Target Achieved',
+      trades_needed: 0,
+      amount_needed: 0
+    };
   }
 
-  return Math.max(0, Math.round(requiredReturn * 100) / 100);
-};
+  const amountNeeded = nextMilestone - currentBalance;
 
-const getRecentMilestones = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        date,
-        account_balance,
-        cumulative_pnl
-      FROM progress
-      WHERE account_balance IN (
-        SELECT DISTINCT account_balance
-        FROM progress
-        WHERE account_balance % 10000 = 0 OR account_balance % 5000 = 0
-      )
-      ORDER BY date DESC
-      LIMIT 5
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
+  // Weeks of deposits and phase-target returns until the milestone is reached
+  const path = simulatePlan(plan, { balance: currentBalance, weeks: 52 * 50 });
+  const reachedWeek = path.weeks.find(week => week.balance >= nextMilestone);
+  const weeksNeeded = reachedWeek ? reachedWeek.week : null;
 
-const getNextMilestone = (db, currentBalance) => {
-  return new Promise((resolve, reject) => {
-    const milestones = [5000, 10000, 15000, 20000, 25000, 30000, 40000, 50000,
-                      75000, 100000, 150000, 200000, 300000, 500000, 750000, 951000];
+  const estimatedDate = new Date();
+  estimatedDate.setDate(estimatedDate.getDate() + ((weeksNeeded || 0) * 7));
 
-    const nextMilestone = milestones.find(milestone => milestone > currentBalance);
-
-    if (!nextMilestone) {
-      resolve({
-        target: 951000,
-        estimated_date: 'Target Achieved',
-        trades_needed: 0,
-        amount_needed: 0
-      });
-      return;
-    }
-
-    const amountNeeded = nextMilestone - currentBalance;
-    const avgWeeklyGain = 0.75;
-    const weeksNeeded = Math.ceil(amountNeeded / (currentBalance * (avgWeeklyGain / 100)));
-    const estimatedDate = new Date();
-    estimatedDate.setDate(estimatedDate.getDate() + (weeksNeeded * 7));
+  return {
+    target: nextMilestone,
+    estimated_date: weeksNeeded ? estimatedDate.toISOString().split('T')[0] : 'Not reachable at plan targets',
+    trades_needed: weeksNeeded ? Math.ceil(weeksNeeded * 2.5) : null,
+    amount_needed: amountNeeded,
+    weeks_needed: weeksNeeded
+  };
+};
 
-    const tradesNeeded = Math.ceil(weeksNeeded * 2.5);
+const getPerformanceMetrics = async (repos, weekNumber, year) => {
+  const metrics = await repos.trades.getWeekSummary(weekNumber, year);
+  const winRate = metrics.executed_trades > 0
+    ? (metrics.winning_trades / metrics.executed_trades) * 100
+    : 0;
 
-    resolve({
-      target: nextMilestone,
-      estimated_date: estimatedDate.toISOString().split('T')[0],
-      trades_needed: tradesNeeded,
-      amount_needed: amountNeeded,
-      weeks_needed: weeksNeeded
-    });
-  });
+  return {
+    total_analyses: metrics.total_trades || 0,
+    executed_trades: metrics.executed_trades || 0,
+    win_rate: Math.round(winRate),
+    avg_setup_quality: Math.round((metrics.avg_setup_quality || 0) * 10) / 10,
+    avg_pnl_per_trade: Math.round((metrics.avg_executed_pnl || 0) * 100) / 100,
+    total_week_pnl: Math.round((metrics.executed_pnl || 0) * 100) / 100
+  };
 };
 
-const getPerformanceMetrics = (db, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        COUNT(*) as total_trades,
-        AVG(setup_quality) as avg_setup_quality,
-        COUNT(CASE WHEN executed = 1 THEN 1 END) as executed_trades,
-        COUNT(CASE WHEN executed = 1 AND actual_pnl > 0 THEN 1 END) as winning_trades,
-        AVG(CASE WHEN executed = 1 THEN actual_pnl END) as avg_pnl_per_trade,
-        SUM(CASE WHEN executed = 1 THEN actual_pnl END) as total_pnl
-      FROM trades
-      WHERE week_number = ? AND year = ?
-    `, [weekNumber, year], (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      const metrics = rows[0] || {};
-      const winRate = metrics.executed_trades > 0
-        ? (metrics.winning_trades / metrics.executed_trades) * 100
-        : 0;
-
-      resolve({
-        total_analyses: metrics.total_trades || 0,
-        executed_trades: metrics.executed_trades || 0,
-        win_rate: Math.round(winRate),
-        avg_setup_quality: Math.round((metrics.avg_setup_quality || 0) * 10) / 10,
-        avg_pnl_per_trade: Math.round((metrics.avg_pnl_per_trade || 0) * 100) / 100,
-        total_week_pnl: Math.round((metrics.total_pnl || 0) * 100) / 100
-      });
-    });
+const createAccountSnapshot = async (repos, plan, ledgerSummary, snapshotDate) => {
+  const id = await repos.progress.createSnapshot({
+    balance: ledgerSummary.balance,
+    snapshot_date: snapshotDate,
+    deposits_total: ledgerSummary.deposits,
+    withdrawals_total: -ledgerSummary.withdrawals,
+    fees_total: -ledgerSummary.fees,
+    trading_pnl: ledgerSummary.trading_pnl,
+    adjustments_total: ledgerSummary.adjustments,
+    ...getSnapshotStatus(plan, ledgerSummary.balance)
   });
+
+  return { id };
 };
 
-const updateAccountBalance = (db, balance, depositAmount, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT id FROM progress WHERE week_number = ? AND year = ?
-    `, [weekNumber, year], (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+const getCurrentProgressData = async (repos, plan) => {
+  const accountBalance = await getAccountBalance(repos);
 
-      if (row) {
-        db.run(`
-          UPDATE progress
-          SET account_balance = ?, weekly_deposit = COALESCE(?, weekly_deposit)
-          WHERE week_number = ? AND year = ?
-        `, [balance, depositAmount, weekNumber, year], (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      } else {
-        db.run(`
-          INSERT INTO progress (account_balance, weekly_deposit, week_number, year)
-          VALUES (?, ?, ?, ?)
-        `, [balance, depositAmount || 1750, weekNumber, year], (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      }
-    });
-  });
-};
+  if (accountBalance === null) {
+    return { account_balance: plan.starting_balance, cumulative_pnl: 0, total_executed_trades: 0, avg_winning_trade: 0 };
+  }
 
-const createAccountSnapshot = (db, balance, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    const phase = balance >= 50000 ? 2 : 1;
-    const targetProgress = (balance / 951000) * 100;
-    const daysElapsed = Math.floor((new Date() - new Date('2025-01-01')) / (1000 * 60 * 60 * 24));
-
-    db.run(`
-      INSERT INTO account_snapshots (
-        balance, phase, target_progress_percentage, days_elapsed, projection_status
-      ) VALUES (?, ?, ?, ?, ?)
-    `, [
-      balance,
-      phase,
-      Math.round(targetProgress * 100) / 100,
-      daysElapsed,
-      balance > 951000 ? 'TARGET_EXCEEDED' : balance >= 500000 ? 'ON_TRACK_ADVANCED' : 'ON_TRACK'
-    ], function(err) {
-      if (err) reject(err);
-      else resolve({ id: this.lastID });
-    });
-  });
-};
+  const ledgerSummary = await repos.ledger.getSummary();
+  const totals = await repos.trades.getTotals();
 
-const getWeeklyData = (db, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        t.*,
-        p.account_balance,
-        p.week_pnl_percentage,
-        p.weekly_deposit
-      FROM trades t
-      LEFT JOIN progress p ON t.week_number = p.week_number AND t.year = p.year
-      WHERE t.week_number = ? AND t.year = ?
-      ORDER BY t.timestamp ASC
-    `, [weekNumber, year], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
+  return {
+    account_balance: accountBalance,
+    cumulative_pnl: ledgerSummary.trading_pnl,
+    total_executed_trades: totals.executed_trades,
+    avg_winning_trade: totals.avg_winning_trade
+  };
 };
 
-const getCurrentProgressData = (db) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT
-        account_balance,
-        cumulative_pnl,
-        (SELECT COUNT(*) FROM trades WHERE executed = 1) as total_executed_trades,
-        (SELECT AVG(actual_pnl) FROM trades WHERE executed = 1 AND actual_pnl > 0) as avg_winning_trade
-      FROM progress
-      ORDER BY date DESC
-      LIMIT 1
-    `, (err, row) => {
-      if (err) reject(err);
-      else resolve(row || { account_balance: 500, cumulative_pnl: 0, total_executed_trades: 0, avg_winning_trade: 0 });
-    });
-  });
+// Risk of ruin at the configured risk per trade, or null until there are enough closed trades
+const getRiskOfRuin = async (repos, accountBalance) => {
+  try {
+    return await assessRiskOfRuin(repos, { account_balance: accountBalance });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_TRADE_HISTORY') return null;
+    throw error;
+  }
 };
 
-const generateDetailedProjection = async (db, currentData) => {
+// Scenarios scale every phase's target weekly return (0.5% / 0.75% / 1.0% for a 0.75% plan)
+const generateDetailedProjection = (plan, currentData, riskOfRuin) => {
   const projections = {
-    conservative: calculateScenario(currentData, 0.5),
-    realistic: calculateScenario(currentData, 0.75),
-    optimistic: calculateScenario(currentData, 1.0)
+    conservative: calculateScenario(plan, currentData, 2 / 3),
+    realistic: calculateScenario(plan, currentData, 1),
+    optimistic: calculateScenario(plan, currentData, 4 / 3)
   };
 
   return {
     current_status: currentData,
+    goal_plan: summarizePlan(plan),
     scenarios: projections,
-    risk_assessment: generateRiskAssessment(currentData),
-    recommendations: generateRecommendations(currentData, projections)
+    risk_of_ruin: riskOfRuin,
+    risk_assessment: generateRiskAssessment(riskOfRuin),
+    recommendations: generateRecommendations(plan, currentData, projections)
   };
 };
 
-const calculateScenario = (currentData, weeklyReturnPercent) => {
-  const weeksRemaining = 260;
-  const currentBalance = currentData.account_balance;
-  const phase = currentBalance >= 50000 ? 2 : 1;
-  const weeklyDeposit = phase === 1 ? 1750 : 750;
-
-  let balance = currentBalance;
-  const monthlySnapshots = [];
+const calculateScenario = (plan, currentData, returnMultiplier) => {
+  const projection = simulatePlan(plan, {
+    balance: currentData.account_balance,
+    returnMultiplier
+  });
 
-  for (let week = 0; week < weeksRemaining; week++) {
-    balance += weeklyDeposit;
-    balance *= (1 + weeklyReturnPercent / 100);
+  const monthlySnapshots = projection.weeks
+    .filter((week, index) => index % 4 === 0)
+    .map((week, index) => ({
+      month: index + 1,
+      balance: Math.round(week.balance),
+      phase: week.phase
+    }));
 
-    if (week % 4 === 0) {
-      monthlySnapshots.push({
-        month: Math.floor(week / 4) + 1,
-        balance: Math.round(balance),
-        phase: balance >= 50000 ? 2 : 1
-      });
-    }
-  }
+  const balance = projection.final_balance;
+  const targetBalance = plan.target_balance;
 
   return {
+    return_multiplier: Math.round(returnMultiplier * 100) / 100,
     final_balance: Math.round(balance),
     monthly_snapshots: monthlySnapshots.slice(0, 60),
-    success_probability: balance >= 951000 ? 'High' : balance >= 750000 ? 'Medium' : 'Low'
+    success_probability: balance >= targetBalance ? 'High' : balance >= targetBalance * 0.8 ? 'Medium' : 'Low'
   };
 };
 
-const generateRiskAssessment = (currentData) => {
+const generateRiskAssessment = (riskOfRuin) => {
   const risks = [];
 
-  if (currentData.total_executed_trades < 10) {
-    risks.push({ risk: 'Limited trading history', severity: 'Medium', mitigation: 'Focus on consistent execution' });
+  if (!riskOfRuin) {
+    risks.push({
+      risk: 'Limited trading history',
+      severity: 'Medium',
+      mitigation: `Record the P&L of at least ${MIN_CLOSED_TRADES} closed trades to measure risk of ruin`
+    });
+    return risks;
+  }
+
+  const { inputs, expectancy_r: expectancy, max_risk_for_target: maxRisk, expected_max_drawdown: drawdown } = riskOfRuin;
+
+  if (expectancy <= 0) {
+    risks.push({
+      risk: `Negative expectancy (${expectancy}R per trade) - a ${inputs.ruin_threshold}% drawdown is certain at any size`,
+      severity: 'High',
+      mitigation: 'Trade minimum size until win rate or payoff ratio improves'
+    });
+  } else if (!riskOfRuin.within_target) {
+    risks.push({
+      risk: `${Math.round(riskOfRuin.probability_of_ruin * 100) / 100}% risk of a ${inputs.ruin_threshold}% drawdown at $${inputs.risk_per_trade} per trade`,
+      severity: riskOfRuin.probability_of_ruin >= inputs.target_ruin_probability * 5 ? 'High' : 'Medium',
+      mitigation: `Cut risk to $${maxRisk.risk_per_trade} per trade to keep ruin under ${inputs.target_ruin_probability}%`
+    });
   }
 
-  if (currentData.avg_winning_trade < 0.3) {
-    risks.push({ risk: 'Low average returns', severity: 'High', mitigation: 'Improve setup selection quality' });
+  if (drawdown.percent >= inputs.ruin_threshold / 2) {
+    risks.push({
+      risk: `Expected max drawdown of ${drawdown.percent}% over the next ${inputs.horizon_trades} trades`,
+      severity: 'Medium',
+      mitigation: 'Reduce risk per trade until the account is past the small-account phase'
+    });
   }
 
   return risks;
 };
 
-const generateRecommendations = (currentData, projections) => {
+const generateRecommendations = (plan, currentData, projections) => {
   const recommendations = [];
 
-  if (projections.realistic.final_balance < 951000) {
-    recommendations.push('Consider increasing weekly return target to 1.0%');
+  if (projections.realistic.final_balance < plan.target_balance) {
+    const requiredReturn = calculateRequiredWeeklyReturn(plan, currentData.account_balance);
+    recommendations.push(`Consider increasing weekly return target to ${requiredReturn}% or extending the plan horizon`);
   }
 
   if (currentData.total_executed_trades < 50) {
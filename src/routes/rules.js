@@ -0,0 +1,191 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { validateRule, validatePreviewRange, previewRule } = require('../services/tradingRules');
+const { createErrorResponse } = require('../services/errorHandler');
+
+const router = express.Router();
+
+const RULE_ERROR_CODES = ['INVALID_TRADING_RULE', 'INVALID_ANALYTICS_QUERY'];
+
+// List the caller's trading rules with their violation counts
+router.get('/rules', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const rules = await repos.rules.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        enabled_count: rules.filter(rule => rule.is_enabled).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Trading rule list error:', error);
+    throw error;
+  }
+}));
+
+// Test an unsaved rule against the caller's history (from/to narrow the range)
+router.post('/rules/preview', requireScope('analytics:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const rule = validateRule(req.body);
+    const range = validatePreviewRange(req.body);
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        ...(await previewRule(repos, rule, range))
+      }
+    });
+
+  } catch (error) {
+    if (RULE_ERROR_CODES.includes(error.code)) {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Trading rule preview error:', error);
+    throw error;
+  }
+}));
+
+router.get('/rules/:ruleId', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const rule = await repos.rules.findById(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json(createErrorResponse('TRADING_RULE_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...rule,
+        recent_violations: await repos.rules.findViolationsForRule(rule.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Trading rule lookup error:', error);
+    throw error;
+  }
+}));
+
+// Test a stored rule against the caller's history
+router.post('/rules/:ruleId/preview', requireScope('analytics:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const rule = await repos.rules.findById(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json(createErrorResponse('TRADING_RULE_NOT_FOUND'));
+    }
+
+    const range = validatePreviewRange({ ...req.query, ...req.body });
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        ...(await previewRule(repos, rule, range))
+      }
+    });
+
+  } catch (error) {
+    if (RULE_ERROR_CODES.includes(error.code)) {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Trading rule preview error:', error);
+    throw error;
+  }
+}));
+
+router.post('/rules', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const rule = { id: uuidv4(), ...validateRule(req.body) };
+    await repos.rules.create(rule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Trading rule created',
+      data: await repos.rules.findById(rule.id)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_TRADING_RULE') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Trading rule creation error:', error);
+    throw error;
+  }
+}));
+
+// Update a rule; omitted fields keep their stored values (is_enabled false switches it off)
+router.put('/rules/:ruleId', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+  const { ruleId } = req.params;
+
+  try {
+    const current = await repos.rules.findById(ruleId);
+
+    if (!current) {
+      return res.status(404).json(createErrorResponse('TRADING_RULE_NOT_FOUND'));
+    }
+
+    const rule = validateRule({ ...current, ...req.body });
+    await repos.rules.update(ruleId, rule);
+
+    res.json({
+      success: true,
+      message: 'Trading rule updated',
+      data: await repos.rules.findById(ruleId)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_TRADING_RULE') {
+      const response = createErrorResponse(error.code, { message: error.message });
+      return res.status(response.code).json(response);
+    }
+    console.error('Trading rule update error:', error);
+    throw error;
+  }
+}));
+
+// Delete a rule; the violations it raised stay on their trades
+router.delete('/rules/:ruleId', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const result = await repos.rules.delete(req.params.ruleId);
+
+    if (result.changes === 0) {
+      return res.status(404).json(createErrorResponse('TRADING_RULE_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Trading rule deleted'
+    });
+
+  } catch (error) {
+    console.error('Trading rule deletion error:', error);
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { createErrorResponse } = require('../services/errorHandler');
+const { RISK_LIMIT_DEFAULTS } = require('../services/riskState');
+const { POSITION_SIZE_MODELS, SIZING_DEFAULTS } = require('../services/positionSizing');
+const { TILT_DEFAULTS } = require('../services/tiltDetection');
+
+const router = express.Router();
+
+// Settings management endpoints
+router.get('/settings', requireScope('settings:read'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    // Get user settings from database (with defaults)
+    const settings = await repos.settings.get();
+
+    // Default settings structure
+    const defaultSettings = {
+      trading_settings: {
+        default_instrument: 'MNQ',
+        default_trading_style: 'mnq_scalping',
+        session_preferences: {
+          preferred_sessions: ['opening', 'mid_morning'],
+          avoid_lunch_hours: true
+        },
+        weekly_target_percentage: 0.75,
+        max_trades_per_day: RISK_LIMIT_DEFAULTS.max_trades_per_day,
+        max_trades_per_week: RISK_LIMIT_DEFAULTS.max_trades_per_week
+      },
+      risk_management: {
+        max_risk_per_trade: 50,
+        account_size: 67500,
+        max_daily_loss: RISK_LIMIT_DEFAULTS.max_daily_loss,
+        max_weekly_loss: RISK_LIMIT_DEFAULTS.max_weekly_loss,
+        position_size_model: SIZING_DEFAULTS.position_size_model,
+        risk_percent_per_trade: SIZING_DEFAULTS.risk_percent_per_trade,
+        revenge_window_minutes: TILT_DEFAULTS.revenge_window_minutes,
+        tilt_threshold: TILT_DEFAULTS.tilt_threshold,
+        enable_session_risk_adjustment: true
+      },
+      analysis_preferences: {
+        primary_timeframe_preference: 'ultra_short',
+        require_confluence_timeframes: true,
+        min_confidence_threshold: 0.6,
+        enable_mnq_specialization: true
+      },
+      notification_settings: {
+        enable_trade_alerts: true,
+        enable_weekly_summaries: true,
+        enable_pattern_reminders: false
+      },
+      display_preferences: {
+        default_chart_layout: 'multi_timeframe',
+        show_risk_metrics: true,
+        compact_trade_history: false,
+        theme: 'dark'
+      }
+    };
+
+    // Merge stored settings with defaults
+    let userSettings = defaultSettings;
+    if (settings?.settings) {
+      const storedSettings = settings.settings;
+      userSettings = {
+        ...defaultSettings,
+        ...storedSettings,
+        trading_settings: { ...defaultSettings.trading_settings, ...storedSettings.trading_settings },
+        risk_management: { ...defaultSettings.risk_management, ...storedSettings.risk_management },
+        analysis_preferences: { ...defaultSettings.analysis_preferences, ...storedSettings.analysis_preferences },
+        notification_settings: { ...defaultSettings.notification_settings, ...storedSettings.notification_settings },
+        display_preferences: { ...defaultSettings.display_preferences, ...storedSettings.display_preferences }
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        settings: userSettings,
+        last_updated: settings?.updated_at || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Settings retrieval error:', error);
+    throw error;
+  }
+}));
+
+router.put('/settings', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    const { settings } = req.body;
+
+    if (!settings || typeof settings !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SETTINGS_FORMAT',
+        message: 'Settings object is required',
+        code: 400
+      });
+    }
+
+    // Validate critical settings
+    if (settings.risk_management) {
+      const { max_risk_per_trade, account_size } = settings.risk_management;
+
+      if (max_risk_per_trade && (max_risk_per_trade < 1 || max_risk_per_trade > 500)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_RISK_AMOUNT',
+          message: 'Max risk per trade must be between $1 and $500',
+          code: 400
+        });
+      }
+
+      if (account_size && account_size < 1000) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_ACCOUNT_SIZE',
+          message: 'Account size must be at least $1,000',
+          code: 400
+        });
+      }
+
+      // Position sizing model behind POST /api/position-size and the pre-trade sizing
+      const { position_size_model, risk_percent_per_trade } = settings.risk_management;
+
+      if (position_size_model !== undefined && !POSITION_SIZE_MODELS.includes(position_size_model)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_POSITION_SIZE_MODEL',
+          message: `Position size model must be one of ${POSITION_SIZE_MODELS.join(', ')}`,
+          code: 400
+        });
+      }
+
+      if (risk_percent_per_trade !== undefined && !(risk_percent_per_trade > 0 && risk_percent_per_trade <= 5)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_RISK_PERCENT',
+          message: 'Risk percent per trade must be above 0% and at most 5%',
+          code: 400
+        });
+      }
+
+      // Tilt detector: minutes after a loss that count as a revenge trade, and the alerting score
+      const { revenge_window_minutes, tilt_threshold } = settings.risk_management;
+
+      if (revenge_window_minutes !== undefined && !(revenge_window_minutes >= 1 && revenge_window_minutes <= 240)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_TILT_SETTINGS',
+          message: 'Revenge window must be between 1 and 240 minutes',
+          code: 400
+        });
+      }
+
+      if (tilt_threshold !== undefined && !(tilt_threshold > 0 && tilt_threshold <= 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_TILT_SETTINGS',
+          message: 'Tilt threshold must be above 0 and at most 100',
+          code: 400
+        });
+      }
+    }
+
+    // Loss and trade-count limits enforce the trading lockout; null switches one off
+    const limitFields = [
+      ['risk_management', 'max_daily_loss'],
+      ['risk_management', 'max_weekly_loss'],
+      ['trading_settings', 'max_trades_per_day'],
+      ['trading_settings', 'max_trades_per_week']
+    ];
+    const invalidLimit = limitFields.find(([section, field]) => {
+      const value = settings[section]?.[field];
+      return value !== undefined && value !== null && !(typeof value === 'number' && value > 0);
+    });
+    if (invalidLimit) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_RISK_LIMIT',
+        message: `${invalidLimit[1]} must be a positive number or null`,
+        code: 400
+      });
+    }
+
+    if (settings.trading_settings?.weekly_target_percentage) {
+      const target = settings.trading_settings.weekly_target_percentage;
+      if (target < 0.1 || target > 10) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_WEEKLY_TARGET',
+          message: 'Weekly target must be between 0.1% and 10%',
+          code: 400
+        });
+      }
+    }
+
+    if (settings.trading_settings?.default_instrument) {
+      const instrument = await repos.instruments.findBySymbol(settings.trading_settings.default_instrument.toString());
+      if (!instrument) {
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', {
+          instrument: settings.trading_settings.default_instrument
+        }));
+      }
+      settings.trading_settings.default_instrument = instrument.symbol;
+    }
+
+    const timestamp = new Date().toISOString();
+
+    // Insert or update settings
+    await repos.settings.save(settings, timestamp);
+
+    // Return updated settings
+    res.json({
+      success: true,
+      data: {
+        settings: settings,
+        message: 'Settings updated successfully',
+        last_updated: timestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('Settings update error:', error);
+    throw error;
+  }
+}));
+
+// Reset settings to defaults
+router.post('/settings/reset', requireScope('settings:write'), asyncHandler(async (req, res) => {
+  const repos = createRepositories(req.user.id);
+
+  try {
+    await repos.settings.reset();
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Settings reset to defaults successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Settings reset error:', error);
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -2,10 +2,34 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { upload, multiTimeframeUpload, universalTimeframeUpload, validateUploadedFile, validateMultiTimeframeUpload, validateUniversalTimeframeUpload, validateFrontendTimeframeUpload, cleanupMultiTimeframeFiles, getFileStats } = require('../middleware/upload');
 const { determineTimeframeHierarchy, generateAnalysisStrategy, formatTimeframeMetadata } = require('../utils/timeframeClassifier');
-const { provideMNQInsights } = require('../services/mnqSpecialization');
-const { asyncHandler, validateTradingRules } = require('../middleware/errorHandler');
-const { getDatabase, getWeekNumber } = require('../models/database');
+const { provideMNQInsights, calculateMNQRiskParameters } = require('../services/mnqSpecialization');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const { enforceTradingLockout } = require('../middleware/tradingLockout');
+const { getWeekNumber } = require('../models/database');
+const { createRepositories } = require('../repositories');
 const ClaudeAnalysisService = require('../services/claudeAnalysis');
+const { enqueueAnalysisJob, registerJobProcessor } = require('../services/analysisQueue');
+const { EVENT_TYPES, publishEvent } = require('../services/eventBus');
+const { DEFAULT_INSTRUMENT, resolveInstrument, calculatePnl } = require('../services/instruments');
+const { createErrorResponse } = require('../services/errorHandler');
+const { getActivePlan, getPhase } = require('../services/goalPlans');
+const { toTradeLedgerDate, getAccountBalance } = require('../services/ledger');
+const { evaluateRiskState } = require('../services/riskState');
+const { evaluateTilt } = require('../services/tiltDetection');
+const { checkTradingRules, recordRuleViolations } = require('../services/tradingRules');
+const { sizePlannedTrade } = require('../services/positionSizing');
+const { getPatternTaxonomy } = require('../services/patternTaxonomy');
+const { refreshPatternConfidence } = require('../services/patternConfidence');
+const { refreshPatternRegimes } = require('../services/patternRegimes');
+const { scoreChecklist } = require('../services/patternPlaybook');
+const { toScreenshotLink, createScreenshotUrl } = require('../services/screenshotUrls');
+const {
+  COACHED_BEHAVIORS,
+  identifyBehaviors,
+  recordCoaching,
+  getCoachingEffectiveness
+} = require('../services/coachingEffectiveness');
 
 const router = express.Router();
 const claudeService = new ClaudeAnalysisService();
@@ -49,6 +73,7 @@ const flexibleUpload = upload.any();
 
 // Main upload endpoint (original)
 router.post('/upload-trade',
+  requireScope('trades:write'),
   debugRequest,
   flexibleUpload,
   (req, res, next) => {
@@ -70,48 +95,52 @@ router.post('/upload-trade',
     next();
   },
   validateUploadedFile,
+  enforceTradingLockout,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
-    const tradeId = uuidv4();
+    const repos = createRepositories(req.user.id);
+    const tradeId = req.tradeId || uuidv4();
     const timestamp = new Date();
     const weekNumber = getWeekNumber(timestamp);
     const year = timestamp.getFullYear();
 
     try {
-      const tradeContext = await getTradeContext(db, weekNumber, year);
-      const fileStats = getFileStats(req.file.path);
-
-      let analysis;
-      try {
-        analysis = await claudeService.analyzeTradeScreenshot(
-          req.file.path,
-          tradeContext
-        );
-      } catch (claudeError) {
-        if (claudeError.message.includes('API key') || claudeError.message.includes('authentication_error')) {
-          console.log('⚠️ Using fallback analysis due to API key issue');
-          analysis = createFallbackAnalysis(req.body.notes || '');
-        } else {
-          throw claudeError;
-        }
+      const instrument = await resolveInstrument(repos, req.body.instrument);
+      if (!instrument) {
+        await cleanupFailedUpload(req.user.id, req.file.path, tradeId);
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', { instrument: req.body.instrument }));
       }
 
-      const validationResults = validateTradingRules(analysis);
+      publishAnalysisStage(req.user.id, tradeId, 'files_validated', { filename: req.file.filename });
+
+      const tradeContext = await getTradeContext(repos, weekNumber, year, instrument);
+      const fileStats = getFileStats(req.file.path);
+
+      publishAnalysisStage(req.user.id, tradeId, 'analysis_started');
+      const analysis = await claudeService.analyzeTradeScreenshot(
+        req.file.path,
+        tradeContext,
+        { notes: req.body.notes || '' }
+      );
+      publishAnalysisStage(req.user.id, tradeId, 'analysis_completed', { pattern_type: analysis.pattern_type });
 
       // Generate execution upload token for linking
       const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
 
       // Extract planned prices from analysis (Claude should provide these)
       const plannedPrices = extractPlannedPrices(analysis);
+      const positionSize = await sizePlannedTrade(repos, instrument, plannedPrices, timestamp);
+      const checklist = scoreAnalysisChecklist(tradeContext, analysis);
 
       const tradeRecord = {
         id: tradeId,
         timestamp: timestamp.toISOString(),
         screenshot_path: req.file.relativePath,
         ...analysis,
+        ...checklist,
         week_number: weekNumber,
         year: year,
         trade_phase: 'pre_trade',
+        instrument: instrument.symbol,
         execution_upload_token: executionToken,
         planned_entry: plannedPrices.entry,
         planned_stop: plannedPrices.stop,
@@ -119,13 +148,19 @@ router.post('/upload-trade',
         planned_rr: plannedPrices.risk_reward
       };
 
-      await insertTradeRecord(db, tradeRecord);
+      const validationResults = await repos.transaction(async () => {
+        const results = await checkTradingRules(repos, tradeRecord);
+        await repos.trades.create(tradeRecord);
 
-      if (validationResults.errors.length > 0) {
-        await insertRiskAlerts(db, tradeId, validationResults.errors);
-      }
+        if (results.errors.length > 0) {
+          await recordRuleViolations(repos, tradeRecord, results.errors);
+        }
 
-      await updatePatternCounts(db, analysis.pattern_type);
+        await repos.patterns.recordOccurrence(analysis.pattern_type);
+        await recordLockoutOverride(repos, req.lockoutOverride, tradeId);
+        return results;
+      });
+      publishAnalysisStage(req.user.id, tradeId, 'saved');
 
       const response = {
         trade_id: tradeId,
@@ -134,11 +169,14 @@ router.post('/upload-trade',
         file_info: {
           filename: req.file.filename,
           size: fileStats?.sizeReadable || 'Unknown',
-          path: req.file.relativePath
+          path: req.file.relativePath,
+          url: createScreenshotUrl(req.file.relativePath)
         },
         pre_trade_analysis: {
           ...analysis,
           planned_prices: plannedPrices,
+          position_size: positionSize,
+          playbook_checklist: checklist,
           compliance_check: {
             risk_amount: analysis.risk_amount,
             within_limits: analysis.within_limits,
@@ -170,7 +208,7 @@ router.post('/upload-trade',
     } catch (error) {
       console.error('Upload analysis error:', error);
 
-      await cleanupFailedUpload(req.file.path, tradeId);
+      await cleanupFailedUpload(req.user.id, req.file.path, tradeId);
 
       if (error.code === 'ANTHROPIC_API_ERROR') {
         return res.status(503).json({
@@ -182,14 +220,13 @@ router.post('/upload-trade',
       }
 
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 // Alternative route path for frontend compatibility (/api/trades/upload)
 router.post('/trades/upload',
+  requireScope('trades:write'),
   (req, res, next) => {
     console.log('🎯 /api/trades/upload route HIT!', {
       method: req.method,
@@ -224,11 +261,12 @@ router.post('/trades/upload',
     next();
   },
   validateUploadedFile,
+  enforceTradingLockout,
   asyncHandler(async (req, res) => {
     console.log('📍 Processing upload in /api/trades/upload route');
 
-    const db = getDatabase();
-    const tradeId = uuidv4();
+    const repos = createRepositories(req.user.id);
+    const tradeId = req.tradeId || uuidv4();
     const timestamp = new Date();
     const weekNumber = getWeekNumber(timestamp);
     const year = timestamp.getFullYear();
@@ -241,27 +279,29 @@ router.post('/trades/upload',
     });
 
     try {
-      const tradeContext = await getTradeContext(db, weekNumber, year);
+      const instrument = await resolveInstrument(repos, req.body.instrument);
+      if (!instrument) {
+        await cleanupFailedUpload(req.user.id, req.file.path, tradeId);
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', { instrument: req.body.instrument }));
+      }
+
+      publishAnalysisStage(req.user.id, tradeId, 'files_validated', { filename: req.file.filename });
+
+      const tradeContext = await getTradeContext(repos, weekNumber, year, instrument);
       const fileStats = getFileStats(req.file.path);
 
-      let analysis;
-      try {
-        analysis = await claudeService.analyzeTradeScreenshot(
-          req.file.path,
-          tradeContext
-        );
-      } catch (claudeError) {
-        if (claudeError.message.includes('API key') || claudeError.message.includes('authentication_error')) {
-          console.log('⚠️ Using fallback analysis due to API key issue');
-          analysis = createFallbackAnalysis(req.body.notes || '');
-        } else {
-          throw claudeError;
-        }
-      }
+      publishAnalysisStage(req.user.id, tradeId, 'analysis_started');
+      const analysis = await claudeService.analyzeTradeScreenshot(
+        req.file.path,
+        tradeContext,
+        { notes: req.body.notes || '' }
+      );
+      publishAnalysisStage(req.user.id, tradeId, 'analysis_completed', { pattern_type: analysis.pattern_type });
 
-      const validationResults = validateTradingRules(analysis);
       const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
       const plannedPrices = extractPlannedPrices(analysis);
+      const positionSize = await sizePlannedTrade(repos, instrument, plannedPrices, timestamp);
+      const checklist = scoreAnalysisChecklist(tradeContext, analysis);
 
       const tradeRecord = {
         id: tradeId,
@@ -275,28 +315,37 @@ router.post('/trades/upload',
         target_selection: analysis.target_selection,
         ai_commentary: analysis.ai_commentary,
         risk_amount: analysis.risk_amount,
-        within_limits: validationResults.riskCompliant,
+        within_limits: analysis.within_limits,
         session_timing: analysis.session_timing,
         trade_frequency: analysis.trade_frequency,
         learning_insights: analysis.learning_insights,
         recommendation: analysis.recommendation,
         week_number: weekNumber,
         year: year,
+        instrument: instrument.symbol,
         execution_upload_token: executionToken,
         planned_entry: plannedPrices.entry,
         planned_stop: plannedPrices.stop,
         planned_target: plannedPrices.target,
         planned_rr: analysis.risk_reward_ratio,
         trading_style: 'mnq_scalping',
-        analysis_specialization: 'mnq_specialist'
+        analysis_specialization: 'mnq_specialist',
+        ...checklist
       };
 
-      await insertTradeRecord(db, tradeRecord);
-      await updatePatternStats(db, analysis.pattern_type);
+      const validationResults = await repos.transaction(async () => {
+        const results = await checkTradingRules(repos, tradeRecord);
+        await repos.trades.create(tradeRecord);
+        await repos.patterns.recordOccurrence(analysis.pattern_type);
 
-      if (validationResults.violations.length > 0) {
-        await createRiskAlerts(db, tradeId, validationResults.violations);
-      }
+        if (results.errors.length > 0) {
+          await recordRuleViolations(repos, tradeRecord, results.errors);
+        }
+
+        await recordLockoutOverride(repos, req.lockoutOverride, tradeId);
+        return results;
+      });
+      publishAnalysisStage(req.user.id, tradeId, 'saved');
 
       // Build response with error handling for each component
       let mnqInsights;
@@ -329,10 +378,13 @@ router.post('/trades/upload',
           specific_observations: analysis.specific_observations || ['Analysis completed']
         },
         validation: validationResults || { violations: [], riskCompliant: true },
+        position_size: positionSize,
+        playbook_checklist: checklist,
         execution_token: executionToken,
         mnq_insights: mnqInsights,
         file_info: {
           size: fileStats?.size || 0,
+          url: createScreenshotUrl(req.file.relativePath),
           uploaded_at: timestamp.toISOString()
         }
       };
@@ -367,7 +419,7 @@ router.post('/trades/upload',
     } catch (error) {
       console.error('Upload analysis error:', error);
 
-      await cleanupFailedUpload(req.file.path, tradeId);
+      await cleanupFailedUpload(req.user.id, req.file.path, tradeId);
 
       if (error.code === 'ANTHROPIC_API_ERROR') {
         return res.status(503).json({
@@ -379,14 +431,13 @@ router.post('/trades/upload',
       }
 
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 // Multi-timeframe upload endpoint
 router.post('/upload-trade-multi',
+  requireScope('trades:write'),
   multiTimeframeUpload.fields([
     { name: '1min', maxCount: 1 },
     { name: '5min', maxCount: 1 },
@@ -394,40 +445,41 @@ router.post('/upload-trade-multi',
     { name: 'daily', maxCount: 1 }
   ]),
   validateMultiTimeframeUpload,
+  enforceTradingLockout,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
     const tradeId = req.tradeId || uuidv4();
     const timestamp = new Date();
     const weekNumber = getWeekNumber(timestamp);
     const year = timestamp.getFullYear();
 
     try {
-      const tradeContext = await getTradeContext(db, weekNumber, year);
+      const instrument = await resolveInstrument(repos, req.body.instrument);
+      if (!instrument) {
+        await cleanupFailedMultiTimeframeUpload(req.user.id, req.files, tradeId);
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', { instrument: req.body.instrument }));
+      }
+
+      const tradeContext = await getTradeContext(repos, weekNumber, year, instrument);
       const timeframes = req.timeframesUploaded;
+      publishAnalysisStage(req.user.id, tradeId, 'files_validated', { timeframes });
 
       // Analyze with Claude using multi-timeframe approach
-      let analysis;
-      try {
-        analysis = await claudeService.analyzeMultiTimeframeScreenshots(
-          req.files,
-          tradeContext
-        );
-      } catch (claudeError) {
-        if (claudeError.message.includes('API key') || claudeError.message.includes('authentication_error')) {
-          console.log('⚠️ Using fallback multi-timeframe analysis due to API key issue');
-          analysis = createFallbackMultiTimeframeAnalysis(timeframes, req.body.notes || '');
-        } else {
-          throw claudeError;
-        }
-      }
-
-      const validationResults = validateTradingRules(analysis);
+      publishAnalysisStage(req.user.id, tradeId, 'analysis_started');
+      const analysis = await claudeService.analyzeMultiTimeframeScreenshots(
+        req.files,
+        tradeContext,
+        { notes: req.body.notes || '' }
+      );
+      publishAnalysisStage(req.user.id, tradeId, 'analysis_completed', { pattern_type: analysis.pattern_type });
 
       // Generate execution upload token
       const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
 
       // Extract planned prices
       const plannedPrices = extractPlannedPrices(analysis);
+      const positionSize = await sizePlannedTrade(repos, instrument, plannedPrices, timestamp);
+      const checklist = scoreAnalysisChecklist(tradeContext, analysis, timeframes);
 
       // Create timeframe file paths object
       const timeframePaths = {};
@@ -436,24 +488,6 @@ router.post('/upload-trade-multi',
         timeframePaths[`screenshot_${timeframe}`] = file.relativePath;
       }
 
-      // Store individual timeframe analysis
-      for (const timeframe of timeframes) {
-        const file = req.files[timeframe][0];
-        const individualAnalysis = analysis.individual_timeframe_analysis[timeframe] || {};
-
-        await insertTimeframeAnalysis(db, {
-          trade_id: tradeId,
-          timeframe: timeframe,
-          screenshot_path: file.relativePath,
-          individual_analysis: JSON.stringify(individualAnalysis),
-          pattern_identified: individualAnalysis.pattern_identified || 'unknown',
-          trend_direction: individualAnalysis.trend_direction || 'neutral',
-          key_levels: JSON.stringify(individualAnalysis.key_levels || []),
-          volume_analysis: individualAnalysis.volume_analysis || 'no volume analysis',
-          confluence_score: individualAnalysis.individual_setup_score || 5
-        });
-      }
-
       const tradeRecord = {
         id: tradeId,
         timestamp: timestamp.toISOString(),
@@ -462,6 +496,7 @@ router.post('/upload-trade-multi',
         week_number: weekNumber,
         year: year,
         trade_phase: 'pre_trade',
+        instrument: instrument.symbol,
         execution_upload_token: executionToken,
         planned_entry: plannedPrices.entry,
         planned_stop: plannedPrices.stop,
@@ -473,16 +508,42 @@ router.post('/upload-trade-multi',
         analysis_completeness_score: analysis.completeness_score || analysis.timeframes_analyzed?.length || 1,
         multi_timeframe_insights: analysis.multi_timeframe_insights || 'Multi-timeframe analysis completed',
         trend_alignment_score: analysis.trend_alignment_score || 0.5,
-        structure_confirmation: analysis.structure_confirmation || 'Structure analysis completed'
+        structure_confirmation: analysis.structure_confirmation || 'Structure analysis completed',
+        ...checklist
       };
 
-      await insertMultiTimefradeRecord(db, tradeRecord);
+      // Everything the upload stores is written at once, together with any lockout override
+      const validationResults = await repos.transaction(async () => {
+        // Store individual timeframe analysis
+        for (const timeframe of timeframes) {
+          const file = req.files[timeframe][0];
+          const individualAnalysis = analysis.individual_timeframe_analysis[timeframe] || {};
+
+          await repos.trades.addTimeframeAnalysis({
+            trade_id: tradeId,
+            timeframe: timeframe,
+            screenshot_path: file.relativePath,
+            individual_analysis: individualAnalysis,
+            pattern_identified: individualAnalysis.pattern_identified || 'unknown',
+            trend_direction: individualAnalysis.trend_direction || 'neutral',
+            key_levels: individualAnalysis.key_levels || [],
+            volume_analysis: individualAnalysis.volume_analysis || 'no volume analysis',
+            confluence_score: individualAnalysis.individual_setup_score || 5
+          });
+        }
 
-      if (validationResults.errors.length > 0) {
-        await insertRiskAlerts(db, tradeId, validationResults.errors);
-      }
+        const results = await checkTradingRules(repos, tradeRecord);
+        await repos.trades.create(tradeRecord);
+
+        if (results.errors.length > 0) {
+          await recordRuleViolations(repos, tradeRecord, results.errors);
+        }
 
-      await updatePatternCounts(db, analysis.pattern_type);
+        await repos.patterns.recordOccurrence(analysis.pattern_type);
+        await recordLockoutOverride(repos, req.lockoutOverride, tradeId);
+        return results;
+      });
+      publishAnalysisStage(req.user.id, tradeId, 'saved');
 
       const response = {
         trade_id: tradeId,
@@ -497,7 +558,8 @@ router.post('/upload-trade-multi',
             acc[tf] = {
               filename: file.filename,
               size: getFileStats(file.path)?.sizeReadable || 'Unknown',
-              path: file.relativePath
+              path: file.relativePath,
+              url: createScreenshotUrl(file.relativePath)
             };
             return acc;
           }, {})
@@ -507,6 +569,8 @@ router.post('/upload-trade-multi',
           cross_timeframe_confluence: analysis.cross_timeframe_analysis,
           ...analysis,
           planned_prices: plannedPrices,
+          position_size: positionSize,
+          playbook_checklist: checklist,
           compliance_check: {
             risk_amount: analysis.risk_amount,
             within_limits: analysis.within_limits,
@@ -538,7 +602,7 @@ router.post('/upload-trade-multi',
     } catch (error) {
       console.error('Multi-timeframe upload analysis error:', error);
 
-      await cleanupFailedMultiTimeframeUpload(req.files, tradeId);
+      await cleanupFailedMultiTimeframeUpload(req.user.id, req.files, tradeId);
 
       if (error.code === 'ANTHROPIC_API_ERROR') {
         return res.status(503).json({
@@ -550,414 +614,473 @@ router.post('/upload-trade-multi',
       }
 
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
-// Universal timeframe upload endpoint with flexible timeframe support
+// Universal timeframe upload endpoint with flexible timeframe support.
+// Analysis runs in the background job queue; poll GET /api/jobs/:id for the result.
 router.post('/upload-trade-universal',
+  requireScope('trades:write'),
   universalTimeframeUpload.any(), // Accept any field names as timeframes
   validateUniversalTimeframeUpload,
+  enforceTradingLockout,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
     const tradeId = req.tradeId || uuidv4();
-    const timestamp = new Date();
-    const weekNumber = getWeekNumber(timestamp);
-    const year = timestamp.getFullYear();
 
     try {
-      const tradeContext = await getTradeContext(db, weekNumber, year);
-      const timeframes = req.timeframesUploaded;
-      const tradingContext = req.tradingContext;
-
-      // Create timeframe objects for hierarchy analysis
-      const timeframeObjects = timeframes.map(tf => ({
-        timeframe_label: tf,
-        is_primary: tf === tradingContext.primary_timeframe
-      }));
-
-      // Determine timeframe hierarchy and generate analysis strategy
-      const hierarchyData = determineTimeframeHierarchy(timeframeObjects);
-      const analysisStrategy = generateAnalysisStrategy(hierarchyData, tradingContext.trading_style);
-
-      // Get MNQ specialization insights if applicable
-      const mnqInsights = provideMNQInsights(hierarchyData, tradingContext);
-
-      // Analyze with Claude using universal timeframe approach
-      let analysis;
-      try {
-        analysis = await claudeService.analyzeUniversalTimeframeScreenshots(
-          req.files,
-          tradingContext,
-          hierarchyData
-        );
-      } catch (claudeError) {
-        if (claudeError.message.includes('API key') || claudeError.message.includes('authentication_error')) {
-          console.log('⚠️ Using fallback universal analysis due to API key issue');
-          analysis = createFallbackUniversalAnalysis(timeframes, tradingContext, hierarchyData, req.body.notes || '');
-        } else {
-          throw claudeError;
-        }
-      }
-
-      // Apply MNQ specialization adjustments to analysis
-      if (mnqInsights) {
-        analysis.confidence_score = Math.min(1.0, analysis.confidence_score * mnqInsights.confidence_multiplier);
-        analysis.completeness_score = Math.min(100, analysis.completeness_score + (mnqInsights.overall_assessment === 'excellent' ? 5 : 0));
-        analysis.specialized_insights = { ...analysis.specialized_insights, ...mnqInsights };
+      const instrument = await resolveInstrument(createRepositories(req.user.id), req.tradingContext.instrument);
+      if (!instrument) {
+        cleanupMultiTimeframeFiles(req.files);
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', { instrument: req.tradingContext.instrument }));
       }
+      req.tradingContext.instrument = instrument.symbol;
 
-      const validationResults = validateTradingRules(analysis);
-
-      // Generate execution upload token
-      const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
-
-      // Extract planned prices
-      const plannedPrices = extractPlannedPrices(analysis);
-
-      // Format timeframe metadata for database storage
-      const timeframeMetadata = formatTimeframeMetadata(req.files, hierarchyData);
-
-      // Store individual screenshot analysis
-      for (const timeframe of timeframes) {
-        const file = req.files[timeframe][0];
-        const individualAnalysis = analysis.individual_timeframe_analysis[timeframe] || {};
-        const classification = hierarchyData.classified_timeframes.find(tf => tf.timeframe_label === timeframe);
-
-        await insertUniversalScreenshotAnalysis(db, {
-          trade_id: tradeId,
-          screenshot_path: file.relativePath,
-          timeframe_label: timeframe,
-          timeframe_category: classification?.classification.category || 'unknown',
-          timeframe_priority: classification?.classification.priority || 'context',
-          is_primary: timeframe === tradingContext.primary_timeframe,
-          individual_analysis: JSON.stringify(individualAnalysis),
-          pattern_identified: individualAnalysis.pattern_identified || 'unknown',
-          trend_direction: individualAnalysis.trend_direction || 'neutral',
-          key_levels: JSON.stringify(individualAnalysis.key_levels || []),
-          volume_analysis: individualAnalysis.volume_analysis || 'no analysis available',
-          confluence_score: individualAnalysis.setup_quality || 5
-        });
-      }
-
-      const tradeRecord = {
-        id: tradeId,
-        timestamp: timestamp.toISOString(),
-        screenshot_path: req.files[tradingContext.primary_timeframe][0].relativePath, // Primary screenshot
-        ...analysis,
-        week_number: weekNumber,
-        year: year,
-        trade_phase: 'pre_trade',
-        execution_upload_token: executionToken,
-        planned_entry: plannedPrices.entry,
-        planned_stop: plannedPrices.stop,
-        planned_target: plannedPrices.target,
-        planned_rr: plannedPrices.risk_reward,
-        // Universal timeframe fields
-        ...timeframeMetadata,
-        trading_style: tradingContext.trading_style,
-        analysis_specialization: mnqInsights ? 'mnq_specialist' : 'general'
-      };
-
-      await insertUniversalTradeRecord(db, tradeRecord);
-
-      if (validationResults.errors.length > 0) {
-        await insertRiskAlerts(db, tradeId, validationResults.errors);
-      }
-
-      await updatePatternCounts(db, analysis.pattern_type);
-
-      const response = {
-        trade_id: tradeId,
-        timestamp: timestamp.toISOString(),
-        trade_phase: 'pre_trade',
-        analysis_type: 'universal_timeframe',
-        timeframes_analyzed: timeframes,
-        trading_context: tradingContext,
-        completeness_score: analysis.completeness_score,
-        hierarchy_analysis: {
-          timeframe_hierarchy: hierarchyData.hierarchy,
-          analysis_strategy: analysisStrategy.strategy,
-          mnq_suitability: analysisStrategy.mnq_suitability
-        },
-        file_info: {
-          timeframes: timeframes.reduce((acc, tf) => {
-            const file = req.files[tf][0];
-            const classification = hierarchyData.classified_timeframes.find(tfObj => tfObj.timeframe_label === tf);
-            acc[tf] = {
-              filename: file.filename,
-              size: getFileStats(file.path)?.sizeReadable || 'Unknown',
-              path: file.relativePath,
-              category: classification?.classification.category,
-              priority: classification?.classification.priority,
-              is_primary: tf === tradingContext.primary_timeframe
-            };
-            return acc;
-          }, {})
-        },
-        universal_timeframe_analysis: {
-          timeframe_analysis: analysis.universal_timeframe_analysis,
-          individual_analysis: analysis.individual_timeframe_analysis,
-          specialized_insights: analysis.specialized_insights,
-          cross_timeframe_confluence: analysis.universal_timeframe_analysis?.cross_timeframe_confluence || 'unknown',
-          ...analysis,
-          planned_prices: plannedPrices,
-          compliance_check: {
-            risk_amount: analysis.risk_amount,
-            within_limits: analysis.within_limits,
-            session_timing: analysis.session_timing,
-            trade_frequency: `${tradeContext.tradesThisWeek + 1}_of_${process.env.MAX_TRADES_PER_WEEK || 3}_weekly`,
-            validation_results: validationResults
-          }
-        },
-        mnq_specialization: mnqInsights,
-        execution_flow: {
-          awaiting_execution: true,
-          execution_upload_token: executionToken,
-          execution_upload_url: `/api/trade/${tradeId}/execution`,
-          instructions: "Upload execution screenshot after trade completion to analyze execution quality"
-        },
-        context: {
-          week_number: weekNumber,
-          year: year,
-          trades_this_week: tradeContext.tradesThisWeek,
-          weekly_progress: tradeContext.weeklyProgress
-        }
-      };
+      const job = await enqueueAnalysisJob('universal', buildUploadJobPayload(req, tradeId), {
+        userId: req.user.id,
+        tradeId
+      });
+      publishAnalysisStage(req.user.id, tradeId, 'files_validated', { job_id: job.job_id, timeframes: req.timeframesUploaded });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Universal timeframe trading analysis completed successfully',
-        data: response
+        message: 'Universal timeframe analysis queued',
+        data: buildQueuedUploadResponse(job, req)
       });
-
     } catch (error) {
-      console.error('Universal timeframe upload analysis error:', error);
-
-      await cleanupFailedUniversalUpload(req.files, tradeId);
-
-      if (error.code === 'ANTHROPIC_API_ERROR') {
-        return res.status(503).json({
-          success: false,
-          error: 'AI Analysis Failed',
-          message: 'Unable to analyze universal timeframe screenshots. Please try again.',
-          trade_id: tradeId
-        });
-      }
-
+      console.error('Universal timeframe upload queue error:', error);
+      cleanupMultiTimeframeFiles(req.files);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
-// Frontend-compatible upload endpoint
+// Frontend-compatible upload endpoint (queued like the universal endpoint)
 router.post('/upload-trade-frontend',
+  requireScope('trades:write'),
   universalTimeframeUpload.any(), // Accept any field names as timeframes
   validateFrontendTimeframeUpload,
+  enforceTradingLockout,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
     const tradeId = req.tradeId || uuidv4();
-    const timestamp = new Date();
-    const weekNumber = getWeekNumber(timestamp);
-    const year = timestamp.getFullYear();
 
     try {
-      const tradeContext = await getTradeContext(db, weekNumber, year);
-      const timeframes = req.timeframesUploaded;
-      const tradingContext = req.tradingContext;
+      const instrument = await resolveInstrument(createRepositories(req.user.id), req.tradingContext.instrument);
+      if (!instrument) {
+        cleanupMultiTimeframeFiles(req.files);
+        return res.status(400).json(createErrorResponse('UNKNOWN_INSTRUMENT', { instrument: req.tradingContext.instrument }));
+      }
+      req.tradingContext.instrument = instrument.symbol;
 
-      // Create timeframe objects for hierarchy analysis
-      const timeframeObjects = timeframes.map(tf => ({
-        timeframe_label: tf,
-        is_primary: tf === tradingContext.primary_timeframe
-      }));
+      const job = await enqueueAnalysisJob('frontend', buildUploadJobPayload(req, tradeId), {
+        userId: req.user.id,
+        tradeId
+      });
+      publishAnalysisStage(req.user.id, tradeId, 'files_validated', { job_id: job.job_id, timeframes: req.timeframesUploaded });
 
-      // Determine timeframe hierarchy and generate analysis strategy
-      const hierarchyData = determineTimeframeHierarchy(timeframeObjects);
-      const analysisStrategy = generateAnalysisStrategy(hierarchyData, tradingContext.trading_style);
+      res.status(202).json({
+        success: true,
+        message: 'Trading analysis queued',
+        data: buildQueuedUploadResponse(job, req)
+      });
+    } catch (error) {
+      console.error('Frontend upload queue error:', error);
+      cleanupMultiTimeframeFiles(req.files);
+      throw error;
+    }
+  })
+);
 
-      // Get MNQ specialization insights if applicable
-      const mnqInsights = provideMNQInsights(hierarchyData, tradingContext);
+// Background processor for queued universal timeframe uploads
+const processUniversalUpload = async (payload, reportProgress) => {
+  const repos = createRepositories(payload.user_id);
+  const files = payload.files;
+  const tradeId = payload.trade_id;
+  const timestamp = new Date(payload.timestamp);
+  const weekNumber = getWeekNumber(timestamp);
+  const year = timestamp.getFullYear();
+
+  // Jobs can be retried or resumed, so drop anything a previous attempt stored
+  await discardPreviousAttempt(repos, tradeId);
+
+  const timeframes = payload.timeframes;
+  const tradingContext = payload.trading_context;
+  const instrument = await resolveInstrument(repos, tradingContext.instrument);
+  const tradeContext = await getTradeContext(repos, weekNumber, year, instrument);
+
+  // Create timeframe objects for hierarchy analysis
+  const timeframeObjects = timeframes.map(tf => ({
+    timeframe_label: tf,
+    is_primary: tf === tradingContext.primary_timeframe
+  }));
+
+  // Determine timeframe hierarchy and generate analysis strategy
+  const hierarchyData = determineTimeframeHierarchy(timeframeObjects);
+  const analysisStrategy = generateAnalysisStrategy(hierarchyData, tradingContext.trading_style);
+  await reportProgress('hierarchy_determined', 10, { hierarchy: summarizeHierarchy(hierarchyData) });
+
+  // Get MNQ specialization insights if applicable
+  const mnqInsights = provideMNQInsights(hierarchyData, tradingContext, instrument);
+
+  // Analyze with Claude using universal timeframe approach
+  await reportProgress('analysis_started', 20);
+  const analysis = await claudeService.analyzeUniversalTimeframeScreenshots(
+    files,
+    tradingContext,
+    hierarchyData,
+    { notes: payload.notes || '', instrument, goalPlan: tradeContext.goalPlan, patterns: tradeContext.patterns }
+  );
+
+  // Extract planned prices
+  const plannedPrices = extractPlannedPrices(analysis);
+  const positionSize = await sizePlannedTrade(repos, instrument, plannedPrices, timestamp);
+
+  // Apply MNQ specialization adjustments to analysis
+  if (mnqInsights) {
+    if (positionSize) {
+      // The specialist's contract suggestion assumed a stop until the analysis planned one
+      mnqInsights.risk_parameters = calculateMNQRiskParameters(
+        parseFloat(tradingContext.account_size) || 67500,
+        mnqInsights.session_analysis,
+        instrument,
+        positionSize.stop_distance.points
+      );
+    }
+    analysis.confidence_score = Math.min(1.0, analysis.confidence_score * mnqInsights.confidence_multiplier);
+    analysis.completeness_score = Math.min(100, analysis.completeness_score + (mnqInsights.overall_assessment === 'excellent' ? 5 : 0));
+    analysis.specialized_insights = { ...analysis.specialized_insights, ...mnqInsights };
+  }
 
-      // Analyze with Claude using frontend-compatible approach
-      let analysis;
-      try {
-        analysis = await claudeService.analyzeFrontendTimeframeScreenshots(
-          req.files,
-          tradingContext,
-          hierarchyData
-        );
-      } catch (claudeError) {
-        if (claudeError.message.includes('API key') || claudeError.message.includes('authentication_error')) {
-          console.log('⚠️ Using fallback analysis due to API key issue');
-          analysis = createFallbackFrontendAnalysis(timeframes, tradingContext, hierarchyData, req.body.notes || '');
-        } else if (claudeError.code === 'ECONNABORTED') {
-          return res.status(504).json({
-            success: false,
-            error: 'SERVER_TIMEOUT',
-            message: 'Analysis is taking longer than expected. Please try again.',
-            code: 504
-          });
-        } else {
-          return res.status(422).json({
-            success: false,
-            error: 'ANALYSIS_FAILED',
-            message: 'Unable to analyze screenshot. Please ensure chart is clearly visible.',
-            code: 422
-          });
-        }
-      }
+  const checklist = scoreAnalysisChecklist(tradeContext, analysis, timeframes);
+  await reportProgress('analysis_completed', 60);
+
+  // Generate execution upload token
+  const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
+
+  // Format timeframe metadata for database storage
+  const timeframeMetadata = formatTimeframeMetadata(files, hierarchyData);
+
+  const tradeRecord = {
+    id: tradeId,
+    timestamp: timestamp.toISOString(),
+    screenshot_path: files[tradingContext.primary_timeframe][0].relativePath, // Primary screenshot
+    ...analysis,
+    week_number: weekNumber,
+    year: year,
+    trade_phase: 'pre_trade',
+    instrument: tradingContext.instrument,
+    execution_upload_token: executionToken,
+    planned_entry: plannedPrices.entry,
+    planned_stop: plannedPrices.stop,
+    planned_target: plannedPrices.target,
+    planned_rr: plannedPrices.risk_reward,
+    // Universal timeframe fields
+    ...timeframeMetadata,
+    trading_style: tradingContext.trading_style,
+    analysis_specialization: mnqInsights ? 'mnq_specialist' : 'general',
+    ...checklist
+  };
 
-      // Apply MNQ specialization adjustments to analysis
-      if (mnqInsights) {
-        analysis.confidence_score = Math.min(1.0, analysis.confidence_score * mnqInsights.confidence_multiplier);
-        analysis.session_quality = mnqInsights.session_analysis.quality;
-      }
+  // Everything the job stores is written at once, so a retry finds all of it or none
+  const validationResults = await repos.transaction(async () => {
+    // Store individual screenshot analysis
+    for (const timeframe of timeframes) {
+      const file = files[timeframe][0];
+      const individualAnalysis = analysis.individual_timeframe_analysis[timeframe] || {};
+      const classification = hierarchyData.classified_timeframes.find(tf => tf.timeframe_label === timeframe);
 
-      const validationResults = validateTradingRules(analysis);
+      await repos.trades.addScreenshotAnalysis({
+        trade_id: tradeId,
+        screenshot_path: file.relativePath,
+        timeframe_label: timeframe,
+        timeframe_category: classification?.classification.category || 'unknown',
+        timeframe_priority: classification?.classification.priority || 'context',
+        is_primary: timeframe === tradingContext.primary_timeframe,
+        individual_analysis: individualAnalysis,
+        pattern_identified: individualAnalysis.pattern_identified || 'unknown',
+        trend_direction: individualAnalysis.trend_direction || 'neutral',
+        key_levels: individualAnalysis.key_levels || [],
+        volume_analysis: individualAnalysis.volume_analysis || 'no analysis available',
+        confluence_score: individualAnalysis.setup_quality || 5
+      });
+    }
 
-      // Generate execution upload token
-      const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
+    const results = await checkTradingRules(repos, tradeRecord);
+    await repos.trades.create(tradeRecord);
 
-      // Format timeframe metadata for database storage
-      const timeframeMetadata = formatTimeframeMetadata(req.files, hierarchyData);
+    if (results.errors.length > 0) {
+      await recordRuleViolations(repos, tradeRecord, results.errors);
+    }
 
-      // Build screenshot paths for frontend
-      const screenshotPaths = {};
-      timeframes.forEach(tf => {
-        screenshotPaths[tf] = `/uploads/${req.files[tf][0].relativePath.replace(/\\/g, '/')}`;
-      });
+    await repos.patterns.recordOccurrence(analysis.pattern_type);
+    await recordLockoutOverride(repos, payload.lockout_override, tradeId);
+    return results;
+  });
+  await reportProgress('saved', 90);
 
-      // Store individual screenshot analysis
-      for (const timeframe of timeframes) {
-        const file = req.files[timeframe][0];
-        const classification = hierarchyData.classified_timeframes.find(tf => tf.timeframe_label === timeframe);
-
-        await insertUniversalScreenshotAnalysis(db, {
-          trade_id: tradeId,
-          screenshot_path: file.relativePath,
-          timeframe_label: timeframe,
-          timeframe_category: classification?.classification.category || 'unknown',
-          timeframe_priority: classification?.classification.priority || 'context',
-          is_primary: timeframe === tradingContext.primary_timeframe,
-          individual_analysis: JSON.stringify({}), // Individual analysis not needed for frontend format
-          pattern_identified: analysis.pattern_recognition?.primary_pattern || 'unknown',
-          trend_direction: analysis.pattern_recognition?.market_structure?.toLowerCase() || 'neutral',
-          key_levels: JSON.stringify([]),
-          volume_analysis: analysis.pattern_recognition?.volume_profile || 'unknown',
-          confluence_score: analysis.overall_setup_grade?.score || 5
-        });
+  const response = {
+    trade_id: tradeId,
+    timestamp: timestamp.toISOString(),
+    trade_phase: 'pre_trade',
+    analysis_type: 'universal_timeframe',
+    timeframes_analyzed: timeframes,
+    trading_context: tradingContext,
+    completeness_score: analysis.completeness_score,
+    hierarchy_analysis: {
+      timeframe_hierarchy: hierarchyData.hierarchy,
+      analysis_strategy: analysisStrategy.strategy,
+      mnq_suitability: analysisStrategy.mnq_suitability
+    },
+    file_info: {
+      timeframes: timeframes.reduce((acc, tf) => {
+        const file = files[tf][0];
+        const classification = hierarchyData.classified_timeframes.find(tfObj => tfObj.timeframe_label === tf);
+        acc[tf] = {
+          filename: file.filename,
+          size: getFileStats(file.path)?.sizeReadable || 'Unknown',
+          path: file.relativePath,
+          url: toScreenshotLink(file.relativePath),
+          category: classification?.classification.category,
+          priority: classification?.classification.priority,
+          is_primary: tf === tradingContext.primary_timeframe
+        };
+        return acc;
+      }, {})
+    },
+    universal_timeframe_analysis: {
+      timeframe_analysis: analysis.universal_timeframe_analysis,
+      individual_analysis: analysis.individual_timeframe_analysis,
+      specialized_insights: analysis.specialized_insights,
+      cross_timeframe_confluence: analysis.universal_timeframe_analysis?.cross_timeframe_confluence || 'unknown',
+      ...analysis,
+      planned_prices: plannedPrices,
+      position_size: positionSize,
+      playbook_checklist: checklist,
+      compliance_check: {
+        risk_amount: analysis.risk_amount,
+        within_limits: analysis.within_limits,
+        session_timing: analysis.session_timing,
+        trade_frequency: `${tradeContext.tradesThisWeek + 1}_of_${process.env.MAX_TRADES_PER_WEEK || 3}_weekly`,
+        validation_results: validationResults
       }
+    },
+    mnq_specialization: mnqInsights,
+    execution_flow: {
+      awaiting_execution: true,
+      execution_upload_token: executionToken,
+      execution_upload_url: `/api/trade/${tradeId}/execution`,
+      instructions: "Upload execution screenshot after trade completion to analyze execution quality"
+    },
+    context: {
+      week_number: weekNumber,
+      year: year,
+      trades_this_week: tradeContext.tradesThisWeek,
+      weekly_progress: tradeContext.weeklyProgress
+    }
+  };
 
-      const tradeRecord = {
-        id: tradeId,
-        timestamp: timestamp.toISOString(),
-        screenshot_path: req.files[tradingContext.primary_timeframe][0].relativePath, // Primary screenshot
-        setup_quality: analysis.overall_setup_grade?.score || 5,
-        risk_reward_ratio: parseFloat(analysis.risk_analysis?.risk_reward_ratio?.split(':')[0]) || 2,
-        pattern_type: analysis.pattern_recognition?.primary_pattern || 'unknown',
-        entry_quality: analysis.risk_analysis?.stop_placement?.toLowerCase() || 'good',
-        stop_placement: analysis.risk_analysis?.stop_placement?.toLowerCase() || 'good',
-        target_selection: analysis.risk_analysis?.position_size?.toLowerCase() || 'appropriate',
-        ai_commentary: `${analysis.overall_setup_grade?.description || ''} ${(analysis.detailed_insights?.strengths || []).join('. ')}.`,
-        risk_amount: analysis.risk_amount_dollars || 50,
-        within_limits: (analysis.risk_amount_dollars || 50) <= 50,
-        session_timing: analysis.session_quality || 'good',
-        trade_frequency: `${tradeContext.tradesThisWeek + 1}_of_${process.env.MAX_TRADES_PER_WEEK || 3}_weekly`,
-        learning_insights: (analysis.detailed_insights?.improvements || []).join('. '),
-        recommendation: analysis.confidence_score > 0.7 ? 'EXECUTE' : analysis.confidence_score > 0.5 ? 'WAIT' : 'SKIP',
-        confidence_score: analysis.confidence_score,
-        specific_observations: analysis.recommended_actions || [],
-        week_number: weekNumber,
-        year: year,
-        trade_phase: 'pre_trade',
-        execution_upload_token: executionToken,
-        planned_entry: null, // Will be extracted from detailed analysis
-        planned_stop: null,
-        planned_target: null,
-        planned_rr: parseFloat(analysis.risk_analysis?.risk_reward_ratio?.split(':')[0]) || 2,
-        // Universal timeframe fields
-        ...timeframeMetadata,
-        trading_style: tradingContext.trading_style,
-        analysis_specialization: mnqInsights ? 'mnq_specialist' : 'general'
-      };
+  return response;
+};
 
-      await insertUniversalTradeRecord(db, tradeRecord);
+// Background processor for queued frontend uploads
+const processFrontendUpload = async (payload, reportProgress) => {
+  const repos = createRepositories(payload.user_id);
+  const files = payload.files;
+  const tradeId = payload.trade_id;
+  const timestamp = new Date(payload.timestamp);
+  const weekNumber = getWeekNumber(timestamp);
+  const year = timestamp.getFullYear();
+
+  // Jobs can be retried or resumed, so drop anything a previous attempt stored
+  await discardPreviousAttempt(repos, tradeId);
+
+  const timeframes = payload.timeframes;
+  const tradingContext = payload.trading_context;
+  const instrument = await resolveInstrument(repos, tradingContext.instrument);
+  const tradeContext = await getTradeContext(repos, weekNumber, year, instrument);
+
+  // Create timeframe objects for hierarchy analysis
+  const timeframeObjects = timeframes.map(tf => ({
+    timeframe_label: tf,
+    is_primary: tf === tradingContext.primary_timeframe
+  }));
+
+  // Determine timeframe hierarchy and generate analysis strategy
+  const hierarchyData = determineTimeframeHierarchy(timeframeObjects);
+  const analysisStrategy = generateAnalysisStrategy(hierarchyData, tradingContext.trading_style);
+  await reportProgress('hierarchy_determined', 10, { hierarchy: summarizeHierarchy(hierarchyData) });
+
+  // Get MNQ specialization insights if applicable
+  const mnqInsights = provideMNQInsights(hierarchyData, tradingContext, instrument);
+
+  // Analyze with Claude using frontend-compatible approach
+  await reportProgress('analysis_started', 20);
+  const analysis = await claudeService.analyzeFrontendTimeframeScreenshots(
+    files,
+    tradingContext,
+    hierarchyData,
+    { notes: payload.notes || '', instrument, goalPlan: tradeContext.goalPlan, patterns: tradeContext.patterns }
+  );
+
+  // Apply MNQ specialization adjustments to analysis
+  if (mnqInsights) {
+    analysis.confidence_score = Math.min(1.0, analysis.confidence_score * mnqInsights.confidence_multiplier);
+    analysis.session_quality = mnqInsights.session_analysis.quality;
+  }
 
-      if (validationResults.errors.length > 0) {
-        await insertRiskAlerts(db, tradeId, validationResults.errors);
-      }
+  // The frontend format has no commentary field; its grade, insights and actions carry the prices
+  const plannedRr = parseFloat(analysis.risk_analysis?.risk_reward_ratio?.split(':')[0]) || 2;
+  const plannedPrices = extractPlannedPrices({
+    ai_commentary: analysis.overall_setup_grade?.description,
+    specific_observations: [
+      ...(analysis.recommended_actions || []),
+      ...(analysis.detailed_insights?.strengths || []),
+      ...(analysis.detailed_insights?.improvements || [])
+    ],
+    risk_reward_ratio: plannedRr
+  });
+  const positionSize = await sizePlannedTrade(repos, instrument, plannedPrices, timestamp);
 
-      // Update pattern counts with the primary pattern
-      await updatePatternCounts(db, analysis.pattern_recognition?.primary_pattern || 'unknown');
+  const checklist = scoreAnalysisChecklist(tradeContext, analysis, timeframes);
+  await reportProgress('analysis_completed', 60);
 
-      // Build frontend-compatible response
-      const response = {
-        trade_id: tradeId,
-        analysis: {
-          overall_setup_grade: analysis.overall_setup_grade,
-          pattern_recognition: analysis.pattern_recognition,
-          risk_analysis: analysis.risk_analysis,
-          detailed_insights: analysis.detailed_insights,
-          recommended_actions: analysis.recommended_actions,
-          screenshots: {
-            primary_timeframe: tradingContext.primary_timeframe,
-            available_timeframes: timeframes,
-            screenshot_paths: screenshotPaths
-          },
-          confidence_score: analysis.confidence_score,
-          analysis_confidence: analysis.analysis_confidence,
-          session_quality: analysis.session_quality,
-          risk_amount_dollars: analysis.risk_amount_dollars
-        },
-        trading_context: tradingContext,
-        mnq_specialization: mnqInsights,
-        execution_flow: {
-          awaiting_execution: true,
-          execution_upload_token: executionToken,
-          execution_upload_url: `/api/trade/${tradeId}/execution`,
-          instructions: "Upload execution screenshot after trade completion"
-        },
-        context: {
-          week_number: weekNumber,
-          year: year,
-          trades_this_week: tradeContext.tradesThisWeek,
-          weekly_progress: tradeContext.weeklyProgress
-        }
-      };
+  // Generate execution upload token
+  const executionToken = `exec_${tradeId.substr(0, 8)}_${Date.now()}`;
 
-      res.json({
-        success: true,
-        message: 'Trading analysis completed successfully',
-        data: response
-      });
+  // Format timeframe metadata for database storage
+  const timeframeMetadata = formatTimeframeMetadata(files, hierarchyData);
 
-    } catch (error) {
-      console.error('Frontend upload analysis error:', error);
+  // Screenshot links for the frontend, signed when the job result is read
+  const screenshotPaths = {};
+  timeframes.forEach(tf => {
+    screenshotPaths[tf] = toScreenshotLink(files[tf][0].relativePath);
+  });
 
-      await cleanupFailedUniversalUpload(req.files, tradeId);
+  const tradeRecord = {
+    id: tradeId,
+    timestamp: timestamp.toISOString(),
+    screenshot_path: files[tradingContext.primary_timeframe][0].relativePath, // Primary screenshot
+    setup_quality: analysis.overall_setup_grade?.score || 5,
+    risk_reward_ratio: plannedRr,
+    pattern_type: analysis.pattern_type,
+    entry_quality: analysis.risk_analysis?.stop_placement?.toLowerCase() || 'good',
+    stop_placement: analysis.risk_analysis?.stop_placement?.toLowerCase() || 'good',
+    target_selection: analysis.risk_analysis?.position_size?.toLowerCase() || 'appropriate',
+    ai_commentary: `${analysis.overall_setup_grade?.description || ''} ${(analysis.detailed_insights?.strengths || []).join('. ')}.`,
+    risk_amount: analysis.risk_amount_dollars || 50,
+    within_limits: (analysis.risk_amount_dollars || 50) <= 50,
+    session_timing: analysis.session_quality || 'good',
+    trade_frequency: `${tradeContext.tradesThisWeek + 1}_of_${process.env.MAX_TRADES_PER_WEEK || 3}_weekly`,
+    learning_insights: (analysis.detailed_insights?.improvements || []).join('. '),
+    recommendation: analysis.confidence_score > 0.7 ? 'EXECUTE' : analysis.confidence_score > 0.5 ? 'WAIT' : 'SKIP',
+    confidence_score: analysis.confidence_score,
+    specific_observations: analysis.recommended_actions || [],
+    week_number: weekNumber,
+    year: year,
+    trade_phase: 'pre_trade',
+    instrument: tradingContext.instrument,
+    execution_upload_token: executionToken,
+    planned_entry: plannedPrices.entry,
+    planned_stop: plannedPrices.stop,
+    planned_target: plannedPrices.target,
+    planned_rr: plannedPrices.risk_reward,
+    // Universal timeframe fields
+    ...timeframeMetadata,
+    trading_style: tradingContext.trading_style,
+    analysis_specialization: mnqInsights ? 'mnq_specialist' : 'general',
+    ...checklist
+  };
 
-      if (error.code === 'ANTHROPIC_API_ERROR') {
-        return res.status(422).json({
-          success: false,
-          error: 'ANALYSIS_FAILED',
-          message: 'Unable to analyze screenshot. Please ensure chart is clearly visible.',
-          code: 422
-        });
-      }
+  // Everything the job stores is written at once, so a retry finds all of it or none
+  const validationResults = await repos.transaction(async () => {
+    // Store individual screenshot analysis
+    for (const timeframe of timeframes) {
+      const file = files[timeframe][0];
+      const classification = hierarchyData.classified_timeframes.find(tf => tf.timeframe_label === timeframe);
 
-      throw error;
-    } finally {
-      db.close();
+      await repos.trades.addScreenshotAnalysis({
+        trade_id: tradeId,
+        screenshot_path: file.relativePath,
+        timeframe_label: timeframe,
+        timeframe_category: classification?.classification.category || 'unknown',
+        timeframe_priority: classification?.classification.priority || 'context',
+        is_primary: timeframe === tradingContext.primary_timeframe,
+        individual_analysis: {}, // Individual analysis not needed for frontend format
+        pattern_identified: analysis.pattern_recognition?.primary_pattern || 'unknown',
+        trend_direction: analysis.pattern_recognition?.market_structure?.toLowerCase() || 'neutral',
+        key_levels: [],
+        volume_analysis: analysis.pattern_recognition?.volume_profile || 'unknown',
+        confluence_score: analysis.overall_setup_grade?.score || 5
+      });
     }
-  })
-);
+
+    const results = await checkTradingRules(repos, tradeRecord);
+    await repos.trades.create(tradeRecord);
+
+    if (results.errors.length > 0) {
+      await recordRuleViolations(repos, tradeRecord, results.errors);
+    }
+
+    // Update pattern counts with the primary pattern
+    await repos.patterns.recordOccurrence(analysis.pattern_type);
+    await recordLockoutOverride(repos, payload.lockout_override, tradeId);
+    return results;
+  });
+  await reportProgress('saved', 90);
+
+  // Build frontend-compatible response
+  const response = {
+    trade_id: tradeId,
+    analysis: {
+      overall_setup_grade: analysis.overall_setup_grade,
+      pattern_recognition: analysis.pattern_recognition,
+      risk_analysis: analysis.risk_analysis,
+      detailed_insights: analysis.detailed_insights,
+      recommended_actions: analysis.recommended_actions,
+      screenshots: {
+        primary_timeframe: tradingContext.primary_timeframe,
+        available_timeframes: timeframes,
+        screenshot_paths: screenshotPaths
+      },
+      confidence_score: analysis.confidence_score,
+      analysis_confidence: analysis.analysis_confidence,
+      session_quality: analysis.session_quality,
+      risk_amount_dollars: analysis.risk_amount_dollars,
+      planned_prices: plannedPrices,
+      position_size: positionSize,
+      playbook_checklist: checklist
+    },
+    trading_context: tradingContext,
+    mnq_specialization: mnqInsights,
+    execution_flow: {
+      awaiting_execution: true,
+      execution_upload_token: executionToken,
+      execution_upload_url: `/api/trade/${tradeId}/execution`,
+      instructions: "Upload execution screenshot after trade completion"
+    },
+    context: {
+      week_number: weekNumber,
+      year: year,
+      trades_this_week: tradeContext.tradesThisWeek,
+      weekly_progress: tradeContext.weeklyProgress
+    }
+  };
+
+  return response;
+};
+
+registerJobProcessor('universal', {
+  process: processUniversalUpload,
+  onFailure: (payload) => cleanupFailedUniversalUpload(payload.user_id, payload.files, payload.trade_id)
+});
+
+registerJobProcessor('frontend', {
+  process: processFrontendUpload,
+  onFailure: (payload) => cleanupFailedUniversalUpload(payload.user_id, payload.files, payload.trade_id)
+});
 
 router.post('/trade/:tradeId/outcome',
+  requireScope('trades:write'),
   asyncHandler(async (req, res) => {
     const { tradeId } = req.params;
     const { executed, actual_pnl, outcome_notes } = req.body;
@@ -969,10 +1092,10 @@ router.post('/trade/:tradeId/outcome',
       });
     }
 
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const trade = await getTradeById(db, tradeId);
+      const trade = await repos.trades.findById(tradeId);
 
       if (!trade) {
         return res.status(404).json({
@@ -981,45 +1104,56 @@ router.post('/trade/:tradeId/outcome',
         });
       }
 
-      await updateTradeOutcome(db, tradeId, {
+      await repos.trades.updateOutcome(tradeId, {
         executed: executed === true,
         actual_pnl: actual_pnl || null,
         actual_outcome: outcome_notes || null
       });
+      await repos.ledger.recordTradePnl(tradeId, actual_pnl || null, toTradeLedgerDate(trade.timestamp));
 
       if (executed && actual_pnl !== undefined) {
-        await updatePatternSuccess(db, trade.pattern_type, actual_pnl > 0);
-        await updateWeeklyProgress(db, actual_pnl, trade.week_number, trade.year);
+        if (actual_pnl > 0) {
+          await repos.patterns.recordSuccess(trade.pattern_type);
+        }
+        await repos.progress.addWeeklyPnl(actual_pnl, trade.week_number, trade.year);
+        await refreshPatternConfidence(repos);
+        await refreshPatternRegimes(repos);
       }
 
+      // A realized loss may breach the daily or weekly limits or start a tilt
+      const riskState = await evaluateRiskState(repos);
+      const tilt = await evaluateTilt(repos);
+
       res.json({
         success: true,
         message: 'Trade outcome updated successfully',
-        trade_id: tradeId
+        trade_id: tradeId,
+        locked_out: riskState.locked,
+        lockout: riskState.lockout,
+        tilt: tilt.current
       });
 
     } catch (error) {
       console.error('Trade outcome update error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.post('/trade/:preTradeId/execution',
+  requireScope('trades:write'),
   upload.single('screenshot'),
   validateUploadedFile,
   asyncHandler(async (req, res) => {
     const { preTradeId } = req.params;
     const { execution_upload_token } = req.body;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
     const executionId = uuidv4();
     const timestamp = new Date();
 
     try {
       // Verify the pre-trade exists and token matches
-      const preTrade = await getTradeById(db, preTradeId);
+      const preTrade = await repos.trades.findById(preTradeId);
 
       if (!preTrade) {
         return res.status(404).json({
@@ -1043,24 +1177,17 @@ router.post('/trade/:preTradeId/execution',
       }
 
       // Get trader's execution patterns for context
-      const executionPatterns = await getTraderExecutionPatterns(db);
+      const executionPatterns = await repos.patterns.findCoachingPatterns(10);
+      const instrument = await resolveInstrument(repos, preTrade.instrument);
+      const coaching = await getCoachingEffectiveness(repos);
 
       // Analyze execution screenshot with Claude
-      let executionAnalysis;
-      try {
-        executionAnalysis = await claudeService.analyzeExecutionScreenshot(
-          req.file.path,
-          preTrade,
-          executionPatterns
-        );
-      } catch (claudeError) {
-        if (claudeError.message.includes('API key') || claudeError.message.includes('authentication_error')) {
-          console.log('⚠️ Using fallback execution analysis due to API key issue');
-          executionAnalysis = createFallbackExecutionAnalysis(req.body.notes || '', preTrade);
-        } else {
-          throw claudeError;
-        }
-      }
+      const executionAnalysis = await claudeService.analyzeExecutionScreenshot(
+        req.file.path,
+        preTrade,
+        executionPatterns,
+        { notes: req.body.notes || '', instrument, goalPlan: await getActivePlan(repos), coaching: coaching.behaviors }
+      );
 
       // Calculate price variances
       const priceVariances = calculatePriceVariances(preTrade, executionAnalysis);
@@ -1071,6 +1198,7 @@ router.post('/trade/:preTradeId/execution',
         timestamp: timestamp.toISOString(),
         screenshot_path: req.file.relativePath,
         trade_phase: 'execution',
+        instrument: preTrade.instrument,
         linked_execution_id: preTradeId,
         actual_entry: executionAnalysis.actual_prices.entry,
         actual_stop: executionAnalysis.actual_prices.stop,
@@ -1078,8 +1206,8 @@ router.post('/trade/:preTradeId/execution',
         actual_rr: executionAnalysis.actual_rr,
         execution_timing: executionAnalysis.execution_timing,
         execution_quality_grade: executionAnalysis.execution_quality_grade,
-        price_variance_analysis: JSON.stringify(priceVariances),
-        behavioral_observations: JSON.stringify(executionAnalysis.behavioral_observations),
+        price_variance_analysis: priceVariances,
+        behavioral_observations: executionAnalysis.behavioral_observations,
         execution_coaching: executionAnalysis.coaching_insights.join('\n'),
         entry_variance: priceVariances.entry_variance,
         stop_variance: priceVariances.stop_variance,
@@ -1089,18 +1217,41 @@ router.post('/trade/:preTradeId/execution',
         year: preTrade.year
       };
 
-      await insertTradeRecord(db, executionRecord);
+      // Store the execution, link the pre-trade and learn execution patterns as one unit
+      const linked = await repos.transaction(async () => {
+        await repos.trades.create(executionRecord);
+
+        const result = await repos.trades.linkExecution(preTradeId, executionId);
+        if (result.changes === 0) {
+          // Another execution upload linked this pre-trade first
+          throw Object.assign(new Error('Trade is not in pre-trade phase'), { code: 'TRADE_ALREADY_LINKED' });
+        }
+
+        const patterns = await updateExecutionPatterns(repos, executionAnalysis, priceVariances);
+        await recordCoaching(repos, executionId, patterns, executionRecord.execution_coaching);
+        return true;
+      }).catch((error) => {
+        if (error.code === 'TRADE_ALREADY_LINKED') return false;
+        throw error;
+      });
 
-      // Update original pre-trade record
-      await linkExecutionTrade(db, preTradeId, executionId);
+      if (!linked) {
+        return res.status(409).json({
+          success: false,
+          error: 'Trade is not in pre-trade phase'
+        });
+      }
 
-      // Update execution patterns
-      await updateExecutionPatterns(db, executionAnalysis, priceVariances);
+      const validationResults = await checkTradingRules(repos, executionRecord);
+      if (validationResults.errors.length > 0) {
+        await recordRuleViolations(repos, executionRecord, validationResults.errors);
+      }
 
       const response = {
         execution_id: executionId,
         linked_pre_trade_id: preTradeId,
         timestamp: timestamp.toISOString(),
+        validation: validationResults,
         execution_analysis: {
           actual_prices: executionAnalysis.actual_prices,
           price_variance: priceVariances,
@@ -1121,19 +1272,18 @@ router.post('/trade/:preTradeId/execution',
     } catch (error) {
       console.error('Execution analysis error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/trade/:tradeId',
+  requireScope('trades:read'),
   asyncHandler(async (req, res) => {
     const { tradeId } = req.params;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const trade = await getTradeById(db, tradeId);
+      const trade = await repos.trades.findById(tradeId);
 
       if (!trade) {
         return res.status(404).json({
@@ -1144,25 +1294,28 @@ router.get('/trade/:tradeId',
 
       res.json({
         success: true,
-        data: trade
+        data: {
+          ...trade,
+          screenshot_url: createScreenshotUrl(trade.screenshot_path),
+          rule_violations: await repos.rules.findViolationsForTrade(tradeId)
+        }
       });
 
     } catch (error) {
       console.error('Get trade error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
 
 router.get('/trade/:tradeId/complete',
+  requireScope('trades:read'),
   asyncHandler(async (req, res) => {
     const { tradeId } = req.params;
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
 
     try {
-      const trade = await getTradeById(db, tradeId);
+      const trade = await repos.trades.findById(tradeId);
 
       if (!trade) {
         return res.status(404).json({
@@ -1173,10 +1326,10 @@ router.get('/trade/:tradeId/complete',
 
       let linkedTrade = null;
       if (trade.linked_execution_id) {
-        linkedTrade = await getTradeById(db, trade.linked_execution_id);
+        linkedTrade = await repos.trades.findById(trade.linked_execution_id);
       }
 
-      const completeAnalysis = await generateLearningSynthesis(db, trade, linkedTrade);
+      const completeAnalysis = generateLearningSynthesis(trade, linkedTrade);
 
       res.json({
         success: true,
@@ -1190,8 +1343,6 @@ router.get('/trade/:tradeId/complete',
     } catch (error) {
       console.error('Complete trade analysis error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
@@ -1247,329 +1398,61 @@ const extractPlannedPrices = (analysis) => {
   };
 };
 
-const getTradeContext = (db, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        COUNT(*) as tradesThisWeek,
-        COALESCE(SUM(actual_pnl), 0) as weeklyPnl,
-        COALESCE(AVG(setup_quality), 0) as avgSetupQuality
-      FROM trades
-      WHERE week_number = ? AND year = ? AND executed = 1
-    `, [weekNumber, year], (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      db.get(`
-        SELECT account_balance
-        FROM progress
-        ORDER BY date DESC
-        LIMIT 1
-      `, (err, balanceRow) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        resolve({
-          tradesThisWeek: rows[0]?.tradesThisWeek || 0,
-          weeklyPnl: rows[0]?.weeklyPnl || 0,
-          avgSetupQuality: rows[0]?.avgSetupQuality || 0,
-          currentBalance: balanceRow?.account_balance || 0,
-          weeklyProgress: ((rows[0]?.weeklyPnl || 0) / 0.75) * 100
-        });
-      });
-    });
-  });
-};
-
-const insertTradeRecord = (db, record) => {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      INSERT INTO trades (
-        id, timestamp, screenshot_path, setup_quality, risk_reward_ratio,
-        pattern_type, entry_quality, stop_placement, target_selection,
-        ai_commentary, risk_amount, within_limits, session_timing,
-        trade_frequency, learning_insights, recommendation, week_number, year,
-        trade_phase, execution_upload_token, planned_entry, planned_stop,
-        planned_target, planned_rr
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    db.run(sql, [
-      record.id, record.timestamp, record.screenshot_path, record.setup_quality,
-      record.risk_reward_ratio, record.pattern_type, record.entry_quality,
-      record.stop_placement, record.target_selection, record.ai_commentary,
-      record.risk_amount, record.within_limits, record.session_timing,
-      record.trade_frequency, record.learning_insights, record.recommendation,
-      record.week_number, record.year, record.trade_phase, record.execution_upload_token,
-      record.planned_entry, record.planned_stop, record.planned_target, record.planned_rr
-    ], function(err) {
-      if (err) reject(err);
-      else resolve(this.lastID);
-    });
-  });
-};
-
-const insertRiskAlerts = (db, tradeId, errors) => {
-  return new Promise((resolve, reject) => {
-    const stmt = db.prepare(`
-      INSERT INTO risk_alerts (trade_id, alert_type, message, severity)
-      VALUES (?, ?, ?, ?)
-    `);
+const getTradeContext = async (repos, weekNumber, year, instrument = null) => {
+  const weekSummary = await repos.trades.getWeekSummary(weekNumber, year);
+  const goalPlan = await getActivePlan(repos);
+  const patterns = await getPatternTaxonomy(repos);
+  const weeklyPnl = weekSummary.executed_pnl || 0;
+  const currentBalance = (await getAccountBalance(repos)) || 0;
 
-    errors.forEach(error => {
-      stmt.run(tradeId, error.rule, error.message, error.severity);
-    });
-
-    stmt.finalize((err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-};
-
-const updatePatternCounts = (db, patternType) => {
-  return new Promise((resolve, reject) => {
-    db.run(`
-      INSERT OR IGNORE INTO patterns (pattern_name, total_count, last_seen)
-      VALUES (?, 1, date('now'))
-    `, [patternType], (err) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-
-      db.run(`
-        UPDATE patterns
-        SET total_count = total_count + 1,
-            last_seen = date('now'),
-            updated_at = datetime('now')
-        WHERE pattern_name = ?
-      `, [patternType], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-  });
+  return {
+    tradesThisWeek: weekSummary.executed_trades || 0,
+    weeklyPnl: weeklyPnl,
+    avgSetupQuality: weekSummary.executed_avg_setup_quality || 0,
+    currentBalance,
+    weeklyProgress: (weeklyPnl / getPhase(goalPlan, currentBalance).target_weekly_return) * 100,
+    instrument,
+    goalPlan,
+    patterns
+  };
 };
 
-const getTradeById = (db, tradeId) => {
-  return new Promise((resolve, reject) => {
-    db.get(`
-      SELECT * FROM trades WHERE id = ?
-    `, [tradeId], (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
-};
+// The analysed pattern's playbook checklist, ticked from the analysis and the uploaded timeframes
+const scoreAnalysisChecklist = (tradeContext, analysis, timeframes = null) => scoreChecklist(
+  tradeContext.patterns.find(pattern => pattern.pattern_name === analysis.pattern_type),
+  analysis.checklist_answers,
+  timeframes
+);
 
-const updateTradeOutcome = (db, tradeId, outcome) => {
-  return new Promise((resolve, reject) => {
-    db.run(`
-      UPDATE trades
-      SET executed = ?, actual_pnl = ?, actual_outcome = ?
-      WHERE id = ?
-    `, [outcome.executed, outcome.actual_pnl, outcome.actual_outcome, tradeId], (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-};
+// Delete the trade a previous attempt of a job stored and take back its pattern count
+const discardPreviousAttempt = (repos, tradeId) => repos.transaction(async () => {
+  const previous = await repos.trades.deleteWithRelated(tradeId);
+  if (previous && previous.pattern_type) {
+    await repos.patterns.removeOccurrence(previous.pattern_type);
+  }
+});
 
-const updatePatternSuccess = (db, patternType, wasSuccessful) => {
-  return new Promise((resolve, reject) => {
-    if (wasSuccessful) {
-      db.run(`
-        UPDATE patterns
-        SET success_count = success_count + 1,
-            updated_at = datetime('now')
-        WHERE pattern_name = ?
-      `, [patternType], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    } else {
-      resolve();
-    }
-  });
-};
+// An override is only kept with the trade it let through, so it is stored in the trade's transaction
+const recordLockoutOverride = async (repos, override, tradeId) => {
+  if (!override) return;
 
-const updateWeeklyProgress = (db, pnl, weekNumber, year) => {
-  return new Promise((resolve, reject) => {
-    db.run(`
-      UPDATE progress
-      SET week_pnl_percentage = week_pnl_percentage + ?,
-          cumulative_pnl = cumulative_pnl + ?
-      WHERE week_number = ? AND year = ?
-    `, [pnl, pnl, weekNumber, year], (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
+  await repos.lockouts.addOverride({ ...override, trade_id: tradeId });
+  console.warn(`⚠️ Lockout ${override.lockout_id} overridden for trade ${tradeId}`);
 };
 
-const cleanupFailedUpload = async (filePath, tradeId) => {
+const cleanupFailedUpload = async (userId, filePath, tradeId) => {
   try {
     const { cleanupFile } = require('../middleware/upload');
     cleanupFile(filePath);
 
-    const db = getDatabase();
-    db.run('DELETE FROM trades WHERE id = ?', [tradeId]);
-    db.run('DELETE FROM risk_alerts WHERE trade_id = ?', [tradeId]);
-    db.close();
+    await createRepositories(userId).trades.deleteWithRelated(tradeId);
   } catch (error) {
     console.error('Cleanup failed:', error);
   }
 };
 
-// Fallback analysis for testing when Claude API is not available
-const createFallbackAnalysis = (notes = '') => {
-  const plannedPrices = extractPlannedPricesFromNotes(notes);
-
-  return {
-    setup_quality: 7,
-    risk_reward_ratio: plannedPrices.risk_reward || 2.0,
-    pattern_type: 'opening_breakout',
-    entry_quality: 'good',
-    stop_placement: 'appropriate',
-    target_selection: 'realistic',
-    ai_commentary: `Fallback analysis for testing. Notes: ${notes}`,
-    risk_amount: 45,
-    within_limits: true,
-    session_timing: 'optimal',
-    trade_frequency: 'Within weekly limits',
-    learning_insights: 'Fallback mode - Claude API unavailable',
-    recommendation: 'EXECUTE',
-    confidence_score: 0.8,
-    specific_observations: [
-      'Test mode analysis',
-      'Claude API key not configured',
-      'Using placeholder values for testing'
-    ]
-  };
-};
-
-const extractPlannedPricesFromNotes = (notes) => {
-  const defaults = { entry: null, stop: null, target: null, risk_reward: 2.0 };
-
-  if (!notes) return defaults;
-
-  const entryMatch = notes.match(/entry.*?(\d+(?:\.\d+)?)/i);
-  const stopMatch = notes.match(/stop.*?(\d+(?:\.\d+)?)/i);
-  const targetMatch = notes.match(/target.*?(\d+(?:\.\d+)?)/i);
-
-  const entry = entryMatch ? parseFloat(entryMatch[1]) : null;
-  const stop = stopMatch ? parseFloat(stopMatch[1]) : null;
-  const target = targetMatch ? parseFloat(targetMatch[1]) : null;
-
-  let risk_reward = 2.0;
-  if (entry && stop && target) {
-    const risk = Math.abs(entry - stop);
-    const reward = Math.abs(target - entry);
-    risk_reward = risk > 0 ? reward / risk : 2.0;
-  }
-
-  return { entry, stop, target, risk_reward };
-};
-
-const createFallbackExecutionAnalysis = (notes = '', preTrade) => {
-  const actualPrices = extractActualPricesFromNotes(notes);
-
-  return {
-    actual_prices: {
-      entry: actualPrices.entry,
-      stop: actualPrices.stop,
-      target: actualPrices.target
-    },
-    actual_rr: actualPrices.risk_reward,
-    execution_timing: 'optimal',
-    execution_quality_grade: 'B+',
-    behavioral_observations: [
-      'Fallback execution analysis for testing',
-      'Claude API unavailable',
-      'Using extracted prices from notes'
-    ],
-    coaching_insights: [
-      'Test mode execution analysis',
-      'Manual review recommended when API is available',
-      'Price extraction from notes successful'
-    ],
-    execution_grade_breakdown: {
-      entry_timing: 'B+ - Acceptable execution timing',
-      stop_management: 'B+ - Stop placement appropriate',
-      target_selection: 'B+ - Target achieved within plan',
-      overall_discipline: 'B+ - Good adherence to plan'
-    },
-    price_variance_analysis: {
-      entry_variance_reasoning: 'Minor variance from planned entry acceptable',
-      stop_variance_reasoning: 'Stop placement consistent with plan',
-      target_variance_reasoning: 'Target achieved as planned',
-      financial_impact: 'Minimal impact from execution variances'
-    },
-    learning_synthesis: {
-      pattern_confirmation: 'Execution confirmed pre-trade analysis',
-      skill_development_insights: 'Consistent execution discipline demonstrated',
-      next_setup_preparation: 'Continue current approach'
-    },
-    advanced_coaching: {
-      psychological_profile: 'Calm execution under test conditions',
-      market_adaptation: 'Good adaptation to market conditions',
-      professional_comparison: 'Execution meets professional standards'
-    }
-  };
-};
-
-const extractActualPricesFromNotes = (notes) => {
-  const defaults = { entry: null, stop: null, target: null, risk_reward: 2.0 };
-
-  if (!notes) return defaults;
-
-  // Look for "actual" prices in notes
-  const actualEntryMatch = notes.match(/actual\s+entry.*?(\d+(?:\.\d+)?)/i);
-  const actualStopMatch = notes.match(/actual\s+stop.*?(\d+(?:\.\d+)?)/i);
-  const actualTargetMatch = notes.match(/actual\s+target.*?(\d+(?:\.\d+)?)/i);
-
-  const entry = actualEntryMatch ? parseFloat(actualEntryMatch[1]) : null;
-  const stop = actualStopMatch ? parseFloat(actualStopMatch[1]) : null;
-  const target = actualTargetMatch ? parseFloat(actualTargetMatch[1]) : null;
-
-  let risk_reward = 2.0;
-  if (entry && stop && target) {
-    const risk = Math.abs(entry - stop);
-    const reward = Math.abs(target - entry);
-    risk_reward = risk > 0 ? reward / risk : 2.0;
-  }
-
-  return { entry, stop, target, risk_reward };
-};
-
 // New helper functions for execution analysis
 
-const getTraderExecutionPatterns = (db) => {
-  return new Promise((resolve, reject) => {
-    db.all(`
-      SELECT
-        pattern_type,
-        frequency_count,
-        success_rate,
-        average_impact,
-        confidence_score,
-        improvement_suggestion
-      FROM execution_patterns
-      WHERE trader_id = 'main_trader'
-      ORDER BY coaching_priority ASC, frequency_count DESC
-      LIMIT 10
-    `, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
-    });
-  });
-};
-
 const calculatePriceVariances = (preTrade, executionAnalysis) => {
   const entryVariance = executionAnalysis.actual_prices.entry ?
     (executionAnalysis.actual_prices.entry - (preTrade.planned_entry || 0)) : 0;
@@ -1588,149 +1471,50 @@ const calculatePriceVariances = (preTrade, executionAnalysis) => {
   };
 };
 
-const linkExecutionTrade = (db, preTradeId, executionId) => {
-  return new Promise((resolve, reject) => {
-    db.run(`
-      UPDATE trades
-      SET linked_execution_id = ?, trade_phase = 'complete'
-      WHERE id = ?
-    `, [executionId, preTradeId], (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-};
-
-const updateExecutionPatterns = (db, executionAnalysis, priceVariances) => {
-  return new Promise((resolve, reject) => {
-    // Identify patterns from execution analysis
-    const patterns = identifyExecutionPatterns(executionAnalysis, priceVariances);
-
-    let processedCount = 0;
-    const totalPatterns = patterns.length;
-
-    if (totalPatterns === 0) {
-      resolve();
-      return;
-    }
-
-    patterns.forEach(pattern => {
-      // Check if pattern exists
-      db.get(`
-        SELECT id, frequency_count, success_rate, average_impact
-        FROM execution_patterns
-        WHERE pattern_type = ? AND trader_id = 'main_trader'
-      `, [pattern.type], (err, existingPattern) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+const updateExecutionPatterns = async (repos, executionAnalysis, priceVariances) => {
+  // Identify patterns from execution analysis
+  const patterns = identifyExecutionPatterns(executionAnalysis, priceVariances);
 
-        if (existingPattern) {
-          // Update existing pattern
-          const newFrequency = existingPattern.frequency_count + 1;
-          const newImpact = ((existingPattern.average_impact * existingPattern.frequency_count) + pattern.impact) / newFrequency;
-
-          db.run(`
-            UPDATE execution_patterns
-            SET frequency_count = ?,
-                average_impact = ?,
-                last_seen = date('now'),
-                updated_at = datetime('now')
-            WHERE id = ?
-          `, [newFrequency, newImpact, existingPattern.id], (err) => {
-            processedCount++;
-            if (err) reject(err);
-            else if (processedCount === totalPatterns) resolve();
-          });
-        } else {
-          // Insert new pattern
-          db.run(`
-            INSERT INTO execution_patterns (
-              pattern_type, frequency_count, average_impact,
-              confidence_score, improvement_suggestion
-            ) VALUES (?, 1, ?, 0.5, ?)
-          `, [pattern.type, pattern.impact, pattern.suggestion], (err) => {
-            processedCount++;
-            if (err) reject(err);
-            else if (processedCount === totalPatterns) resolve();
-          });
-        }
-      });
-    });
-  });
-};
-
-const identifyExecutionPatterns = (executionAnalysis, priceVariances) => {
-  const patterns = [];
-
-  // Early entry pattern
-  if (priceVariances.entry_variance > 2) {
-    patterns.push({
-      type: 'early_entry',
-      impact: priceVariances.rr_impact,
-      suggestion: 'Wait for pullback completion before entry trigger'
-    });
-  }
-
-  // Late entry pattern
-  if (priceVariances.entry_variance < -2) {
-    patterns.push({
-      type: 'late_entry',
-      impact: priceVariances.rr_impact,
-      suggestion: 'Set alerts to catch entry levels earlier'
-    });
-  }
-
-  // Stop tightening pattern
-  if (priceVariances.stop_variance > 2) {
-    patterns.push({
-      type: 'stop_tightening',
-      impact: priceVariances.rr_impact,
-      suggestion: 'Maintain planned stop levels for consistency'
-    });
-  }
-
-  // Target extension pattern
-  if (priceVariances.target_variance > 3) {
-    patterns.push({
-      type: 'target_extension',
-      impact: priceVariances.rr_impact,
-      suggestion: 'Target extensions show good momentum reading'
-    });
+  for (const pattern of patterns) {
+    await repos.patterns.recordExecutionPattern(pattern);
   }
 
   return patterns;
 };
 
-const generateLearningSynthesis = (db, preTrade, executionTrade) => {
-  return new Promise((resolve, reject) => {
-    if (!preTrade || !executionTrade) {
-      resolve({
-        pattern_confirmation: 'Incomplete trade data',
-        execution_lessons: [],
-        next_similar_setup_guidance: 'Complete both pre-trade and execution analysis for synthesis'
-      });
-      return;
-    }
+// Thresholds and suggestions are shared with coaching effectiveness tracking
+const identifyExecutionPatterns = (executionAnalysis, priceVariances) => identifyBehaviors(priceVariances)
+  .map(behavior => ({
+    type: behavior,
+    impact: priceVariances.rr_impact,
+    suggestion: COACHED_BEHAVIORS[behavior].suggestion
+  }));
 
-    // Analyze pattern confirmation
-    const patternConfirmed = executionTrade.actual_outcome === 'win' ? 'confirmed' : 'contradicted';
+const generateLearningSynthesis = (preTrade, executionTrade) => {
+  if (!preTrade || !executionTrade) {
+    return {
+      pattern_confirmation: 'Incomplete trade data',
+      execution_lessons: [],
+      next_similar_setup_guidance: 'Complete both pre-trade and execution analysis for synthesis'
+    };
+  }
 
-    // Extract execution lessons
-    const lessons = JSON.parse(executionTrade.behavioral_observations || '[]');
+  // Analyze pattern confirmation
+  const patternConfirmed = executionTrade.actual_outcome === 'win' ? 'confirmed' : 'contradicted';
 
-    // Generate guidance for next similar setup
-    const guidance = generateNextSetupGuidance(preTrade.pattern_type, executionTrade);
+  // Extract execution lessons
+  const lessons = executionTrade.behavioral_observations || [];
 
-    resolve({
-      pattern_confirmation: `${preTrade.pattern_type} pattern ${patternConfirmed} as expected`,
-      execution_lessons: lessons,
-      next_similar_setup_guidance: guidance,
-      improvement_areas: identifyImprovementAreas(preTrade, executionTrade),
-      strength_reinforcement: identifyStrengths(preTrade, executionTrade)
-    });
-  });
+  // Generate guidance for next similar setup
+  const guidance = generateNextSetupGuidance(preTrade.pattern_type, executionTrade);
+
+  return {
+    pattern_confirmation: `${preTrade.pattern_type} pattern ${patternConfirmed} as expected`,
+    execution_lessons: lessons,
+    next_similar_setup_guidance: guidance,
+    improvement_areas: identifyImprovementAreas(preTrade, executionTrade),
+    strength_reinforcement: identifyStrengths(preTrade, executionTrade)
+  };
 };
 
 const generateNextSetupGuidance = (patternType, executionTrade) => {
@@ -1783,325 +1567,98 @@ const identifyStrengths = (preTrade, executionTrade) => {
 
 // Multi-timeframe helper functions
 
-const insertTimeframeAnalysis = (db, analysisData) => {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      INSERT INTO timeframe_analysis (
-        trade_id, timeframe, screenshot_path, individual_analysis,
-        pattern_identified, trend_direction, key_levels, volume_analysis, confluence_score
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    db.run(sql, [
-      analysisData.trade_id,
-      analysisData.timeframe,
-      analysisData.screenshot_path,
-      analysisData.individual_analysis,
-      analysisData.pattern_identified,
-      analysisData.trend_direction,
-      analysisData.key_levels,
-      analysisData.volume_analysis,
-      analysisData.confluence_score
-    ], function(err) {
-      if (err) reject(err);
-      else resolve(this.lastID);
-    });
-  });
-};
-
-const insertMultiTimefradeRecord = (db, record) => {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      INSERT INTO trades (
-        id, timestamp, screenshot_path, setup_quality, risk_reward_ratio,
-        pattern_type, entry_quality, stop_placement, target_selection,
-        ai_commentary, risk_amount, within_limits, session_timing,
-        trade_frequency, learning_insights, recommendation, week_number, year,
-        trade_phase, execution_upload_token, planned_entry, planned_stop,
-        planned_target, planned_rr, screenshot_1min, screenshot_5min,
-        screenshot_15min, screenshot_daily, timeframes_uploaded,
-        analysis_completeness_score, multi_timeframe_insights,
-        trend_alignment_score, structure_confirmation
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    db.run(sql, [
-      record.id, record.timestamp, record.screenshot_path, record.setup_quality,
-      record.risk_reward_ratio, record.pattern_type, record.entry_quality,
-      record.stop_placement, record.target_selection, record.ai_commentary,
-      record.risk_amount, record.within_limits, record.session_timing,
-      record.trade_frequency, record.learning_insights, record.recommendation,
-      record.week_number, record.year, record.trade_phase, record.execution_upload_token,
-      record.planned_entry, record.planned_stop, record.planned_target, record.planned_rr,
-      record.screenshot_1min, record.screenshot_5min, record.screenshot_15min,
-      record.screenshot_daily, record.timeframes_uploaded, record.analysis_completeness_score,
-      record.multi_timeframe_insights, record.trend_alignment_score, record.structure_confirmation
-    ], function(err) {
-      if (err) reject(err);
-      else resolve(this.lastID);
-    });
-  });
-};
-
-const cleanupFailedMultiTimeframeUpload = async (files, tradeId) => {
+const cleanupFailedMultiTimeframeUpload = async (userId, files, tradeId) => {
   try {
     cleanupMultiTimeframeFiles(files);
 
-    const db = getDatabase();
-    db.run('DELETE FROM trades WHERE id = ?', [tradeId]);
-    db.run('DELETE FROM risk_alerts WHERE trade_id = ?', [tradeId]);
-    db.run('DELETE FROM timeframe_analysis WHERE trade_id = ?', [tradeId]);
-    db.close();
+    await createRepositories(userId).trades.deleteWithRelated(tradeId);
   } catch (error) {
     console.error('Multi-timeframe cleanup failed:', error);
   }
 };
 
-const createFallbackMultiTimeframeAnalysis = (timeframes = ['1min'], notes = '') => {
-  const baseAnalysis = createFallbackAnalysis(notes);
-
-  // Generate individual timeframe analysis
-  const individualAnalysis = {};
-  timeframes.forEach(tf => {
-    individualAnalysis[tf] = {
-      pattern_identified: 'opening_breakout',
-      trend_direction: 'neutral',
-      key_levels: ['19650', '19700', '19750'],
-      volume_analysis: 'Average volume observed',
-      entry_quality: 'fair',
-      individual_setup_score: 6
-    };
+const publishAnalysisStage = (userId, tradeId, stage, details = {}) => {
+  publishEvent(userId, EVENT_TYPES.ANALYSIS_STAGE, {
+    trade_id: tradeId,
+    stage,
+    ...details
   });
+};
 
-  // Generate cross-timeframe analysis
-  const crossTimeframeAnalysis = {
-    trend_alignment: timeframes.length >= 3 ? 'moderate' : 'weak',
-    structure_confluence: timeframes.length >= 2 ? 'medium' : 'low',
-    entry_timing_quality: timeframes.length >= 3 ? 7 : 5,
-    overall_setup_strength: Math.min(8, 4 + timeframes.length),
-    risk_reward_context: 'Multi-timeframe analysis provides enhanced context',
-    session_appropriateness: 'acceptable'
-  };
+const summarizeHierarchy = (hierarchyData) => {
+  const hierarchy = hierarchyData.hierarchy || {};
 
   return {
-    ...baseAnalysis,
-    individual_timeframe_analysis: individualAnalysis,
-    cross_timeframe_analysis: crossTimeframeAnalysis,
-    timeframe_confluence_score: Math.min(0.8, 0.4 + (timeframes.length * 0.1)),
-    analysis_confidence: Math.min(0.9, 0.5 + (timeframes.length * 0.1)),
-    multi_timeframe_insights: `Analysis enhanced with ${timeframes.length} timeframes. Fallback mode active.`,
-    trend_alignment_score: Math.min(0.8, 0.3 + (timeframes.length * 0.125)),
-    structure_confirmation: `${timeframes.length} timeframes analyzed for structural confirmation`,
-    completeness_score: Math.min(100, 60 + (timeframes.length * 10)),
-    timeframes_analyzed: timeframes
+    entry_timeframe: hierarchy.entry_timeframe?.timeframe_label || null,
+    structure_timeframe: hierarchy.structure_timeframe?.timeframe_label || null,
+    trend_timeframe: hierarchy.trend_timeframe?.timeframe_label || null,
+    analysis_completeness: hierarchyData.analysis_completeness
   };
 };
 
-// Universal timeframe helper functions
-
-const insertUniversalScreenshotAnalysis = (db, analysisData) => {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      INSERT INTO screenshot_analysis (
-        trade_id, screenshot_path, timeframe_label, timeframe_category,
-        timeframe_priority, is_primary, individual_analysis, pattern_identified,
-        trend_direction, key_levels, volume_analysis, confluence_score
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    db.run(sql, [
-      analysisData.trade_id,
-      analysisData.screenshot_path,
-      analysisData.timeframe_label,
-      analysisData.timeframe_category,
-      analysisData.timeframe_priority,
-      analysisData.is_primary ? 1 : 0,
-      analysisData.individual_analysis,
-      analysisData.pattern_identified,
-      analysisData.trend_direction,
-      analysisData.key_levels,
-      analysisData.volume_analysis,
-      analysisData.confluence_score
-    ], function(err) {
-      if (err) reject(err);
-      else resolve(this.lastID);
-    });
+// Keep only what the background processor needs from the multer request
+const buildUploadJobPayload = (req, tradeId) => {
+  const files = {};
+
+  Object.keys(req.files).forEach(timeframe => {
+    files[timeframe] = req.files[timeframe].map(file => ({
+      path: file.path,
+      relativePath: file.relativePath,
+      filename: file.filename,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    }));
   });
+
+  return {
+    user_id: req.user.id,
+    trade_id: tradeId,
+    timestamp: new Date().toISOString(),
+    timeframes: req.timeframesUploaded,
+    trading_context: req.tradingContext,
+    notes: req.body.notes || '',
+    lockout_override: req.lockoutOverride || null,
+    files
+  };
 };
 
-const insertUniversalTradeRecord = (db, record) => {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      INSERT INTO trades (
-        id, timestamp, screenshot_path, setup_quality, risk_reward_ratio,
-        pattern_type, entry_quality, stop_placement, target_selection,
-        ai_commentary, risk_amount, within_limits, session_timing,
-        trade_frequency, learning_insights, recommendation, week_number, year,
-        trade_phase, execution_upload_token, planned_entry, planned_stop,
-        planned_target, planned_rr, screenshots_metadata, timeframes_used,
-        trading_style, analysis_specialization, analysis_completeness_score,
-        multi_timeframe_insights, trend_alignment_score, structure_confirmation
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    db.run(sql, [
-      record.id, record.timestamp, record.screenshot_path, record.setup_quality,
-      record.risk_reward_ratio, record.pattern_type, record.entry_quality,
-      record.stop_placement, record.target_selection, record.ai_commentary,
-      record.risk_amount, record.within_limits, record.session_timing,
-      record.trade_frequency, record.learning_insights, record.recommendation,
-      record.week_number, record.year, record.trade_phase, record.execution_upload_token,
-      record.planned_entry, record.planned_stop, record.planned_target, record.planned_rr,
-      record.screenshots_metadata, record.timeframes_used, record.trading_style,
-      record.analysis_specialization, record.analysis_completeness_score,
-      record.multi_timeframe_insights, record.trend_alignment_score, record.structure_confirmation
-    ], function(err) {
-      if (err) reject(err);
-      else resolve(this.lastID);
-    });
-  });
+const buildQueuedUploadResponse = (job, req) => {
+  return {
+    job_id: job.job_id,
+    trade_id: job.trade_id,
+    status: job.status,
+    timeframes_uploaded: req.timeframesUploaded,
+    trading_context: req.tradingContext,
+    status_url: `/api/jobs/${job.job_id}`,
+    instructions: 'Poll the status URL until status is completed, then read the analysis from result'
+  };
 };
 
-const cleanupFailedUniversalUpload = async (files, tradeId) => {
+const cleanupFailedUniversalUpload = async (userId, files, tradeId) => {
   try {
     cleanupMultiTimeframeFiles(files);
 
-    const db = getDatabase();
-    db.run('DELETE FROM trades WHERE id = ?', [tradeId]);
-    db.run('DELETE FROM risk_alerts WHERE trade_id = ?', [tradeId]);
-    db.run('DELETE FROM screenshot_analysis WHERE trade_id = ?', [tradeId]);
-    db.close();
+    await createRepositories(userId).trades.deleteWithRelated(tradeId);
   } catch (error) {
     console.error('Universal upload cleanup failed:', error);
   }
 };
 
-const createFallbackUniversalAnalysis = (timeframes = ['1min'], tradingContext, hierarchyData, notes = '') => {
-  const baseAnalysis = createFallbackAnalysis(notes);
-
-  // Generate universal timeframe analysis
-  const universalAnalysis = {
-    timeframes_analyzed: timeframes,
-    primary_timeframe: tradingContext.primary_timeframe || timeframes[0],
-    timeframe_hierarchy: {
-      entry_timeframe: hierarchyData.hierarchy.entry_timeframe?.timeframe_label || 'none',
-      structure_timeframe: hierarchyData.hierarchy.structure_timeframe?.timeframe_label || 'none',
-      trend_timeframe: hierarchyData.hierarchy.trend_timeframe?.timeframe_label || 'none'
-    },
-    cross_timeframe_confluence: timeframes.length >= 3 ? 'moderate' : 'weak'
-  };
-
-  // Generate individual timeframe analysis
-  const individualAnalysis = {};
-  timeframes.forEach(tf => {
-    const classification = hierarchyData.classified_timeframes.find(tfObj => tfObj.timeframe_label === tf);
-    individualAnalysis[tf] = {
-      pattern_identified: 'opening_breakout',
-      trend_direction: 'neutral',
-      key_levels: ['19650', '19700', '19750'],
-      volume_analysis: 'Average volume for fallback analysis',
-      setup_quality: 6,
-      timeframe_role: classification?.classification.priority || 'context'
-    };
-  });
-
-  // Generate specialized insights based on trading context
-  const specializedInsights = tradingContext.instrument === 'MNQ' && tradingContext.trading_style === 'mnq_scalping' ? {
-    scalping_appropriateness: Math.min(8, 5 + timeframes.length),
-    session_timing_quality: 'acceptable',
-    micro_structure_analysis: 'Fallback MNQ analysis - standard microstructure assumed',
-    volatility_assessment: 'moderate with fallback analysis',
-    risk_reward_mnq_context: '1:2.0 appropriate for MNQ fallback context'
-  } : {
-    trading_appropriateness: Math.min(8, 5 + timeframes.length),
-    session_quality: 'acceptable',
-    market_structure: `Fallback analysis for ${tradingContext.instrument}`,
-    volatility_context: `Standard volatility assessment for ${tradingContext.instrument}`
-  };
-
-  return {
-    ...baseAnalysis,
-    universal_timeframe_analysis: universalAnalysis,
-    individual_timeframe_analysis: individualAnalysis,
-    specialized_insights: specializedInsights,
-    analysis_confidence: Math.min(0.8, 0.4 + (timeframes.length * 0.1)),
-    completeness_score: Math.min(100, hierarchyData.analysis_completeness || 70),
-    analysis_type: 'universal_timeframe',
-    trading_context: tradingContext,
-    hierarchy_data: hierarchyData
-  };
-};
-
-// Frontend-compatible fallback analysis
-const createFallbackFrontendAnalysis = (timeframes = ['1min'], tradingContext, hierarchyData, notes = '') => {
-  return {
-    overall_setup_grade: {
-      grade: 'B',
-      description: 'Fallback analysis - manual review recommended for optimal results',
-      score: 7.0
-    },
-    pattern_recognition: {
-      primary_pattern: 'Opening Range Breakout',
-      confirmation_status: 'Pending',
-      volume_profile: 'Average',
-      market_structure: 'Neutral'
-    },
-    risk_analysis: {
-      risk_reward_ratio: '2.5:1',
-      stop_placement: 'Good',
-      position_size: 'Conservative'
-    },
-    detailed_insights: {
-      strengths: [
-        'Multiple timeframes uploaded for analysis',
-        `${timeframes.length} timeframes provide enhanced context`,
-        'Systematic approach to trade analysis',
-        'Risk management parameters within limits'
-      ],
-      improvements: [
-        'Claude API unavailable - manual chart review recommended',
-        'Verify pattern confirmation before execution'
-      ]
-    },
-    recommended_actions: [
-      `Monitor ${tradingContext.primary_timeframe} timeframe for clear breakout signal`,
-      'Confirm volume expansion on breakout',
-      'Set stop loss below recent support level'
-    ],
-    screenshots: {
-      primary_timeframe: tradingContext.primary_timeframe || timeframes[0],
-      available_timeframes: timeframes
-    },
-    confidence_score: 0.65,
-    analysis_confidence: 'Moderate',
-    session_quality: tradingContext.session_info?.includes('9:') || tradingContext.session_info?.includes('10:') ? 'good' : 'acceptable',
-    risk_amount_dollars: 45
-  };
-};
-
 // EXECUTION ANALYSIS SYSTEM (Phase 2)
 // POST /api/trade/{preTradeId}/execution
 router.post('/trade/:preTradeId/execution',
+  requireScope('trades:write'),
   upload.single('execution_screenshot'),
   validateUploadedFile,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
+    const repos = createRepositories(req.user.id);
     const { preTradeId } = req.params;
     const executionData = req.body.actual_execution ? JSON.parse(req.body.actual_execution) : req.body;
 
     try {
       // Verify pre-trade exists and get execution token
-      const preTrade = await new Promise((resolve, reject) => {
-        db.get(`
-          SELECT id, execution_upload_token, planned_entry, planned_stop, planned_target, planned_rr,
-                 pattern_type, trading_style, risk_amount, timestamp
-          FROM trades
-          WHERE id = ? AND trade_phase = 'pre_trade'
-        `, [preTradeId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+      const preTrade = await repos.trades.findPreTrade(preTradeId);
 
       if (!preTrade) {
         return res.status(404).json({
@@ -2127,12 +1684,15 @@ router.post('/trade/:preTradeId/execution',
       const actualRR = riskPoints > 0 ? (rewardPoints / riskPoints) : (preTrade.planned_rr || 2);
       const rrImpact = actualRR - (preTrade.planned_rr || 2);
 
-      // Determine P&L based on outcome
+      // Determine P&L based on outcome, valued in the pre-trade's contract
+      const instrument = await resolveInstrument(repos, preTrade.instrument) ||
+        await resolveInstrument(repos, DEFAULT_INSTRUMENT);
+      const contracts = parseFloat(executionData.contracts) || 1;
       let actualPnl = 0;
       if (executionData.trade_outcome === 'win') {
-        actualPnl = rewardPoints * 2; // $2 per point for MNQ
+        actualPnl = calculatePnl(instrument, rewardPoints, contracts).net_pnl;
       } else if (executionData.trade_outcome === 'loss') {
-        actualPnl = -riskPoints * 2;
+        actualPnl = calculatePnl(instrument, -riskPoints, contracts).net_pnl;
       } else if (executionData.trade_outcome === 'breakeven') {
         actualPnl = 0;
       }
@@ -2163,6 +1723,7 @@ router.post('/trade/:preTradeId/execution',
         screenshot_path: req.file.relativePath,
         linked_execution_id: preTradeId,
         trade_phase: 'execution',
+        instrument: instrument.symbol,
         actual_entry: executionData.entry_price,
         actual_stop: executionData.stop_price,
         actual_target: executionData.target_price,
@@ -2176,7 +1737,7 @@ router.post('/trade/:preTradeId/execution',
         executed: true,
         execution_timing: executionAnalysis.execution_timing || 'good',
         execution_quality_grade: executionAnalysis.execution_grades?.overall_grade || 'B',
-        behavioral_observations: JSON.stringify(executionAnalysis.behavioral_coaching?.execution_insights || []),
+        behavioral_observations: executionAnalysis.behavioral_coaching?.execution_insights || [],
         execution_coaching: executionAnalysis.behavioral_coaching?.improvement_protocol || 'Continue systematic approach',
         pattern_type: preTrade.pattern_type,
         trading_style: preTrade.trading_style,
@@ -2186,23 +1747,30 @@ router.post('/trade/:preTradeId/execution',
       };
 
       // Insert execution record
-      await insertUniversalTradeRecord(db, executionRecord);
+      const validationResults = await checkTradingRules(repos, executionRecord);
+      await repos.trades.create(executionRecord);
+      if (validationResults.errors.length > 0) {
+        await recordRuleViolations(repos, executionRecord, validationResults.errors);
+      }
 
       // Update original pre-trade record with execution link
-      await new Promise((resolve, reject) => {
-        db.run(`
-          UPDATE trades
-          SET linked_execution_id = ?, actual_pnl = ?, executed = TRUE, actual_outcome = ?
-          WHERE id = ?
-        `, [executionId, actualPnl, executionData.trade_outcome, preTradeId], (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
+      await repos.trades.recordExecutionResult(preTradeId, executionId, {
+        actual_pnl: actualPnl,
+        actual_outcome: executionData.trade_outcome
       });
+      await repos.ledger.recordTradePnl(preTradeId, actualPnl, toTradeLedgerDate(timestamp));
+      await refreshPatternConfidence(repos);
+      await refreshPatternRegimes(repos);
+      const riskState = await evaluateRiskState(repos);
+      const tilt = await evaluateTilt(repos);
 
       // Build response
       const response = {
         execution_id: executionId,
+        locked_out: riskState.locked,
+        lockout: riskState.lockout,
+        tilt: tilt.current,
+        validation: validationResults,
         execution_analysis: {
           planned_vs_actual: {
             entry_variance: `${entryVariance > 0 ? '+' : ''}${entryVariance.toFixed(1)} pts`,
@@ -2238,8 +1806,6 @@ router.post('/trade/:preTradeId/execution',
     } catch (error) {
       console.error('Execution analysis error:', error);
       throw error;
-    } finally {
-      db.close();
     }
   })
 );
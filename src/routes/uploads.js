@@ -0,0 +1,71 @@
+const express = require('express');
+const path = require('path');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { createRepositories } = require('../repositories');
+const { createErrorResponse } = require('../services/errorHandler');
+const { toStoredScreenshotPath, verifyScreenshotUrl } = require('../services/screenshotUrls');
+
+const router = express.Router();
+
+const UPLOAD_ROOT = path.resolve('uploads');
+
+// Uploaded screenshots. A signed link from the API (which <img> tags can load) is served
+// until it expires; otherwise only the owner of a trade that references the file gets it.
+// Stored paths start with 'uploads/', so links look like /uploads/uploads/<date>/<file>;
+// /uploads/<date>/<file> is accepted as well.
+router.get('/*',
+  (req, res, next) => {
+    let requested;
+    try {
+      requested = decodeURIComponent(req.path);
+    } catch (error) {
+      return sendNotFound(res);
+    }
+
+    req.storedPath = toStoredScreenshotPath(requested);
+    if (!path.resolve(req.storedPath).startsWith(UPLOAD_ROOT + path.sep)) {
+      return sendNotFound(res);
+    }
+
+    if (req.query.signature === undefined) {
+      return requireAuth(req, res, next);
+    }
+
+    if (!verifyScreenshotUrl(req.storedPath, req.query.expires, req.query.signature)) {
+      return res.status(401).json(createErrorResponse('UNAUTHORIZED', {
+        details: 'The screenshot link is invalid or has expired'
+      }));
+    }
+
+    req.signedUrl = true;
+    next();
+  },
+  requireScope('trades:read'),
+  asyncHandler(async (req, res) => {
+    if (!req.signedUrl && !(await createRepositories(req.user.id).trades.ownsScreenshot(req.storedPath))) {
+      return sendNotFound(res);
+    }
+
+    res.sendFile(path.resolve(req.storedPath), (error) => {
+      if (error && !res.headersSent) {
+        sendNotFound(res);
+      }
+    });
+  })
+);
+
+// Express decodes the path before the route runs, so a malformed escape fails there
+router.use((error, req, res, next) => {
+  if (error instanceof URIError) {
+    return sendNotFound(res);
+  }
+  next(error);
+});
+
+const sendNotFound = (res) => {
+  const response = createErrorResponse('SCREENSHOT_NOT_FOUND');
+  return res.status(response.code).json(response);
+};
+
+module.exports = router;
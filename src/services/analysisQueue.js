@@ -0,0 +1,274 @@
+/**
+ * Analysis Job Queue
+ * Persists screenshot analysis jobs in SQLite and runs them one at a time in a
+ * background worker, retrying transient failures with exponential backoff.
+ * Jobs left running by a previous process are re-queued on startup.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../models/database');
+const { handleRetryableError } = require('./errorHandler');
+const { EVENT_TYPES, publishEvent } = require('./eventBus');
+
+const processors = {};
+
+const workerState = {
+  running: false,
+  busy: false,
+  timer: null
+};
+
+/**
+ * Register the function that executes a job type
+ * @param {string} jobType - Job type stored on the job row (e.g. 'universal')
+ * @param {object} processor - { process(payload, reportProgress), onFailure(payload, error) }
+ *   reportProgress(stage, progress, details) persists the stage and publishes it as an analysis_stage event
+ */
+const registerJobProcessor = (jobType, processor) => {
+  processors[jobType] = processor;
+};
+
+/**
+ * Persist a new job and wake the worker
+ * @param {string} jobType - Registered job type
+ * @param {object} payload - JSON-serializable inputs for the processor
+ * @param {object} options - { userId, tradeId, maxAttempts } - userId owns the job and its events
+ * @returns {Promise<object>} Created job summary
+ */
+const enqueueAnalysisJob = async (jobType, payload, options = {}) => {
+  const jobId = uuidv4();
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS) || 3;
+
+  await getDatabase().run(`
+    INSERT INTO analysis_jobs (id, user_id, job_type, status, trade_id, payload, stage, max_attempts)
+    VALUES (?, ?, ?, 'queued', ?, ?, 'queued', ?)
+  `, [jobId, options.userId, jobType, options.tradeId || null, JSON.stringify(payload), maxAttempts]);
+
+  console.log(`🗂️ Queued ${jobType} analysis job ${jobId}`);
+  publishJobStatus({ id: jobId, user_id: options.userId, job_type: jobType, trade_id: options.tradeId }, 'queued');
+  scheduleWork();
+
+  return {
+    job_id: jobId,
+    job_type: jobType,
+    status: 'queued',
+    trade_id: options.tradeId || null,
+    max_attempts: maxAttempts
+  };
+};
+
+/**
+ * Start the background worker. Jobs interrupted by a restart are resumed.
+ * @param {object} options - { pollInterval } in ms
+ */
+const startAnalysisWorker = async (options = {}) => {
+  if (workerState.running) return;
+
+  const pollInterval = options.pollInterval || parseInt(process.env.ANALYSIS_JOB_POLL_INTERVAL) || 5000;
+  const resumed = await getDatabase().run(`
+    UPDATE analysis_jobs
+    SET status = 'queued', stage = 'resumed', updated_at = datetime('now')
+    WHERE status = 'running'
+  `);
+
+  if (resumed.changes > 0) {
+    console.log(`🔁 Resuming ${resumed.changes} interrupted analysis job(s)`);
+  }
+
+  workerState.running = true;
+  workerState.timer = setInterval(scheduleWork, pollInterval);
+  workerState.timer.unref();
+
+  scheduleWork();
+};
+
+const stopAnalysisWorker = () => {
+  workerState.running = false;
+  if (workerState.timer) {
+    clearInterval(workerState.timer);
+    workerState.timer = null;
+  }
+};
+
+const scheduleWork = () => {
+  if (!workerState.running || workerState.busy) return;
+  setImmediate(drainQueue);
+};
+
+const drainQueue = async () => {
+  if (!workerState.running || workerState.busy) return;
+  workerState.busy = true;
+
+  try {
+    let job = await claimNextJob();
+    while (job && workerState.running) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Analysis worker error:', error);
+  } finally {
+    workerState.busy = false;
+  }
+};
+
+// Oldest queued job, marked running in the same transaction that picked it
+const claimNextJob = () => {
+  const db = getDatabase();
+
+  return db.transaction(async () => {
+    const job = await db.get(`
+      SELECT * FROM analysis_jobs
+      WHERE status = 'queued'
+      ORDER BY created_at ASC, rowid ASC
+      LIMIT 1
+    `);
+
+    if (!job) return null;
+
+    await db.run(`
+      UPDATE analysis_jobs
+      SET status = 'running',
+          started_at = COALESCE(started_at, datetime('now')),
+          updated_at = datetime('now')
+      WHERE id = ?
+    `, [job.id]);
+
+    return job;
+  });
+};
+
+const runJob = async (job) => {
+  const processor = processors[job.job_type];
+  const payload = JSON.parse(job.payload || '{}');
+  let attempts = job.attempts || 0;
+
+  if (!processor) {
+    await updateJob(job.id, {
+      status: 'failed',
+      stage: 'failed',
+      error_code: 'ANALYSIS_FAILED',
+      last_error: `No processor registered for job type ${job.job_type}`,
+      completed_at: currentTimestamp()
+    });
+    return;
+  }
+
+  const reportProgress = async (stage, progress, details = {}) => {
+    await updateJob(job.id, { stage, progress });
+    publishEvent(job.user_id, EVENT_TYPES.ANALYSIS_STAGE, {
+      job_id: job.id,
+      job_type: job.job_type,
+      trade_id: job.trade_id,
+      stage,
+      progress,
+      ...details
+    });
+  };
+
+  const operation = async () => {
+    attempts += 1;
+    await updateJob(job.id, { attempts, stage: attempts > 1 ? 'retrying' : 'started' });
+    publishJobStatus(job, 'running', { attempts, max_attempts: job.max_attempts });
+
+    try {
+      return await processor.process(payload, reportProgress);
+    } catch (error) {
+      console.error(`Analysis job ${job.id} attempt ${attempts} failed:`, error.message);
+      await updateJob(job.id, { last_error: error.message, error_code: classifyJobError(error) });
+      throw error;
+    }
+  };
+
+  try {
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      result = await handleRetryableError(operation, classifyJobError(error), attempts, job.max_attempts);
+    }
+
+    await updateJob(job.id, {
+      status: 'completed',
+      stage: 'completed',
+      progress: 100,
+      result: JSON.stringify(result),
+      last_error: null,
+      error_code: null,
+      completed_at: currentTimestamp()
+    });
+
+    publishJobStatus(job, 'completed', { attempts, progress: 100 });
+    console.log(`✅ Analysis job ${job.id} completed after ${attempts} attempt(s)`);
+  } catch (finalError) {
+    // handleRetryableError throws a createErrorResponse object once retries are exhausted
+    const errorCode = finalError.error || classifyJobError(finalError);
+
+    await updateJob(job.id, {
+      status: 'failed',
+      stage: 'failed',
+      error_code: errorCode,
+      completed_at: currentTimestamp()
+    });
+
+    if (processor.onFailure) {
+      try {
+        await processor.onFailure(payload, finalError);
+      } catch (cleanupError) {
+        console.error(`Analysis job ${job.id} cleanup failed:`, cleanupError);
+      }
+    }
+
+    publishJobStatus(job, 'failed', { attempts, error_code: errorCode });
+    console.error(`❌ Analysis job ${job.id} failed with ${errorCode} after ${attempts} attempt(s)`);
+  }
+};
+
+const publishJobStatus = (job, status, details = {}) => {
+  publishEvent(job.user_id, EVENT_TYPES.JOB_STATUS, {
+    job_id: job.id,
+    job_type: job.job_type,
+    trade_id: job.trade_id || null,
+    status,
+    ...details
+  });
+};
+
+/**
+ * Map a processing error onto an ERROR_CODES key so retry rules apply
+ * @param {Error} error - Error thrown by a processor
+ * @returns {string} ERROR_CODES key
+ */
+const classifyJobError = (error) => {
+  if (!error) return 'ANALYSIS_FAILED';
+
+  if (error.code === 'ECONNABORTED') return 'CLAUDE_API_TIMEOUT';
+  if (error.code === 'RATE_LIMIT') return 'RATE_LIMIT_EXCEEDED';
+  if (['SERVER_ERROR', 'ANTHROPIC_API_ERROR', 'ECONNREFUSED', 'ENOTFOUND'].includes(error.code)) return 'CLAUDE_API_ERROR';
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE')) return 'DATABASE_ERROR';
+  if (error.message && error.message.includes('Failed to encode image')) return 'CORRUPTED_FILE';
+
+  return 'ANALYSIS_FAILED';
+};
+
+const updateJob = async (jobId, fields) => {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+
+  await getDatabase().run(`
+    UPDATE analysis_jobs
+    SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now')
+    WHERE id = ?
+  `, [...columns.map(column => fields[column]), jobId]);
+};
+
+// Matches SQLite datetime('now') so job timestamps sort and compare consistently
+const currentTimestamp = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+module.exports = {
+  registerJobProcessor,
+  enqueueAnalysisJob,
+  startAnalysisWorker,
+  stopAnalysisWorker,
+  classifyJobError
+};
@@ -0,0 +1,147 @@
+/**
+ * API Key Service
+ * Personal API keys for scripts and the desktop companion. A key is a random
+ * token sent as "Authorization: Bearer gjk_..."; only its SHA-256 hash is stored.
+ * Each key carries scopes limiting which routes it may call and its own
+ * requests-per-minute limit. Browser sessions (access tokens) are not scoped.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createUserRepository } = require('../repositories');
+
+const API_KEY_PREFIX = 'gjk_';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60;
+const MAX_RATE_LIMIT = 1000;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+const API_KEY_SCOPES = {
+  'trades:read': 'Read trades, screenshots and analysis jobs',
+  'trades:write': 'Upload screenshots, record outcomes and import broker fills',
+  'analytics:read': 'Read progress, patterns, alerts, risk checks and analytics',
+  'progress:write': 'Update the account balance',
+  'patterns:write': 'Record pattern outcomes and manage pattern definitions',
+  'alerts:write': 'Acknowledge risk alerts',
+  'settings:read': 'Read settings',
+  'settings:write': 'Change and reset settings',
+  'events:read': 'Subscribe to the live event stream'
+};
+
+// Fixed one-minute windows per key: keyId -> { window_start, count }
+const usageWindows = new Map();
+
+/**
+ * Create an API key for a user
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {object} options - { name, scopes, rate_limit }
+ * @returns {Promise<object>} Stored key plus the plain-text `key`, which is never shown again
+ */
+const createApiKey = async (repos, options = {}) => {
+  const name = typeof options.name === 'string' ? options.name.trim() : '';
+  const scopes = Array.isArray(options.scopes) ? [...new Set(options.scopes)] : [];
+  const rateLimit = options.rate_limit === undefined ? DEFAULT_RATE_LIMIT : parseInt(options.rate_limit);
+
+  if (!name) {
+    throw apiKeyError('INVALID_API_KEY_REQUEST', 'A name is required');
+  }
+
+  const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (scopes.length === 0 || unknownScopes.length > 0) {
+    throw apiKeyError('INVALID_API_KEY_REQUEST',
+      `Scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+  }
+
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+    throw apiKeyError('INVALID_API_KEY_REQUEST', `rate_limit must be between 1 and ${MAX_RATE_LIMIT} requests per minute`);
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const keyId = uuidv4();
+
+  await repos.apiKeys.create({
+    id: keyId,
+    name,
+    key_prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    key_hash: hashApiKey(key),
+    scopes,
+    rate_limit: rateLimit
+  });
+
+  return {
+    ...(await repos.apiKeys.findById(keyId)),
+    key
+  };
+};
+
+/**
+ * Resolve the user behind an API key and record its use
+ * @param {string} key - Plain-text key from the Authorization header
+ * @param {string} ip - Client address
+ * @returns {Promise<object>} { user, api_key: { id, scopes, rate_limit } }
+ */
+const authenticateApiKey = async (key, ip) => {
+  const users = createUserRepository();
+  const match = await users.findByApiKeyHash(hashApiKey(key));
+
+  if (!match) {
+    throw apiKeyError('UNAUTHORIZED', 'Invalid or revoked API key');
+  }
+
+  await users.recordApiKeyUse(match.api_key.id, ip);
+
+  return match;
+};
+
+/**
+ * Count a request against a key's per-minute limit
+ * @param {object} apiKey - { id, rate_limit }
+ * @returns {object} { allowed, limit, remaining, retry_after } - retry_after in seconds
+ */
+const consumeRateLimit = (apiKey) => {
+  const now = Date.now();
+  const limit = apiKey.rate_limit || DEFAULT_RATE_LIMIT;
+  let usage = usageWindows.get(apiKey.id);
+
+  if (!usage || now - usage.window_start >= RATE_LIMIT_WINDOW_MS) {
+    usage = { window_start: now, count: 0 };
+    usageWindows.set(apiKey.id, usage);
+  }
+
+  usage.count++;
+
+  return {
+    allowed: usage.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - usage.count),
+    retry_after: Math.ceil((usage.window_start + RATE_LIMIT_WINDOW_MS - now) / 1000)
+  };
+};
+
+/**
+ * Forget a key's rate limit window (after revocation)
+ * @param {string} keyId - Key id
+ */
+const clearRateLimit = (keyId) => {
+  usageWindows.delete(keyId);
+};
+
+// Helper functions
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeyError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  authenticateApiKey,
+  consumeRateLimit,
+  clearRateLimit,
+  isApiKey,
+  hashApiKey
+};
@@ -0,0 +1,245 @@
+/**
+ * Authentication Service
+ * Trader registration and login. Passwords are hashed with scrypt and sessions are
+ * stateless HS256 JSON Web Tokens signed with AUTH_SECRET. Errors carry an
+ * ERROR_CODES key in error.code so routes can answer with createErrorResponse.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase, seedUserDefaults } = require('../models/database');
+const { createUserRepository } = require('../repositories');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Verified against when the email is unknown so response timing does not reveal accounts
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+
+let tokenSecret = null;
+
+/**
+ * Register a new trader. The first account also adopts every row recorded
+ * before accounts existed, so a single-trader deployment keeps its history.
+ * @param {object} details - { email, password, display_name }
+ * @returns {Promise<object>} { user, token, expires_in }
+ */
+const registerUser = async (details) => {
+  const email = normalizeEmail(details.email);
+  const password = details.password;
+
+  if (!email || !EMAIL_PATTERN.test(email) || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw authError('INVALID_ACCOUNT_DETAILS', 'A valid email and a password of at least 8 characters are required');
+  }
+
+  const db = getDatabase();
+  const users = createUserRepository(db);
+  const userId = uuidv4();
+  const passwordHash = await hashPassword(password);
+
+  await db.transaction(async () => {
+    if (await users.findByEmail(email)) {
+      throw authError('EMAIL_ALREADY_REGISTERED', 'An account with this email already exists');
+    }
+
+    const isFirstUser = (await users.count()) === 0;
+
+    await users.create({
+      id: userId,
+      email,
+      password_hash: passwordHash,
+      display_name: details.display_name
+    });
+
+    if (isFirstUser) {
+      await users.adoptUnownedData(userId);
+    }
+
+    await seedUserDefaults(db, userId);
+  });
+
+  const user = await users.findById(userId);
+  console.log(`👤 Registered trader ${user.email}`);
+
+  return {
+    user,
+    ...createAccessToken(user)
+  };
+};
+
+/**
+ * Log a trader in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Plain-text password
+ * @returns {Promise<object>} { user, token, expires_in }
+ */
+const loginUser = async (email, password) => {
+  const users = createUserRepository();
+  const account = await users.findByEmail(normalizeEmail(email));
+
+  const passwordMatches = await verifyPassword(password, account ? account.password_hash : DUMMY_HASH);
+
+  if (!account || !passwordMatches) {
+    throw authError('INVALID_CREDENTIALS', 'Invalid email or password');
+  }
+
+  await users.recordLogin(account.id);
+  const user = await users.findById(account.id);
+
+  return {
+    user,
+    ...createAccessToken(user)
+  };
+};
+
+/**
+ * Resolve the user behind an access token
+ * @param {string} token - Bearer token
+ * @returns {Promise<object>} User without the password hash
+ */
+const authenticateToken = async (token) => {
+  const payload = verifyAccessToken(token);
+  const user = await createUserRepository().findById(payload.sub);
+
+  if (!user) {
+    throw authError('UNAUTHORIZED', 'Account no longer exists');
+  }
+
+  return user;
+};
+
+/**
+ * Sign an access token for a user
+ * @param {object} user - { id, email }
+ * @returns {object} { token, expires_in } - expires_in in seconds
+ */
+const createAccessToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    sub: user.id,
+    email: user.email,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS
+  };
+
+  const unsigned = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+
+  return {
+    token: `${unsigned}.${sign(unsigned)}`,
+    expires_in: TOKEN_TTL_SECONDS
+  };
+};
+
+/**
+ * Check an access token's signature and expiry
+ * @param {string} token - Bearer token
+ * @returns {object} Token payload { sub, email, iat, exp }
+ */
+const verifyAccessToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 3) {
+    throw authError('UNAUTHORIZED', 'Malformed access token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw authError('UNAUTHORIZED', 'Invalid access token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch (error) {
+    throw authError('UNAUTHORIZED', 'Malformed access token');
+  }
+
+  if (header.alg !== 'HS256' || !payload.sub) {
+    throw authError('UNAUTHORIZED', 'Invalid access token');
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw authError('UNAUTHORIZED', 'Access token expired');
+  }
+
+  return payload;
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} scrypt$<salt>$<hash>
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Compare a password with a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Helper functions
+const getTokenSecret = () => {
+  if (tokenSecret) return tokenSecret;
+
+  if (process.env.AUTH_SECRET) {
+    tokenSecret = process.env.AUTH_SECRET;
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SECRET must be set in production');
+  } else {
+    console.warn('⚠️ AUTH_SECRET not set - using a random secret, access tokens will not survive a restart');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return tokenSecret;
+};
+
+const sign = (value) => crypto.createHmac('sha256', getTokenSecret()).update(value).digest('base64url');
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+module.exports = {
+  registerUser,
+  loginUser,
+  authenticateToken,
+  createAccessToken,
+  verifyAccessToken,
+  hashPassword,
+  verifyPassword,
+  getTokenSecret
+};
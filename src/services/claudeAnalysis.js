@@ -1,255 +1,147 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { createVisionProvider, FallbackVisionProvider } = require('./vision');
+const { describeInstrument, getOpeningWindow } = require('./instruments');
+const { DEFAULT_GOAL_PLAN, describeGoalPlan } = require('./goalPlans');
+const { DEFAULT_PATTERN_TAXONOMY, describeTaxonomy, resolvePattern } = require('./patternTaxonomy');
+const { describeCoaching } = require('./coachingEffectiveness');
 
 class ClaudeAnalysisService {
-  constructor() {
-    this.apiKey = process.env.ANTHROPIC_API_KEY;
-    this.apiUrl = 'https://api.anthropic.com/v1/messages';
-
-    if (!this.apiKey) {
-      console.error('⚠️ ANTHROPIC_API_KEY not found in environment variables');
-    }
+  constructor(options = {}) {
+    this.provider = options.provider || createVisionProvider();
+    this.fallbackProvider = options.fallbackProvider || new FallbackVisionProvider();
+    this.model = this.provider.model;
   }
 
-  async analyzeTradeScreenshot(filePath, tradeContext = {}) {
-    if (!this.apiKey) {
-      throw new Error('Anthropic API key not configured');
+  // Shared request pipeline: every analyze* method sends its request through the configured provider
+  async requestAnalysis(request) {
+    try {
+      const response = await this.provider.complete(request);
+      console.log(`✅ ${request.kind} analysis completed via ${response.provider} (${response.model})`);
+      return response.text;
+    } catch (error) {
+      // A missing or rejected API key degrades to the fallback provider instead of failing the upload
+      if (error.code === 'PROVIDER_AUTH_ERROR' && this.fallbackProvider && this.fallbackProvider !== this.provider) {
+        console.log(`⚠️ Using fallback ${request.kind} analysis due to API key issue`);
+        const fallbackResponse = await this.fallbackProvider.complete(request);
+        return fallbackResponse.text;
+      }
+
+      throw error;
     }
+  }
 
-    try {
-      const imageData = this.encodeImageToBase64(filePath);
-      const fileExtension = path.extname(filePath).toLowerCase();
-      const mediaType = this.getMediaType(fileExtension);
-
-      const prompt = this.buildAnalysisPrompt(tradeContext);
-
-      // Validate inputs before sending
-      console.log('🔍 Pre-flight validation:', {
-        hasApiKey: !!this.apiKey,
-        apiKeyLength: this.apiKey ? this.apiKey.length : 0,
-        apiKeyPrefix: this.apiKey ? this.apiKey.substring(0, 8) + '...' : 'none',
-        imageDataLength: imageData.length,
-        mediaType: mediaType,
-        promptLength: prompt.length,
-        filePath: filePath
-      });
+  loadImage(filePath, label = null) {
+    return {
+      label,
+      media_type: this.getMediaType(path.extname(filePath).toLowerCase()),
+      data: this.encodeImageToBase64(filePath)
+    };
+  }
 
-      // Build request payload
-      const requestPayload = {
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: prompt
-              },
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: mediaType,
-                  data: imageData
-                }
-              }
-            ]
-          }
-        ]
+  // Contract wording for the prompts; MNQ when the caller did not resolve an instrument
+  getInstrumentProfile(instrument) {
+    if (!instrument) {
+      return {
+        symbol: 'MNQ',
+        description: '- Instrument: MNQ (Micro NQ Futures)\n- Tick size: 0.25 ($0.50 per contract), point value: $2',
+        opening_window: '09:30-10:15 ET',
+        point_value: 2
       };
+    }
 
-      const requestHeaders = {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      };
+    return {
+      symbol: instrument.symbol,
+      description: describeInstrument(instrument),
+      opening_window: getOpeningWindow(instrument),
+      point_value: instrument.point_value
+    };
+  }
 
-      console.log('📤 Sending request to Claude API:', {
-        url: this.apiUrl,
-        method: 'POST',
-        model: requestPayload.model, // Explicitly log the model being used
-        headers: {
-          'Content-Type': requestHeaders['Content-Type'],
-          'anthropic-version': requestHeaders['anthropic-version'],
-          'x-api-key': this.apiKey ? `${this.apiKey.substring(0, 8)}...` : 'MISSING'
-        },
-        payload: {
-          model: requestPayload.model,
-          max_tokens: requestPayload.max_tokens,
-          messagesCount: requestPayload.messages.length,
-          contentCount: requestPayload.messages[0].content.length,
-          imageDataSize: `${Math.round(imageData.length / 1024)}KB`,
-          promptPreview: prompt.substring(0, 100) + '...'
-        }
-      });
+  // Goal plan wording for the prompts; the default plan when the caller did not load one
+  getGoalProfile(goalPlan, balance = null) {
+    return describeGoalPlan(goalPlan || DEFAULT_GOAL_PLAN, balance);
+  }
 
-      console.log('✅ Using Claude model:', requestPayload.model);
-
-      const response = await axios.post(
-        this.apiUrl,
-        requestPayload,
-        {
-          headers: requestHeaders,
-          timeout: 45000,
-          validateStatus: function (status) {
-            // Accept any status code to handle errors gracefully
-            return status < 600;
-          }
-        }
-      );
-
-      console.log('📥 Received response from Claude API');
-      console.log('📊 Response details:', {
-        status: response.status,
-        statusText: response.statusText,
-        headers: {
-          'content-type': response.headers['content-type'],
-          'content-length': response.headers['content-length']
-        }
-      });
+  // Pattern wording for the prompts; the default taxonomy when the caller did not load one
+  getPatternProfile(patterns) {
+    const taxonomy = patterns || DEFAULT_PATTERN_TAXONOMY;
+    if (taxonomy.length === 0) {
+      return { names: 'unknown', guide: '- No active patterns: use unknown' };
+    }
+    return describeTaxonomy(taxonomy);
+  }
 
-      // Log raw response for debugging
-      console.log('📄 Raw response data:', {
-        dataType: typeof response.data,
-        dataKeys: response.data ? Object.keys(response.data) : [],
-        isString: typeof response.data === 'string',
-        isObject: typeof response.data === 'object',
-        dataPreview: typeof response.data === 'string'
-          ? response.data.substring(0, 300) + '...'
-          : JSON.stringify(response.data, null, 2).substring(0, 500) + '...'
-      });
+  // Coaching history wording for the prompts; empty when the caller did not load one
+  getCoachingProfile(coaching) {
+    return describeCoaching(coaching || []);
+  }
 
-      // Handle non-200 responses
-      if (response.status !== 200) {
-        console.error('❌ Non-200 response from Claude API:', {
-          status: response.status,
-          statusText: response.statusText,
-          data: response.data
-        });
-
-        if (response.status === 401) {
-          throw new Error('Invalid Anthropic API key - authentication failed');
-        } else if (response.status === 400) {
-          throw new Error(`Bad request to Claude API: ${JSON.stringify(response.data)}`);
-        } else if (response.status === 429) {
-          throw new Error('Rate limit exceeded on Claude API');
-        } else {
-          throw new Error(`Claude API returned status ${response.status}: ${response.statusText}`);
-        }
-      }
+  // Scalping specialization applies to registered contracts traded in a scalping style
+  isScalpingSpecialization(tradingContext, instrument) {
+    return Boolean(instrument) && ['scalping', 'mnq_scalping'].includes(tradingContext.trading_style);
+  }
 
-      // Handle HTML error responses (like proxy errors)
-      if (typeof response.data === 'string' && response.data.includes('<html>')) {
-        console.error('❌ Received HTML response instead of JSON:', {
-          contentType: response.headers['content-type'],
-          dataPreview: response.data.substring(0, 500)
-        });
-        throw new Error('Received HTML response from Claude API - possible proxy or network error');
-      }
+  // Load one image per uploaded timeframe, labelled for the prompt
+  loadTimeframeImages(timeframeFiles, labelSuffix, hierarchyData = null) {
+    const timeframes = Object.keys(timeframeFiles).sort();
+    const images = [];
+    const fileAnalysis = {};
 
-      // Validate response structure
-      if (!response.data || typeof response.data !== 'object') {
-        console.error('❌ Invalid response data type:', typeof response.data);
-        throw new Error(`Invalid response data type: ${typeof response.data}`);
-      }
+    for (const timeframe of timeframes) {
+      const file = timeframeFiles[timeframe][0]; // Get first file from array
 
-      if (!response.data.content || !Array.isArray(response.data.content)) {
-        console.error('❌ Missing or invalid content array:', {
-          hasContent: !!response.data.content,
-          contentType: typeof response.data.content,
-          responseData: response.data
-        });
-        throw new Error('Invalid response structure from Claude API - missing content array');
-      }
+      fileAnalysis[timeframe] = {
+        path: file.relativePath,
+        filename: file.filename
+      };
 
-      if (response.data.content.length === 0) {
-        console.error('❌ Empty content array in response');
-        throw new Error('Empty content array in Claude API response');
+      if (hierarchyData) {
+        fileAnalysis[timeframe].category = hierarchyData.classified_timeframes.find(tf =>
+          tf.timeframe_label === timeframe
+        )?.classification.category || 'unknown';
       }
 
-      const firstContent = response.data.content[0];
-      console.log('🔍 First content item:', {
-        type: typeof firstContent,
-        keys: firstContent ? Object.keys(firstContent) : [],
-        contentType: firstContent?.type,
-        hasText: !!firstContent?.text,
-        textType: typeof firstContent?.text,
-        textLength: firstContent?.text?.length || 0
-      });
-
-      if (!firstContent || typeof firstContent.text !== 'string') {
-        console.error('❌ Invalid content format:', firstContent);
-        throw new Error('Invalid content format in Claude API response');
-      }
+      images.push(this.loadImage(file.path, `${timeframe.toUpperCase()} ${labelSuffix}`));
+    }
 
-      const analysisText = firstContent.text;
-      console.log('✅ Successfully extracted analysis text:', {
-        length: analysisText.length,
-        preview: analysisText.substring(0, 300) + '...',
-        endsWithBrace: analysisText.trim().endsWith('}'),
-        startsWithBrace: analysisText.trim().startsWith('{')
-      });
+    return { timeframes, images, fileAnalysis };
+  }
 
-      return this.parseAnalysisResponse(analysisText);
+  async analyzeTradeScreenshot(filePath, tradeContext = {}, options = {}) {
+    const prompt = this.buildAnalysisPrompt(tradeContext);
 
-    } catch (error) {
-      console.error('❌ Claude API Error Details:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        code: error.code,
-        url: this.apiUrl
-      });
+    const analysisText = await this.requestAnalysis({
+      kind: 'trade',
+      prompt,
+      images: [this.loadImage(filePath)],
+      max_tokens: 2000,
+      timeout: 45000,
+      context: { notes: options.notes }
+    });
 
-      // Handle specific HTTP status codes
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Anthropic API key - please check your ANTHROPIC_API_KEY environment variable');
-      } else if (error.response?.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again later.');
-      } else if (error.response?.status === 400) {
-        const errorData = error.response.data;
-        if (errorData?.error?.type === 'invalid_request_error') {
-          throw new Error(`Invalid request: ${errorData.error.message}`);
-        }
-        throw new Error(`Bad request to Claude API: ${errorData?.error?.message || 'Unknown error'}`);
-      } else if (error.response?.status === 500) {
-        throw new Error('Claude API server error. Please try again later.');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Analysis request timed out. The image may be too large or complex.');
-      } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-        throw new Error('Unable to connect to Claude API. Please check your internet connection.');
-      } else if (error.response) {
-        // HTTP error response
-        throw new Error(`Claude API returned status ${error.response.status}: ${error.response.statusText}`);
-      } else {
-        // Network or other error
-        const apiError = new Error(`Failed to analyze trading screenshot: ${error.message}`);
-        apiError.code = 'ANTHROPIC_API_ERROR';
-        apiError.originalError = error;
-        throw apiError;
-      }
-    }
+    return this.parseAnalysisResponse(analysisText, tradeContext.patterns);
   }
 
   buildAnalysisPrompt(context) {
     const currentWeek = this.getCurrentWeekNumber();
     const currentYear = new Date().getFullYear();
+    const instrument = this.getInstrumentProfile(context.instrument);
+    const goal = this.getGoalProfile(context.goalPlan, context.currentBalance);
+    const patterns = this.getPatternProfile(context.patterns);
 
-    return `You are analyzing a trading screenshot for a professional MNQ scalper with the following context:
+    return `You are analyzing a trading screenshot for a professional ${instrument.symbol} scalper with the following context:
 
 TRADER PROFILE:
-- Instrument: MNQ (Micro NQ Futures)
-- Style: Opening session scalper (9:30-10:15 AM EST)
-- Target: 0.75% weekly returns through 2-3 trades
+${instrument.description}
+- Style: Opening session scalper (${instrument.opening_window})
+- Target: ${goal.target_weekly_return}% weekly returns through 2-3 trades
 - Risk Rule: Maximum $50 per trade (1% account risk)
-- 5-Year Goal: Building $500 → $951,000
+- ${goal.horizon} Goal: Building ${goal.goal}
 
 CURRENT TRADING STATUS:
 - Week ${currentWeek}, ${currentYear}
-- Account Phase: ${context.currentBalance > 50000 ? 'Phase 2 (Growth)' : 'Phase 1 (Building)'}
+- Account Phase: ${goal.phase}
 - Current Balance: $${context.currentBalance || 'Unknown'}
 - This Week's Trades: ${context.tradesThisWeek || 0}/3
 - This Week's P&L: ${context.weeklyPnl || 0}%
@@ -257,16 +149,19 @@ CURRENT TRADING STATUS:
 TRADING HISTORY CONTEXT:
 ${context.recentTrades ? `Recent similar patterns: ${context.recentTrades}` : 'No recent pattern history available'}
 
+TRADER'S PATTERNS (pattern_type must be one of these names):
+${patterns.guide}
+
 Please analyze this screenshot and provide a JSON-structured response with the following fields:
 
 {
   "setup_quality": (1-10 rating),
   "risk_reward_ratio": (calculated R:R ratio),
-  "pattern_type": "(opening_breakout|volume_spike|pullback_entry|range_break|momentum_continuation|reversal_pattern|gap_fill|premarket_setup)",
+  "pattern_type": "(${patterns.names})",
   "entry_quality": "(excellent|good|fair|poor)",
   "stop_placement": "(appropriate|too_tight|too_wide|unclear)",
   "target_selection": "(realistic|aggressive|conservative|unclear)",
-  "ai_commentary": "Detailed analysis of this specific setup in context of your MNQ scalping approach",
+  "ai_commentary": "Detailed analysis of this specific setup in context of your ${instrument.symbol} scalping approach",
   "risk_amount": (estimated dollar risk amount),
   "within_limits": (true/false based on $50 max rule),
   "session_timing": "(optimal|acceptable|poor)",
@@ -274,6 +169,7 @@ Please analyze this screenshot and provide a JSON-structured response with the f
   "learning_insights": "Reference to similar past trades and pattern evolution",
   "recommendation": "(EXECUTE|WAIT|SKIP)",
   "confidence_score": (0-1 confidence in analysis),
+  "checklist": { "checklist item id": true|false for each Checklist item of the pattern you chose ({} when it has none) },
   "specific_observations": [
     "Key technical observations",
     "Risk management notes",
@@ -282,8 +178,8 @@ Please analyze this screenshot and provide a JSON-structured response with the f
 }
 
 Focus specifically on:
-1. MNQ scalping dynamics and microstructure
-2. Opening session volatility patterns (9:30-10:15 AM)
+1. ${instrument.symbol} scalping dynamics and microstructure
+2. Opening session volatility patterns (${instrument.opening_window})
 3. Risk management alignment with $50 max rule
 4. Setup quality for 0.25% scalp targets
 5. Pattern recognition for systematic improvement
@@ -291,7 +187,7 @@ Focus specifically on:
 Provide only the JSON response without additional text.`;
   }
 
-  parseAnalysisResponse(analysisText) {
+  parseAnalysisResponse(analysisText, patterns = null) {
     console.log('🔍 Starting to parse Claude response...');
 
     try {
@@ -349,7 +245,7 @@ Provide only the JSON response without additional text.`;
       const result = {
         setup_quality: this.parseNumber(jsonData.setup_quality, 1, 10, 5),
         risk_reward_ratio: this.parseNumber(jsonData.risk_reward_ratio, 0, 10, 2),
-        pattern_type: this.validatePattern(jsonData.pattern_type) || 'unknown',
+        pattern_type: this.validatePattern(jsonData.pattern_type, patterns) || 'unknown',
         entry_quality: this.validateQuality(jsonData.entry_quality) || 'fair',
         stop_placement: this.validatePlacement(jsonData.stop_placement) || 'unclear',
         target_selection: this.validateSelection(jsonData.target_selection) || 'unclear',
@@ -361,6 +257,7 @@ Provide only the JSON response without additional text.`;
         learning_insights: typeof jsonData.learning_insights === 'string' ? jsonData.learning_insights : 'Analysis provided',
         recommendation: this.validateRecommendation(jsonData.recommendation) || 'WAIT',
         confidence_score: this.parseNumber(jsonData.confidence_score, 0, 1, 0.5),
+        checklist_answers: this.parseChecklistAnswers(jsonData.checklist),
         specific_observations: Array.isArray(jsonData.specific_observations)
           ? jsonData.specific_observations.slice(0, 10) // Limit to 10 observations
           : ['Analysis completed successfully']
@@ -389,6 +286,7 @@ Provide only the JSON response without additional text.`;
         learning_insights: 'Analysis incomplete - parsing error occurred',
         recommendation: 'SKIP',
         confidence_score: 0.1,
+        checklist_answers: {},
         specific_observations: [
           'Parsing error occurred',
           `Error: ${error.message}`,
@@ -405,12 +303,15 @@ Provide only the JSON response without additional text.`;
     return Math.max(min, Math.min(max, parsed));
   }
 
-  validatePattern(pattern) {
-    const validPatterns = [
-      'opening_breakout', 'volume_spike', 'pullback_entry', 'range_break',
-      'momentum_continuation', 'reversal_pattern', 'gap_fill', 'premarket_setup'
-    ];
-    return validPatterns.includes(pattern) ? pattern : null;
+  // Checklist answers keyed by item id; anything but a true/false answer is dropped
+  parseChecklistAnswers(checklist) {
+    if (!checklist || typeof checklist !== 'object' || Array.isArray(checklist)) return {};
+    return Object.fromEntries(Object.entries(checklist).filter(([, ticked]) => typeof ticked === 'boolean'));
+  }
+
+  // Canonical name of an active pattern matching the name or one of its aliases
+  validatePattern(pattern, patterns = null) {
+    return resolvePattern(patterns || DEFAULT_PATTERN_TAXONOMY, pattern);
   }
 
   validateQuality(quality) {
@@ -523,84 +424,35 @@ Provide only the JSON response without additional text.`;
     return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
   }
 
-  async analyzeExecutionScreenshot(filePath, preTrade, executionPatterns = []) {
-    if (!this.apiKey) {
-      throw new Error('Anthropic API key not configured');
-    }
+  async analyzeExecutionScreenshot(filePath, preTrade, executionPatterns = [], options = {}) {
+    const prompt = this.buildExecutionAnalysisPrompt(preTrade, executionPatterns, options.instrument, options.goalPlan, options.coaching);
 
-    try {
-      const imageData = this.encodeImageToBase64(filePath);
-      const fileExtension = path.extname(filePath).toLowerCase();
-      const mediaType = this.getMediaType(fileExtension);
-
-      const prompt = this.buildExecutionAnalysisPrompt(preTrade, executionPatterns);
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 3000, // Increased for detailed execution analysis
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: prompt
-                },
-                {
-                  type: 'image',
-                  source: {
-                    type: 'base64',
-                    media_type: mediaType,
-                    data: imageData
-                  }
-                }
-              ]
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          timeout: 45000 // Extended timeout for detailed analysis
-        }
-      );
-
-      const analysisText = response.data.content[0].text;
-      return this.parseExecutionResponse(analysisText);
+    const analysisText = await this.requestAnalysis({
+      kind: 'execution',
+      prompt,
+      images: [this.loadImage(filePath)],
+      max_tokens: 3000, // Increased for detailed execution analysis
+      timeout: 45000, // Extended timeout for detailed analysis
+      context: { notes: options.notes, pre_trade: preTrade }
+    });
 
-    } catch (error) {
-      console.error('Claude Execution Analysis Error:', error.response?.data || error.message);
-
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Anthropic API key');
-      } else if (error.response?.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again later.');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Execution analysis request timed out');
-      } else {
-        const apiError = new Error('Failed to analyze execution screenshot');
-        apiError.code = 'ANTHROPIC_API_ERROR';
-        throw apiError;
-      }
-    }
+    return this.parseExecutionResponse(analysisText);
   }
 
-  buildExecutionAnalysisPrompt(preTrade, executionPatterns) {
+  buildExecutionAnalysisPrompt(preTrade, executionPatterns, instrumentSpec = null, goalPlan = null, coaching = null) {
     const patternsContext = executionPatterns.length > 0
       ? executionPatterns.map(p => `${p.pattern_type}: ${p.frequency_count} occurrences, ${p.average_impact}% avg impact`).join('\n')
       : 'No historical execution patterns available yet.';
+    const instrument = this.getInstrumentProfile(instrumentSpec);
+    const goal = this.getGoalProfile(goalPlan);
 
-    return `You are analyzing EXECUTION QUALITY for an MNQ scalper comparing planned vs actual trade execution. This is a DETAILED EDUCATIONAL ANALYSIS, not brief observations. Provide comprehensive, masterclass-level coaching.
+    return `You are analyzing EXECUTION QUALITY for an ${instrument.symbol} scalper comparing planned vs actual trade execution. This is a DETAILED EDUCATIONAL ANALYSIS, not brief observations. Provide comprehensive, masterclass-level coaching.
 
 TRADER CONTEXT:
-- 5-year wealth building: $500 → $951,000 goal
-- MNQ scalping style: 9:30-10:15 AM sessions
-- Target: 0.75% weekly returns, $50 max risk per trade
+- ${goal.horizon} wealth building: ${goal.goal} goal
+- ${instrument.symbol} scalping style: ${instrument.opening_window} sessions
+${instrument.description}
+- Target: ${goal.target_weekly_return}% weekly returns, $50 max risk per trade
 - Risk per trade: $50 maximum (1% account risk rule)
 
 PRE-TRADE PLAN:
@@ -616,6 +468,9 @@ Risk Amount: $${preTrade.risk_amount || 'Unknown'}
 HISTORICAL EXECUTION PATTERNS:
 ${patternsContext}
 
+COACHING EFFECTIVENESS (behavior frequency over the executions before and after past advice):
+${this.getCoachingProfile(coaching)}
+
 EXECUTION ANALYSIS REQUIRED - PROVIDE DETAILED, EDUCATIONAL RESPONSES:
 
 Analyze this execution screenshot and determine the actual entry, stop, and target prices, then provide comprehensive analysis in JSON format:
@@ -659,11 +514,11 @@ Analyze this execution screenshot and determine the actual entry, stop, and targ
   "advanced_coaching": {
     "psychological_profile": "Trading psychology insights from this execution",
     "market_adaptation": "How well trader adapted to real-time conditions",
-    "professional_comparison": "How execution compares to elite MNQ scalpers"
+    "professional_comparison": "How execution compares to elite ${instrument.symbol} scalpers"
   }
 }
 
-COACHING TONE: Write as an elite trading mentor providing comprehensive, personalized education. Every insight should be specific to this trader's MNQ scalping journey and 5-year wealth building plan. Focus on execution improvement and trading psychology development.
+COACHING TONE: Write as an elite trading mentor providing comprehensive, personalized education. Every insight should be specific to this trader's ${instrument.symbol} scalping journey and ${goal.horizon} wealth building plan. Focus on execution improvement and trading psychology development. Build on advice marked WORKING; do not repeat advice marked NOT WORKING, and address that behavior from a different angle instead.
 
 Provide only the JSON response without additional text.`;
   }
@@ -732,120 +587,58 @@ Provide only the JSON response without additional text.`;
   }
 
   // Multi-timeframe analysis method
-  async analyzeMultiTimeframeScreenshots(timeframeFiles, tradeContext = {}) {
-    if (!this.apiKey) {
-      throw new Error('Anthropic API key not configured');
-    }
-
-    try {
-      const timeframes = Object.keys(timeframeFiles).sort();
-      const imageContents = [];
-      const fileAnalysis = {};
-
-      // Process each timeframe image
-      for (const timeframe of timeframes) {
-        const file = timeframeFiles[timeframe][0]; // Get first file from array
-        const imageData = this.encodeImageToBase64(file.path);
-        const mediaType = this.getMediaType(path.extname(file.path).toLowerCase());
-
-        fileAnalysis[timeframe] = {
-          path: file.relativePath,
-          filename: file.filename
-        };
-
-        imageContents.push({
-          type: 'text',
-          text: `\n=== ${timeframe.toUpperCase()} CHART ===`
-        });
-
-        imageContents.push({
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: mediaType,
-            data: imageData
-          }
-        });
-      }
-
-      const prompt = this.buildMultiTimeframeAnalysisPrompt(timeframes, tradeContext);
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000, // Increased for comprehensive multi-timeframe analysis
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: prompt
-                },
-                ...imageContents
-              ]
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          timeout: 60000 // Extended timeout for multi-timeframe analysis
-        }
-      );
-
-      const analysisText = response.data.content[0].text;
-      const parsedAnalysis = this.parseMultiTimeframeResponse(analysisText);
+  async analyzeMultiTimeframeScreenshots(timeframeFiles, tradeContext = {}, options = {}) {
+    const { timeframes, images, fileAnalysis } = this.loadTimeframeImages(timeframeFiles, 'CHART');
+    const prompt = this.buildMultiTimeframeAnalysisPrompt(timeframes, tradeContext);
+
+    const analysisText = await this.requestAnalysis({
+      kind: 'multi_timeframe',
+      prompt,
+      images,
+      max_tokens: 4000, // Increased for comprehensive multi-timeframe analysis
+      timeout: 60000, // Extended timeout for multi-timeframe analysis
+      context: { notes: options.notes, timeframes }
+    });
 
-      return {
-        ...parsedAnalysis,
-        file_analysis: fileAnalysis,
-        timeframes_analyzed: timeframes,
-        completeness_score: this.calculateCompletenessScore(timeframes)
-      };
+    const parsedAnalysis = this.parseMultiTimeframeResponse(analysisText, tradeContext.patterns);
 
-    } catch (error) {
-      console.error('Claude Multi-Timeframe Analysis Error:', error.response?.data || error.message);
-
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Anthropic API key');
-      } else if (error.response?.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again later.');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Multi-timeframe analysis request timed out');
-      } else {
-        const apiError = new Error('Failed to analyze multi-timeframe screenshots');
-        apiError.code = 'ANTHROPIC_API_ERROR';
-        throw apiError;
-      }
-    }
+    return {
+      ...parsedAnalysis,
+      file_analysis: fileAnalysis,
+      timeframes_analyzed: timeframes,
+      completeness_score: this.calculateCompletenessScore(timeframes)
+    };
   }
 
   buildMultiTimeframeAnalysisPrompt(timeframes, context) {
     const currentWeek = this.getCurrentWeekNumber();
     const currentYear = new Date().getFullYear();
     const timeframesList = timeframes.join(', ');
+    const instrument = this.getInstrumentProfile(context.instrument);
+    const goal = this.getGoalProfile(context.goalPlan, context.currentBalance);
+    const patterns = this.getPatternProfile(context.patterns);
 
-    return `You are analyzing multiple timeframe screenshots for MNQ futures scalping. Provide comprehensive multi-timeframe analysis.
+    return `You are analyzing multiple timeframe screenshots for ${instrument.symbol} futures scalping. Provide comprehensive multi-timeframe analysis.
 
 TRADER CONTEXT:
-- MNQ scalping specialist: 9:30-10:15 AM sessions
-- 5-year wealth building plan: systematic skill development
+- ${instrument.symbol} scalping specialist: ${instrument.opening_window} sessions
+${instrument.description}
+- ${goal.horizon} wealth building plan: ${goal.goal}
 - Risk management: $50 maximum per trade
-- Target: 0.75% weekly returns through disciplined execution
+- Target: ${goal.target_weekly_return}% weekly returns through disciplined execution
 
 CURRENT STATUS:
 - Week ${currentWeek}, ${currentYear}
 - Account Balance: $${context.currentBalance || 'Unknown'}
+- Account Phase: ${goal.phase}
 - This Week's Trades: ${context.tradesThisWeek || 0}/3
 - Weekly P&L: ${context.weeklyPnl || 0}%
 
 UPLOADED TIMEFRAMES: ${timeframesList}
 
+TRADER'S PATTERNS (enhanced_analysis.pattern_type must be one of these names):
+${patterns.guide}
+
 MULTI-TIMEFRAME ANALYSIS REQUIRED:
 
 Analyze each timeframe individually, then provide cross-timeframe confluence analysis. Return JSON with this structure:
@@ -872,7 +665,7 @@ Analyze each timeframe individually, then provide cross-timeframe confluence ana
   "enhanced_analysis": {
     "setup_quality": 1-10,
     "risk_reward_ratio": "calculated R:R",
-    "pattern_type": "dominant pattern from confluence",
+    "pattern_type": "dominant pattern from confluence (${patterns.names})",
     "entry_quality": "excellent|good|fair|poor",
     "stop_placement": "appropriate|too_tight|too_wide",
     "target_selection": "realistic|aggressive|conservative",
@@ -884,6 +677,7 @@ Analyze each timeframe individually, then provide cross-timeframe confluence ana
     "learning_insights": "cross-timeframe pattern insights",
     "recommendation": "EXECUTE|WAIT|SKIP",
     "confidence_score": 0-1,
+    "checklist": { "checklist item id": true|false for each Checklist item of the pattern you chose ({} when it has none) },
     "specific_observations": ["key multi-timeframe observations"]
   },
   "timeframe_confluence_score": 0-1,
@@ -904,13 +698,13 @@ Focus on:
 2. Cross-timeframe trend alignment and confluence
 3. Entry timing optimization using multiple perspectives
 4. Risk assessment considering broader market context
-5. MNQ-specific scalping insights with session timing
+5. ${instrument.symbol}-specific scalping insights with session timing
 6. Enhanced setup quality from multi-timeframe confirmation
 
 Provide only the JSON response without additional text.`;
   }
 
-  parseMultiTimeframeResponse(analysisText) {
+  parseMultiTimeframeResponse(analysisText, patterns = null) {
     try {
       const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
 
@@ -933,7 +727,7 @@ Provide only the JSON response without additional text.`;
         // Enhanced single analysis for compatibility
         setup_quality: Math.max(1, Math.min(10, enhanced.setup_quality || 5)),
         risk_reward_ratio: Math.max(0, enhanced.risk_reward_ratio || 1),
-        pattern_type: this.validatePattern(enhanced.pattern_type) || 'unknown',
+        pattern_type: this.validatePattern(enhanced.pattern_type, patterns) || 'unknown',
         entry_quality: this.validateQuality(enhanced.entry_quality) || 'fair',
         stop_placement: this.validatePlacement(enhanced.stop_placement) || 'unclear',
         target_selection: this.validateSelection(enhanced.target_selection) || 'unclear',
@@ -945,6 +739,7 @@ Provide only the JSON response without additional text.`;
         learning_insights: enhanced.learning_insights || 'Multi-timeframe patterns analyzed',
         recommendation: this.validateRecommendation(enhanced.recommendation) || 'WAIT',
         confidence_score: Math.max(0, Math.min(1, enhanced.confidence_score || 0.5)),
+        checklist_answers: this.parseChecklistAnswers(enhanced.checklist),
         specific_observations: Array.isArray(enhanced.specific_observations)
           ? enhanced.specific_observations
           : ['Multi-timeframe analysis completed'],
@@ -977,6 +772,7 @@ Provide only the JSON response without additional text.`;
         learning_insights: 'Analysis incomplete',
         recommendation: 'SKIP',
         confidence_score: 0.1,
+        checklist_answers: {},
         specific_observations: ['Multi-timeframe parsing error occurred'],
         timeframe_confluence_score: 0.1,
         analysis_confidence: 0.1,
@@ -1007,210 +803,69 @@ Provide only the JSON response without additional text.`;
     return Math.min(totalScore, 100);
   }
 
-  // Universal timeframe analysis method with MNQ specialization
-  async analyzeUniversalTimeframeScreenshots(timeframeFiles, tradingContext = {}, hierarchyData) {
-    if (!this.apiKey) {
-      throw new Error('Anthropic API key not configured');
-    }
-
-    try {
-      const timeframes = Object.keys(timeframeFiles).sort();
-      const imageContents = [];
-      const fileAnalysis = {};
-
-      // Process each timeframe image
-      for (const timeframe of timeframes) {
-        const file = timeframeFiles[timeframe][0]; // Get first file from array
-        const imageData = this.encodeImageToBase64(file.path);
-        const mediaType = this.getMediaType(path.extname(file.path).toLowerCase());
-
-        fileAnalysis[timeframe] = {
-          path: file.relativePath,
-          filename: file.filename,
-          category: hierarchyData.classified_timeframes.find(tf =>
-            tf.timeframe_label === timeframe
-          )?.classification.category || 'unknown'
-        };
-
-        imageContents.push({
-          type: 'text',
-          text: `\n=== ${timeframe.toUpperCase()} TIMEFRAME CHART ===`
-        });
-
-        imageContents.push({
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: mediaType,
-            data: imageData
-          }
-        });
+  // Universal timeframe analysis method with scalping specialization for registered contracts
+  async analyzeUniversalTimeframeScreenshots(timeframeFiles, tradingContext = {}, hierarchyData, options = {}) {
+    const { timeframes, images, fileAnalysis } = this.loadTimeframeImages(timeframeFiles, 'TIMEFRAME CHART', hierarchyData);
+    const prompt = this.buildUniversalAnalysisPrompt(timeframes, tradingContext, hierarchyData, options.instrument, options.goalPlan, options.patterns);
+
+    const analysisText = await this.requestAnalysis({
+      kind: 'universal',
+      prompt,
+      images,
+      max_tokens: 4000,
+      timeout: 60000,
+      context: {
+        notes: options.notes,
+        timeframes,
+        trading_context: tradingContext,
+        hierarchy_data: hierarchyData
       }
+    });
 
-      const prompt = this.buildUniversalAnalysisPrompt(timeframes, tradingContext, hierarchyData);
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: prompt
-                },
-                ...imageContents
-              ]
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          timeout: 60000
-        }
-      );
-
-      const analysisText = response.data.content[0].text;
-      const parsedAnalysis = this.parseUniversalTimeframeResponse(analysisText);
-
-      return {
-        ...parsedAnalysis,
-        file_analysis: fileAnalysis,
-        timeframes_analyzed: timeframes,
-        trading_context: tradingContext,
-        hierarchy_data: hierarchyData,
-        analysis_type: 'universal_timeframe'
-      };
+    const parsedAnalysis = this.parseUniversalTimeframeResponse(analysisText, options.patterns);
 
-    } catch (error) {
-      console.error('Claude Universal Analysis Error:', error.response?.data || error.message);
-
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Anthropic API key');
-      } else if (error.response?.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again later.');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Universal timeframe analysis request timed out');
-      } else {
-        const apiError = new Error('Failed to analyze universal timeframe screenshots');
-        apiError.code = 'ANTHROPIC_API_ERROR';
-        throw apiError;
-      }
-    }
+    return {
+      ...parsedAnalysis,
+      file_analysis: fileAnalysis,
+      timeframes_analyzed: timeframes,
+      trading_context: tradingContext,
+      hierarchy_data: hierarchyData,
+      analysis_type: 'universal_timeframe'
+    };
   }
 
   // Frontend-compatible analysis method
-  async analyzeFrontendTimeframeScreenshots(timeframeFiles, tradingContext = {}, hierarchyData) {
-    if (!this.apiKey) {
-      throw new Error('Anthropic API key not configured');
-    }
-
-    try {
-      const timeframes = Object.keys(timeframeFiles).sort();
-      const imageContents = [];
-      const fileAnalysis = {};
-
-      // Process each timeframe image
-      for (const timeframe of timeframes) {
-        const file = timeframeFiles[timeframe][0];
-        const imageData = this.encodeImageToBase64(file.path);
-        const mediaType = this.getMediaType(path.extname(file.path).toLowerCase());
-
-        fileAnalysis[timeframe] = {
-          path: file.relativePath,
-          filename: file.filename,
-          category: hierarchyData.classified_timeframes.find(tf =>
-            tf.timeframe_label === timeframe
-          )?.classification.category || 'unknown'
-        };
-
-        imageContents.push({
-          type: 'text',
-          text: `\n=== ${timeframe.toUpperCase()} TIMEFRAME CHART ===`
-        });
-
-        imageContents.push({
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: mediaType,
-            data: imageData
-          }
-        });
+  async analyzeFrontendTimeframeScreenshots(timeframeFiles, tradingContext = {}, hierarchyData, options = {}) {
+    const { timeframes, images, fileAnalysis } = this.loadTimeframeImages(timeframeFiles, 'TIMEFRAME CHART', hierarchyData);
+    const prompt = this.buildFrontendAnalysisPrompt(timeframes, tradingContext, hierarchyData, options.instrument, options.goalPlan, options.patterns);
+
+    const analysisText = await this.requestAnalysis({
+      kind: 'frontend',
+      prompt,
+      images,
+      max_tokens: 4000,
+      timeout: 60000,
+      context: {
+        notes: options.notes,
+        timeframes,
+        trading_context: tradingContext,
+        hierarchy_data: hierarchyData
       }
+    });
 
-      const prompt = this.buildFrontendAnalysisPrompt(timeframes, tradingContext, hierarchyData);
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: prompt
-                },
-                ...imageContents
-              ]
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          timeout: 60000
-        }
-      );
-
-      const analysisText = response.data.content[0].text;
-      const parsedAnalysis = this.parseFrontendResponse(analysisText);
+    const parsedAnalysis = this.parseFrontendResponse(analysisText, options.patterns);
 
-      return {
-        ...parsedAnalysis,
-        file_analysis: fileAnalysis,
-        timeframes_analyzed: timeframes,
-        trading_context: tradingContext,
-        hierarchy_data: hierarchyData,
-        analysis_type: 'frontend_compatible'
-      };
-
-    } catch (error) {
-      console.error('Claude Frontend Analysis Error:', error.response?.data || error.message);
-
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Anthropic API key');
-      } else if (error.response?.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again later.');
-      } else if (error.code === 'ECONNABORTED') {
-        return res.status(504).json({
-          success: false,
-          error: 'SERVER_TIMEOUT',
-          message: 'Analysis is taking longer than expected. Please try again.',
-          code: 504
-        });
-      } else {
-        const apiError = new Error('Failed to analyze screenshots');
-        apiError.code = 'ANTHROPIC_API_ERROR';
-        throw apiError;
-      }
-    }
+    return {
+      ...parsedAnalysis,
+      file_analysis: fileAnalysis,
+      timeframes_analyzed: timeframes,
+      trading_context: tradingContext,
+      hierarchy_data: hierarchyData,
+      analysis_type: 'frontend_compatible'
+    };
   }
 
-  buildFrontendAnalysisPrompt(timeframes, tradingContext, hierarchyData) {
+  buildFrontendAnalysisPrompt(timeframes, tradingContext, hierarchyData, instrumentSpec = null, goalPlan = null, patternTaxonomy = null) {
     const currentWeek = this.getCurrentWeekNumber();
     const currentYear = new Date().getFullYear();
     const timeframesList = timeframes.join(', ');
@@ -1232,8 +887,11 @@ Provide only the JSON response without additional text.`;
       hierarchyDesc += `- Market Bias: ${hierarchy.bias_timeframe.timeframe_label} (${hierarchy.bias_timeframe.classification.category})\n`;
     }
 
-    // MNQ specialization context
-    const mnqSpecialization = tradingContext.instrument === 'MNQ' && (tradingContext.trading_style === 'scalping' || tradingContext.trading_style === 'mnq_scalping');
+    // Scalping specialization context
+    const mnqSpecialization = this.isScalpingSpecialization(tradingContext, instrumentSpec);
+    const goal = this.getGoalProfile(goalPlan, parseFloat(tradingContext.account_size) || null);
+    const instrument = this.getInstrumentProfile(instrumentSpec);
+    const patterns = this.getPatternProfile(patternTaxonomy);
 
     return `You are analyzing trading screenshots for frontend display with specific section requirements.
 
@@ -1246,7 +904,7 @@ The analysis will be displayed in these exact sections:
    - Numeric score out of 10
 
 2. Pattern Recognition:
-   - Primary pattern name (be specific and descriptive)
+   - Primary pattern: the name of one of the trader's patterns listed below
    - Confirmation status: "Confirmed", "Pending", "Weak"
    - Volume profile: "Strong", "Average", "Weak"
    - Market structure: "Bullish", "Bearish", "Neutral"
@@ -1273,14 +931,17 @@ Session: ${tradingContext.session_info}
 Account: $${tradingContext.account_size}
 
 ${hierarchyDesc}
+TRADER'S PATTERNS (use one of these names for the pattern):
+${patterns.guide}
 
 ${mnqSpecialization ? `
-MNQ SCALPING SPECIALIZATION:
-- Focus on 9:30-10:15 AM session optimization
+${instrument.symbol} SCALPING SPECIALIZATION:
+- Focus on ${instrument.opening_window} session optimization
 - $50 maximum risk per trade enforcement
-- 0.75% weekly target context
-- Point value: $2 per point for position sizing
+- ${goal.target_weekly_return}% weekly target context (${goal.phase})
+- Point value: $${instrument.point_value} per point for position sizing
 - Session quality affects grading
+${instrument.description}
 ` : `
 GENERAL TRADING ANALYSIS:
 - Adapt analysis to ${tradingContext.trading_style} style
@@ -1296,7 +957,7 @@ RESPONSE FORMAT (JSON):
     "score": 8.5
   },
   "pattern_recognition": {
-    "primary_pattern": "Bull Flag Breakout",
+    "primary_pattern": "${patterns.names.split('|')[0]}",
     "confirmation_status": "Confirmed",
     "volume_profile": "Strong",
     "market_structure": "Bullish"
@@ -1319,15 +980,16 @@ RESPONSE FORMAT (JSON):
     ]
   },
   "recommended_actions": [
-    "Monitor for breakout confirmation above ${tradingContext.instrument} resistance level",
-    "Scale out 50% position at first target (2:1 R:R)",
-    "Trail stop loss to breakeven after initial target hit"
+    "Enter at [entry price] on breakout confirmation above ${tradingContext.instrument} resistance level",
+    "Stop at [stop price] below pattern support, trailed to breakeven after the first target",
+    "Target at [target price], scaling out 50% at 2:1 R:R"
   ],
   "screenshots": {
     "primary_timeframe": "${primaryTimeframe}",
     "available_timeframes": [${timeframes.map(tf => `"${tf}"`).join(', ')}]
   },
   "confidence_score": 0.85,
+  "checklist": { "checklist item id": true|false for each Checklist item of the primary pattern ({} when it has none) },
   "analysis_confidence": "High",
   "session_quality": "${mnqSpecialization ? 'optimal|good|fair|poor' : 'good'}",
   "risk_amount_dollars": 45
@@ -1338,7 +1000,7 @@ Provide specific, actionable analysis tailored to ${tradingContext.trading_style
 Provide only the JSON response without additional text.`;
   }
 
-  parseFrontendResponse(analysisText) {
+  parseFrontendResponse(analysisText, patterns = null) {
     try {
       const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
 
@@ -1349,6 +1011,8 @@ Provide only the JSON response without additional text.`;
       const parsed = JSON.parse(jsonMatch[0]);
 
       return {
+        // The trader's pattern the displayed primary_pattern maps to
+        pattern_type: this.validatePattern(parsed.pattern_recognition?.primary_pattern, patterns) || 'unknown',
         overall_setup_grade: parsed.overall_setup_grade || {
           grade: 'C',
           description: 'Analysis completed',
@@ -1377,6 +1041,7 @@ Provide only the JSON response without additional text.`;
           available_timeframes: []
         },
         confidence_score: Math.max(0, Math.min(1, parsed.confidence_score || 0.5)),
+        checklist_answers: this.parseChecklistAnswers(parsed.checklist),
         analysis_confidence: parsed.analysis_confidence || 'Moderate',
         session_quality: parsed.session_quality || 'good',
         risk_amount_dollars: parsed.risk_amount_dollars || 50
@@ -1386,6 +1051,7 @@ Provide only the JSON response without additional text.`;
       console.error('Failed to parse frontend analysis response:', error);
 
       return {
+        pattern_type: 'unknown',
         overall_setup_grade: {
           grade: 'C',
           description: 'Analysis parsing failed. Manual review recommended.',
@@ -1412,6 +1078,7 @@ Provide only the JSON response without additional text.`;
           available_timeframes: []
         },
         confidence_score: 0.1,
+        checklist_answers: {},
         analysis_confidence: 'Low',
         session_quality: 'unknown',
         risk_amount_dollars: 50
@@ -1419,7 +1086,7 @@ Provide only the JSON response without additional text.`;
     }
   }
 
-  buildUniversalAnalysisPrompt(timeframes, tradingContext, hierarchyData) {
+  buildUniversalAnalysisPrompt(timeframes, tradingContext, hierarchyData, instrumentSpec = null, goalPlan = null, patternTaxonomy = null) {
     const currentWeek = this.getCurrentWeekNumber();
     const currentYear = new Date().getFullYear();
     const timeframesList = timeframes.join(', ');
@@ -1441,8 +1108,11 @@ Provide only the JSON response without additional text.`;
       hierarchyDesc += `- Market Bias: ${hierarchy.bias_timeframe.timeframe_label} (${hierarchy.bias_timeframe.classification.category})\n`;
     }
 
-    // MNQ specialization context
-    const mnqSpecialization = tradingContext.instrument === 'MNQ' && tradingContext.trading_style === 'mnq_scalping';
+    // Scalping specialization context
+    const mnqSpecialization = this.isScalpingSpecialization(tradingContext, instrumentSpec);
+    const goal = this.getGoalProfile(goalPlan, parseFloat(tradingContext.account_size) || null);
+    const instrument = this.getInstrumentProfile(instrumentSpec);
+    const patterns = this.getPatternProfile(patternTaxonomy);
 
     return `You are analyzing trading screenshots with flexible timeframe inputs while maintaining specialized expertise in ${tradingContext.instrument} ${tradingContext.trading_style}.
 
@@ -1454,14 +1124,17 @@ Trading Style: ${tradingContext.trading_style}
 Session Time: ${tradingContext.session_info}
 
 ${hierarchyDesc}
+TRADER'S PATTERNS (use one of these names for the pattern):
+${patterns.guide}
 
 ${mnqSpecialization ? `
-MNQ SCALPING SPECIALIZATION CONTEXT:
+${instrument.symbol} SCALPING SPECIALIZATION CONTEXT:
+${instrument.description}
 - Account Size: $${tradingContext.account_size}
 - Risk Per Trade: $50 maximum (1% account rule)
-- Target: 0.75% weekly returns through disciplined execution
-- Session Focus: Opening hours (9:30-10:15 AM EST) optimal
-- 5-Year Plan: $500 → $951,000 systematic wealth building
+- Target: ${goal.target_weekly_return}% weekly returns through disciplined execution
+- Session Focus: Opening window (${instrument.opening_window}) optimal
+- ${goal.horizon} Plan: ${goal.goal} systematic wealth building (${goal.phase})
 - Current Week: ${currentWeek}, ${currentYear}
 ` : `
 GENERAL TRADING CONTEXT:
@@ -1485,8 +1158,8 @@ ANALYSIS FRAMEWORK:
    - Calculate risk/reward from multiple timeframe perspectives
 
 3. **Instrument-Specific Analysis:**${mnqSpecialization ? `
-   - MNQ volatility patterns and session behavior
-   - Micro futures spread and liquidity considerations
+   - ${instrument.symbol} volatility patterns and session behavior
+   - Futures spread and liquidity considerations
    - Volume profile implications for scalping precision
    - News sensitivity during regular trading hours
    - Opening session momentum characteristics` : `
@@ -1503,7 +1176,7 @@ ANALYSIS FRAMEWORK:
 
 5. **Risk Management Context:**${mnqSpecialization ? `
    - $50 maximum risk per trade enforcement
-   - Position sizing for MNQ point value ($2 per point)
+   - Position sizing for ${instrument.symbol} point value ($${instrument.point_value} per point)
    - Session-specific risk adjustments
    - Account heat management (${((50 / tradingContext.account_size) * 100).toFixed(2)}% max per trade)` : `
    - Professional risk management principles
@@ -1536,9 +1209,9 @@ Return comprehensive JSON analysis:
   ${mnqSpecialization ? `"mnq_specialized_insights": {
     "scalping_appropriateness": 1-10,
     "session_timing_quality": "optimal|good|fair|poor",
-    "micro_structure_analysis": "MNQ-specific microstructure insights",
-    "volatility_assessment": "high|moderate|low with MNQ context",
-    "risk_reward_mnq_context": "R:R ratio with MNQ volatility context"
+    "micro_structure_analysis": "${instrument.symbol}-specific microstructure insights",
+    "volatility_assessment": "high|moderate|low with ${instrument.symbol} context",
+    "risk_reward_mnq_context": "R:R ratio with ${instrument.symbol} volatility context"
   },` : `"instrument_insights": {
     "trading_appropriateness": 1-10,
     "session_quality": "optimal|good|fair|poor",
@@ -1548,7 +1221,7 @@ Return comprehensive JSON analysis:
   "enhanced_analysis": {
     "setup_quality": 1-10,
     "risk_reward_ratio": "calculated R:R",
-    "pattern_type": "dominant confluence pattern",
+    "pattern_type": "dominant confluence pattern (${patterns.names})",
     "entry_quality": "excellent|good|fair|poor",
     "stop_placement": "appropriate|too_tight|too_wide",
     "target_selection": "realistic|aggressive|conservative",
@@ -1560,6 +1233,7 @@ Return comprehensive JSON analysis:
     "learning_insights": "cross-timeframe insights and pattern recognition",
     "recommendation": "EXECUTE|WAIT|SKIP",
     "confidence_score": 0-1,
+    "checklist": { "checklist item id": true|false for each Checklist item of the pattern you chose ({} when it has none) },
     "specific_observations": ["key observations from timeframe analysis"]
   },
   "analysis_confidence": 0-1,
@@ -1571,7 +1245,7 @@ Focus on providing analysis that works for any timeframe combination while deliv
 Provide only the JSON response without additional text.`;
   }
 
-  parseUniversalTimeframeResponse(analysisText) {
+  parseUniversalTimeframeResponse(analysisText, patterns = null) {
     try {
       const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
 
@@ -1593,7 +1267,7 @@ Provide only the JSON response without additional text.`;
         // Enhanced analysis for compatibility
         setup_quality: Math.max(1, Math.min(10, enhanced.setup_quality || 5)),
         risk_reward_ratio: Math.max(0, enhanced.risk_reward_ratio || 1),
-        pattern_type: this.validatePattern(enhanced.pattern_type) || 'confluence_pattern',
+        pattern_type: this.validatePattern(enhanced.pattern_type, patterns) || 'confluence_pattern',
         entry_quality: this.validateQuality(enhanced.entry_quality) || 'fair',
         stop_placement: this.validatePlacement(enhanced.stop_placement) || 'unclear',
         target_selection: this.validateSelection(enhanced.target_selection) || 'unclear',
@@ -1605,6 +1279,7 @@ Provide only the JSON response without additional text.`;
         learning_insights: enhanced.learning_insights || 'Cross-timeframe patterns analyzed',
         recommendation: this.validateRecommendation(enhanced.recommendation) || 'WAIT',
         confidence_score: Math.max(0, Math.min(1, enhanced.confidence_score || 0.5)),
+        checklist_answers: this.parseChecklistAnswers(enhanced.checklist),
         specific_observations: Array.isArray(enhanced.specific_observations)
           ? enhanced.specific_observations
           : ['Universal timeframe analysis completed'],
@@ -1635,6 +1310,7 @@ Provide only the JSON response without additional text.`;
         learning_insights: 'Analysis incomplete',
         recommendation: 'SKIP',
         confidence_score: 0.1,
+        checklist_answers: {},
         specific_observations: ['Universal timeframe parsing error occurred'],
         analysis_confidence: 0.1,
         completeness_score: 50
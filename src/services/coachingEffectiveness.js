@@ -0,0 +1,222 @@
+/**
+ * Coaching Effectiveness Service
+ * Closes the loop on execution coaching. The coaching of every execution is recorded
+ * against each behavior its price variances show (early_entry, late_entry,
+ * stop_tightening, target_extension) along with that behavior's improvement
+ * suggestion. The behavior's frequency over the FOLLOW_UP_TRADES executions after the
+ * advice is compared with its frequency over as many executions up to and including
+ * the one it was given on; the change in the intended direction, relative to the
+ * larger of the two, is the effectiveness score (-1 to 1). Advice that has not changed
+ * behavior is passed to the execution prompt to be de-emphasized.
+ */
+
+const FOLLOW_UP_TRADES = 10;
+const IMPROVEMENT_THRESHOLD = 0.25; // Score at which the behavior counts as changed
+
+// Execution behaviors coached from planned vs actual variances (points); goal is the intended change
+const COACHED_BEHAVIORS = {
+  early_entry: {
+    goal: 'reduce',
+    suggestion: 'Wait for pullback completion before entry trigger',
+    occurred: (execution) => execution.entry_variance > 2
+  },
+  late_entry: {
+    goal: 'reduce',
+    suggestion: 'Set alerts to catch entry levels earlier',
+    occurred: (execution) => execution.entry_variance < -2
+  },
+  stop_tightening: {
+    goal: 'reduce',
+    suggestion: 'Maintain planned stop levels for consistency',
+    occurred: (execution) => execution.stop_variance > 2
+  },
+  target_extension: {
+    goal: 'repeat',
+    suggestion: 'Target extensions show good momentum reading',
+    occurred: (execution) => execution.target_variance > 3
+  }
+};
+
+/**
+ * Behaviors shown by an execution's price variances
+ * @param {object} variances - { entry_variance, stop_variance, target_variance }
+ * @returns {string[]} Behavior names (COACHED_BEHAVIORS keys)
+ */
+const identifyBehaviors = (variances) => Object.keys(COACHED_BEHAVIORS)
+  .filter(behavior => COACHED_BEHAVIORS[behavior].occurred(variances));
+
+/**
+ * Record the advice given on an execution, one row per behavior it targets, then
+ * re-score the advice still inside its follow-up window
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {string} tradeId - Execution record the advice was given on
+ * @param {object[]} patterns - Execution patterns found on it: [{ type, suggestion }]
+ * @param {string|null} coaching - The analysis' coaching text
+ * @returns {Promise<void>}
+ */
+const recordCoaching = async (repos, tradeId, patterns, coaching) => {
+  for (const pattern of patterns.filter(item => COACHED_BEHAVIORS[item.type])) {
+    await repos.coaching.create({
+      trade_id: tradeId,
+      behavior: pattern.type,
+      suggestion_given: pattern.suggestion,
+      coaching
+    });
+  }
+
+  await evaluateCoaching(repos);
+};
+
+/**
+ * Count each open piece of advice's behavior before and after it and store its score;
+ * advice is final once FOLLOW_UP_TRADES executions followed it
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<void>}
+ */
+const evaluateCoaching = async (repos) => {
+  const open = await repos.coaching.findAll({ openOnly: true });
+  if (open.length === 0) return;
+
+  const executions = await repos.coaching.findExecutions();
+  const positions = new Map(executions.map((execution, index) => [execution.id, index]));
+
+  await repos.transaction(async () => {
+    for (const suggestion of open) {
+      const index = positions.get(suggestion.trade_id);
+      if (index === undefined || !COACHED_BEHAVIORS[suggestion.behavior]) continue;
+
+      await repos.coaching.updateEvaluation(suggestion.id, scoreSuggestion(
+        suggestion.behavior,
+        executions.slice(Math.max(0, index - FOLLOW_UP_TRADES + 1), index + 1),
+        executions.slice(index + 1, index + 1 + FOLLOW_UP_TRADES)
+      ));
+    }
+  });
+};
+
+/**
+ * Which advice changed behavior: every recorded suggestion and a summary per behavior
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} { follow_up_trades, improvement_threshold, behaviors, suggestions } -
+ *   behaviors are [{ behavior, goal, suggestion, times_given, evaluated, improved, frequency_before,
+ *   frequency_after, avg_effectiveness, verdict: 'working' | 'not_working' | 'tracking' }]
+ */
+const getCoachingEffectiveness = async (repos) => {
+  await evaluateCoaching(repos);
+  const suggestions = (await repos.coaching.findAll()).map(formatSuggestion);
+
+  return {
+    follow_up_trades: FOLLOW_UP_TRADES,
+    improvement_threshold: IMPROVEMENT_THRESHOLD,
+    behaviors: Object.keys(COACHED_BEHAVIORS)
+      .map(behavior => summarizeBehavior(behavior, suggestions.filter(suggestion => suggestion.behavior === behavior)))
+      .filter(summary => summary.times_given > 0),
+    suggestions
+  };
+};
+
+/**
+ * Prompt wording of past advice and whether it changed behavior
+ * @param {object[]} behaviors - Behavior summaries (getCoachingEffectiveness)
+ * @returns {string} One line per coached behavior
+ */
+const describeCoaching = (behaviors) => {
+  if (behaviors.length === 0) return '- No coaching has been tracked yet';
+
+  return behaviors.map(summary => {
+    const given = `"${summary.suggestion}" given ${summary.times_given} time${summary.times_given === 1 ? '' : 's'}`;
+    if (summary.verdict === 'tracking') {
+      return `- ${summary.behavior}: ${given}; too few executions since to judge`;
+    }
+
+    const frequency = `frequency ${summary.frequency_before}% before, ${summary.frequency_after}% after`;
+    return summary.verdict === 'working'
+      ? `- ${summary.behavior}: ${given}; ${frequency}: WORKING, keep reinforcing it`
+      : `- ${summary.behavior}: ${given}; ${frequency}: NOT WORKING, de-emphasize this advice and try a different angle`;
+  }).join('\n');
+};
+
+// Helper functions
+
+const scoreSuggestion = (behavior, before, after) => {
+  const definition = COACHED_BEHAVIORS[behavior];
+  const beforeOccurrences = before.filter(definition.occurred).length;
+  const afterOccurrences = after.filter(definition.occurred).length;
+  let score = null;
+
+  if (before.length > 0 && after.length > 0) {
+    const beforeRate = beforeOccurrences / before.length;
+    const afterRate = afterOccurrences / after.length;
+    const change = definition.goal === 'reduce' ? beforeRate - afterRate : afterRate - beforeRate;
+    const scale = Math.max(beforeRate, afterRate);
+    score = scale > 0 ? round(change / scale, 2) : 0;
+  }
+
+  return {
+    baseline_trades: before.length,
+    baseline_occurrences: beforeOccurrences,
+    trades_since_suggestion: after.length,
+    follow_up_occurrences: afterOccurrences,
+    improvement_observed: score !== null && score >= IMPROVEMENT_THRESHOLD,
+    effectiveness_score: score,
+    evaluated: after.length >= FOLLOW_UP_TRADES
+  };
+};
+
+const formatSuggestion = (row) => ({
+  id: row.id,
+  trade_id: row.trade_id,
+  given_at: row.trade_timestamp,
+  behavior: row.behavior,
+  suggestion_given: row.suggestion_given,
+  coaching: row.coaching,
+  status: row.evaluated_at ? 'evaluated' : 'tracking',
+  trades_since_suggestion: row.trades_since_suggestion || 0,
+  frequency_before: row.baseline_trades > 0 ? round(row.baseline_occurrences / row.baseline_trades * 100, 1) : null,
+  frequency_after: row.trades_since_suggestion > 0
+    ? round(row.follow_up_occurrences / row.trades_since_suggestion * 100, 1)
+    : null,
+  effectiveness_score: row.trades_since_suggestion > 0 ? row.effectiveness_score : null,
+  improvement_observed: Boolean(row.improvement_observed)
+});
+
+// Only advice with a full follow-up window decides the verdict
+const summarizeBehavior = (behavior, suggestions) => {
+  const evaluated = suggestions.filter(suggestion => suggestion.status === 'evaluated');
+  const avgEffectiveness = average(evaluated.map(suggestion => suggestion.effectiveness_score));
+
+  let verdict = 'tracking';
+  if (avgEffectiveness !== null) verdict = avgEffectiveness >= IMPROVEMENT_THRESHOLD ? 'working' : 'not_working';
+
+  return {
+    behavior,
+    goal: COACHED_BEHAVIORS[behavior].goal,
+    suggestion: COACHED_BEHAVIORS[behavior].suggestion,
+    times_given: suggestions.length,
+    evaluated: evaluated.length,
+    improved: evaluated.filter(suggestion => suggestion.improvement_observed).length,
+    frequency_before: roundOrNull(average(evaluated.map(suggestion => suggestion.frequency_before)), 1),
+    frequency_after: roundOrNull(average(evaluated.map(suggestion => suggestion.frequency_after)), 1),
+    avg_effectiveness: roundOrNull(avgEffectiveness, 2),
+    verdict
+  };
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const roundOrNull = (value, digits) => (value === null ? null : round(value, digits));
+
+module.exports = {
+  FOLLOW_UP_TRADES,
+  COACHED_BEHAVIORS,
+  identifyBehaviors,
+  recordCoaching,
+  evaluateCoaching,
+  getCoachingEffectiveness,
+  describeCoaching
+};
@@ -0,0 +1,313 @@
+/**
+ * Equity Analytics Service
+ * Builds the equity curve from the cash-flow ledger and measures drawdowns on it.
+ * External cash flows move the high-water mark along with the balance, so a
+ * withdrawal is not a drawdown and a deposit is not a recovery; only trade P&L
+ * and fees are. Each drawdown episode carries the P&L of the patterns traded
+ * between its peak and its trough.
+ */
+
+const { EXTERNAL_FLOW_TYPES } = require('./ledger');
+
+const GRANULARITIES = ['trade', 'daily', 'weekly'];
+const UNCLASSIFIED_PATTERN = 'unclassified';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate equity query parameters
+ * @param {object} query - { granularity, from, to, min_drawdown }
+ * @returns {object} { granularity, from, to, min_drawdown } (absent dates stay null)
+ */
+const validateEquityQuery = (query = {}) => {
+  const problems = [];
+  const parsed = {
+    granularity: query.granularity || 'daily',
+    from: query.from || null,
+    to: query.to || null,
+    min_drawdown: 0
+  };
+
+  if (!GRANULARITIES.includes(parsed.granularity)) {
+    problems.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  ['from', 'to'].forEach(name => {
+    if (parsed[name] !== null && !isValidDate(parsed[name])) problems.push(`${name} must be YYYY-MM-DD`);
+  });
+  if (parsed.from && parsed.to && parsed.from > parsed.to) {
+    problems.push('from must not be after to');
+  }
+
+  if (query.min_drawdown !== undefined) {
+    parsed.min_drawdown = parseFloat(query.min_drawdown);
+    if (isNaN(parsed.min_drawdown) || parsed.min_drawdown < 0) problems.push('min_drawdown must be a non-negative amount');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_ANALYTICS_QUERY';
+    throw error;
+  }
+
+  return parsed;
+};
+
+/**
+ * Equity curve, drawdown episodes and P&L by pattern
+ * @param {object[]} entries - Ledger entries with their trade's pattern, in order (findAllWithTrades)
+ * @param {object} options - { granularity, from, to, min_drawdown } (validateEquityQuery)
+ * @returns {object} { granularity, from, to, summary, curve, drawdowns, pattern_breakdown }
+ */
+const buildEquityAnalytics = (entries, options = {}) => {
+  const granularity = options.granularity || 'daily';
+  const from = options.from || null;
+
+  const allPoints = [];
+  const allEpisodes = [];
+  let balance = 0;
+  let tradingPnl = 0;
+  let highWaterMark = 0;
+  let episode = null;
+  let bucket = [];
+
+  entries.forEach((entry, index) => {
+    balance += entry.amount;
+    if (EXTERNAL_FLOW_TYPES.includes(entry.entry_type)) {
+      highWaterMark += entry.amount;
+    } else {
+      tradingPnl += entry.amount;
+    }
+    bucket.push(entry);
+
+    const next = entries[index + 1];
+    const closesPoint = !next || (granularity === 'trade'
+      ? entry.entry_type === 'trade_pnl'
+      : getPeriodKey(next.entry_date, granularity) !== getPeriodKey(entry.entry_date, granularity));
+    if (!closesPoint) return;
+
+    const previous = allPoints[allPoints.length - 1];
+    if (balance >= highWaterMark) highWaterMark = balance;
+    const drawdown = highWaterMark - balance;
+
+    const point = {
+      date: entry.entry_date,
+      ...(granularity === 'weekly' && { week_start: getWeekStart(entry.entry_date) }),
+      ...(granularity === 'trade' && entry.entry_type === 'trade_pnl' && {
+        trade_id: entry.trade_id,
+        pattern_type: entry.pattern_type || UNCLASSIFIED_PATTERN
+      }),
+      balance: roundMoney(balance),
+      trading_pnl: roundMoney(tradingPnl),
+      period_pnl: roundMoney(sumEntries(bucket, false)),
+      net_flow: roundMoney(sumEntries(bucket, true)),
+      high_water_mark: roundMoney(highWaterMark),
+      drawdown: roundMoney(drawdown),
+      drawdown_percent: getDrawdownPercent(drawdown, highWaterMark)
+    };
+    allPoints.push(point);
+
+    if (drawdown > 0) {
+      if (!episode) {
+        episode = {
+          start_date: previous ? previous.date : point.date,
+          peak_balance: roundMoney(highWaterMark),
+          depth: 0,
+          depth_percent: 0,
+          running: new Map(),
+          fees: 0
+        };
+        allEpisodes.push(episode);
+      }
+
+      addToBreakdown(episode, bucket);
+      if (drawdown > episode.depth) {
+        episode.depth = drawdown;
+        episode.trough_date = point.date;
+        episode.trough_balance = point.balance;
+        episode.patterns = snapshotBreakdown(episode.running);
+        episode.fees_to_trough = episode.fees;
+      }
+      episode.depth_percent = Math.max(episode.depth_percent, point.drawdown_percent || 0);
+    } else if (episode) {
+      episode.recovery_date = point.date;
+      episode = null;
+    }
+
+    bucket = [];
+  });
+
+  const lastDate = allPoints.length > 0 ? allPoints[allPoints.length - 1].date : null;
+  const curve = allPoints.filter(point => !from || point.date >= from);
+  const episodes = allEpisodes
+    .filter(item => !from || !item.recovery_date || item.recovery_date >= from)
+    .map(item => describeEpisode(item, lastDate));
+  const current = allPoints[allPoints.length - 1];
+
+  return {
+    granularity,
+    from: from || (curve.length > 0 ? curve[0].date : null),
+    to: options.to || lastDate,
+    summary: summarizeDrawdowns(curve, episodes, current),
+    curve,
+    drawdowns: episodes.filter(item => item.depth >= (options.min_drawdown || 0)),
+    pattern_breakdown: buildPatternBreakdown(entries, episodes, from)
+  };
+};
+
+// Helper functions
+const describeEpisode = (episode, lastDate) => {
+  const recovered = Boolean(episode.recovery_date);
+  const endDate = episode.recovery_date || lastDate;
+
+  return {
+    start_date: episode.start_date,
+    trough_date: episode.trough_date,
+    recovery_date: episode.recovery_date || null,
+    recovered,
+    peak_balance: episode.peak_balance,
+    trough_balance: episode.trough_balance,
+    depth: roundMoney(episode.depth),
+    depth_percent: episode.depth_percent,
+    days_to_trough: daysBetween(episode.start_date, episode.trough_date),
+    recovery_days: recovered ? daysBetween(episode.trough_date, episode.recovery_date) : null,
+    duration_days: daysBetween(episode.start_date, endDate),
+    trades_to_trough: episode.patterns.reduce((sum, pattern) => sum + pattern.trades, 0),
+    fees_to_trough: roundMoney(episode.fees_to_trough),
+    patterns: episode.patterns
+  };
+};
+
+const summarizeDrawdowns = (curve, episodes, current) => {
+  const deepest = episodes.reduce((worst, item) => (!worst || item.depth > worst.depth ? item : worst), null);
+  const recovered = episodes.filter(item => item.recovered);
+
+  // Days spent below the high-water mark, clipped to the span of the curve
+  let underwaterDays = 0;
+  let spanDays = 0;
+  if (curve.length > 0) {
+    const first = curve[0].date;
+    const last = curve[curve.length - 1].date;
+    spanDays = daysBetween(first, last);
+    episodes.forEach(item => {
+      const start = item.start_date > first ? item.start_date : first;
+      const end = item.recovery_date && item.recovery_date < last ? item.recovery_date : last;
+      underwaterDays += Math.max(0, daysBetween(start, end));
+    });
+  }
+
+  return {
+    current_balance: current ? current.balance : 0,
+    high_water_mark: current ? current.high_water_mark : 0,
+    current_drawdown: current ? current.drawdown : 0,
+    current_drawdown_percent: current ? current.drawdown_percent : 0,
+    in_drawdown: Boolean(current && current.drawdown > 0),
+    max_drawdown: deepest ? deepest.depth : 0,
+    max_drawdown_percent: episodes.reduce((max, item) => Math.max(max, item.depth_percent), 0),
+    max_drawdown_start: deepest ? deepest.start_date : null,
+    max_drawdown_trough: deepest ? deepest.trough_date : null,
+    drawdown_count: episodes.length,
+    longest_drawdown_days: episodes.reduce((max, item) => Math.max(max, item.duration_days), 0),
+    average_recovery_days: recovered.length > 0
+      ? Math.round(recovered.reduce((sum, item) => sum + item.recovery_days, 0) / recovered.length * 10) / 10
+      : null,
+    time_underwater_percent: spanDays > 0 ? Math.round(underwaterDays / spanDays * 1000) / 10 : 0
+  };
+};
+
+const buildPatternBreakdown = (entries, episodes, from) => {
+  const patterns = new Map();
+  const getPattern = (patternType) => {
+    if (!patterns.has(patternType)) {
+      patterns.set(patternType, { pattern_type: patternType, trades: 0, wins: 0, losses: 0, pnl: 0, drawdown_pnl: 0 });
+    }
+    return patterns.get(patternType);
+  };
+
+  entries
+    .filter(entry => entry.entry_type === 'trade_pnl' && (!from || entry.entry_date >= from))
+    .forEach(entry => {
+      const pattern = getPattern(entry.pattern_type || UNCLASSIFIED_PATTERN);
+      pattern.trades++;
+      pattern.pnl += entry.amount;
+      if (entry.amount > 0) pattern.wins++;
+      if (entry.amount < 0) pattern.losses++;
+    });
+
+  // P&L each pattern contributed between the peaks and troughs of the drawdowns
+  episodes.forEach(item => {
+    item.patterns.forEach(contribution => {
+      getPattern(contribution.pattern_type).drawdown_pnl += contribution.pnl;
+    });
+  });
+
+  return [...patterns.values()]
+    .map(pattern => ({
+      ...pattern,
+      pnl: roundMoney(pattern.pnl),
+      drawdown_pnl: roundMoney(pattern.drawdown_pnl),
+      win_rate: pattern.trades > 0 ? Math.round(pattern.wins / pattern.trades * 1000) / 10 : null
+    }))
+    .sort((a, b) => a.drawdown_pnl - b.drawdown_pnl || a.pnl - b.pnl);
+};
+
+const addToBreakdown = (episode, bucket) => {
+  bucket.forEach(entry => {
+    if (entry.entry_type === 'fee') {
+      episode.fees += entry.amount;
+      return;
+    }
+    if (entry.entry_type !== 'trade_pnl') return;
+
+    const patternType = entry.pattern_type || UNCLASSIFIED_PATTERN;
+    if (!episode.running.has(patternType)) {
+      episode.running.set(patternType, { pattern_type: patternType, trades: 0, pnl: 0 });
+    }
+    const pattern = episode.running.get(patternType);
+    pattern.trades++;
+    pattern.pnl += entry.amount;
+  });
+};
+
+// Worst pattern first
+const snapshotBreakdown = (running) => {
+  return [...running.values()]
+    .map(pattern => ({ ...pattern, pnl: roundMoney(pattern.pnl) }))
+    .sort((a, b) => a.pnl - b.pnl);
+};
+
+const sumEntries = (entries, external) => {
+  return entries
+    .filter(entry => EXTERNAL_FLOW_TYPES.includes(entry.entry_type) === external)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+};
+
+const getDrawdownPercent = (drawdown, highWaterMark) => {
+  if (highWaterMark <= 0) return null;
+  return Math.round(drawdown / highWaterMark * 10000) / 100;
+};
+
+const getPeriodKey = (date, granularity) => (granularity === 'weekly' ? getWeekStart(date) : date);
+
+const getWeekStart = (date) => {
+  const day = parseDate(date);
+  const weekday = (day.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(day.getTime() - weekday * MS_PER_DAY).toISOString().split('T')[0];
+};
+
+const daysBetween = (start, end) => Math.round((parseDate(end) - parseDate(start)) / MS_PER_DAY);
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(parseDate(value).getTime());
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  GRANULARITIES,
+  validateEquityQuery,
+  buildEquityAnalytics
+};
@@ -102,6 +102,12 @@ const ERROR_CODES = {
     retry: false,
     user_action: 'The requested trade could not be found'
   },
+  'SCREENSHOT_NOT_FOUND': {
+    code: 404,
+    message: 'Screenshot not found',
+    retry: false,
+    user_action: 'Check the screenshot path returned with the trade'
+  },
   'DUPLICATE_TRADE': {
     code: 409,
     message: 'Trade with this ID already exists',
@@ -142,6 +148,180 @@ const ERROR_CODES = {
     retry: false,
     user_action: 'You do not have permission to access this resource'
   },
+  'INVALID_CREDENTIALS': {
+    code: 401,
+    message: 'Invalid email or password',
+    retry: false,
+    user_action: 'Check your email and password and try again'
+  },
+  'INVALID_ACCOUNT_DETAILS': {
+    code: 400,
+    message: 'A valid email and a password of at least 8 characters are required',
+    retry: false,
+    user_action: 'Please provide a valid email address and a longer password'
+  },
+  'EMAIL_ALREADY_REGISTERED': {
+    code: 409,
+    message: 'An account with this email already exists',
+    retry: false,
+    user_action: 'Log in instead, or register with a different email address'
+  },
+  'INSUFFICIENT_SCOPE': {
+    code: 403,
+    message: 'This API key does not have the scope required for this request',
+    retry: false,
+    user_action: 'Create an API key with the required scope'
+  },
+  'INVALID_API_KEY_REQUEST': {
+    code: 400,
+    message: 'API key name, scopes or rate limit are invalid',
+    retry: false,
+    user_action: 'Provide a name, at least one known scope and a valid rate limit'
+  },
+  'API_KEY_NOT_FOUND': {
+    code: 404,
+    message: 'API key not found',
+    retry: false,
+    user_action: 'Check the key id - it may already have been revoked'
+  },
+  'INVALID_INSTRUMENT': {
+    code: 400,
+    message: 'Instrument specification is invalid',
+    retry: false,
+    user_action: 'Provide a symbol, a positive tick size and point value, and HH:MM session hours'
+  },
+  'UNKNOWN_INSTRUMENT': {
+    code: 400,
+    message: 'Instrument is not in the registry',
+    retry: false,
+    user_action: 'Use a listed instrument or add it under /api/instruments first'
+  },
+  'INSTRUMENT_NOT_FOUND': {
+    code: 404,
+    message: 'Instrument not found',
+    retry: false,
+    user_action: 'Check the symbol - only your own custom contracts can be deleted'
+  },
+  'INSTRUMENT_ALREADY_EXISTS': {
+    code: 409,
+    message: 'You already have a contract with this symbol',
+    retry: false,
+    user_action: 'Update the existing contract instead'
+  },
+  'INVALID_PATTERN': {
+    code: 400,
+    message: 'Pattern definition is invalid',
+    retry: false,
+    user_action: 'Provide a name plus optional description, entry_criteria, invalidation, aliases, family and retired'
+  },
+  'PATTERN_NOT_FOUND': {
+    code: 404,
+    message: 'Pattern not found',
+    retry: false,
+    user_action: 'Check the pattern name under /api/patterns/taxonomy'
+  },
+  'PATTERN_ALREADY_EXISTS': {
+    code: 409,
+    message: 'You already have a pattern with this name',
+    retry: false,
+    user_action: 'Update the existing pattern or merge into it instead'
+  },
+  'PATTERN_IN_USE': {
+    code: 409,
+    message: 'Pattern still has trades filed under it',
+    retry: false,
+    user_action: 'Retire the pattern or merge it into another one instead'
+  },
+  'INVALID_PLAYBOOK': {
+    code: 400,
+    message: 'Pattern playbook is invalid',
+    retry: false,
+    user_action: 'Provide checklist, ideal_timeframes, typical_stop_points or typical_target_points, or a trade_id filed under the pattern'
+  },
+  'INVALID_GOAL_PLAN': {
+    code: 400,
+    message: 'Goal plan is invalid',
+    retry: false,
+    user_action: 'Provide a name, a target above the starting balance, a horizon and at least one phase'
+  },
+  'GOAL_PLAN_NOT_FOUND': {
+    code: 404,
+    message: 'Goal plan not found',
+    retry: false,
+    user_action: 'Check the plan id'
+  },
+  'INVALID_SIMULATION_OPTIONS': {
+    code: 400,
+    message: 'Simulation options are invalid',
+    retry: false,
+    user_action: 'Check paths, weeks, seed, drawdown_threshold and risk_percent'
+  },
+  'INSUFFICIENT_TRADE_HISTORY': {
+    code: 400,
+    message: 'Not enough closed trades to simulate from',
+    retry: false,
+    user_action: 'Record the P&L of more trades before running a simulation'
+  },
+  'INVALID_LEDGER_ENTRY': {
+    code: 400,
+    message: 'Ledger entry is invalid',
+    retry: false,
+    user_action: 'Provide an entry_type, a non-zero amount and an entry_date as YYYY-MM-DD'
+  },
+  'INVALID_LEDGER_QUERY': {
+    code: 400,
+    message: 'Ledger query parameters are invalid',
+    retry: false,
+    user_action: 'Check the type, dates (YYYY-MM-DD), paging and tolerance parameters'
+  },
+  'LEDGER_ENTRY_NOT_FOUND': {
+    code: 404,
+    message: 'Ledger entry not found',
+    retry: false,
+    user_action: 'Check the entry id'
+  },
+  'LOCKED_OUT': {
+    code: 423,
+    message: 'Trading is locked after a risk limit was reached',
+    retry: false,
+    user_action: 'Wait for the next session, or resend with override_lockout=true and an override_justification'
+  },
+  'INVALID_LOCKOUT_OVERRIDE': {
+    code: 400,
+    message: 'Lockout override needs a written justification',
+    retry: false,
+    user_action: 'Explain in override_justification (at least 20 characters) why this trade is taken despite the lockout'
+  },
+  'INVALID_TRADING_RULE': {
+    code: 400,
+    message: 'Trading rule is invalid',
+    retry: false,
+    user_action: 'Provide a name, a rule_type and a condition matching it'
+  },
+  'TRADING_RULE_NOT_FOUND': {
+    code: 404,
+    message: 'Trading rule not found',
+    retry: false,
+    user_action: 'Check the rule id'
+  },
+  'INVALID_POSITION_SIZE': {
+    code: 400,
+    message: 'Position size request is invalid',
+    retry: false,
+    user_action: 'Provide entry and stop prices and a risk_model of fixed_dollar, percent_equity or volatility_scaled'
+  },
+  'INVALID_RISK_OF_RUIN_QUERY': {
+    code: 400,
+    message: 'Risk of ruin parameters are invalid',
+    retry: false,
+    user_action: 'Check win_rate, payoff_ratio, risk_per_trade, ruin_threshold and target_ruin_probability'
+  },
+  'INVALID_ANALYTICS_QUERY': {
+    code: 400,
+    message: 'Analytics query parameters are invalid',
+    retry: false,
+    user_action: 'Check the dates (YYYY-MM-DD), filters and grouping parameters'
+  },
 
   // Rate limiting errors
   'RATE_LIMIT_EXCEEDED': {
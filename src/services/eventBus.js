@@ -0,0 +1,94 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe channel for live updates (analysis stages, risk
+ * alerts, balance changes). Every event belongs to the user whose data it
+ * describes. Recent events are kept in a ring buffer so SSE clients can resume
+ * from a Last-Event-ID after reconnecting.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = {
+  ANALYSIS_STAGE: 'analysis_stage',
+  JOB_STATUS: 'job_status',
+  RISK_ALERT: 'risk_alert',
+  ALERT_ACKNOWLEDGED: 'alert_acknowledged',
+  BALANCE_UPDATE: 'balance_update'
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected SSE client
+
+const bufferSize = parseInt(process.env.EVENT_BUFFER_SIZE) || 500;
+const recentEvents = [];
+
+// Seeded from the clock so ids keep increasing across restarts
+let lastEventId = Date.now();
+
+/**
+ * Publish an event to all subscribers
+ * @param {string} userId - User the event belongs to
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - JSON-serializable event payload
+ * @returns {object} Published event { id, user_id, type, data, timestamp }
+ */
+const publishEvent = (userId, type, data = {}) => {
+  lastEventId += 1;
+
+  const event = {
+    id: lastEventId,
+    user_id: userId,
+    type,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > bufferSize) {
+    recentEvents.shift();
+  }
+
+  try {
+    emitter.emit('event', event);
+  } catch (error) {
+    // A failing subscriber must never break the publisher's request
+    console.error('Event subscriber error:', error);
+  }
+
+  return event;
+};
+
+/**
+ * Subscribe to every published event
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Buffered events newer than the given id
+ * @param {number} sinceId - Last event id the client received
+ * @returns {object} { events, missed } - missed is true when older events were already dropped
+ */
+const getEventsSince = (sinceId) => {
+  const events = recentEvents.filter(event => event.id > sinceId);
+  const oldestBuffered = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+
+  return {
+    events,
+    missed: sinceId < oldestBuffered - 1
+  };
+};
+
+const getSubscriberCount = () => emitter.listenerCount('event');
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  subscribe,
+  getEventsSince,
+  getSubscriberCount
+};
@@ -0,0 +1,582 @@
+/**
+ * Broker Fill Import
+ * Parses Tradovate, NinjaTrader and Rithmic-style CSV exports into round-trip
+ * trades and matches them to pre-trade analyses by time and direction
+ */
+
+const crypto = require('crypto');
+const { easternToUtc } = require('./riskState');
+
+// Column aliases per broker export. A format is detected when every header in
+// one of its signatures is present.
+const BROKER_FORMATS = {
+  tradovate: {
+    label: 'Tradovate',
+    signatures: [['b/s', 'contract'], ['_action', '_qty', '_price']],
+    columns: {
+      fill_id: ['orderid', 'order id', '_id'],
+      account: ['account', '_accountid'],
+      side: ['b/s', '_action'],
+      symbol: ['contract', 'product'],
+      quantity: ['filledqty', 'filled qty', '_qty'],
+      price: ['avgprice', 'avg fill price', '_price'],
+      time: ['fill time', '_timestamp', 'timestamp'],
+      status: ['status'],
+      commission: ['commission', 'fees']
+    },
+    commissionPerContract: false
+  },
+  ninjatrader: {
+    label: 'NinjaTrader',
+    signatures: [['instrument', 'action', 'quantity', 'price', 'time']],
+    columns: {
+      fill_id: ['id', 'execution id'],
+      account: ['account'],
+      side: ['action'],
+      symbol: ['instrument'],
+      quantity: ['quantity'],
+      price: ['price'],
+      time: ['time'],
+      status: [],
+      commission: ['commission']
+    },
+    commissionPerContract: false
+  },
+  rithmic: {
+    label: 'Rithmic',
+    signatures: [['symbol', 'qty filled', 'avg fill price'], ['symbol', 'b/s', 'update time']],
+    columns: {
+      fill_id: ['order number', 'order id'],
+      account: ['account'],
+      side: ['b/s', 'buy/sell'],
+      symbol: ['symbol'],
+      quantity: ['qty filled', 'filled qty', 'qty'],
+      price: ['avg fill price', 'fill price', 'price'],
+      time: ['update time', 'fill time', 'create time'],
+      status: ['status'],
+      commission: ['commission fill rate', 'commission']
+    },
+    commissionPerContract: true
+  }
+};
+
+const FILLED_STATUSES = ['filled', 'complete', 'completed', 'fill'];
+
+/**
+ * Split CSV text into rows, honouring quoted fields and escaped quotes
+ * @param {string} text - Raw CSV contents
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Detect which broker produced an export from its header row
+ * @param {Array<string>} headers - Normalized header names
+ * @returns {string|null} Broker key or null when the format is unknown
+ */
+const detectBrokerFormat = (headers) => {
+  const headerSet = new Set(headers);
+
+  const match = Object.entries(BROKER_FORMATS).find(([, format]) =>
+    format.signatures.some(signature => signature.every(column => headerSet.has(column)))
+  );
+
+  return match ? match[0] : null;
+};
+
+/**
+ * Parse a broker number such as "$1,234.50" or "(12.00)"
+ * @param {string} value - Raw cell value
+ * @returns {number|null} Parsed number or null when empty/invalid
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const raw = value.toString().trim();
+  if (!raw) return null;
+
+  const negative = /^\(.*\)$/.test(raw) || raw.startsWith('-');
+  const cleaned = raw.replace(/[()$,\s-]/g, '');
+  const number = parseFloat(cleaned);
+
+  if (isNaN(number)) return null;
+  return negative ? -number : number;
+};
+
+/**
+ * Parse a broker timestamp into a UTC Date
+ * @param {string} value - "2025-03-10 09:35:12", "3/10/2025 9:35:12 AM" or ISO with zone
+ * @param {number|null} utcOffsetMinutes - Offset of the export's local time from UTC (e.g. -300 for EST);
+ *   null reads it as session time (America/New_York), daylight saving included
+ * @returns {Date|null} Parsed date or null when unrecognized
+ */
+const parseBrokerTimestamp = (value, utcOffsetMinutes = null) => {
+  if (!value) return null;
+
+  const raw = value.toString().trim();
+
+  // Explicit zone information wins over the configured offset
+  if (hasExplicitZone(raw)) {
+    const date = new Date(raw);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  let year, month, day;
+  let timePart = '';
+
+  const isoMatch = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T]?(.*)$/);
+  const usMatch = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})\s*(.*)$/);
+
+  if (isoMatch) {
+    [, year, month, day, timePart] = isoMatch;
+  } else if (usMatch) {
+    [, month, day, year, timePart] = usMatch;
+    if (year.length === 2) year = `20${year}`;
+  } else {
+    return null;
+  }
+
+  let hour = 0;
+  let minute = 0;
+  let second = 0;
+  let millisecond = 0;
+
+  const timeMatch = timePart.match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?\s*(am|pm)?/i);
+  if (timeMatch) {
+    hour = parseInt(timeMatch[1]);
+    minute = parseInt(timeMatch[2]);
+    second = parseInt(timeMatch[3] || 0);
+    millisecond = timeMatch[4] ? parseInt(timeMatch[4].substring(0, 3).padEnd(3, '0')) : 0;
+
+    const meridiem = (timeMatch[5] || '').toLowerCase();
+    if (meridiem === 'pm' && hour !== 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  }
+
+  const date = utcOffsetMinutes === null
+    ? new Date(easternToUtc(parseInt(year), parseInt(month) - 1, parseInt(day), hour, minute).getTime() + second * 1000 + millisecond)
+    : new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), hour, minute, second, millisecond) - utcOffsetMinutes * 60 * 1000);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const hasExplicitZone = (raw) => /(z|[+-]\d{2}:?\d{2})$/i.test(raw) && raw.includes('T');
+
+/**
+ * Reduce a contract name to its symbol root ("MNQ 03-25", "MNQH5" -> "MNQ")
+ * @param {string} contract - Contract name from the export
+ * @param {object} instruments - Registered instruments keyed by symbol; month codes are
+ *   only stripped when the remaining root is registered
+ * @returns {string} Upper-case symbol root
+ */
+const extractSymbolRoot = (contract, instruments = {}) => {
+  const raw = (contract || '').toString().trim().toUpperCase();
+  const firstToken = raw.split(/\s+/)[0];
+
+  const monthCodeMatch = firstToken.match(/^([A-Z0-9]+?)[FGHJKMNQUVXZ]\d{1,2}$/);
+  if (monthCodeMatch && instruments[monthCodeMatch[1]]) {
+    return monthCodeMatch[1];
+  }
+
+  return firstToken;
+};
+
+const parseSide = (value) => {
+  const side = (value || '').toString().trim().toLowerCase();
+  if (side.startsWith('b') || side === 'long') return 'buy';
+  if (side.startsWith('s') || side === 'short') return 'sell';
+  return null;
+};
+
+/**
+ * Parse a broker CSV export into normalized fills
+ * @param {string} csvText - Raw CSV contents
+ * @param {object} options - { broker, utcOffsetMinutes, instruments } - instruments keyed by symbol;
+ *   without utcOffsetMinutes, times without a zone are session time (see parseBrokerTimestamp)
+ * @returns {object} { broker, fills, warnings }
+ */
+const parseFillStatement = (csvText, options = {}) => {
+  const rows = parseCsv(csvText || '');
+
+  if (rows.length < 2) {
+    throw new Error('Statement must contain a header row and at least one fill');
+  }
+
+  const headers = rows[0].map(normalizeHeader);
+  const requestedBroker = options.broker ? options.broker.toString().toLowerCase() : null;
+
+  if (requestedBroker && !BROKER_FORMATS[requestedBroker]) {
+    throw new Error(`Unsupported broker: ${options.broker}. Supported: ${Object.keys(BROKER_FORMATS).join(', ')}`);
+  }
+
+  const broker = requestedBroker || detectBrokerFormat(headers);
+
+  if (!broker) {
+    throw new Error('Unrecognized statement format. Expected a Tradovate, NinjaTrader or Rithmic fill export');
+  }
+
+  const format = BROKER_FORMATS[broker];
+  const columnIndex = {};
+
+  Object.entries(format.columns).forEach(([field, aliases]) => {
+    const index = aliases.map(alias => headers.indexOf(alias)).find(i => i !== -1);
+    columnIndex[field] = index === undefined ? -1 : index;
+  });
+
+  const missing = ['side', 'symbol', 'quantity', 'price', 'time'].filter(field => columnIndex[field] === -1);
+  if (missing.length > 0) {
+    throw new Error(`${format.label} export is missing required columns: ${missing.join(', ')}`);
+  }
+
+  const cellValue = (row, field) => columnIndex[field] === -1 ? '' : (row[columnIndex[field]] || '').trim();
+  const utcOffsetMinutes = options.utcOffsetMinutes !== null && options.utcOffsetMinutes !== undefined
+    ? options.utcOffsetMinutes
+    : null;
+  const fills = [];
+  const warnings = [];
+  let sessionTimeAssumed = false;
+
+  rows.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2;
+    const status = cellValue(row, 'status').toLowerCase();
+
+    if (status && !FILLED_STATUSES.includes(status)) {
+      return;
+    }
+
+    const side = parseSide(cellValue(row, 'side'));
+    const quantity = Math.abs(parseNumber(cellValue(row, 'quantity')) || 0);
+    const price = parseNumber(cellValue(row, 'price'));
+    const time = parseBrokerTimestamp(cellValue(row, 'time'), utcOffsetMinutes);
+    const symbol = extractSymbolRoot(cellValue(row, 'symbol'), options.instruments);
+
+    if (!side || quantity === 0 || price === null || !time || !symbol) {
+      warnings.push(`Row ${rowNumber}: skipped (could not read side, quantity, price, time or symbol)`);
+      return;
+    }
+
+    const commissionValue = parseNumber(cellValue(row, 'commission'));
+    const commission = commissionValue === null
+      ? null
+      : Math.abs(format.commissionPerContract ? commissionValue * quantity : commissionValue);
+
+    if (utcOffsetMinutes === null && !hasExplicitZone(cellValue(row, 'time'))) {
+      sessionTimeAssumed = true;
+    }
+
+    fills.push({
+      row: rowNumber,
+      fill_id: cellValue(row, 'fill_id') || null,
+      account: cellValue(row, 'account') || null,
+      symbol,
+      side,
+      quantity,
+      price,
+      time,
+      commission
+    });
+  });
+
+  if (sessionTimeAssumed) {
+    warnings.push('Fill times without a time zone were read as America/New_York session time; '
+      + 'send utc_offset_minutes if the export uses another zone');
+  }
+
+  // Broker exports are not reliably chronological
+  fills.sort((a, b) => a.time - b.time || a.row - b.row);
+
+  return { broker, fills, warnings };
+};
+
+const roundTo = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Fingerprint a round trip so re-importing the same statement is detected
+ * @param {object} roundTrip - Finalized round trip
+ * @param {number} occurrence - How many identical round trips preceded this one in the file
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprintRoundTrip = (roundTrip, occurrence = 0) => {
+  const key = [
+    roundTrip.account || '',
+    roundTrip.symbol,
+    roundTrip.direction,
+    roundTrip.contracts,
+    roundTrip.entry_time,
+    roundTrip.exit_time,
+    roundTrip.entry_price.toFixed(4),
+    roundTrip.exit_price.toFixed(4),
+    occurrence
+  ].join('|');
+
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Group chronological fills into flat-to-flat round trips per account and symbol
+ * @param {Array} fills - Normalized fills from parseFillStatement
+ * @param {object} options - { commissionPerContract, instruments } - when the export has no commission
+ *   column, commissionPerContract or else the instrument's commission_per_side is charged per fill
+ * @returns {object} { roundTrips, openPositions, unknownSymbols } - round trips of unknownSymbols (not in
+ *   instruments) are priced at 1 per point and have point_value_known false
+ */
+const buildRoundTrips = (fills, options = {}) => {
+  const instruments = options.instruments || {};
+  const hasCommissionOverride = options.commissionPerContract !== null && options.commissionPerContract !== undefined;
+  const books = new Map();
+  const roundTrips = [];
+
+  const openBook = (fill) => ({
+    account: fill.account,
+    symbol: fill.symbol,
+    direction: fill.side === 'buy' ? 'long' : 'short',
+    position: 0,
+    entryQty: 0,
+    entryValue: 0,
+    exitQty: 0,
+    exitValue: 0,
+    commission: 0,
+    entry_time: fill.time,
+    exit_time: null,
+    fill_ids: []
+  });
+
+  const finalize = (book) => {
+    const pointValue = instruments[book.symbol] ? instruments[book.symbol].point_value : 1;
+    const entryPrice = book.entryValue / book.entryQty;
+    const exitPrice = book.exitValue / book.exitQty;
+    const directionSign = book.direction === 'long' ? 1 : -1;
+    const points = (exitPrice - entryPrice) * directionSign;
+    const grossPnl = points * book.entryQty * pointValue;
+
+    return {
+      account: book.account,
+      symbol: book.symbol,
+      direction: book.direction,
+      contracts: book.entryQty,
+      entry_price: roundTo(entryPrice, 4),
+      exit_price: roundTo(exitPrice, 4),
+      entry_time: book.entry_time.toISOString(),
+      exit_time: book.exit_time.toISOString(),
+      points: roundTo(points, 4),
+      point_value: pointValue,
+      point_value_known: Boolean(instruments[book.symbol]),
+      commission: roundTo(book.commission, 2),
+      gross_pnl: roundTo(grossPnl, 2),
+      net_pnl: roundTo(grossPnl - book.commission, 2),
+      fill_ids: book.fill_ids.filter(Boolean)
+    };
+  };
+
+  fills.forEach(fill => {
+    const key = `${fill.account || ''}|${fill.symbol}`;
+    const fillSign = fill.side === 'buy' ? 1 : -1;
+    const commissionPerContract = hasCommissionOverride
+      ? options.commissionPerContract
+      : (instruments[fill.symbol] ? instruments[fill.symbol].commission_per_side || 0 : 0);
+    const fillCommission = fill.commission !== null ? fill.commission : commissionPerContract * fill.quantity;
+    let book = books.get(key);
+    let remaining = fill.quantity;
+
+    // Closing (or reversing) an existing position
+    if (book && Math.sign(book.position) !== fillSign) {
+      const closingQty = Math.min(remaining, Math.abs(book.position));
+
+      book.exitQty += closingQty;
+      book.exitValue += closingQty * fill.price;
+      book.commission += fillCommission * (closingQty / fill.quantity);
+      book.position += fillSign * closingQty;
+      book.exit_time = fill.time;
+      book.fill_ids.push(fill.fill_id);
+      remaining -= closingQty;
+
+      if (book.position === 0) {
+        roundTrips.push(finalize(book));
+        books.delete(key);
+        book = null;
+      }
+    }
+
+    // Opening or adding to a position
+    if (remaining > 0) {
+      if (!book) {
+        book = openBook(fill);
+        books.set(key, book);
+      }
+
+      book.entryQty += remaining;
+      book.entryValue += remaining * fill.price;
+      book.commission += fillCommission * (remaining / fill.quantity);
+      book.position += fillSign * remaining;
+      book.fill_ids.push(fill.fill_id);
+    }
+  });
+
+  const occurrences = new Map();
+  roundTrips.forEach(roundTrip => {
+    const baseKey = fingerprintRoundTrip(roundTrip);
+    const occurrence = occurrences.get(baseKey) || 0;
+    occurrences.set(baseKey, occurrence + 1);
+    roundTrip.fingerprint = fingerprintRoundTrip(roundTrip, occurrence);
+  });
+
+  const openPositions = Array.from(books.values()).map(book => ({
+    account: book.account,
+    symbol: book.symbol,
+    direction: book.direction,
+    contracts: Math.abs(book.position),
+    average_entry: roundTo(book.entryValue / book.entryQty, 4),
+    opened_at: book.entry_time.toISOString()
+  }));
+
+  const unknownSymbols = [...new Set(roundTrips.filter(rt => !rt.point_value_known).map(rt => rt.symbol))];
+
+  return { roundTrips, openPositions, unknownSymbols };
+};
+
+/**
+ * Infer the planned direction of a pre-trade analysis from its planned prices
+ * @param {object} trade - Row from the trades table
+ * @returns {string|null} 'long', 'short' or null when it cannot be determined
+ */
+const inferPlannedDirection = (trade) => {
+  const entry = trade.planned_entry;
+  if (!entry) return null;
+
+  if (trade.planned_target && trade.planned_target !== entry) {
+    return trade.planned_target > entry ? 'long' : 'short';
+  }
+
+  if (trade.planned_stop && trade.planned_stop !== entry) {
+    return trade.planned_stop < entry ? 'long' : 'short';
+  }
+
+  return null;
+};
+
+const parseTradeTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+
+  const raw = timestamp.toString();
+  const date = new Date(raw.includes('T') ? raw : `${raw.replace(' ', 'T')}Z`);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Match round trips to the nearest unexecuted pre-trade analysis. Each
+ * pre-trade is used at most once, closest pairs first.
+ * @param {Array} roundTrips - Round trips from buildRoundTrips
+ * @param {Array} preTrades - Candidate rows from the trades table
+ * @param {object} options - { windowMinutes } maximum distance between analysis and entry
+ * @returns {Map} fingerprint -> { trade, minutes_from_analysis }
+ */
+const matchRoundTripsToPreTrades = (roundTrips, preTrades, options = {}) => {
+  const windowMinutes = options.windowMinutes || 30;
+  const candidates = [];
+
+  roundTrips.forEach(roundTrip => {
+    const entryTime = new Date(roundTrip.entry_time);
+
+    preTrades.forEach(trade => {
+      const analysisTime = parseTradeTimestamp(trade.timestamp);
+      if (!analysisTime) return;
+
+      const plannedDirection = inferPlannedDirection(trade);
+      if (plannedDirection && plannedDirection !== roundTrip.direction) return;
+
+      const minutes = (entryTime - analysisTime) / 60000;
+      if (Math.abs(minutes) > windowMinutes) return;
+
+      candidates.push({
+        fingerprint: roundTrip.fingerprint,
+        trade,
+        minutes,
+        // Prefer pre-trades whose direction is known over ambiguous ones at equal distance
+        rank: Math.abs(minutes) + (plannedDirection ? 0 : 0.5)
+      });
+    });
+  });
+
+  candidates.sort((a, b) => a.rank - b.rank);
+
+  const matches = new Map();
+  const usedTrades = new Set();
+
+  candidates.forEach(candidate => {
+    if (matches.has(candidate.fingerprint) || usedTrades.has(candidate.trade.id)) return;
+
+    matches.set(candidate.fingerprint, {
+      trade: candidate.trade,
+      minutes_from_analysis: roundTo(candidate.minutes, 1)
+    });
+    usedTrades.add(candidate.trade.id);
+  });
+
+  return matches;
+};
+
+/**
+ * Classify a net P&L into the trade_outcome vocabulary
+ * @param {number} netPnl - Net P&L after commissions
+ * @returns {string} 'win', 'loss' or 'breakeven'
+ */
+const classifyOutcome = (netPnl) => {
+  if (netPnl > 0) return 'win';
+  if (netPnl < 0) return 'loss';
+  return 'breakeven';
+};
+
+module.exports = {
+  BROKER_FORMATS,
+  parseFillStatement,
+  buildRoundTrips,
+  matchRoundTripsToPreTrades,
+  inferPlannedDirection,
+  classifyOutcome
+};
@@ -0,0 +1,356 @@
+/**
+ * Goal Plan Service
+ * Wealth-building plans: a target balance over a horizon, reached through phases
+ * that each have their own deposit schedule and target weekly return. Progress,
+ * projections, milestones and the analysis prompts are measured against the
+ * user's active plan, or the original $500 -> $951,000 plan when none is active.
+ */
+
+const DEPOSIT_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'none'];
+const MAX_WEEKLY_RETURN = 20;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_GOAL_PLAN = {
+  id: null,
+  name: 'Five-year plan',
+  starting_balance: 500,
+  target_balance: 951000,
+  start_date: '2025-01-01',
+  end_date: '2030-01-01',
+  phases: [
+    { name: 'Building', until_balance: 50000, deposit_amount: 1750, deposit_frequency: 'weekly', target_weekly_return: 0.75 },
+    { name: 'Growth', until_balance: null, deposit_amount: 750, deposit_frequency: 'weekly', target_weekly_return: 0.75 }
+  ],
+  milestones: [5000, 10000, 15000, 20000, 25000, 30000, 40000, 50000,
+    75000, 100000, 150000, 200000, 300000, 500000, 750000, 951000],
+  is_active: true,
+  is_default: true
+};
+
+/**
+ * The plan a user's progress is measured against
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} Active plan, or DEFAULT_GOAL_PLAN (is_default: true)
+ */
+const getActivePlan = async (repos) => {
+  return (await repos.goalPlans.findActive()) || DEFAULT_GOAL_PLAN;
+};
+
+/**
+ * The phase a balance falls in
+ * @param {object} plan - Goal plan
+ * @param {number} balance - Account balance
+ * @returns {object} Phase plus its 1-based number
+ */
+const getPhase = (plan, balance) => {
+  const index = plan.phases.findIndex(phase =>
+    phase.until_balance === null || phase.until_balance === undefined || balance < phase.until_balance
+  );
+  const phaseIndex = index === -1 ? plan.phases.length - 1 : index;
+
+  return { ...plan.phases[phaseIndex], number: phaseIndex + 1 };
+};
+
+/**
+ * Average weekly deposit of a phase's deposit schedule
+ * @param {object} phase - Plan phase
+ * @returns {number} Dollars per week
+ */
+const getWeeklyDeposit = (phase) => {
+  const amount = phase.deposit_amount || 0;
+
+  switch (phase.deposit_frequency) {
+    case 'biweekly': return amount / 2;
+    case 'monthly': return (amount * 12) / 52;
+    case 'none': return 0;
+    default: return amount;
+  }
+};
+
+/**
+ * Deposit a phase's schedule makes in one simulated week
+ * @param {object} phase - Plan phase
+ * @param {number} weekIndex - 0-based week of the simulation
+ * @param {Date} weekStart - First day of the week
+ * @returns {number} Dollars deposited that week
+ */
+const getDepositForWeek = (phase, weekIndex, weekStart) => {
+  const amount = phase.deposit_amount || 0;
+
+  switch (phase.deposit_frequency) {
+    case 'biweekly': return weekIndex % 2 === 0 ? amount : 0;
+    case 'monthly': return weekStart.getUTCDate() <= 7 ? amount : 0; // The week holding the 1st
+    case 'none': return 0;
+    default: return amount;
+  }
+};
+
+/**
+ * Balances a plan's phases would produce week by week
+ * @param {object} plan - Goal plan
+ * @param {object} options - { balance, from, weeks, weeklyReturn, returnMultiplier } - weeklyReturn
+ *   (percent) overrides the phase targets; returnMultiplier scales them
+ * @returns {object} { final_balance, weeks: [{ week, date, balance, phase }] }
+ */
+const simulatePlan = (plan, options = {}) => {
+  const from = options.from ? new Date(options.from) : new Date();
+  const weeks = options.weeks === undefined ? getWeeksRemaining(plan, from) : options.weeks;
+  const multiplier = options.returnMultiplier === undefined ? 1 : options.returnMultiplier;
+  let balance = options.balance === undefined ? plan.starting_balance : options.balance;
+  const history = [];
+
+  for (let week = 0; week < weeks; week++) {
+    const weekStart = new Date(from.getTime() + week * MS_PER_WEEK);
+    const phase = getPhase(plan, balance);
+    const weeklyReturn = options.weeklyReturn !== undefined && options.weeklyReturn !== null
+      ? options.weeklyReturn
+      : phase.target_weekly_return * multiplier;
+
+    balance += getDepositForWeek(phase, week, weekStart);
+    balance *= (1 + weeklyReturn / 100);
+
+    history.push({
+      week: week + 1,
+      date: weekStart.toISOString().split('T')[0],
+      balance,
+      phase: getPhase(plan, balance).number
+    });
+  }
+
+  return { final_balance: balance, weeks: history };
+};
+
+/**
+ * Whole weeks left until the plan's end date
+ * @param {object} plan - Goal plan
+ * @param {Date} from - Reference date (defaults to now)
+ * @returns {number} Weeks, never negative
+ */
+const getWeeksRemaining = (plan, from = new Date()) => {
+  return Math.max(0, Math.floor((new Date(plan.end_date) - from) / MS_PER_WEEK));
+};
+
+/**
+ * Days since the plan started
+ * @param {object} plan - Goal plan
+ * @param {Date} at - Reference date (defaults to now)
+ * @returns {number} Days (negative before the start date)
+ */
+const getDaysElapsed = (plan, at = new Date()) => {
+  return Math.floor((at - new Date(plan.start_date)) / MS_PER_DAY);
+};
+
+/**
+ * Constant weekly return that reaches the target by the end date with the plan's deposits
+ * @param {object} plan - Goal plan
+ * @param {number} balance - Current balance
+ * @param {Date} from - Reference date (defaults to now)
+ * @returns {number} Percent per week (capped at MAX_WEEKLY_RETURN)
+ */
+const calculateRequiredWeeklyReturn = (plan, balance, from = new Date()) => {
+  const weeks = getWeeksRemaining(plan, from);
+  const reaches = (weeklyReturn) =>
+    simulatePlan(plan, { balance, from, weeks, weeklyReturn }).final_balance >= plan.target_balance;
+
+  if (weeks <= 0 || reaches(0)) return 0;
+  if (!reaches(MAX_WEEKLY_RETURN)) return MAX_WEEKLY_RETURN;
+
+  let low = 0;
+  let high = MAX_WEEKLY_RETURN;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (reaches(mid)) high = mid; else low = mid;
+  }
+
+  return Math.round(high * 100) / 100;
+};
+
+/**
+ * Milestone balances of a plan: its own list, or the phase thresholds plus
+ * 10/25/50/75/100% of the target
+ * @param {object} plan - Goal plan
+ * @returns {number[]} Ascending balances
+ */
+const getMilestones = (plan) => {
+  if (Array.isArray(plan.milestones) && plan.milestones.length > 0) {
+    return [...plan.milestones].sort((a, b) => a - b);
+  }
+
+  const derived = [0.1, 0.25, 0.5, 0.75, 1].map(share => Math.round(plan.target_balance * share));
+  plan.phases.forEach(phase => {
+    if (phase.until_balance) derived.push(phase.until_balance);
+  });
+
+  return [...new Set(derived)]
+    .filter(balance => balance > plan.starting_balance)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Where a balance stands against a plan, as recorded on account snapshots
+ * @param {object} plan - Goal plan
+ * @param {number} balance - Account balance
+ * @param {Date} at - Date of the balance (defaults to now)
+ * @returns {object} { phase, target_progress_percentage, days_elapsed, projection_status }
+ */
+const getSnapshotStatus = (plan, balance, at = new Date()) => {
+  const targetProgress = (balance / plan.target_balance) * 100;
+
+  return {
+    phase: getPhase(plan, balance).number,
+    target_progress_percentage: Math.round(targetProgress * 100) / 100,
+    days_elapsed: getDaysElapsed(plan, at),
+    projection_status: balance > plan.target_balance ? 'TARGET_EXCEEDED' :
+      balance >= plan.target_balance / 2 ? 'ON_TRACK_ADVANCED' : 'ON_TRACK'
+  };
+};
+
+/**
+ * Plan wording for the analysis prompts
+ * @param {object} plan - Goal plan
+ * @param {number} balance - Current balance (optional)
+ * @returns {object} { horizon, goal, phase, target_weekly_return }
+ */
+const describeGoalPlan = (plan, balance) => {
+  const phase = getPhase(plan, balance === undefined || balance === null ? plan.starting_balance : balance);
+  const years = Math.round(((new Date(plan.end_date) - new Date(plan.start_date)) / (365.25 * MS_PER_DAY)) * 10) / 10;
+
+  return {
+    horizon: `${years}-year`,
+    goal: `${formatDollars(plan.starting_balance)} → ${formatDollars(plan.target_balance)} by ${plan.end_date}`,
+    phase: `Phase ${phase.number} of ${plan.phases.length} (${phase.name})`,
+    target_weekly_return: phase.target_weekly_return
+  };
+};
+
+/**
+ * Validate a goal plan from a request
+ * @param {object} fields - Request body (a complete plan; merge updates onto the stored plan first)
+ * @returns {object} Cleaned plan fields
+ */
+const validateGoalPlan = (fields = {}) => {
+  const problems = [];
+  const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : parseFloat(value));
+
+  const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+  if (!name || name.length > 100) {
+    problems.push('name is required (at most 100 characters)');
+  }
+
+  const startingBalance = fields.starting_balance === undefined ? 0 : toNumber(fields.starting_balance);
+  if (isNaN(startingBalance) || startingBalance < 0) {
+    problems.push('starting_balance must be a non-negative number');
+  }
+
+  const targetBalance = toNumber(fields.target_balance);
+  if (isNaN(targetBalance) || targetBalance <= startingBalance) {
+    problems.push('target_balance must be a number above starting_balance');
+  }
+
+  const startDate = fields.start_date || new Date().toISOString().split('T')[0];
+  let endDate = fields.end_date;
+  if (!endDate && fields.horizon_years !== undefined) {
+    const years = toNumber(fields.horizon_years);
+    if (!isNaN(years) && years > 0 && isValidDate(startDate)) {
+      const end = new Date(new Date(startDate).getTime() + Math.round(years * 365.25) * MS_PER_DAY);
+      endDate = end.toISOString().split('T')[0];
+    }
+  }
+
+  if (!isValidDate(startDate)) {
+    problems.push('start_date must be YYYY-MM-DD');
+  }
+  if (!isValidDate(endDate) || endDate <= startDate) {
+    problems.push('end_date (or a positive horizon_years) must fall after start_date');
+  }
+
+  const phases = Array.isArray(fields.phases) ? fields.phases.map((phase, index) => {
+    const isLast = index === fields.phases.length - 1;
+    const untilBalance = isLast ? null : toNumber(phase.until_balance);
+    const depositAmount = phase.deposit_amount === undefined ? 0 : toNumber(phase.deposit_amount);
+    const frequency = phase.deposit_frequency || 'weekly';
+    const targetReturn = toNumber(phase.target_weekly_return);
+    const label = `phases[${index}]`;
+
+    if (!isLast && (isNaN(untilBalance) || untilBalance <= 0)) {
+      problems.push(`${label}.until_balance is required for every phase but the last`);
+    }
+    if (isNaN(depositAmount) || depositAmount < 0) {
+      problems.push(`${label}.deposit_amount must be a non-negative number`);
+    }
+    if (!DEPOSIT_FREQUENCIES.includes(frequency)) {
+      problems.push(`${label}.deposit_frequency must be one of: ${DEPOSIT_FREQUENCIES.join(', ')}`);
+    }
+    if (isNaN(targetReturn) || targetReturn <= 0 || targetReturn > MAX_WEEKLY_RETURN) {
+      problems.push(`${label}.target_weekly_return must be a percentage between 0 and ${MAX_WEEKLY_RETURN}`);
+    }
+
+    return {
+      name: typeof phase.name === 'string' && phase.name.trim() ? phase.name.trim() : `Phase ${index + 1}`,
+      until_balance: untilBalance,
+      deposit_amount: depositAmount,
+      deposit_frequency: frequency,
+      target_weekly_return: targetReturn
+    };
+  }) : [];
+
+  if (phases.length === 0) {
+    problems.push('phases must be a non-empty list');
+  }
+
+  const thresholds = phases.slice(0, -1).map(phase => phase.until_balance);
+  if (thresholds.some((threshold, index) => index > 0 && threshold <= thresholds[index - 1])) {
+    problems.push('phase until_balance values must increase');
+  }
+
+  let milestones = null;
+  if (fields.milestones !== undefined && fields.milestones !== null) {
+    milestones = Array.isArray(fields.milestones) ? fields.milestones.map(toNumber) : [];
+    if (milestones.length === 0 || milestones.some(value => isNaN(value) || value <= 0)) {
+      problems.push('milestones must be a list of positive balances');
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_GOAL_PLAN';
+    throw error;
+  }
+
+  return {
+    name,
+    starting_balance: startingBalance,
+    target_balance: targetBalance,
+    start_date: startDate,
+    end_date: endDate,
+    phases,
+    milestones
+  };
+};
+
+// Helper functions
+const isValidDate = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+};
+
+const formatDollars = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+module.exports = {
+  DEFAULT_GOAL_PLAN,
+  DEPOSIT_FREQUENCIES,
+  getActivePlan,
+  getPhase,
+  getWeeklyDeposit,
+  getDepositForWeek,
+  simulatePlan,
+  getWeeksRemaining,
+  getDaysElapsed,
+  calculateRequiredWeeklyReturn,
+  getMilestones,
+  getSnapshotStatus,
+  describeGoalPlan,
+  validateGoalPlan
+};
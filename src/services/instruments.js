@@ -0,0 +1,223 @@
+/**
+ * Instrument Registry Service
+ * Contract specifications - tick size, point value, session hours, typical daily
+ * range and commission per side - behind risk sizing, P&L, session timing and the
+ * analysis prompts. The registry itself lives in the instruments table.
+ */
+
+const DEFAULT_INSTRUMENT = 'MNQ';
+
+// Used when no registered contract applies (US index futures regular hours, Eastern)
+const DEFAULT_SESSION = { session_start: '09:30', session_end: '16:00' };
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,10}$/;
+const SESSION_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Resolve the contract a request refers to
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {string} symbol - Requested symbol; falls back to the settings' default_instrument
+ * @returns {Promise<object|null>} Instrument row, or null for an unknown symbol
+ */
+const resolveInstrument = async (repos, symbol) => {
+  const requested = symbol || await getDefaultInstrumentSymbol(repos);
+  return (await repos.instruments.findBySymbol(requested.toString())) || null;
+};
+
+/**
+ * The symbol a user trades when a request does not name one
+ * @param {object} repos - The user's repositories
+ * @returns {Promise<string>} settings.trading_settings.default_instrument or MNQ
+ */
+const getDefaultInstrumentSymbol = async (repos) => {
+  const stored = await repos.settings.get();
+  return stored?.settings?.trading_settings?.default_instrument || DEFAULT_INSTRUMENT;
+};
+
+/**
+ * Every contract visible to a user keyed by symbol, for bulk lookups such as fill imports
+ * @param {object} repos - The user's repositories
+ * @returns {Promise<object>} { [symbol]: instrument }
+ */
+const getInstrumentMap = async (repos) => {
+  const instruments = await repos.instruments.findAll();
+
+  return instruments.reduce((map, instrument) => {
+    map[instrument.symbol] = instrument;
+    return map;
+  }, {});
+};
+
+/**
+ * Dollar P&L of a price move
+ * @param {object} instrument - Instrument row
+ * @param {number} points - Points gained (negative for a loss)
+ * @param {number} contracts - Contracts traded
+ * @returns {object} { ticks, gross_pnl, commission, net_pnl } - commission covers entry and exit
+ */
+const calculatePnl = (instrument, points, contracts = 1) => {
+  const grossPnl = points * instrument.point_value * contracts;
+  const commission = (instrument.commission_per_side || 0) * 2 * contracts;
+
+  return {
+    ticks: Math.round((points / instrument.tick_size) * 100) / 100,
+    gross_pnl: Math.round(grossPnl * 100) / 100,
+    commission: Math.round(commission * 100) / 100,
+    net_pnl: Math.round((grossPnl - commission) * 100) / 100
+  };
+};
+
+/**
+ * Whole contracts a dollar risk budget allows for a stop distance
+ * @param {object} instrument - Instrument row
+ * @param {number} stopDistance - Points between entry and stop
+ * @param {number} riskBudget - Dollars that may be lost on the trade
+ * @returns {object} { contracts, risk_per_contract } - each contract risks the stop-out plus round-trip commission
+ */
+const contractsForRisk = (instrument, stopDistance, riskBudget) => {
+  const riskPerContract = -calculatePnl(instrument, -Math.abs(stopDistance), 1).net_pnl;
+
+  return {
+    // The epsilon keeps a budget that exactly covers N contracts from rounding down to N - 1
+    contracts: riskPerContract > 0 ? Math.max(0, Math.floor(riskBudget / riskPerContract + 1e-9)) : 0,
+    risk_per_contract: riskPerContract
+  };
+};
+
+/**
+ * Regular session of a contract in decimal hours (Eastern)
+ * @param {object} instrument - Instrument row (optional)
+ * @returns {object} { start, end } e.g. { start: 9.5, end: 16 }
+ */
+const getSessionHours = (instrument) => {
+  const hasSession = instrument && instrument.session_start && instrument.session_end;
+  const session = hasSession ? instrument : DEFAULT_SESSION;
+
+  return {
+    start: clockToHours(session.session_start),
+    end: clockToHours(session.session_end)
+  };
+};
+
+/**
+ * Opening window of a contract's session - the first 45 minutes, where scalping is focused
+ * @param {object} instrument - Instrument row (optional)
+ * @returns {string} e.g. '09:30-10:15 ET'
+ */
+const getOpeningWindow = (instrument) => {
+  const session = getSessionHours(instrument);
+  return `${hoursToClock(session.start)}-${hoursToClock(session.start + 0.75)} ET`;
+};
+
+/**
+ * Describe a contract for the analysis prompts
+ * @param {object} instrument - Instrument row
+ * @returns {string} Multi-line specification summary
+ */
+const describeInstrument = (instrument) => {
+  const tickValue = instrument.tick_size * instrument.point_value;
+  const lines = [
+    `- Instrument: ${instrument.symbol}${instrument.name ? ` (${instrument.name})` : ''}`,
+    `- Tick size: ${instrument.tick_size} ($${formatDollars(tickValue)} per contract), point value: $${formatDollars(instrument.point_value)}`
+  ];
+
+  if (instrument.session_start && instrument.session_end) {
+    lines.push(`- Regular session: ${instrument.session_start}-${instrument.session_end} ET`);
+  }
+  if (instrument.typical_daily_range) {
+    lines.push(`- Typical daily range: ~${instrument.typical_daily_range} points`);
+  }
+  if (instrument.commission_per_side) {
+    lines.push(`- Commission: $${formatDollars(instrument.commission_per_side)} per side`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Validate instrument fields from a request
+ * @param {object} fields - Request body
+ * @param {object} options - { partial } - true when updating, so missing fields are allowed
+ * @returns {object} Cleaned fields (symbol upper-cased, numbers parsed)
+ */
+const validateInstrument = (fields = {}, options = {}) => {
+  const cleaned = {};
+  const problems = [];
+
+  if (!options.partial) {
+    const symbol = typeof fields.symbol === 'string' ? fields.symbol.trim().toUpperCase() : '';
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      problems.push('symbol must be 1-10 letters or digits');
+    }
+    cleaned.symbol = symbol;
+  }
+
+  ['name', 'exchange'].forEach(field => {
+    if (fields[field] === undefined) return;
+    if (fields[field] !== null && (typeof fields[field] !== 'string' || fields[field].length > 100)) {
+      problems.push(`${field} must be text of at most 100 characters`);
+    }
+    cleaned[field] = fields[field];
+  });
+
+  [['tick_size', true], ['point_value', true], ['typical_daily_range', false], ['commission_per_side', false]]
+    .forEach(([field, required]) => {
+      if (fields[field] === undefined || fields[field] === null || fields[field] === '') {
+        if (required && !options.partial) problems.push(`${field} is required`);
+        return;
+      }
+
+      const value = parseFloat(fields[field]);
+      if (isNaN(value) || value < 0 || (required && value === 0)) {
+        problems.push(`${field} must be a ${required ? 'positive' : 'non-negative'} number`);
+      }
+      cleaned[field] = value;
+    });
+
+  ['session_start', 'session_end'].forEach(field => {
+    if (fields[field] === undefined) return;
+    if (fields[field] !== null && !SESSION_TIME_PATTERN.test(fields[field])) {
+      problems.push(`${field} must be HH:MM (24-hour, Eastern)`);
+    }
+    cleaned[field] = fields[field];
+  });
+
+  if (cleaned.session_start && cleaned.session_end && cleaned.session_start >= cleaned.session_end) {
+    problems.push('session_start must be before session_end');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_INSTRUMENT';
+    throw error;
+  }
+
+  return cleaned;
+};
+
+// Helper functions
+const clockToHours = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours + minutes / 60;
+};
+
+const hoursToClock = (hours) => {
+  const totalMinutes = Math.round(hours * 60);
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${pad(Math.floor(totalMinutes / 60))}:${pad(totalMinutes % 60)}`;
+};
+
+const formatDollars = (value) => (Number.isInteger(value) ? value.toString() : value.toFixed(2));
+
+module.exports = {
+  DEFAULT_INSTRUMENT,
+  resolveInstrument,
+  getDefaultInstrumentSymbol,
+  getInstrumentMap,
+  calculatePnl,
+  contractsForRisk,
+  getSessionHours,
+  getOpeningWindow,
+  describeInstrument,
+  validateInstrument
+};
@@ -0,0 +1,386 @@
+/**
+ * Cash-Flow Ledger Service
+ * Separates contributions from trading results. Deposits, withdrawals and
+ * adjustments are external cash flows; trade P&L and fees are performance.
+ * The account balance, account snapshots and time/money-weighted returns are
+ * all derived from the ledger, and reported balances are reconciled against it.
+ */
+
+const { getSnapshotStatus } = require('./goalPlans');
+const { getSessionDate } = require('./riskState');
+
+const LEDGER_ENTRY_TYPES = ['deposit', 'withdrawal', 'fee', 'trade_pnl', 'adjustment'];
+const EXTERNAL_FLOW_TYPES = ['deposit', 'withdrawal', 'adjustment'];
+
+// Entry types entered as positive amounts and stored with this sign
+const ENTRY_SIGNS = { deposit: 1, withdrawal: -1, fee: -1 };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MIN_ANNUALIZED_DAYS = 30; // Shorter periods annualize into meaningless numbers
+
+/**
+ * Ledger date (YYYY-MM-DD) of a timestamp
+ * @param {Date|string} value - Date, ISO string or SQLite timestamp (defaults to today)
+ * @returns {string} Date
+ */
+const toLedgerDate = (value = new Date()) => {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Ledger date of a trade: the session date (America/New_York) of its timestamp, the
+ * date the daily and weekly risk limits count it on
+ * @param {Date|string} timestamp - Date, ISO string or SQLite timestamp (UTC)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const toTradeLedgerDate = (timestamp) => {
+  if (timestamp instanceof Date) return getSessionDate(timestamp);
+
+  const text = String(timestamp).replace(' ', 'T');
+  return getSessionDate(new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`));
+};
+
+/**
+ * Validate a ledger entry from a request
+ * @param {object} fields - { entry_type, amount, entry_date, description }. Deposits,
+ *   withdrawals and fees take positive amounts; trade_pnl and adjustment are signed.
+ * @returns {object} { entry_type, amount (signed), entry_date, description }
+ */
+const validateLedgerEntry = (fields = {}) => {
+  const problems = [];
+
+  const entryType = fields.entry_type;
+  if (!LEDGER_ENTRY_TYPES.includes(entryType)) {
+    problems.push(`entry_type must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`);
+  }
+
+  const amount = fields.amount === undefined || fields.amount === null || fields.amount === ''
+    ? NaN
+    : parseFloat(fields.amount);
+  if (isNaN(amount) || amount === 0) {
+    problems.push('amount must be a non-zero number');
+  } else if (ENTRY_SIGNS[entryType] && amount < 0) {
+    problems.push(`amount of a ${entryType} must be positive`);
+  }
+
+  const entryDate = fields.entry_date || toLedgerDate();
+  if (!isValidDate(entryDate)) {
+    problems.push('entry_date must be YYYY-MM-DD');
+  }
+
+  if (fields.description !== undefined && fields.description !== null &&
+      (typeof fields.description !== 'string' || fields.description.length > 200)) {
+    problems.push('description must be text of at most 200 characters');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_LEDGER_ENTRY';
+    throw error;
+  }
+
+  return {
+    entry_type: entryType,
+    amount: ENTRY_SIGNS[entryType] ? amount * ENTRY_SIGNS[entryType] : amount,
+    entry_date: entryDate,
+    description: fields.description || null
+  };
+};
+
+/**
+ * Validate ledger query parameters
+ * @param {object} query - { type, from, to, as_of, limit, offset, tolerance }
+ * @returns {object} Parsed values (absent parameters stay undefined)
+ */
+const validateLedgerQuery = (query = {}) => {
+  const problems = [];
+  const parsed = {};
+
+  if (query.type !== undefined) {
+    if (!LEDGER_ENTRY_TYPES.includes(query.type)) {
+      problems.push(`type must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`);
+    }
+    parsed.type = query.type;
+  }
+
+  ['from', 'to', 'as_of'].forEach(name => {
+    if (query[name] === undefined) return;
+    if (!isValidDate(query[name])) problems.push(`${name} must be YYYY-MM-DD`);
+    parsed[name] = query[name];
+  });
+  if (parsed.from && parsed.to && parsed.from > parsed.to) {
+    problems.push('from must not be after to');
+  }
+
+  if (query.limit !== undefined) {
+    parsed.limit = parseInt(query.limit);
+    if (isNaN(parsed.limit) || parsed.limit < 1 || parsed.limit > 500) problems.push('limit must be between 1 and 500');
+  }
+  if (query.offset !== undefined) {
+    parsed.offset = parseInt(query.offset);
+    if (isNaN(parsed.offset) || parsed.offset < 0) problems.push('offset must be 0 or more');
+  }
+  if (query.tolerance !== undefined) {
+    parsed.tolerance = parseFloat(query.tolerance);
+    if (isNaN(parsed.tolerance) || parsed.tolerance < 0) problems.push('tolerance must be a non-negative amount');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_LEDGER_QUERY';
+    throw error;
+  }
+
+  return parsed;
+};
+
+/**
+ * Current account balance: the ledger balance, or the last reported balance
+ * for users whose ledger is still empty
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<number|null>} Balance (null when nothing is known)
+ */
+const getAccountBalance = async (repos) => {
+  const summary = await repos.ledger.getSummary();
+  if (summary.entry_count > 0) return summary.balance;
+
+  const latest = await repos.progress.getLatest();
+  return latest?.account_balance ?? null;
+};
+
+/**
+ * Time-weighted and money-weighted returns over a period
+ * @param {object[]} entries - Ledger entries, oldest first (findAllUntil)
+ * @param {object} range - { from, to } (YYYY-MM-DD; defaults to the first entry and today)
+ * @returns {object} Balances, flows and the two return measures in percent
+ */
+const calculateReturns = (entries, range = {}) => {
+  const from = range.from || (entries.length > 0 ? entries[0].entry_date : toLedgerDate());
+  const to = range.to || toLedgerDate();
+  const days = Math.max(0, Math.round((parseDate(to) - parseDate(from)) / MS_PER_DAY));
+
+  let value = entries
+    .filter(entry => entry.entry_date < from)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const startingBalance = value;
+  const totals = { deposits: 0, withdrawals: 0, adjustments: 0, fees: 0, trading_pnl: 0 };
+  const cashFlows = startingBalance !== 0 ? [{ date: from, amount: -startingBalance }] : [];
+
+  // Daily sub-periods: the day's external flows arrive first, then its trading results
+  let twrFactor = 1;
+  const inPeriod = entries.filter(entry => entry.entry_date >= from && entry.entry_date <= to);
+
+  for (const [date, dayEntries] of groupByDate(inPeriod)) {
+    let flow = 0;
+    let performance = 0;
+
+    dayEntries.forEach(entry => {
+      if (EXTERNAL_FLOW_TYPES.includes(entry.entry_type)) {
+        flow += entry.amount;
+      } else {
+        performance += entry.amount;
+      }
+      totals[TOTAL_KEYS[entry.entry_type]] += entry.amount;
+    });
+
+    const dayStart = value + flow;
+    if (dayStart > 0) twrFactor *= (dayStart + performance) / dayStart;
+    value = dayStart + performance;
+
+    if (flow !== 0) cashFlows.push({ date, amount: -flow });
+  }
+
+  cashFlows.push({ date: to, amount: value });
+
+  const annualRate = solveMoneyWeightedRate(cashFlows);
+  const timeWeighted = twrFactor - 1;
+  const years = days / 365;
+  const moneyWeighted = annualRate === null ? null : Math.pow(1 + annualRate, years) - 1;
+  const canAnnualize = days >= MIN_ANNUALIZED_DAYS;
+
+  return {
+    from,
+    to,
+    days,
+    starting_balance: roundMoney(startingBalance),
+    ending_balance: roundMoney(value),
+    deposits: roundMoney(totals.deposits),
+    withdrawals: roundMoney(totals.withdrawals),
+    adjustments: roundMoney(totals.adjustments),
+    net_contributions: roundMoney(totals.deposits + totals.withdrawals + totals.adjustments),
+    trading_pnl: roundMoney(totals.trading_pnl),
+    fees: roundMoney(totals.fees),
+    time_weighted_return: toPercent(timeWeighted),
+    time_weighted_return_annualized: canAnnualize && twrFactor > 0 ? toPercent(Math.pow(twrFactor, 1 / years) - 1) : null,
+    money_weighted_return: moneyWeighted === null ? null : toPercent(moneyWeighted),
+    money_weighted_return_annualized: canAnnualize && annualRate !== null ? toPercent(annualRate) : null
+  };
+};
+
+/**
+ * Weekly account snapshots rebuilt from the ledger
+ * @param {object} plan - Active goal plan
+ * @param {object[]} entries - Ledger entries, oldest first (findAllUntil)
+ * @returns {object[]} Snapshots for ProgressRepository.replaceSnapshots, oldest first
+ */
+const buildLedgerSnapshots = (plan, entries) => {
+  const snapshots = [];
+  const totals = { deposits: 0, withdrawals: 0, adjustments: 0, fees: 0, trading_pnl: 0 };
+  let balance = 0;
+
+  entries.forEach((entry, index) => {
+    balance += entry.amount;
+    totals[TOTAL_KEYS[entry.entry_type]] += entry.amount;
+
+    // One snapshot per week, dated by the week's last entry
+    const next = entries[index + 1];
+    if (next && getWeekStart(next.entry_date) === getWeekStart(entry.entry_date)) return;
+
+    snapshots.push({
+      balance: roundMoney(balance),
+      snapshot_date: entry.entry_date,
+      deposits_total: roundMoney(totals.deposits),
+      withdrawals_total: roundMoney(-totals.withdrawals),
+      fees_total: roundMoney(-totals.fees),
+      trading_pnl: roundMoney(totals.trading_pnl),
+      adjustments_total: roundMoney(totals.adjustments),
+      ...getSnapshotStatus(plan, balance, parseDate(entry.entry_date))
+    });
+  });
+
+  return snapshots;
+};
+
+/**
+ * Compare reported balances with the ledger balance on the same dates
+ * @param {object[]} entries - Ledger entries, oldest first (findAllUntil)
+ * @param {object[]} reports - Balance reports, oldest first (findBalanceReports)
+ * @param {number} tolerance - Largest gap in dollars treated as matching
+ * @returns {object} { tolerance, reports, summary }
+ */
+const reconcileBalances = (entries, reports, tolerance = 1) => {
+  let index = 0;
+  let ledgerBalance = 0;
+  let previousGap = 0;
+
+  const checked = reports.map(report => {
+    while (index < entries.length && entries[index].entry_date <= report.report_date) {
+      ledgerBalance += entries[index].amount;
+      index++;
+    }
+
+    const gap = roundMoney(report.reported_balance - ledgerBalance);
+    const flagged = Math.abs(gap) > tolerance;
+    const result = {
+      report_id: report.id,
+      report_date: report.report_date,
+      reported_balance: report.reported_balance,
+      ledger_balance: roundMoney(ledgerBalance),
+      gap,
+      gap_change: roundMoney(gap - previousGap), // Where a gap first opened up
+      status: flagged ? 'gap' : 'matched'
+    };
+    previousGap = gap;
+
+    if (flagged) {
+      result.suggestion = gap > 0
+        ? `Reported balance is $${Math.abs(gap).toFixed(2)} higher: a deposit, trade gain or adjustment may be missing from the ledger`
+        : `Reported balance is $${Math.abs(gap).toFixed(2)} lower: a withdrawal, fee or trade loss may be missing from the ledger`;
+    }
+
+    return result;
+  });
+
+  const flagged = checked.filter(report => report.status === 'gap');
+  const latest = checked[checked.length - 1];
+
+  return {
+    tolerance,
+    reports: checked,
+    summary: {
+      reports_checked: checked.length,
+      gaps_found: flagged.length,
+      largest_gap: flagged.reduce((largest, report) => Math.max(largest, Math.abs(report.gap)), 0),
+      latest_gap: latest ? latest.gap : null,
+      in_balance: !latest || latest.status === 'matched'
+    }
+  };
+};
+
+// Helper functions
+const TOTAL_KEYS = {
+  deposit: 'deposits',
+  withdrawal: 'withdrawals',
+  adjustment: 'adjustments',
+  fee: 'fees',
+  trade_pnl: 'trading_pnl'
+};
+
+const groupByDate = (entries) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (!groups.has(entry.entry_date)) groups.set(entry.entry_date, []);
+    groups.get(entry.entry_date).push(entry);
+  });
+  return groups;
+};
+
+// Annual rate r where the discounted cash flows sum to zero (XIRR), found by bisection
+const solveMoneyWeightedRate = (cashFlows) => {
+  if (cashFlows.length < 2) return null;
+
+  const start = parseDate(cashFlows[0].date);
+  const netPresentValue = (rate) => cashFlows.reduce((sum, flow) => {
+    const years = (parseDate(flow.date) - start) / (365 * MS_PER_DAY);
+    return sum + flow.amount / Math.pow(1 + rate, years);
+  }, 0);
+
+  let low = -0.9999;
+  let high = 1000;
+  let lowValue = netPresentValue(low);
+  if (Math.sign(lowValue) === Math.sign(netPresentValue(high))) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = netPresentValue(mid);
+    if (Math.sign(midValue) === Math.sign(lowValue)) {
+      low = mid;
+      lowValue = midValue;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+const getWeekStart = (date) => {
+  const day = parseDate(date);
+  const weekday = (day.getUTCDay() + 6) % 7; // Monday = 0
+  return toLedgerDate(new Date(day.getTime() - weekday * MS_PER_DAY));
+};
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(parseDate(value).getTime());
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toPercent = (value) => Math.round(value * 10000) / 100;
+
+module.exports = {
+  LEDGER_ENTRY_TYPES,
+  EXTERNAL_FLOW_TYPES,
+  toLedgerDate,
+  toTradeLedgerDate,
+  validateLedgerEntry,
+  validateLedgerQuery,
+  getAccountBalance,
+  calculateReturns,
+  buildLedgerSnapshots,
+  reconcileBalances
+};
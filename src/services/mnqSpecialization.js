@@ -1,14 +1,24 @@
 /**
  * MNQ Specialization Layer
- * Provides expert-level MNQ futures analysis while supporting universal timeframes
+ * Provides expert-level futures scalping analysis while supporting universal timeframes.
+ * Contract details (point value, tick size, session hours, typical range) come from the
+ * instrument registry; without one the MNQ regular session is assumed.
  */
 
+const { getSessionHours, contractsForRisk } = require('./instruments');
+
+// MNQ contract figures used when no instrument is given
+const MNQ_CONTRACT = { symbol: 'MNQ', point_value: 2, tick_size: 0.25, typical_daily_range: 45, commission_per_side: 0 };
+
 /**
- * Analyze session timing for MNQ scalping
+ * Analyze session timing for futures scalping
  * @param {string} sessionTime - Time in format "9:35 AM" or "09:35"
+ * @param {object} instrument - Instrument row from the registry (optional)
  * @returns {object} Session analysis with quality and risk adjustment
  */
-const analyzeSessionTiming = (sessionTime) => {
+const analyzeSessionTiming = (sessionTime, instrument) => {
+  const symbol = instrument ? instrument.symbol : 'MNQ';
+
   if (!sessionTime) {
     return {
       quality: 'unknown',
@@ -42,13 +52,20 @@ const analyzeSessionTiming = (sessionTime) => {
 
     const timeDecimal = hour + (minute / 60);
 
-    // MNQ optimal session analysis (Eastern Time)
-    if (timeDecimal >= 9.5 && timeDecimal < 10.25) { // 9:30 AM - 10:15 AM
+    // Windows follow the contract's regular session (Eastern Time); for MNQ these are
+    // 9:30-10:15 open, 10:15-11:30 mid-morning, 11:30-1:00 lunch, 1:00-3:00 afternoon, 3:00-4:00 close
+    const session = getSessionHours(instrument);
+    const openingEnd = session.start + 0.75;
+    const morningEnd = session.start + 2;
+    const closingStart = session.end - 1;
+    const afternoonStart = Math.max(morningEnd, session.end - 3);
+
+    if (timeDecimal >= session.start && timeDecimal < openingEnd) {
       return {
         quality: 'optimal',
-        reason: 'Opening session - peak MNQ volatility and volume',
+        reason: `Opening session - peak ${symbol} volatility and volume`,
         risk_adjustment: 1.0,
-        mnq_context: 'Ideal for MNQ scalping with high probability setups',
+        mnq_context: `Ideal for ${symbol} scalping with high probability setups`,
         session_characteristics: [
           'Maximum volatility and movement',
           'Institutional order flow active',
@@ -56,12 +73,12 @@ const analyzeSessionTiming = (sessionTime) => {
           'Optimal risk/reward ratios available'
         ]
       };
-    } else if (timeDecimal >= 10.25 && timeDecimal < 11.5) { // 10:15 AM - 11:30 AM
+    } else if (timeDecimal >= openingEnd && timeDecimal < morningEnd) {
       return {
         quality: 'good',
         reason: 'Mid-morning momentum - reduced but viable volatility',
         risk_adjustment: 0.85,
-        mnq_context: 'Good for experienced MNQ scalpers with refined setups',
+        mnq_context: `Good for experienced ${symbol} scalpers with refined setups`,
         session_characteristics: [
           'Moderate volatility continuation',
           'Trend continuation patterns',
@@ -69,12 +86,12 @@ const analyzeSessionTiming = (sessionTime) => {
           'Requires higher precision'
         ]
       };
-    } else if (timeDecimal >= 11.5 && timeDecimal < 13) { // 11:30 AM - 1:00 PM
+    } else if (timeDecimal >= morningEnd && timeDecimal < afternoonStart) {
       return {
         quality: 'fair',
         reason: 'Lunch period - consolidation and reduced volume',
         risk_adjustment: 0.7,
-        mnq_context: 'Challenging for MNQ scalping - range-bound conditions',
+        mnq_context: `Challenging for ${symbol} scalping - range-bound conditions`,
         session_characteristics: [
           'Consolidation patterns dominant',
           'Reduced institutional participation',
@@ -82,12 +99,12 @@ const analyzeSessionTiming = (sessionTime) => {
           'Risk of whipsaws increases'
         ]
       };
-    } else if (timeDecimal >= 13 && timeDecimal < 15) { // 1:00 PM - 3:00 PM
+    } else if (timeDecimal >= afternoonStart && timeDecimal < closingStart) {
       return {
         quality: 'acceptable',
         reason: 'Afternoon session - moderate activity resumption',
         risk_adjustment: 0.8,
-        mnq_context: 'Selective MNQ opportunities with careful risk management',
+        mnq_context: `Selective ${symbol} opportunities with careful risk management`,
         session_characteristics: [
           'Gradual volume increase',
           'Institutional re-engagement',
@@ -95,12 +112,12 @@ const analyzeSessionTiming = (sessionTime) => {
           'Preparation for close'
         ]
       };
-    } else if (timeDecimal >= 15 && timeDecimal < 16) { // 3:00 PM - 4:00 PM
+    } else if (timeDecimal >= closingStart && timeDecimal < session.end) {
       return {
         quality: 'good',
         reason: 'Market close approach - increased volatility',
         risk_adjustment: 0.9,
-        mnq_context: 'Strong MNQ opportunities but requires experience',
+        mnq_context: `Strong ${symbol} opportunities but requires experience`,
         session_characteristics: [
           'Closing auction preparation',
           'Institutional positioning',
@@ -113,7 +130,7 @@ const analyzeSessionTiming = (sessionTime) => {
         quality: 'poor',
         reason: 'Outside regular trading hours or low activity period',
         risk_adjustment: 0.6,
-        mnq_context: 'Not recommended for MNQ scalping',
+        mnq_context: `Not recommended for ${symbol} scalping`,
         session_characteristics: [
           'Extended hours conditions',
           'Reduced liquidity',
@@ -134,13 +151,15 @@ const analyzeSessionTiming = (sessionTime) => {
 };
 
 /**
- * Assess scalping conditions for MNQ
+ * Assess scalping conditions for a futures contract
  * @param {Array} classifiedTimeframes - Array of classified timeframes
  * @param {object} tradingContext - Trading context including session info
- * @returns {object} MNQ scalping suitability assessment
+ * @param {object} instrument - Instrument row from the registry (optional)
+ * @returns {object} Scalping suitability assessment
  */
-const assessMNQScalpingConditions = (classifiedTimeframes, tradingContext) => {
-  const sessionAnalysis = analyzeSessionTiming(tradingContext.session_info);
+const assessMNQScalpingConditions = (classifiedTimeframes, tradingContext, instrument) => {
+  const symbol = instrument ? instrument.symbol : 'MNQ';
+  const sessionAnalysis = analyzeSessionTiming(tradingContext.session_info, instrument);
   const ultraShortFrames = classifiedTimeframes.filter(tf => tf.classification.category === 'ultra_short');
   const structureFrames = classifiedTimeframes.filter(tf => tf.classification.category === 'short_term');
 
@@ -176,13 +195,13 @@ const assessMNQScalpingConditions = (classifiedTimeframes, tradingContext) => {
   let riskScore = 0;
   if (accountSize >= 25000) {
     riskScore = 15;
-    conditions.push('Adequate account size for MNQ scalping');
+    conditions.push(`Adequate account size for ${symbol} scalping`);
   } else if (accountSize >= 10000) {
     riskScore = 10;
-    conditions.push('Minimum account size for careful MNQ scalping');
+    conditions.push(`Minimum account size for careful ${symbol} scalping`);
   } else {
     riskScore = 5;
-    warnings.push('Account size may be too small for optimal MNQ risk management');
+    warnings.push(`Account size may be too small for optimal ${symbol} risk management`);
   }
   suitabilityScore += riskScore;
 
@@ -206,34 +225,44 @@ const assessMNQScalpingConditions = (classifiedTimeframes, tradingContext) => {
     session_analysis: sessionAnalysis,
     favorable_conditions: conditions,
     warnings: warnings,
-    recommendations: generateMNQRecommendations(overall, sessionAnalysis, classifiedTimeframes)
+    recommendations: generateMNQRecommendations(overall, sessionAnalysis, classifiedTimeframes, symbol)
   };
 };
 
 /**
- * Calculate MNQ-specific risk parameters
+ * Calculate contract-specific risk parameters
  * @param {number} accountSize - Account size in dollars
  * @param {object} sessionAnalysis - Session timing analysis
+ * @param {object} instrument - Instrument row from the registry (point value, tick size, range)
+ * @param {number} stopDistance - Planned stop distance in points (optional)
  * @returns {object} Risk management parameters
  */
-const calculateMNQRiskParameters = (accountSize, sessionAnalysis) => {
+const calculateMNQRiskParameters = (accountSize, sessionAnalysis, instrument, stopDistance) => {
   const baseRisk = 50; // $50 maximum risk per trade
   const adjustedRisk = baseRisk * sessionAnalysis.risk_adjustment;
 
-  // MNQ typical point values and spreads
-  const mnqPointValue = 2; // $2 per point for MNQ
-  const typicalSpread = 0.25; // 0.25 points typical spread
-  const avgDailyRange = 45; // Approximate daily range in points
+  // Contract point value and spreads (MNQ figures when no instrument is given)
+  const contract = instrument || MNQ_CONTRACT;
+  const pointValue = contract.point_value;
+  const typicalSpread = contract.tick_size; // One tick typical spread
+  const avgDailyRange = contract.typical_daily_range || 45; // Approximate daily range in points
+  const commissionPerSide = contract.commission_per_side || 0;
 
-  // Position sizing calculations
-  const maxRiskPoints = adjustedRisk / mnqPointValue;
-  const recommendedContracts = Math.floor(adjustedRisk / (avgDailyRange * mnqPointValue * 0.1)); // 10% of daily range risk
+  // Size from the planned stop; before one is known, assume a stop of 10% of the daily range
+  const sizingStop = stopDistance > 0 ? stopDistance : avgDailyRange * 0.1;
+  const maxRiskPoints = adjustedRisk / pointValue;
+  const { contracts, risk_per_contract: riskPerContract } = contractsForRisk(contract, sizingStop, adjustedRisk);
 
   return {
     max_risk_dollars: Math.round(adjustedRisk * 100) / 100,
     max_risk_points: Math.round(maxRiskPoints * 100) / 100,
-    recommended_contracts: Math.max(1, recommendedContracts),
-    point_value: mnqPointValue,
+    recommended_contracts: stopDistance > 0 ? contracts : Math.max(1, contracts),
+    sizing_basis: stopDistance > 0 ? 'planned_stop' : 'assumed_stop',
+    sizing_stop_points: Math.round(sizingStop * 100) / 100,
+    risk_per_contract: riskPerContract,
+    point_value: pointValue,
+    tick_value: Math.round(typicalSpread * pointValue * 100) / 100,
+    round_trip_commission: Math.round(commissionPerSide * 2 * 100) / 100,
     typical_spread: typicalSpread,
     stop_buffer: typicalSpread * 2, // Minimum stop buffer
     risk_adjustment_factor: sessionAnalysis.risk_adjustment,
@@ -242,17 +271,18 @@ const calculateMNQRiskParameters = (accountSize, sessionAnalysis) => {
 };
 
 /**
- * Analyze MNQ microstructure considerations
+ * Analyze contract microstructure considerations
  * @param {Array} classifiedTimeframes - Classified timeframes
  * @param {object} tradingContext - Trading context
+ * @param {object} instrument - Instrument row from the registry (optional)
  * @returns {object} Microstructure analysis
  */
-const analyzeMNQMicrostructure = (classifiedTimeframes, tradingContext) => {
+const analyzeMNQMicrostructure = (classifiedTimeframes, tradingContext, instrument) => {
   const hasUltraShort = classifiedTimeframes.some(tf => tf.classification.category === 'ultra_short');
   const hasStructure = classifiedTimeframes.some(tf => tf.classification.category === 'short_term');
 
   const analysis = {
-    liquidity_assessment: 'high', // MNQ generally has good liquidity
+    liquidity_assessment: 'high', // Registered index and commodity futures are liquid
     spread_considerations: [],
     execution_insights: [],
     volume_profile_importance: 'high'
@@ -270,7 +300,7 @@ const analyzeMNQMicrostructure = (classifiedTimeframes, tradingContext) => {
   }
 
   // Session-specific microstructure
-  const sessionAnalysis = analyzeSessionTiming(tradingContext.session_info);
+  const sessionAnalysis = analyzeSessionTiming(tradingContext.session_info, instrument);
   if (sessionAnalysis.quality === 'optimal') {
     analysis.liquidity_assessment = 'excellent';
     analysis.spread_considerations.push('Tightest spreads expected during opening session');
@@ -284,13 +314,14 @@ const analyzeMNQMicrostructure = (classifiedTimeframes, tradingContext) => {
 };
 
 /**
- * Generate MNQ-specific recommendations
+ * Generate contract-specific recommendations
  * @param {string} suitability - Overall suitability rating
  * @param {object} sessionAnalysis - Session timing analysis
  * @param {Array} timeframes - Classified timeframes
+ * @param {string} symbol - Instrument symbol
  * @returns {Array} Array of specific recommendations
  */
-const generateMNQRecommendations = (suitability, sessionAnalysis, timeframes) => {
+const generateMNQRecommendations = (suitability, sessionAnalysis, timeframes, symbol = 'MNQ') => {
   const recommendations = [];
 
   // Session-based recommendations
@@ -307,7 +338,7 @@ const generateMNQRecommendations = (suitability, sessionAnalysis, timeframes) =>
     recommendations.push('Only take highest-conviction setups');
     recommendations.push('Consider paper trading during this session');
   } else {
-    recommendations.push('Avoid trading - poor session conditions for MNQ scalping');
+    recommendations.push(`Avoid trading - poor session conditions for ${symbol} scalping`);
     recommendations.push('Use this time for market study and preparation');
   }
 
@@ -324,7 +355,7 @@ const generateMNQRecommendations = (suitability, sessionAnalysis, timeframes) =>
   }
 
   if (ultraShort >= 1 && structure >= 1) {
-    recommendations.push('Excellent timeframe combination for MNQ analysis');
+    recommendations.push(`Excellent timeframe combination for ${symbol} analysis`);
     recommendations.push('Use structure for bias, ultra-short for timing');
   }
 
@@ -332,22 +363,25 @@ const generateMNQRecommendations = (suitability, sessionAnalysis, timeframes) =>
 };
 
 /**
- * Provide comprehensive MNQ insights
+ * Provide comprehensive scalping insights for a registered contract
  * @param {object} timeframeData - Classified timeframe data
  * @param {object} tradingContext - Trading context
- * @returns {object} Complete MNQ specialization analysis
+ * @param {object} instrument - Instrument row from the registry
+ * @returns {object} Complete specialization analysis, or null outside futures scalping
  */
-const provideMNQInsights = (timeframeData, tradingContext) => {
-  if (tradingContext.instrument !== 'MNQ' && tradingContext.trading_style !== 'mnq_scalping') {
-    return null; // No MNQ specialization for other contexts
+const provideMNQInsights = (timeframeData, tradingContext, instrument) => {
+  const scalping = ['scalping', 'mnq_scalping'].includes(tradingContext.trading_style);
+  if (!instrument || !scalping) {
+    return null; // No specialization for other contexts
   }
 
-  const scalpingConditions = assessMNQScalpingConditions(timeframeData.classified_timeframes, tradingContext);
+  const scalpingConditions = assessMNQScalpingConditions(timeframeData.classified_timeframes, tradingContext, instrument);
   const riskParameters = calculateMNQRiskParameters(
     parseFloat(tradingContext.account_size) || 67500,
-    scalpingConditions.session_analysis
+    scalpingConditions.session_analysis,
+    instrument
   );
-  const microstructure = analyzeMNQMicrostructure(timeframeData.classified_timeframes, tradingContext);
+  const microstructure = analyzeMNQMicrostructure(timeframeData.classified_timeframes, tradingContext, instrument);
 
   return {
     specialization_type: 'mnq_scalping_expert',
@@ -360,10 +394,10 @@ const provideMNQInsights = (timeframeData, tradingContext) => {
     microstructure_analysis: microstructure,
 
     key_insights: [
-      `MNQ scalping suitability: ${scalpingConditions.overall_suitability} (${scalpingConditions.suitability_score}/100)`,
+      `${instrument.symbol} scalping suitability: ${scalpingConditions.overall_suitability} (${scalpingConditions.suitability_score}/100)`,
       `Session quality: ${scalpingConditions.session_analysis.quality} - ${scalpingConditions.session_analysis.reason}`,
       `Recommended risk: $${riskParameters.max_risk_dollars} (${riskParameters.account_heat_percentage}% account)`,
-      `Contracts suggested: ${riskParameters.recommended_contracts}`
+      `Contracts suggested: ${riskParameters.recommended_contracts} ($${riskParameters.point_value}/point, $${riskParameters.round_trip_commission} round-trip commission)`
     ],
 
     trading_plan: {
@@ -0,0 +1,306 @@
+/**
+ * Monte Carlo Projection Service
+ * Bootstraps the trader's closed trades into thousands of simulated paths under
+ * a goal plan's deposit schedule. Each week draws a trade count from the weeks
+ * actually traded, then each trade wins at the historical win rate and takes an
+ * R-multiple from the historical wins or losses, sized as a percent of the
+ * simulated balance. Results are reproducible for a given seed.
+ */
+
+const { getPhase, getDepositForWeek, getWeeksRemaining, getMilestones } = require('./goalPlans');
+
+const MIN_CLOSED_TRADES = 10;
+const BAND_INTERVAL_WEEKS = 4;
+const MAX_PATH_WEEKS = 2500000; // Keeps one run to a few seconds of the event loop
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const LIMITS = {
+  paths: { min: 100, max: 10000, default: 2000 },
+  weeks: { min: 1, max: 1040 },
+  drawdown_threshold: { min: 1, max: 99, default: 20 },
+  risk_percent: { min: 0.1, max: 10, default: 1 }
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Turn closed trades into the distributions the simulation samples from
+ * @param {object[]} trades - Closed results, oldest first (findClosedResults)
+ * @param {number} defaultRisk - Dollar risk assumed for trades without risk_amount
+ * @returns {object} { closed_trades, win_rate, win_r, loss_r, trades_per_week, ... }
+ */
+const buildTradeModel = (trades, defaultRisk) => {
+  const rMultiples = trades.map(trade => {
+    const risk = trade.risk_amount > 0 ? trade.risk_amount : defaultRisk;
+    return trade.actual_pnl / risk;
+  });
+  const winR = rMultiples.filter(r => r > 0);
+  const lossR = rMultiples.filter(r => r <= 0);
+
+  // Trades per calendar week across the traded span, quiet weeks included
+  const weekCounts = new Map();
+  trades.forEach(trade => {
+    const week = Math.floor(toTime(trade.timestamp) / MS_PER_WEEK);
+    weekCounts.set(week, (weekCounts.get(week) || 0) + 1);
+  });
+  const weeks = [...weekCounts.keys()];
+  const firstWeek = Math.min(...weeks);
+  const lastWeek = Math.max(...weeks);
+  const tradesPerWeek = [];
+  for (let week = firstWeek; week <= lastWeek; week++) {
+    tradesPerWeek.push(weekCounts.get(week) || 0);
+  }
+
+  const winRate = winR.length / rMultiples.length;
+  const avgWinR = average(winR);
+  const avgLossR = average(lossR);
+
+  return {
+    closed_trades: rMultiples.length,
+    win_rate: winRate,
+    avg_win_r: avgWinR,
+    avg_loss_r: avgLossR,
+    expectancy_r: winRate * avgWinR + (1 - winRate) * avgLossR,
+    avg_trades_per_week: average(tradesPerWeek),
+    weeks_sampled: tradesPerWeek.length,
+    win_r: winR,
+    loss_r: lossR,
+    trades_per_week: tradesPerWeek
+  };
+};
+
+/**
+ * Validate simulation options from a query string
+ * @param {object} query - { paths, seed, weeks, drawdown_threshold, risk_percent }
+ * @returns {object} Options with defaults applied (seed and weeks may stay undefined)
+ */
+const validateSimulationOptions = (query = {}) => {
+  const problems = [];
+  const options = {};
+
+  const readNumber = (name, { min, max }, integer = false) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    const value = Number(query[name]);
+    if (isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      problems.push(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+  options.paths = readNumber('paths', LIMITS.paths, true);
+  options.weeks = readNumber('weeks', LIMITS.weeks, true);
+  options.drawdown_threshold = readNumber('drawdown_threshold', LIMITS.drawdown_threshold);
+  options.risk_percent = readNumber('risk_percent', LIMITS.risk_percent);
+  options.seed = readNumber('seed', { min: 0, max: 4294967295 }, true);
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_SIMULATION_OPTIONS';
+    throw error;
+  }
+
+  return {
+    paths: options.paths || LIMITS.paths.default,
+    weeks: options.weeks,
+    drawdown_threshold: options.drawdown_threshold || LIMITS.drawdown_threshold.default,
+    risk_percent: options.risk_percent || LIMITS.risk_percent.default,
+    seed: options.seed
+  };
+};
+
+/**
+ * Run the Monte Carlo projection for a goal plan
+ * @param {object} plan - Goal plan
+ * @param {object[]} trades - Closed results, oldest first (findClosedResults)
+ * @param {object} options - { balance, from, paths, weeks, seed, drawdown_threshold,
+ *   risk_percent, default_risk }
+ * @returns {object} { seed, paths, weeks, model, bands, final_balance, goal, drawdown, milestones }
+ */
+const runMonteCarlo = (plan, trades, options = {}) => {
+  if (trades.length < MIN_CLOSED_TRADES) {
+    const error = new Error(`Simulation needs at least ${MIN_CLOSED_TRADES} closed trades (found ${trades.length})`);
+    error.code = 'INSUFFICIENT_TRADE_HISTORY';
+    throw error;
+  }
+
+  const from = options.from ? new Date(options.from) : new Date();
+  const paths = options.paths || LIMITS.paths.default;
+  const weeks = options.weeks || Math.max(LIMITS.weeks.min, Math.min(LIMITS.weeks.max, getWeeksRemaining(plan, from)));
+  const seed = options.seed === undefined ? Math.floor(Math.random() * 4294967296) : options.seed;
+  const riskFraction = (options.risk_percent || LIMITS.risk_percent.default) / 100;
+  const drawdownThreshold = options.drawdown_threshold || LIMITS.drawdown_threshold.default;
+  const startBalance = options.balance === undefined ? plan.starting_balance : options.balance;
+
+  if (paths * weeks > MAX_PATH_WEEKS) {
+    const error = new Error(`paths × weeks must not exceed ${MAX_PATH_WEEKS.toLocaleString('en-US')} (requested ${paths} × ${weeks})`);
+    error.code = 'INVALID_SIMULATION_OPTIONS';
+    throw error;
+  }
+
+  const model = buildTradeModel(trades, options.default_risk || 50);
+  const milestones = getMilestones(plan).filter(milestone => milestone > startBalance);
+  const random = createRng(seed);
+  const pick = (values) => values[Math.floor(random() * values.length)];
+
+  // Balance of every path at each band week, and when each path first reached each milestone
+  const bandWeeks = [];
+  for (let week = BAND_INTERVAL_WEEKS; week < weeks; week += BAND_INTERVAL_WEEKS) bandWeeks.push(week);
+  bandWeeks.push(weeks);
+  const bandBalances = bandWeeks.map(() => new Float64Array(paths));
+  const weekStarts = Array.from({ length: weeks }, (_, week) => new Date(from.getTime() + week * MS_PER_WEEK));
+  const milestoneWeeks = milestones.map(() => []);
+  const finalBalances = new Float64Array(paths);
+  const maxDrawdowns = new Float64Array(paths);
+  let goalHits = 0;
+
+  for (let path = 0; path < paths; path++) {
+    let balance = startBalance;
+    let peak = balance;
+    let maxDrawdown = 0;
+    let band = 0;
+    let nextMilestone = 0;
+    let hitGoal = balance >= plan.target_balance;
+
+    for (let week = 0; week < weeks; week++) {
+      balance += getDepositForWeek(getPhase(plan, balance), week, weekStarts[week]);
+
+      const tradeCount = pick(model.trades_per_week);
+      for (let trade = 0; trade < tradeCount && balance > 0; trade++) {
+        const rMultiple = random() < model.win_rate ? pick(model.win_r) : pick(model.loss_r);
+        balance = Math.max(0, balance + rMultiple * balance * riskFraction);
+      }
+
+      peak = Math.max(peak, balance);
+      if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - balance) / peak);
+
+      while (nextMilestone < milestones.length && balance >= milestones[nextMilestone]) {
+        milestoneWeeks[nextMilestone].push(week + 1);
+        nextMilestone++;
+      }
+      if (balance >= plan.target_balance) hitGoal = true;
+
+      if (week + 1 === bandWeeks[band]) {
+        bandBalances[band][path] = balance;
+        band++;
+      }
+    }
+
+    finalBalances[path] = balance;
+    maxDrawdowns[path] = maxDrawdown * 100;
+    if (hitGoal) goalHits++;
+  }
+
+  const dateAfterWeeks = (count) => new Date(from.getTime() + count * MS_PER_WEEK).toISOString().split('T')[0];
+  const sortedFinal = Float64Array.from(finalBalances).sort();
+  const sortedDrawdowns = Float64Array.from(maxDrawdowns).sort();
+
+  return {
+    seed,
+    paths,
+    weeks,
+    start_balance: startBalance,
+    start_date: from.toISOString().split('T')[0],
+    model: {
+      closed_trades: model.closed_trades,
+      win_rate: round(model.win_rate * 100, 1),
+      avg_win_r: round(model.avg_win_r, 2),
+      avg_loss_r: round(model.avg_loss_r, 2),
+      expectancy_r: round(model.expectancy_r, 3),
+      avg_trades_per_week: round(model.avg_trades_per_week, 2),
+      weeks_sampled: model.weeks_sampled,
+      risk_percent: riskFraction * 100
+    },
+    bands: bandWeeks.map((week, index) => {
+      const sorted = bandBalances[index].sort();
+      return {
+        week,
+        date: dateAfterWeeks(week),
+        p10: Math.round(percentile(sorted, 10)),
+        p50: Math.round(percentile(sorted, 50)),
+        p90: Math.round(percentile(sorted, 90))
+      };
+    }),
+    final_balance: {
+      p10: Math.round(percentile(sortedFinal, 10)),
+      p50: Math.round(percentile(sortedFinal, 50)),
+      p90: Math.round(percentile(sortedFinal, 90)),
+      mean: Math.round(average(sortedFinal))
+    },
+    goal: {
+      target_balance: plan.target_balance,
+      target_date: plan.end_date,
+      probability: round(goalHits / paths, 3)
+    },
+    drawdown: {
+      threshold_percent: drawdownThreshold,
+      probability: round(maxDrawdowns.filter(drawdown => drawdown >= drawdownThreshold).length / paths, 3),
+      median_max_drawdown_percent: round(percentile(sortedDrawdowns, 50), 1)
+    },
+    milestones: milestones.map((milestone, index) => {
+      const reached = milestoneWeeks[index];
+      if (reached.length === 0) {
+        return { milestone, probability: 0, expected_weeks: null, median_weeks: null, expected_date: null };
+      }
+
+      const expectedWeeks = Math.round(average(reached));
+      return {
+        milestone,
+        probability: round(reached.length / paths, 3),
+        expected_weeks: expectedWeeks,
+        median_weeks: percentile(Float64Array.from(reached).sort(), 50),
+        expected_date: dateAfterWeeks(expectedWeeks)
+      };
+    })
+  };
+};
+
+// Helper functions
+const toTime = (timestamp) => {
+  // SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+  const value = typeof timestamp === 'string' && !/[zZ]|[+-]\d{2}:?\d{2}$/.test(timestamp)
+    ? `${timestamp.replace(' ', 'T')}Z`
+    : timestamp;
+  return new Date(value).getTime();
+};
+
+const average = (values) => {
+  if (values.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  return sum / values.length;
+};
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+};
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+module.exports = {
+  MIN_CLOSED_TRADES,
+  createRng,
+  buildTradeModel,
+  validateSimulationOptions,
+  runMonteCarlo
+};
@@ -0,0 +1,259 @@
+/**
+ * Pattern Confidence Service
+ * Bayesian estimates of each pattern's win rate and expectancy from its closed
+ * trades, so a handful of lucky trades cannot make a pattern look proven. Trades
+ * are weighted by recency (half-life in days, counted back from the latest closed
+ * trade) and the weights are scaled to the effective sample size, so old or few
+ * trades carry little evidence. Win rate is a Beta(1, 1) posterior; expectancy in R
+ * is a normal-inverse-gamma posterior centred on zero, whose marginal is a Student t.
+ * A pattern is only proven (or underperforming) when the whole credible interval of
+ * its expectancy sits above (or below) zero.
+ */
+
+const { loadTradeResults } = require('./statistics');
+
+const CREDIBLE_INTERVAL = 90;
+const HALF_LIFE_DAYS = 90;
+const PRIOR_CONFIDENCE = 0.5;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SEARCH_ITERATIONS = 100;
+
+// Expectancy prior: zero edge, worth one trade, with a 1.5R spread worth four trades
+const EXPECTANCY_PRIOR = { mean: 0, weight: 1, deviation: 1.5, deviation_weight: 4 };
+
+/**
+ * Posterior win rate and expectancy of every pattern with closed trades
+ * @param {object[]} results - Trade results (loadTradeResults)
+ * @returns {object} { [pattern_name]: { credible_interval, sample_size, effective_sample_size, last_trade_date,
+ *   win_rate { mean, lower, upper }, break_even_win_rate, expectancy_r { mean, lower, upper },
+ *   probability_of_edge, verdict: 'proven' | 'underperforming' | 'inconclusive' } }
+ */
+const scorePatterns = (results) => {
+  const latest = results.reduce((max, result) => (result.date > max ? result.date : max), '');
+  const overallPayoff = getPayoffRatio(results.map(result => ({ r: result.r_multiple, weight: 1 })));
+  const byPattern = {};
+
+  results
+    .filter(result => result.pattern_type)
+    .forEach(result => {
+      const ageDays = Math.max(0, (Date.parse(latest) - Date.parse(result.date)) / MS_PER_DAY) || 0;
+      byPattern[result.pattern_type] = byPattern[result.pattern_type] || [];
+      byPattern[result.pattern_type].push({
+        r: result.r_multiple,
+        date: result.date,
+        weight: Math.pow(0.5, ageDays / HALF_LIFE_DAYS)
+      });
+    });
+
+  return Object.fromEntries(Object.entries(byPattern).map(([pattern, trades]) => (
+    [pattern, scorePattern(trades, overallPayoff)]
+  )));
+};
+
+/**
+ * Confidence of a pattern with no closed trades: the priors alone
+ * @returns {object} Same shape as a scorePatterns entry
+ */
+const getPriorConfidence = () => scorePattern([], null);
+
+/**
+ * Posterior confidence of the user's patterns
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} scorePatterns result
+ */
+const assessPatternConfidence = async (repos) => {
+  const { results } = await loadTradeResults(repos);
+  return scorePatterns(results);
+};
+
+/**
+ * Attach a confidence block to pattern rows and use its probability of edge as confidence_score
+ * @param {object[]} patterns - Pattern rows with pattern_name
+ * @param {object} scores - scorePatterns result
+ * @returns {object[]} Patterns with confidence
+ */
+const withConfidence = (patterns, scores) => patterns.map(pattern => {
+  const confidence = scores[pattern.pattern_name] || getPriorConfidence();
+  return { ...pattern, confidence_score: confidence.probability_of_edge, confidence };
+});
+
+/**
+ * Store each pattern's probability of edge as its confidence_score
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} scorePatterns result
+ */
+const refreshPatternConfidence = async (repos) => {
+  const scores = await assessPatternConfidence(repos);
+  const patterns = await repos.patterns.findDefinitions();
+
+  await repos.transaction(async () => {
+    for (const pattern of patterns) {
+      const confidence = scores[pattern.pattern_name];
+      await repos.patterns.updateConfidence(pattern.pattern_name, confidence ? confidence.probability_of_edge : PRIOR_CONFIDENCE);
+    }
+  });
+
+  return scores;
+};
+
+// Helper functions
+
+const scorePattern = (trades, overallPayoff) => {
+  const totalWeight = sum(trades.map(trade => trade.weight));
+  const effectiveSize = totalWeight > 0
+    ? Math.pow(totalWeight, 2) / sum(trades.map(trade => trade.weight * trade.weight))
+    : 0;
+  // Scale weights so they add up to the effective sample size
+  const scaled = trades.map(trade => ({ ...trade, weight: trade.weight * effectiveSize / totalWeight }));
+  const tail = (1 - CREDIBLE_INTERVAL / 100) / 2;
+
+  const wins = sum(scaled.filter(trade => trade.r > 0).map(trade => trade.weight));
+  const alpha = 1 + wins;
+  const beta = 1 + effectiveSize - wins;
+  const payoff = getPayoffRatio(scaled) || overallPayoff || 1;
+  const breakEven = 1 / (1 + payoff);
+
+  const expectancy = getExpectancyPosterior(scaled, effectiveSize);
+  const spread = studentTQuantile(1 - tail, expectancy.degrees) * expectancy.scale;
+  const lower = expectancy.mean - spread;
+  const upper = expectancy.mean + spread;
+
+  let verdict = 'inconclusive';
+  if (lower > 0) verdict = 'proven';
+  else if (upper < 0) verdict = 'underperforming';
+
+  return {
+    credible_interval: CREDIBLE_INTERVAL,
+    sample_size: trades.length,
+    effective_sample_size: round(effectiveSize, 1),
+    last_trade_date: trades.reduce((max, trade) => (trade.date > max ? trade.date : max), '') || null,
+    win_rate: {
+      mean: round(alpha / (alpha + beta) * 100, 1),
+      lower: round(betaQuantile(tail, alpha, beta) * 100, 1),
+      upper: round(betaQuantile(1 - tail, alpha, beta) * 100, 1)
+    },
+    break_even_win_rate: round(breakEven * 100, 1),
+    expectancy_r: {
+      mean: round(expectancy.mean, 2),
+      lower: round(lower, 2),
+      upper: round(upper, 2)
+    },
+    probability_of_edge: round(1 - incompleteBeta(breakEven, alpha, beta), 3),
+    verdict
+  };
+};
+
+// Normal-inverse-gamma update of the expectancy prior; the mean's marginal is t(degrees, mean, scale)
+const getExpectancyPosterior = (trades, effectiveSize) => {
+  const prior = EXPECTANCY_PRIOR;
+  const sampleMean = effectiveSize > 0 ? sum(trades.map(trade => trade.weight * trade.r)) / effectiveSize : 0;
+  const squares = sum(trades.map(trade => trade.weight * Math.pow(trade.r - sampleMean, 2)));
+
+  const weight = prior.weight + effectiveSize;
+  const mean = (prior.weight * prior.mean + effectiveSize * sampleMean) / weight;
+  const degrees = prior.deviation_weight + effectiveSize;
+  const variance = (prior.deviation_weight * Math.pow(prior.deviation, 2) + squares
+    + prior.weight * effectiveSize / weight * Math.pow(sampleMean - prior.mean, 2)) / degrees;
+
+  return { mean, degrees, scale: Math.sqrt(variance / weight) };
+};
+
+// Average weighted win over average weighted loss in R; null without both
+const getPayoffRatio = (trades) => {
+  const wins = trades.filter(trade => trade.r > 0);
+  const losses = trades.filter(trade => trade.r <= 0);
+  const winWeight = sum(wins.map(trade => trade.weight));
+  const lossWeight = sum(losses.map(trade => trade.weight));
+  if (winWeight === 0 || lossWeight === 0) return null;
+
+  const averageLoss = Math.abs(sum(losses.map(trade => trade.weight * trade.r))) / lossWeight;
+  return averageLoss > 0 ? sum(wins.map(trade => trade.weight * trade.r)) / winWeight / averageLoss : null;
+};
+
+// Regularized incomplete beta I_x(a, b) by continued fraction
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logGamma(a) - logGamma(b) + logGamma(a + b));
+  if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + even * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + even / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + odd * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + odd / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Lanczos approximation of ln Γ(x)
+const LANCZOS = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+
+  const shifted = x - 1;
+  let series = 0.99999999999980993;
+  for (let i = 0; i < LANCZOS.length; i++) series += LANCZOS[i] / (shifted + i + 1);
+  const t = shifted + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(series);
+};
+
+// Both quantiles bisect a monotone CDF
+const betaQuantile = (probability, a, b) => bisect(x => incompleteBeta(x, a, b), probability, 0, 1);
+
+const studentTQuantile = (probability, degrees) => {
+  const cdf = (t) => 1 - 0.5 * incompleteBeta(degrees / (degrees + t * t), degrees / 2, 0.5);
+  return bisect(cdf, probability, 0, 1000);
+};
+
+const bisect = (cdf, probability, low, high) => {
+  for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+    const middle = (low + high) / 2;
+    if (cdf(middle) < probability) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+module.exports = {
+  CREDIBLE_INTERVAL,
+  scorePatterns,
+  getPriorConfidence,
+  assessPatternConfidence,
+  withConfidence,
+  refreshPatternConfidence
+};
@@ -0,0 +1,278 @@
+/**
+ * Pattern Playbook Service
+ * The written playbook of a pattern: a checklist of conditions the setup needs, the
+ * timeframes it is best read on, its typical stop and target, and pinned A+ example
+ * trades. Each pre-trade analysis ticks the checklist item by item (the model judges
+ * the written items, the uploaded timeframes decide the ideal-timeframe item), so
+ * outcomes can later be compared for full versus partial compliance.
+ */
+
+const { toPatternKey } = require('./patternTaxonomy');
+const { createScreenshotUrl } = require('./screenshotUrls');
+
+const MAX_CHECKLIST_ITEMS = 15;
+const MAX_IDEAL_TIMEFRAMES = 6;
+const MAX_EXAMPLES = 10;
+const IDEAL_TIMEFRAMES_ITEM = 'ideal_timeframes';
+
+/**
+ * Validate playbook fields from a request; only the given fields are checked
+ * @param {object} fields - { checklist, ideal_timeframes, typical_stop_points, typical_target_points };
+ *   checklist items are strings, or objects with their text in item or text, as the playbook returns them
+ * @returns {object} Cleaned fields; checklist items get ids derived from their text
+ */
+const validatePlaybook = (fields = {}) => {
+  const cleaned = {};
+  const problems = [];
+
+  if (fields.checklist !== undefined) {
+    const checklist = fields.checklist === null ? [] : fields.checklist;
+    const items = Array.isArray(checklist) ? checklist.map(toChecklistText) : null;
+
+    if (!items || items.length > MAX_CHECKLIST_ITEMS
+      || items.some(item => typeof item !== 'string' || !toPatternKey(item) || item.length > 200)) {
+      problems.push(`checklist must be a list of at most ${MAX_CHECKLIST_ITEMS} conditions of up to 200 characters`);
+    } else {
+      cleaned.checklist = toChecklist(items);
+      if (cleaned.checklist.some(entry => entry.id === IDEAL_TIMEFRAMES_ITEM)) {
+        problems.push('checklist items cannot be named "ideal timeframes"; use ideal_timeframes instead');
+      }
+    }
+  }
+
+  if (fields.ideal_timeframes !== undefined) {
+    const timeframes = fields.ideal_timeframes === null ? [] : fields.ideal_timeframes;
+    if (!Array.isArray(timeframes) || timeframes.length > MAX_IDEAL_TIMEFRAMES
+      || timeframes.some(timeframe => typeof timeframe !== 'string' || !timeframe.trim() || timeframe.trim().length > 20)) {
+      problems.push(`ideal_timeframes must be a list of at most ${MAX_IDEAL_TIMEFRAMES} timeframe labels such as "5min"`);
+    } else {
+      cleaned.ideal_timeframes = [...new Set(timeframes.map(timeframe => timeframe.trim()))];
+    }
+  }
+
+  ['typical_stop_points', 'typical_target_points'].forEach(field => {
+    if (fields[field] === undefined) return;
+    if (fields[field] !== null && !(typeof fields[field] === 'number' && fields[field] > 0 && fields[field] <= 10000)) {
+      problems.push(`${field} must be a number of points between 0 and 10000, or null`);
+      return;
+    }
+    cleaned[field] = fields[field];
+  });
+
+  if (problems.length === 0 && Object.keys(cleaned).length === 0) {
+    problems.push('Provide at least one of checklist, ideal_timeframes, typical_stop_points, typical_target_points');
+  }
+
+  if (problems.length > 0) {
+    throw playbookError(problems.join('; '));
+  }
+
+  return cleaned;
+};
+
+/**
+ * Validate an example trade to pin
+ * @param {object} fields - { trade_id, note }
+ * @returns {object} { trade_id, note }
+ */
+const validateExample = (fields = {}) => {
+  const problems = [];
+
+  if (typeof fields.trade_id !== 'string' || !fields.trade_id.trim()) {
+    problems.push('trade_id is required');
+  }
+  if (fields.note !== undefined && fields.note !== null && (typeof fields.note !== 'string' || fields.note.length > 500)) {
+    problems.push('note must be text of at most 500 characters');
+  }
+
+  if (problems.length > 0) {
+    throw playbookError(problems.join('; '));
+  }
+
+  return {
+    trade_id: fields.trade_id.trim(),
+    note: fields.note && fields.note.trim() ? fields.note.trim() : null
+  };
+};
+
+/**
+ * Tick a pattern's checklist for one analysis. Written items take the model's answer
+ * (null when it gave none); the ideal-timeframe item is ticked when every ideal
+ * timeframe was uploaded, and only scored when the upload's timeframes are known.
+ * @param {object|undefined} pattern - The analysed pattern (findDefinitions row)
+ * @param {object} answers - { [item id]: true|false } from the analysis
+ * @param {string[]|null} timeframes - Timeframe labels uploaded with the analysis
+ * @returns {object} { checklist_results, checklist_ticked, checklist_total, checklist_compliance } - all null
+ *   when the pattern has no checklist or nothing could be assessed
+ */
+const scoreChecklist = (pattern, answers = {}, timeframes = null) => {
+  const unscored = { checklist_results: null, checklist_ticked: null, checklist_total: null, checklist_compliance: null };
+  if (!pattern) return unscored;
+
+  const items = (pattern.checklist || []).map(entry => ({
+    id: entry.id,
+    item: entry.item,
+    ticked: typeof answers[entry.id] === 'boolean' ? answers[entry.id] : null
+  }));
+
+  const ideal = pattern.ideal_timeframes || [];
+  if (ideal.length > 0) {
+    const uploaded = (timeframes || []).map(normalizeTimeframe);
+    items.push({
+      id: IDEAL_TIMEFRAMES_ITEM,
+      item: `Read on ${ideal.join(', ')}`,
+      ticked: uploaded.length > 0 ? ideal.every(timeframe => uploaded.includes(normalizeTimeframe(timeframe))) : null
+    });
+  }
+
+  // An item that was not assessed counts as unticked, unless nothing was assessed at all
+  if (items.every(entry => entry.ticked === null)) return unscored;
+
+  const ticked = items.filter(entry => entry.ticked === true).length;
+  return {
+    checklist_results: items,
+    checklist_ticked: ticked,
+    checklist_total: items.length,
+    checklist_compliance: ticked === items.length ? 'full' : 'partial'
+  };
+};
+
+/**
+ * Outcomes of scored trades for full versus partial checklist compliance, overall and per
+ * item (an item only counts on the trades where it was assessed)
+ * @param {object[]} trades - [{ checklist_results, checklist_ticked, checklist_total, actual_pnl }]
+ * @returns {object} { full, partial, items: [{ id, item, ticked, missed }] } - each side is
+ *   { trades, wins, win_rate, avg_pnl, total_pnl }
+ */
+const compareChecklistOutcomes = (trades) => {
+  const full = trades.filter(trade => trade.checklist_ticked === trade.checklist_total);
+  const partial = trades.filter(trade => trade.checklist_ticked !== trade.checklist_total);
+  const items = new Map();
+
+  trades.forEach(trade => {
+    (trade.checklist_results || []).forEach(entry => {
+      if (entry.ticked === null) return;
+      if (!items.has(entry.id)) items.set(entry.id, { id: entry.id, item: entry.item, ticked: [], missed: [] });
+      items.get(entry.id)[entry.ticked === true ? 'ticked' : 'missed'].push(trade);
+    });
+  });
+
+  return {
+    full: summarizeOutcomes(full),
+    partial: summarizeOutcomes(partial),
+    items: [...items.values()].map(entry => ({
+      id: entry.id,
+      item: entry.item,
+      ticked: summarizeOutcomes(entry.ticked),
+      missed: summarizeOutcomes(entry.missed)
+    }))
+  };
+};
+
+/**
+ * A pattern's playbook with its pinned examples (and their screenshots) and checklist outcomes
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {object} pattern - Stored pattern (findByName)
+ * @returns {Promise<object>} { pattern_name, checklist, ideal_timeframes, typical_stop_points,
+ *   typical_target_points, examples, compliance }
+ */
+const getPlaybook = async (repos, pattern) => {
+  const examples = await repos.playbooks.findExamples(pattern.id);
+  const scoredTrades = await repos.playbooks.findChecklistTrades(pattern.pattern_name);
+
+  for (const example of examples) {
+    const screenshots = await repos.trades.findScreenshots(example.trade_id);
+    example.screenshots = screenshots.map(screenshot => ({
+      screenshot_path: screenshot.screenshot_path,
+      screenshot_url: createScreenshotUrl(screenshot.screenshot_path),
+      timeframe_label: screenshot.timeframe_label,
+      is_primary: Boolean(screenshot.is_primary)
+    }));
+  }
+
+  return {
+    pattern_name: pattern.pattern_name,
+    checklist: pattern.checklist,
+    ideal_timeframes: pattern.ideal_timeframes,
+    typical_stop_points: pattern.typical_stop_points,
+    typical_target_points: pattern.typical_target_points,
+    examples,
+    compliance: compareChecklistOutcomes(scoredTrades)
+  };
+};
+
+/**
+ * Pin a trade filed under the pattern as an example (pinning again replaces the note)
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {object} pattern - Stored pattern (findByName)
+ * @param {object} example - Validated example (validateExample)
+ * @returns {Promise<void>}
+ */
+const pinExample = async (repos, pattern, example) => {
+  const trade = await repos.trades.findById(example.trade_id);
+
+  if (!trade) {
+    const error = new Error(`Trade ${example.trade_id} not found`);
+    error.code = 'TRADE_NOT_FOUND';
+    throw error;
+  }
+  if (trade.pattern_type !== pattern.pattern_name) {
+    throw playbookError(`Trade ${trade.id} is filed under ${trade.pattern_type || 'no pattern'}, not ${pattern.pattern_name}`);
+  }
+
+  const examples = await repos.playbooks.findExamples(pattern.id);
+  if (examples.length >= MAX_EXAMPLES && !examples.some(pinned => pinned.trade_id === trade.id)) {
+    throw playbookError(`A pattern can have at most ${MAX_EXAMPLES} examples; unpin one first`);
+  }
+
+  await repos.playbooks.addExample(pattern.id, trade.id, example.note);
+};
+
+// Helper functions
+
+// Items keep their text; the id is its snake-case key, numbered when two items share one
+// Text of a checklist item given as a string or as { item } / { text }; anything else is returned unchanged
+const toChecklistText = (item) => {
+  const text = item && typeof item === 'object' ? (item.item !== undefined ? item.item : item.text) : item;
+  return typeof text === 'string' ? text.trim() : text;
+};
+
+const toChecklist = (items) => {
+  const seen = new Map();
+  return items.map(item => {
+    const key = toPatternKey(item).slice(0, 50);
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return { id: count > 1 ? `${key}_${count}` : key, item };
+  });
+};
+
+const normalizeTimeframe = (timeframe) => String(timeframe).toLowerCase().replace(/\s+/g, '');
+
+const summarizeOutcomes = (trades) => {
+  const wins = trades.filter(trade => trade.actual_pnl > 0).length;
+  const totalPnl = trades.reduce((sum, trade) => sum + trade.actual_pnl, 0);
+
+  return {
+    trades: trades.length,
+    wins,
+    win_rate: trades.length > 0 ? Math.round(wins / trades.length * 1000) / 10 : null,
+    avg_pnl: trades.length > 0 ? Math.round(totalPnl / trades.length * 100) / 100 : null,
+    total_pnl: Math.round(totalPnl * 100) / 100
+  };
+};
+
+const playbookError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PLAYBOOK';
+  return error;
+};
+
+module.exports = {
+  validatePlaybook,
+  validateExample,
+  scoreChecklist,
+  compareChecklistOutcomes,
+  getPlaybook,
+  pinExample
+};
@@ -0,0 +1,281 @@
+/**
+ * Pattern Regime Service
+ * Detects lasting changes in each pattern's expectancy with a self-starting,
+ * two-sided CUSUM on the R multiples of its closed trades. After a regime's first
+ * warmup_trades trades, each trade is standardized against the mean and spread of
+ * the regime's earlier trades, and its distance less the slack is added to an upper
+ * and a lower sum. A sum passing the threshold marks a change that starts at the
+ * trade where the sum last left zero, and a new regime is measured from there.
+ * The detector only looks backwards, so new trades never move a change that was
+ * already found. Each refresh runs it over a pattern's whole history, which takes one
+ * pass per regime, so trades imported out of order are placed where they belong.
+ * The latest change of a pattern raises one PATTERN_REGIME alert.
+ */
+
+const { EVENT_TYPES, publishEvent } = require('./eventBus');
+const { loadTradeResults } = require('./statistics');
+
+const REGIME_SETTINGS = {
+  warmup_trades: 10,
+  slack: 0.25, // Standard deviations a trade must differ by before it counts
+  threshold: 10, // Standard deviations the cumulative sum must reach
+  min_deviation_r: 0.5 // Floor on a regime's spread so identical outcomes do not trigger on the first variation
+};
+
+/**
+ * Split a pattern's trades into regimes of stable expectancy
+ * @param {object[]} trades - [{ trade_id, date, r_multiple }], oldest first
+ * @returns {object} { status: 'insufficient_data' | 'stable' | 'degraded' | 'improved', regimes, changes } -
+ *   regimes are [{ start_date, end_date, trades, expectancy_r, win_rate }] and changes
+ *   [{ trade_id, change_date, detected_on, direction, expectancy_before, expectancy_after, trades_before, trades_after }]
+ */
+const detectRegimes = (trades) => {
+  const boundaries = [];
+  let start = 0;
+
+  while (start + REGIME_SETTINGS.warmup_trades < trades.length) {
+    const alarm = runCusum(trades, start);
+    if (!alarm) break;
+
+    boundaries.push(alarm);
+    start = alarm.start;
+  }
+
+  const starts = [0, ...boundaries.map(boundary => boundary.start)];
+  const regimes = trades.length === 0 ? [] : starts.map((regimeStart, index) => (
+    summarizeRegime(trades.slice(regimeStart, starts[index + 1] || trades.length))
+  ));
+
+  const changes = boundaries.map((boundary, index) => ({
+    trade_id: trades[boundary.start].trade_id,
+    change_date: trades[boundary.start].date,
+    detected_on: trades[boundary.detected].date,
+    direction: boundary.direction,
+    expectancy_before: regimes[index].expectancy_r,
+    expectancy_after: regimes[index + 1].expectancy_r,
+    trades_before: regimes[index].trades,
+    trades_after: regimes[index + 1].trades
+  }));
+
+  let status = 'stable';
+  if (trades.length <= REGIME_SETTINGS.warmup_trades) status = 'insufficient_data';
+  else if (changes.length > 0) status = changes[changes.length - 1].direction;
+
+  return { status, regimes, changes };
+};
+
+/**
+ * Regimes of every pattern with closed trades
+ * @param {object[]} results - Trade results, oldest first (loadTradeResults)
+ * @returns {object} { [pattern_name]: detectRegimes result }
+ */
+const scoreRegimes = (results) => {
+  const byPattern = {};
+
+  results
+    .filter(result => result.pattern_type)
+    .forEach(result => {
+      byPattern[result.pattern_type] = byPattern[result.pattern_type] || [];
+      byPattern[result.pattern_type].push(result);
+    });
+
+  return Object.fromEntries(Object.entries(byPattern).map(([pattern, trades]) => [pattern, detectRegimes(trades)]));
+};
+
+/**
+ * Regimes of the user's patterns
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} scoreRegimes result
+ */
+const assessPatternRegimes = async (repos) => {
+  const { results } = await loadTradeResults(repos);
+  return scoreRegimes(results);
+};
+
+/**
+ * Regime history of one pattern, with the alert raised for each change
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {string} patternName - Pattern name
+ * @returns {Promise<object>} { settings, status, current_regime, regimes, changes }
+ */
+const getRegimeHistory = async (repos, patternName) => {
+  const { results } = await loadTradeResults(repos, { pattern: patternName });
+  const { status, regimes, changes } = detectRegimes(results);
+  const stored = await repos.regimes.findByPattern(patternName);
+
+  return {
+    settings: REGIME_SETTINGS,
+    status,
+    current_regime: regimes.length > 0 ? regimes[regimes.length - 1] : null,
+    regimes,
+    changes: changes.map(change => ({
+      ...change,
+      alert_id: (stored.find(row => row.trade_id === change.trade_id) || {}).alert_id || null
+    }))
+  };
+};
+
+/**
+ * Store every pattern's regime changes, drop the ones no longer found and raise a
+ * PATTERN_REGIME alert for each pattern's latest change that has none yet
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object[]>} Changes alerted by this run
+ */
+const refreshPatternRegimes = async (repos) => {
+  const scores = await assessPatternRegimes(repos);
+  const keepIds = [];
+  const latest = [];
+
+  await repos.transaction(async () => {
+    for (const [pattern, { changes }] of Object.entries(scores)) {
+      for (const change of changes) {
+        const stored = await repos.regimes.save({ ...change, pattern_name: pattern });
+        keepIds.push(stored.id);
+        if (change === changes[changes.length - 1]) latest.push(stored);
+      }
+    }
+    await repos.regimes.deleteExcept(keepIds);
+  });
+
+  const alerted = [];
+  for (const change of latest.filter(stored => !stored.alert_id)) {
+    change.alert_id = await raiseRegimeAlert(repos, change);
+    alerted.push(change);
+  }
+
+  return alerted;
+};
+
+/**
+ * Carry a pattern's regime changes over to the pattern its trades were renamed or
+ * merged into, then detect the target's regimes again on the trades it now has. Run it
+ * in the transaction that moved the trades. Alerts stay with their changes. When the
+ * latest change has no alert, it takes the alert of the latest alerted change in the
+ * same direction, so a merge does not alert again about a regime already reported.
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {string} fromName - Pattern the trades were filed under
+ * @param {string} toName - Pattern they are filed under now
+ * @returns {Promise<void>}
+ */
+const transferRegimes = async (repos, fromName, toName) => {
+  await repos.regimes.moveToPattern(fromName, toName);
+  const stored = await repos.regimes.findByPattern(toName);
+  const { results } = await loadTradeResults(repos, { pattern: toName });
+  const { changes } = detectRegimes(results);
+  const keepIds = [];
+
+  for (const change of changes) {
+    const saved = await repos.regimes.save({ ...change, pattern_name: toName });
+    keepIds.push(saved.id);
+
+    if (change === changes[changes.length - 1] && !saved.alert_id) {
+      const reported = stored.filter(row => row.alert_id && row.direction === change.direction).pop();
+      if (reported) await repos.regimes.attachAlert(saved.id, reported.alert_id);
+    }
+  }
+
+  await repos.regimes.deleteExcept(keepIds, toName);
+};
+
+const raiseRegimeAlert = async (repos, change) => {
+  const message = `${change.pattern_name} edge has ${change.direction} since ${change.change_date} `
+    + `(expectancy ${formatR(change.expectancy_before)} before, ${formatR(change.expectancy_after)} `
+    + `over the ${change.trades_after} trade${change.trades_after === 1 ? '' : 's'} since)`;
+  const severity = change.direction === 'degraded' ? 'HIGH' : 'LOW';
+
+  const alertId = await repos.alerts.create({
+    trade_id: change.trade_id,
+    alert_type: 'PATTERN_REGIME',
+    message,
+    severity
+  });
+  await repos.regimes.attachAlert(change.id, alertId);
+
+  repos.afterCommit(() => publishEvent(repos.userId, EVENT_TYPES.RISK_ALERT, {
+    alert_id: alertId,
+    trade_id: change.trade_id,
+    alert_type: 'PATTERN_REGIME',
+    message,
+    severity,
+    regime_change: {
+      pattern_name: change.pattern_name,
+      direction: change.direction,
+      change_date: change.change_date,
+      expectancy_before: change.expectancy_before,
+      expectancy_after: change.expectancy_after
+    }
+  }));
+
+  return alertId;
+};
+
+// Helper functions
+
+// First alarm after the warmup of the regime starting at start: { start, detected, direction }, or null
+const runCusum = (trades, start) => {
+  const warmupEnd = start + REGIME_SETTINGS.warmup_trades;
+  let upper = 0;
+  let lower = 0;
+  let upperStart = warmupEnd;
+  let lowerStart = warmupEnd;
+
+  // Running mean and sum of squared differences (Welford) of the regime's earlier trades
+  let count = 0;
+  let mean = 0;
+  let squares = 0;
+  const addToBaseline = (value) => {
+    count++;
+    const delta = value - mean;
+    mean += delta / count;
+    squares += delta * (value - mean);
+  };
+  trades.slice(start, warmupEnd).forEach(trade => addToBaseline(trade.r_multiple));
+
+  for (let i = warmupEnd; i < trades.length; i++) {
+    // Earlier trades of the regime are the baseline; the factor accounts for the error of its mean
+    const deviation = Math.max(REGIME_SETTINGS.min_deviation_r, count > 1 ? Math.sqrt(squares / (count - 1)) : 0);
+    const z = (trades[i].r_multiple - mean) / deviation * Math.sqrt(count / (count + 1));
+    addToBaseline(trades[i].r_multiple);
+
+    if (upper === 0) upperStart = i;
+    if (lower === 0) lowerStart = i;
+    upper = Math.max(0, upper + z - REGIME_SETTINGS.slack);
+    lower = Math.max(0, lower - z - REGIME_SETTINGS.slack);
+
+    if (lower > REGIME_SETTINGS.threshold) {
+      return { start: lowerStart, detected: i, direction: 'degraded' };
+    }
+    if (upper > REGIME_SETTINGS.threshold) {
+      return { start: upperStart, detected: i, direction: 'improved' };
+    }
+  }
+
+  return null;
+};
+
+const summarizeRegime = (trades) => ({
+  start_date: trades[0].date,
+  end_date: trades[trades.length - 1].date,
+  trades: trades.length,
+  expectancy_r: round(average(trades.map(trade => trade.r_multiple)), 2),
+  win_rate: round(trades.filter(trade => trade.r_multiple > 0).length / trades.length * 100, 1)
+});
+
+const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const formatR = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}R`;
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+module.exports = {
+  REGIME_SETTINGS,
+  detectRegimes,
+  scoreRegimes,
+  assessPatternRegimes,
+  getRegimeHistory,
+  refreshPatternRegimes,
+  transferRegimes
+};
@@ -0,0 +1,326 @@
+/**
+ * Pattern Taxonomy Service
+ * The setups a trader recognises. Each pattern has a description, entry criteria,
+ * invalidation, aliases and a parent family, and can be retired without losing its
+ * history. The analysis prompts list the active patterns, and the validators map a
+ * name or alias the model returns back onto one of them.
+ */
+
+const { transferRegimes } = require('./patternRegimes');
+
+const PATTERN_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+const MAX_ALIASES = 20;
+
+// Labels the analyses store when no pattern matched; never part of the taxonomy
+const PLACEHOLDER_PATTERNS = ['unknown', 'confluence_pattern'];
+// Route segments under /patterns that a pattern name would shadow
+const RESERVED_PATTERN_NAMES = ['taxonomy', 'learn', ...PLACEHOLDER_PATTERNS];
+
+// The taxonomy every trader starts with (formerly fixed in validatePattern)
+const DEFAULT_PATTERN_TAXONOMY = [
+  {
+    pattern_name: 'opening_breakout',
+    family: 'breakout',
+    description: 'Break of the opening range in the first minutes of the session',
+    entry_criteria: 'Close beyond the opening range high or low on rising volume',
+    invalidation: 'Price closes back inside the opening range',
+    aliases: ['ORB', 'opening range breakout']
+  },
+  {
+    pattern_name: 'volume_spike',
+    family: 'momentum',
+    description: 'Sudden volume expansion driving a directional move',
+    entry_criteria: 'Enter in the direction of the spike bar after a shallow pause',
+    invalidation: 'The spike bar is fully retraced',
+    aliases: ['volume surge']
+  },
+  {
+    pattern_name: 'pullback_entry',
+    family: 'trend',
+    description: 'Entry on a retracement within an established trend',
+    entry_criteria: 'Pullback to a moving average or prior breakout level holds with a rejection candle',
+    invalidation: 'The pullback breaks the prior swing',
+    aliases: ['pullback', 'trend pullback']
+  },
+  {
+    pattern_name: 'range_break',
+    family: 'breakout',
+    description: 'Break of a multi-bar consolidation range',
+    entry_criteria: 'Close beyond the range boundary',
+    invalidation: 'Close back inside the range',
+    aliases: ['range breakout', 'consolidation break']
+  },
+  {
+    pattern_name: 'momentum_continuation',
+    family: 'momentum',
+    description: 'Continuation of a strong directional leg after a brief pause',
+    entry_criteria: 'Break of the pause high or low in the direction of the leg',
+    invalidation: 'The pause retraces more than half of the leg',
+    aliases: ['bull flag', 'bear flag', 'flag']
+  },
+  {
+    pattern_name: 'reversal_pattern',
+    family: 'reversal',
+    description: 'Exhaustion and turn of the prevailing move',
+    entry_criteria: 'Break of structure against the move after a failed extreme',
+    invalidation: 'A new extreme beyond the failed high or low',
+    aliases: ['reversal', 'double top', 'double bottom']
+  },
+  {
+    pattern_name: 'gap_fill',
+    family: 'reversal',
+    description: 'Move to close the overnight gap toward the prior close',
+    entry_criteria: 'Rejection at the open in the direction of the prior close',
+    invalidation: 'The gap extends beyond the opening drive extreme',
+    aliases: ['gap fade']
+  },
+  {
+    pattern_name: 'premarket_setup',
+    family: 'levels',
+    description: 'Trade off levels marked in the premarket session',
+    entry_criteria: 'Reaction at the premarket high or low',
+    invalidation: 'Acceptance through the premarket level',
+    aliases: ['premarket level', 'premarket high', 'premarket low']
+  }
+];
+
+/**
+ * Normalise a pattern name or alias for comparison: "ORB fade" and "orb-fade" are both "orb_fade"
+ * @param {string} value - Name or alias
+ * @returns {string} Lower-case key ('' for non-strings)
+ */
+const toPatternKey = (value) => (typeof value === 'string'
+  ? value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+  : '');
+
+/**
+ * Validate a pattern definition from a request
+ * @param {object} fields - Request body
+ * @param {object} options - { partial } for updates, where only the given fields are checked
+ * @returns {object} { pattern_name, description, entry_criteria, invalidation, aliases, family, retired } - omitted fields are left out
+ */
+const validatePatternDefinition = (fields = {}, options = {}) => {
+  const cleaned = {};
+  const problems = [];
+
+  if (!options.partial || fields.name !== undefined) {
+    const name = toPatternKey(fields.name);
+    if (!PATTERN_NAME_PATTERN.test(name)) {
+      problems.push('name must be 2-50 letters, digits or underscores, starting with a letter (spaces become underscores)');
+    } else if (RESERVED_PATTERN_NAMES.includes(name)) {
+      problems.push(`name cannot be one of: ${RESERVED_PATTERN_NAMES.join(', ')}`);
+    }
+    cleaned.pattern_name = name;
+  }
+
+  [['description', 500], ['entry_criteria', 500], ['invalidation', 500], ['family', 50]].forEach(([field, max]) => {
+    if (fields[field] === undefined) return;
+    if (fields[field] !== null && (typeof fields[field] !== 'string' || fields[field].trim().length > max)) {
+      problems.push(`${field} must be text of at most ${max} characters`);
+      return;
+    }
+    cleaned[field] = fields[field] && fields[field].trim() ? fields[field].trim() : null;
+  });
+
+  if (cleaned.family) {
+    cleaned.family = toPatternKey(cleaned.family) || null;
+  }
+
+  if (fields.aliases !== undefined) {
+    const aliases = fields.aliases === null ? [] : fields.aliases;
+    if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES
+      || aliases.some(alias => typeof alias !== 'string' || !toPatternKey(alias) || alias.trim().length > 50)) {
+      problems.push(`aliases must be a list of at most ${MAX_ALIASES} names of up to 50 characters`);
+    } else {
+      cleaned.aliases = uniqueAliases(aliases.map(alias => alias.trim()));
+    }
+  }
+
+  if (fields.retired !== undefined) {
+    if (typeof fields.retired !== 'boolean') {
+      problems.push('retired must be true or false');
+    }
+    cleaned.retired = fields.retired === true;
+  }
+
+  if (problems.length > 0) {
+    throw taxonomyError(problems.join('; '));
+  }
+
+  return cleaned;
+};
+
+/**
+ * Check that no other pattern already answers to a name or one of the aliases
+ * @param {object[]} patterns - Every pattern of the user (findDefinitions)
+ * @param {object} definition - { pattern_name, aliases }
+ * @param {string[]} ignore - Pattern names to skip (the pattern itself, a merge source)
+ * @returns {void}
+ */
+const assertNoAliasConflicts = (patterns, definition, ignore = []) => {
+  const claimed = [definition.pattern_name, ...(definition.aliases || [])].map(toPatternKey);
+  const conflicts = [];
+
+  patterns
+    .filter(pattern => !ignore.includes(pattern.pattern_name))
+    .forEach(pattern => {
+      const keys = [pattern.pattern_name, ...(pattern.aliases || [])].map(toPatternKey);
+      claimed.filter(key => keys.includes(key)).forEach(key => conflicts.push(`${key} (${pattern.pattern_name})`));
+    });
+
+  if (conflicts.length > 0) {
+    throw taxonomyError(`Names already used by another pattern: ${conflicts.join(', ')}`);
+  }
+};
+
+/**
+ * The user's active patterns: not retired and not a placeholder label
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object[]>} Pattern definitions, by name
+ */
+const getPatternTaxonomy = async (repos) => {
+  const patterns = await repos.patterns.findDefinitions();
+  return patterns.filter(pattern => !pattern.retired && !PLACEHOLDER_PATTERNS.includes(pattern.pattern_name));
+};
+
+/**
+ * Map a pattern name or alias onto an active pattern
+ * @param {object[]} taxonomy - Active patterns (getPatternTaxonomy)
+ * @param {string} value - Name returned by an analysis
+ * @returns {string|null} Canonical pattern name, or null when nothing matches
+ */
+const resolvePattern = (taxonomy, value) => {
+  const key = toPatternKey(value);
+  if (!key) return null;
+
+  const match = taxonomy.find(pattern => toPatternKey(pattern.pattern_name) === key)
+    || taxonomy.find(pattern => (pattern.aliases || []).some(alias => toPatternKey(alias) === key));
+  return match ? match.pattern_name : null;
+};
+
+/**
+ * Prompt wording for a taxonomy
+ * @param {object[]} taxonomy - Active patterns (getPatternTaxonomy)
+ * @returns {object} { names: 'a|b|c', guide: one line per pattern with its criteria }
+ */
+const describeTaxonomy = (taxonomy) => ({
+  names: taxonomy.map(pattern => pattern.pattern_name).join('|'),
+  guide: taxonomy.map(pattern => {
+    const details = [
+      pattern.family ? `${pattern.family} family` : null,
+      pattern.description,
+      pattern.entry_criteria ? `Entry: ${pattern.entry_criteria}` : null,
+      pattern.invalidation ? `Invalidation: ${pattern.invalidation}` : null,
+      pattern.aliases && pattern.aliases.length > 0 ? `Also called: ${pattern.aliases.join(', ')}` : null,
+      pattern.ideal_timeframes && pattern.ideal_timeframes.length > 0 ? `Best read on: ${pattern.ideal_timeframes.join(', ')}` : null,
+      pattern.typical_stop_points ? `Typical stop: ${pattern.typical_stop_points} pts` : null,
+      pattern.typical_target_points ? `Typical target: ${pattern.typical_target_points} pts` : null,
+      pattern.checklist && pattern.checklist.length > 0
+        ? `Checklist: ${pattern.checklist.map(entry => `[${entry.id}] ${entry.item}`).join('; ')}`
+        : null
+    ].filter(Boolean);
+    return `- ${pattern.pattern_name}${details.length > 0 ? `: ${details.join('. ')}` : ''}`;
+  }).join('\n')
+});
+
+/**
+ * Apply changes to a pattern. A new name moves the pattern's trades along and keeps
+ * the old name as an alias, so analyses that still return it resolve.
+ * @param {object} repos - The user's repositories
+ * @param {object} pattern - Stored pattern (findByName)
+ * @param {object} changes - Validated changes (validatePatternDefinition with partial)
+ * @returns {Promise<object>} { pattern, trades_updated }
+ */
+const updatePattern = async (repos, pattern, changes) => {
+  const renamed = changes.pattern_name !== undefined && changes.pattern_name !== pattern.pattern_name;
+  const update = { ...changes };
+
+  if (!renamed) {
+    delete update.pattern_name;
+  } else {
+    const aliases = changes.aliases !== undefined ? changes.aliases : pattern.aliases;
+    update.aliases = withoutName(uniqueAliases([...aliases, pattern.pattern_name]), changes.pattern_name);
+  }
+  if (update.aliases) {
+    const name = update.pattern_name || pattern.pattern_name;
+    update.aliases = withoutName(update.aliases, name);
+    assertNoAliasConflicts(await repos.patterns.findDefinitions(), { pattern_name: name, aliases: update.aliases }, [pattern.pattern_name]);
+  }
+
+  let tradesUpdated = 0;
+  await repos.transaction(async () => {
+    await repos.patterns.update(pattern.pattern_name, update);
+    if (renamed) {
+      tradesUpdated = await repos.patterns.reassignTrades(pattern.pattern_name, update.pattern_name);
+      await transferRegimes(repos, pattern.pattern_name, update.pattern_name);
+    }
+  });
+
+  return {
+    pattern: await repos.patterns.findByName(renamed ? update.pattern_name : pattern.pattern_name),
+    trades_updated: tradesUpdated
+  };
+};
+
+/**
+ * Fold one pattern into another: its trades, counts, regime changes and pinned examples move to the
+ * target, its name and aliases become aliases of the target, and the source is deleted
+ * @param {object} repos - The user's repositories
+ * @param {object} source - Pattern to merge away (findByName)
+ * @param {object} target - Pattern that remains (findByName)
+ * @returns {Promise<object>} { pattern, trades_updated }
+ */
+const mergePatterns = async (repos, source, target) => {
+  const aliases = withoutName(uniqueAliases([...target.aliases, source.pattern_name, ...source.aliases]), target.pattern_name);
+
+  if (aliases.length > MAX_ALIASES) {
+    throw taxonomyError(`The merged pattern would have ${aliases.length} aliases (at most ${MAX_ALIASES}); remove some first`);
+  }
+
+  let tradesUpdated = 0;
+  await repos.transaction(async () => {
+    tradesUpdated = await repos.patterns.reassignTrades(source.pattern_name, target.pattern_name);
+    await transferRegimes(repos, source.pattern_name, target.pattern_name);
+    await repos.patterns.addCountsFrom(source.pattern_name, target.pattern_name);
+    await repos.patterns.update(target.pattern_name, { aliases });
+    await repos.playbooks.moveExamples(source.id, target.id);
+    await repos.patterns.delete(source.pattern_name);
+  });
+
+  return {
+    pattern: await repos.patterns.findByName(target.pattern_name),
+    trades_updated: tradesUpdated
+  };
+};
+
+// Helper functions
+const withoutName = (aliases, name) => aliases.filter(alias => toPatternKey(alias) !== toPatternKey(name));
+
+const uniqueAliases = (aliases) => {
+  const seen = new Set();
+  return aliases.filter(alias => {
+    const key = toPatternKey(alias);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const taxonomyError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PATTERN';
+  return error;
+};
+
+module.exports = {
+  DEFAULT_PATTERN_TAXONOMY,
+  PLACEHOLDER_PATTERNS,
+  toPatternKey,
+  validatePatternDefinition,
+  assertNoAliasConflicts,
+  getPatternTaxonomy,
+  resolvePattern,
+  describeTaxonomy,
+  updatePattern,
+  mergePatterns
+};
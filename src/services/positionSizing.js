@@ -0,0 +1,221 @@
+/**
+ * Position Sizing Service
+ * Contracts for a planned trade from the distance between its entry and stop. The
+ * dollar budget comes from one of three models:
+ * - fixed_dollar: a fixed amount per trade (the configured max_risk_per_trade)
+ * - percent_equity: a percent of the account balance
+ * - volatility_scaled: the fixed amount times the session's risk_adjustment from
+ *   analyzeSessionTiming, so quieter sessions trade smaller
+ * Each contract risks the stop-out plus its round-trip commission.
+ */
+
+const { analyzeSessionTiming } = require('./mnqSpecialization');
+const { calculatePnl, contractsForRisk } = require('./instruments');
+const { getAccountBalance } = require('./ledger');
+
+const POSITION_SIZE_MODELS = ['fixed_dollar', 'percent_equity', 'volatility_scaled'];
+
+const SIZING_DEFAULTS = {
+  max_risk_per_trade: parseFloat(process.env.MAX_RISK_PER_TRADE) || 50,
+  position_size_model: 'fixed_dollar',
+  risk_percent_per_trade: 0.1
+};
+
+const SESSION_TIMEZONE = 'America/New_York';
+
+/**
+ * The user's sizing settings: stored risk_management values over the defaults
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} { max_risk_per_trade, position_size_model, risk_percent_per_trade, account_size }
+ */
+const getSizingSettings = async (repos) => {
+  const riskManagement = (await repos.settings.get())?.settings?.risk_management || {};
+
+  return {
+    max_risk_per_trade: parseFloat(riskManagement.max_risk_per_trade) || SIZING_DEFAULTS.max_risk_per_trade,
+    position_size_model: POSITION_SIZE_MODELS.includes(riskManagement.position_size_model)
+      ? riskManagement.position_size_model
+      : SIZING_DEFAULTS.position_size_model,
+    risk_percent_per_trade: parseFloat(riskManagement.risk_percent_per_trade) || SIZING_DEFAULTS.risk_percent_per_trade,
+    account_size: parseFloat(riskManagement.account_size) || null
+  };
+};
+
+/**
+ * Validate a position size request
+ * @param {object} fields - Request body
+ * @returns {object} { entry, stop, account_balance, risk_model, risk_amount, risk_percent, session_time } - omitted options are undefined
+ */
+const validatePositionSizeRequest = (fields = {}) => {
+  const problems = [];
+  const cleaned = {};
+
+  ['entry', 'stop'].forEach(field => {
+    const value = parseFloat(fields[field]);
+    if (isNaN(value) || value <= 0) {
+      problems.push(`${field} must be a positive price`);
+    }
+    cleaned[field] = value;
+  });
+
+  if (cleaned.entry === cleaned.stop) {
+    problems.push('stop must differ from entry');
+  }
+
+  [['account_balance', Infinity], ['risk_amount', Infinity], ['risk_percent', 100]].forEach(([field, max]) => {
+    if (fields[field] === undefined || fields[field] === null || fields[field] === '') return;
+
+    const value = parseFloat(fields[field]);
+    if (isNaN(value) || value <= 0 || value > max) {
+      problems.push(max === Infinity ? `${field} must be a positive number` : `${field} must be above 0 and at most ${max}`);
+    }
+    cleaned[field] = value;
+  });
+
+  if (fields.risk_model !== undefined && !POSITION_SIZE_MODELS.includes(fields.risk_model)) {
+    problems.push(`risk_model must be one of ${POSITION_SIZE_MODELS.join(', ')}`);
+  }
+  cleaned.risk_model = fields.risk_model;
+
+  if (fields.session_time !== undefined && (typeof fields.session_time !== 'string' || !fields.session_time.trim())) {
+    problems.push('session_time must be a time such as "09:45" or "9:45 AM" (Eastern)');
+  }
+  cleaned.session_time = fields.session_time;
+
+  if (problems.length > 0) {
+    throw sizingError(problems.join('; '));
+  }
+
+  return cleaned;
+};
+
+/**
+ * Size a planned trade
+ * @param {object} instrument - Instrument row
+ * @param {object} request - Validated request (validatePositionSizeRequest)
+ * @param {object} settings - Sizing settings (getSizingSettings)
+ * @returns {object} Contracts, dollar risk after commissions, stop distance and the max-risk check
+ */
+const calculatePositionSize = (instrument, request, settings) => {
+  const riskModel = request.risk_model || settings.position_size_model;
+  const accountBalance = request.account_balance || null;
+  const stopDistance = Math.abs(request.entry - request.stop);
+  const baseRisk = request.risk_amount || settings.max_risk_per_trade;
+  let riskBudget = baseRisk;
+  let sessionAdjustment = null;
+
+  if (riskModel === 'percent_equity') {
+    if (!accountBalance) {
+      throw sizingError('account_balance is required for percent_equity sizing (no ledger balance or account_size is recorded)');
+    }
+    riskBudget = accountBalance * (request.risk_percent || settings.risk_percent_per_trade) / 100;
+  } else if (riskModel === 'volatility_scaled') {
+    const session = analyzeSessionTiming(request.session_time, instrument);
+    sessionAdjustment = { session_time: request.session_time, quality: session.quality, risk_adjustment: session.risk_adjustment };
+    riskBudget = baseRisk * session.risk_adjustment;
+  }
+
+  const { contracts, risk_per_contract: riskPerContract } = contractsForRisk(instrument, stopDistance, riskBudget);
+  const risk = calculatePnl(instrument, -stopDistance, contracts);
+  const dollarRisk = Math.abs(risk.net_pnl);
+  const warnings = [];
+
+  if (contracts === 0) {
+    warnings.push(`Stop too wide for the $${riskBudget.toFixed(2)} budget - one contract risks $${riskPerContract.toFixed(2)}`);
+  }
+  if (riskBudget > settings.max_risk_per_trade) {
+    warnings.push(`Risk budget $${riskBudget.toFixed(2)} exceeds the $${settings.max_risk_per_trade} max risk per trade`);
+  }
+
+  return {
+    instrument: instrument.symbol,
+    direction: request.entry > request.stop ? 'long' : 'short',
+    entry: request.entry,
+    stop: request.stop,
+    stop_distance: {
+      points: roundMoney(stopDistance),
+      ticks: Math.abs(risk.ticks)
+    },
+    risk_model: riskModel,
+    risk_budget: roundMoney(riskBudget),
+    session_adjustment: sessionAdjustment,
+    contracts,
+    risk_per_contract: riskPerContract,
+    dollar_risk: {
+      gross: Math.abs(risk.gross_pnl),
+      commission: risk.commission,
+      total: dollarRisk
+    },
+    account_balance: accountBalance,
+    account_risk_percent: accountBalance ? Math.round((dollarRisk / accountBalance) * 10000) / 100 : null,
+    max_risk_per_trade: settings.max_risk_per_trade,
+    within_max_risk: contracts > 0 && dollarRisk <= settings.max_risk_per_trade,
+    warnings
+  };
+};
+
+/**
+ * Size a position for a user: the account balance defaults to the ledger balance,
+ * then the configured account_size
+ * @param {object} repos - The user's repositories
+ * @param {object} instrument - Instrument row
+ * @param {object} request - Validated request (validatePositionSizeRequest)
+ * @param {Date} at - Moment whose Eastern time stands in for a missing session_time
+ * @returns {Promise<object>} calculatePositionSize result
+ */
+const sizePosition = async (repos, instrument, request, at = new Date()) => {
+  const settings = await getSizingSettings(repos);
+  const accountBalance = request.account_balance || (await getAccountBalance(repos)) || settings.account_size;
+
+  return calculatePositionSize(instrument, {
+    ...request,
+    account_balance: accountBalance,
+    session_time: request.session_time || toSessionClock(at)
+  }, settings);
+};
+
+/**
+ * Size the planned prices a pre-trade analysis extracted, with the user's configured model
+ * @param {object} repos - The user's repositories
+ * @param {object|null} instrument - The trade's contract
+ * @param {object} plannedPrices - { entry, stop } from the analysis
+ * @param {Date} at - Time of the analysis
+ * @returns {Promise<object|null>} Sizing, or null when no entry and stop were extracted
+ */
+const sizePlannedTrade = async (repos, instrument, plannedPrices, at) => {
+  const { entry, stop } = plannedPrices || {};
+  if (!instrument || !(entry > 0) || !(stop > 0) || entry === stop) return null;
+
+  try {
+    return await sizePosition(repos, instrument, { entry, stop }, at);
+  } catch (error) {
+    if (error.code === 'INVALID_POSITION_SIZE') return null;
+    throw error;
+  }
+};
+
+// Helper functions
+const toSessionClock = (date) => new Intl.DateTimeFormat('en-US', {
+  timeZone: SESSION_TIMEZONE,
+  hourCycle: 'h23',
+  hour: '2-digit',
+  minute: '2-digit'
+}).format(date);
+
+const sizingError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_POSITION_SIZE';
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  POSITION_SIZE_MODELS,
+  SIZING_DEFAULTS,
+  getSizingSettings,
+  validatePositionSizeRequest,
+  calculatePositionSize,
+  sizePosition,
+  sizePlannedTrade
+};
@@ -0,0 +1,278 @@
+/**
+ * Risk of Ruin Service
+ * Probability of losing a set share of the account before the edge plays out, for
+ * a fixed dollar risk per trade. Each trade either wins payoff_ratio × risk or loses
+ * the risk, so the account is a random walk and ruin is the gambler's-ruin result:
+ * x^(capital / risk), where x is the root in (0, 1) of p·x^(b+1) − x + q = 0
+ * (p = win rate, q = 1 − p, b = payoff ratio). Solving the same equation for risk
+ * gives the largest risk per trade that keeps ruin under a target. The expected max
+ * drawdown comes from seeded simulated paths of the same walk.
+ */
+
+const { MIN_CLOSED_TRADES, createRng } = require('./monteCarlo');
+const { loadTradeResults } = require('./statistics');
+const { getSizingSettings } = require('./positionSizing');
+const { getAccountBalance } = require('./ledger');
+
+const DRAWDOWN_PATHS = 2000;
+const ROOT_ITERATIONS = 100;
+
+const LIMITS = {
+  win_rate: { min: 1, max: 99 },
+  payoff_ratio: { min: 0.05, max: 50 },
+  risk_per_trade: { min: 1, max: 1000000 },
+  account_balance: { min: 1, max: 1000000000 },
+  ruin_threshold: { min: 1, max: 100, default: 50 },
+  target_ruin_probability: { min: 0.01, max: 50, default: 1 },
+  horizon_trades: { min: 10, max: 5000, default: 250 }
+};
+
+/**
+ * Validate risk-of-ruin options from a query string
+ * @param {object} query - { win_rate, payoff_ratio, risk_per_trade, account_balance, ruin_threshold,
+ *   target_ruin_probability, horizon_trades, seed }
+ * @returns {object} Options with defaults applied (inputs taken from history stay undefined)
+ */
+const validateRiskOfRuinQuery = (query = {}) => {
+  const problems = [];
+  const options = {};
+
+  const readNumber = (name, { min, max }, integer = false) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    const value = Number(query[name]);
+    if (isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      problems.push(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+  options.win_rate = readNumber('win_rate', LIMITS.win_rate);
+  options.payoff_ratio = readNumber('payoff_ratio', LIMITS.payoff_ratio);
+  options.risk_per_trade = readNumber('risk_per_trade', LIMITS.risk_per_trade);
+  options.account_balance = readNumber('account_balance', LIMITS.account_balance);
+  options.ruin_threshold = readNumber('ruin_threshold', LIMITS.ruin_threshold);
+  options.target_ruin_probability = readNumber('target_ruin_probability', LIMITS.target_ruin_probability);
+  options.horizon_trades = readNumber('horizon_trades', LIMITS.horizon_trades, true);
+  options.seed = readNumber('seed', { min: 0, max: 4294967295 }, true);
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_RISK_OF_RUIN_QUERY';
+    throw error;
+  }
+
+  return {
+    ...options,
+    ruin_threshold: options.ruin_threshold || LIMITS.ruin_threshold.default,
+    target_ruin_probability: options.target_ruin_probability || LIMITS.target_ruin_probability.default,
+    horizon_trades: options.horizon_trades || LIMITS.horizon_trades.default
+  };
+};
+
+/**
+ * Win rate and payoff ratio of closed trades, in R so trades of different size compare
+ * @param {object[]} results - Trade results (loadTradeResults)
+ * @returns {object} { closed_trades, win_rate (percent), payoff_ratio } - payoff_ratio is null without both wins and losses
+ */
+const buildEmpiricalModel = (results) => {
+  const wins = results.filter(result => result.r_multiple > 0).map(result => result.r_multiple);
+  const losses = results.filter(result => result.r_multiple <= 0).map(result => Math.abs(result.r_multiple));
+  const avgLoss = average(losses);
+
+  return {
+    closed_trades: results.length,
+    win_rate: results.length > 0 ? round(wins.length / results.length * 100, 1) : null,
+    payoff_ratio: wins.length > 0 && avgLoss > 0 ? round(average(wins) / avgLoss, 2) : null
+  };
+};
+
+/**
+ * Risk of ruin for a fixed dollar risk per trade
+ * @param {object} inputs - { win_rate (percent), payoff_ratio, risk_per_trade, account_balance,
+ *   ruin_threshold (percent drawdown), target_ruin_probability (percent), horizon_trades, seed }
+ * @returns {object} { inputs, expectancy_r, losses_to_ruin, probability_of_ruin, within_target,
+ *   max_risk_for_target, expected_max_drawdown }
+ */
+const calculateRiskOfRuin = (inputs) => {
+  const winRate = inputs.win_rate / 100;
+  const payoff = inputs.payoff_ratio;
+  const risk = inputs.risk_per_trade;
+  const balance = inputs.account_balance;
+  const capitalAtRisk = balance * inputs.ruin_threshold / 100;
+  const target = inputs.target_ruin_probability / 100;
+  const seed = inputs.seed === undefined ? Math.floor(Math.random() * 4294967296) : inputs.seed;
+
+  const expectancy = winRate * payoff - (1 - winRate);
+  const base = expectancy > 0 ? solveRuinBase(winRate, payoff) : 1;
+  const ruinProbability = base < 1 ? Math.pow(base, capitalAtRisk / risk) : 1;
+  const maxRisk = base < 1 ? capitalAtRisk * Math.log(base) / Math.log(target) : null;
+  const drawdown = simulateDrawdowns(winRate, payoff, risk, balance, balance - capitalAtRisk, inputs.horizon_trades, seed);
+
+  return {
+    inputs: {
+      win_rate: inputs.win_rate,
+      payoff_ratio: payoff,
+      risk_per_trade: risk,
+      account_balance: round(balance, 2),
+      ruin_threshold: inputs.ruin_threshold,
+      ruin_balance: round(balance - capitalAtRisk, 2),
+      target_ruin_probability: inputs.target_ruin_probability,
+      horizon_trades: inputs.horizon_trades,
+      seed
+    },
+    expectancy_r: round(expectancy, 3),
+    losses_to_ruin: Math.ceil(capitalAtRisk / risk - 1e-9),
+    probability_of_ruin: round(ruinProbability * 100, 4),
+    within_target: ruinProbability <= target,
+    max_risk_for_target: maxRisk === null ? null : {
+      risk_per_trade: Math.floor(maxRisk * 100) / 100,
+      account_percent: round(maxRisk / balance * 100, 2)
+    },
+    expected_max_drawdown: drawdown
+  };
+};
+
+/**
+ * Risk of ruin for a user: win rate and payoff ratio default to their closed trades,
+ * risk per trade to the configured max risk, and the balance to the ledger, then
+ * the configured account_size
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {object} options - Validated options (validateRiskOfRuinQuery)
+ * @returns {Promise<object>} calculateRiskOfRuin result with { source, history }
+ */
+const assessRiskOfRuin = async (repos, options = {}) => {
+  const withDefaults = {
+    ruin_threshold: LIMITS.ruin_threshold.default,
+    target_ruin_probability: LIMITS.target_ruin_probability.default,
+    horizon_trades: LIMITS.horizon_trades.default,
+    ...removeUndefined(options)
+  };
+  let history = null;
+
+  if (withDefaults.win_rate === undefined || withDefaults.payoff_ratio === undefined) {
+    const { results } = await loadTradeResults(repos);
+    history = buildEmpiricalModel(results);
+
+    if (history.closed_trades < MIN_CLOSED_TRADES) {
+      throw historyError(`Risk of ruin needs at least ${MIN_CLOSED_TRADES} closed trades (found ${history.closed_trades}), or both win_rate and payoff_ratio`);
+    }
+    if (withDefaults.payoff_ratio === undefined && history.payoff_ratio === null) {
+      throw historyError('Closed trades need both wins and losses to measure a payoff ratio; pass payoff_ratio instead');
+    }
+    if (withDefaults.win_rate === undefined && (history.win_rate < LIMITS.win_rate.min || history.win_rate > LIMITS.win_rate.max)) {
+      throw historyError(`A historical win rate of ${history.win_rate}% cannot estimate ruin; pass win_rate instead`);
+    }
+  }
+
+  const settings = await getSizingSettings(repos);
+  const accountBalance = withDefaults.account_balance || (await getAccountBalance(repos)) || settings.account_size;
+
+  if (!(accountBalance > 0)) {
+    const error = new Error('account_balance is required (no ledger balance or account_size is recorded)');
+    error.code = 'INVALID_RISK_OF_RUIN_QUERY';
+    throw error;
+  }
+
+  const result = calculateRiskOfRuin({
+    ...withDefaults,
+    win_rate: withDefaults.win_rate === undefined ? history.win_rate : withDefaults.win_rate,
+    payoff_ratio: withDefaults.payoff_ratio === undefined ? history.payoff_ratio : withDefaults.payoff_ratio,
+    risk_per_trade: withDefaults.risk_per_trade || settings.max_risk_per_trade,
+    account_balance: accountBalance
+  });
+
+  return {
+    source: {
+      win_rate: withDefaults.win_rate === undefined ? 'history' : 'hypothetical',
+      payoff_ratio: withDefaults.payoff_ratio === undefined ? 'history' : 'hypothetical',
+      risk_per_trade: withDefaults.risk_per_trade ? 'hypothetical' : 'max_risk_per_trade'
+    },
+    history,
+    ...result
+  };
+};
+
+// Helper functions
+
+// Root in (0, 1) of p·x^(b+1) − x + q; the curve is convex with roots there and at 1
+// whenever the edge is positive, so bisection between 0 and 1 finds it
+const solveRuinBase = (winRate, payoff) => {
+  const f = (x) => winRate * Math.pow(x, payoff + 1) - x + (1 - winRate);
+  let low = 0;
+  let high = 1 - 1e-12;
+
+  for (let i = 0; i < ROOT_ITERATIONS; i++) {
+    const middle = (low + high) / 2;
+    if (f(middle) > 0) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+// Mean and 95th percentile of the deepest peak-to-trough fall per path; a path stops at the ruin balance
+const simulateDrawdowns = (winRate, payoff, risk, startBalance, ruinBalance, trades, seed) => {
+  const random = createRng(seed);
+  const maxDrawdowns = new Float64Array(DRAWDOWN_PATHS);
+  let ruined = 0;
+
+  for (let path = 0; path < DRAWDOWN_PATHS; path++) {
+    let balance = startBalance;
+    let peak = balance;
+    let maxDrawdown = 0;
+
+    for (let trade = 0; trade < trades; trade++) {
+      balance += random() < winRate ? payoff * risk : -risk;
+      peak = Math.max(peak, balance);
+      maxDrawdown = Math.max(maxDrawdown, peak - balance);
+
+      if (balance <= ruinBalance + 1e-9) {
+        ruined++;
+        break;
+      }
+    }
+
+    maxDrawdowns[path] = maxDrawdown;
+  }
+
+  const sorted = maxDrawdowns.sort();
+  const mean = average(sorted);
+  const p95 = sorted[Math.ceil(0.95 * sorted.length) - 1];
+
+  return {
+    paths: DRAWDOWN_PATHS,
+    dollars: round(mean, 2),
+    percent: round(mean / startBalance * 100, 1),
+    p95_dollars: round(p95, 2),
+    p95_percent: round(p95 / startBalance * 100, 1),
+    ruined_within_horizon: round(ruined / DRAWDOWN_PATHS * 100, 1)
+  };
+};
+
+const historyError = (message) => {
+  const error = new Error(message);
+  error.code = 'INSUFFICIENT_TRADE_HISTORY';
+  return error;
+};
+
+const removeUndefined = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+const average = (values) => {
+  if (values.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  return sum / values.length;
+};
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+module.exports = {
+  validateRiskOfRuinQuery,
+  buildEmpiricalModel,
+  calculateRiskOfRuin,
+  assessRiskOfRuin
+};
@@ -0,0 +1,259 @@
+/**
+ * Risk State Service
+ * Tracks realized loss and closed trades for the current day and week against the
+ * user's limits (max_daily_loss, max_weekly_loss, max_trades_per_day,
+ * max_trades_per_week). Breaching a limit raises a HIGH risk alert and locks the
+ * account until the next session opens - the next trading day for daily limits,
+ * the following Monday for weekly ones. Realized results come from the ledger.
+ */
+
+const { EVENT_TYPES, publishEvent } = require('./eventBus');
+const { resolveInstrument, getSessionHours } = require('./instruments');
+
+// The daily loss and weekly trade limits of the original settings; the other two are
+// only enforced once a trader sets them
+const RISK_LIMIT_DEFAULTS = {
+  max_daily_loss: 150,
+  max_weekly_loss: null,
+  max_trades_per_day: null,
+  max_trades_per_week: parseInt(process.env.MAX_TRADES_PER_WEEK) || 3
+};
+
+const MIN_JUSTIFICATION_LENGTH = 20;
+const SESSION_TIMEZONE = 'America/New_York';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const LOCKOUT_RULES = {
+  weekly_loss: { limit: 'max_weekly_loss', alert_type: 'WEEKLY_LOSS_LIMIT', label: 'Weekly loss limit' },
+  daily_loss: { limit: 'max_daily_loss', alert_type: 'DAILY_LOSS_LIMIT', label: 'Daily loss limit' },
+  weekly_trades: { limit: 'max_trades_per_week', alert_type: 'WEEKLY_TRADE_LIMIT', label: 'Weekly trade limit' },
+  daily_trades: { limit: 'max_trades_per_day', alert_type: 'DAILY_TRADE_LIMIT', label: 'Daily trade limit' }
+};
+
+/**
+ * The user's risk limits: stored settings over the defaults. A limit stored as
+ * null, or left unset when it has no default, is switched off.
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} { max_daily_loss, max_weekly_loss, max_trades_per_day, max_trades_per_week }
+ */
+const getRiskLimits = async (repos) => {
+  const stored = (await repos.settings.get())?.settings || {};
+  const riskManagement = stored.risk_management || {};
+  const tradingSettings = stored.trading_settings || {};
+
+  return {
+    max_daily_loss: pickLimit(riskManagement.max_daily_loss, RISK_LIMIT_DEFAULTS.max_daily_loss),
+    max_weekly_loss: pickLimit(riskManagement.max_weekly_loss, RISK_LIMIT_DEFAULTS.max_weekly_loss),
+    max_trades_per_day: pickLimit(tradingSettings.max_trades_per_day, RISK_LIMIT_DEFAULTS.max_trades_per_day),
+    max_trades_per_week: pickLimit(tradingSettings.max_trades_per_week, RISK_LIMIT_DEFAULTS.max_trades_per_week)
+  };
+};
+
+/**
+ * Measure today and this week against the limits, locking the account for any
+ * limit breached that has not already locked it this period
+ * @param {object} repos - The user's repositories
+ * @param {Date} now - Moment to evaluate (defaults to now)
+ * @returns {Promise<object>} { as_of, session_date, week_start, limits, daily, weekly, locked, lockout }
+ */
+const evaluateRiskState = async (repos, now = new Date()) => {
+  const limits = await getRiskLimits(repos);
+  const sessionDate = getSessionDate(now);
+  const weekStart = getWeekStart(sessionDate);
+
+  const [day, week] = await Promise.all([
+    repos.ledger.getTradingTotals(sessionDate, sessionDate),
+    repos.ledger.getTradingTotals(weekStart, sessionDate)
+  ]);
+
+  const measured = {
+    daily_loss: { value: Math.max(0, -day.realized_pnl), period_start: sessionDate },
+    weekly_loss: { value: Math.max(0, -week.realized_pnl), period_start: weekStart },
+    daily_trades: { value: day.trade_count, period_start: sessionDate },
+    weekly_trades: { value: week.trade_count, period_start: weekStart }
+  };
+
+  for (const [reason, rule] of Object.entries(LOCKOUT_RULES)) {
+    const limit = limits[rule.limit];
+    const { value, period_start: periodStart } = measured[reason];
+    if (limit === null || value < limit) continue;
+
+    await raiseLockout(repos, { reason, period_start: periodStart, limit_value: limit, actual_value: roundMoney(value) }, now);
+  }
+
+  const lockout = await repos.lockouts.findActive(now.toISOString());
+
+  return {
+    as_of: now.toISOString(),
+    session_date: sessionDate,
+    week_start: weekStart,
+    limits,
+    daily: describePeriod(day, limits.max_daily_loss, limits.max_trades_per_day),
+    weekly: describePeriod(week, limits.max_weekly_loss, limits.max_trades_per_week),
+    locked: Boolean(lockout),
+    lockout: lockout ? describeLockout(lockout) : null
+  };
+};
+
+/**
+ * Check a written justification for trading through a lockout
+ * @param {*} justification - Text from the request
+ * @returns {string} Trimmed justification
+ */
+const validateOverrideJustification = (justification) => {
+  const text = typeof justification === 'string' ? justification.trim() : '';
+
+  if (text.length < MIN_JUSTIFICATION_LENGTH || text.length > 1000) {
+    const error = new Error(`override_justification must be ${MIN_JUSTIFICATION_LENGTH} to 1000 characters explaining why this trade is taken despite the lockout`);
+    error.code = 'INVALID_LOCKOUT_OVERRIDE';
+    throw error;
+  }
+
+  return text;
+};
+
+/**
+ * A lockout as reported to clients
+ * @param {object} lockout - Lockout row
+ * @returns {object} { id, reason, message, limit, actual, period_start, locked_at, expires_at, alert_id }
+ */
+const describeLockout = (lockout) => {
+  const rule = LOCKOUT_RULES[lockout.reason];
+  const isLoss = lockout.reason.endsWith('_loss');
+
+  return {
+    id: lockout.id,
+    reason: lockout.reason,
+    message: isLoss
+      ? `${rule.label} of $${lockout.limit_value} reached (realized loss $${lockout.actual_value})`
+      : `${rule.label} of ${lockout.limit_value} trades reached`,
+    limit: lockout.limit_value,
+    actual: lockout.actual_value,
+    period_start: lockout.period_start,
+    locked_at: lockout.locked_at,
+    expires_at: lockout.expires_at,
+    alert_id: lockout.alert_id
+  };
+};
+
+// Helper functions
+const raiseLockout = async (repos, lockout, now) => {
+  const rule = LOCKOUT_RULES[lockout.reason];
+  const instrument = await resolveInstrument(repos);
+  const expiresAt = getNextSessionStart(instrument, now, lockout.reason.startsWith('weekly'));
+
+  const lockoutId = await repos.lockouts.create({ ...lockout, expires_at: expiresAt.toISOString() });
+  if (!lockoutId) return; // Already locked for this period
+
+  const description = describeLockout({ ...lockout, id: lockoutId, expires_at: expiresAt.toISOString() });
+  const message = `${description.message} - trading locked until ${expiresAt.toISOString()}`;
+
+  const alertId = await repos.alerts.create({
+    trade_id: null,
+    alert_type: rule.alert_type,
+    message,
+    severity: 'HIGH'
+  });
+  await repos.lockouts.attachAlert(lockoutId, alertId);
+
+  // Lockouts are raised inside uploads and imports; announce them once they are stored
+  repos.afterCommit(() => publishEvent(repos.userId, EVENT_TYPES.RISK_ALERT, {
+    alert_id: alertId,
+    trade_id: null,
+    alert_type: rule.alert_type,
+    message,
+    severity: 'HIGH',
+    lockout: { ...description, alert_id: alertId }
+  }));
+};
+
+const describePeriod = (totals, maxLoss, maxTrades) => {
+  const loss = Math.max(0, -totals.realized_pnl);
+
+  return {
+    realized_pnl: roundMoney(totals.realized_pnl),
+    trade_count: totals.trade_count,
+    loss_remaining: maxLoss === null ? null : roundMoney(Math.max(0, maxLoss - loss)),
+    trades_remaining: maxTrades === null ? null : Math.max(0, maxTrades - totals.trade_count)
+  };
+};
+
+const pickLimit = (value, fallback) => {
+  if (value === null) return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+// Start of the next session after the current trading day (or week): the first
+// weekday - or Monday, for weekly limits - after today, at the contract's open
+const getNextSessionStart = (instrument, now, nextWeek) => {
+  const session = getSessionHours(instrument);
+  let day = parseDate(getSessionDate(now));
+
+  do {
+    day = new Date(day.getTime() + MS_PER_DAY);
+  } while (nextWeek ? day.getUTCDay() !== 1 : (day.getUTCDay() === 0 || day.getUTCDay() === 6));
+
+  const hours = Math.floor(session.start);
+  const minutes = Math.round((session.start - hours) * 60);
+  return easternToUtc(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+};
+
+// Calendar date of a moment in the session's timezone (YYYY-MM-DD)
+const getSessionDate = (date) => {
+  const parts = getEasternParts(date);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+const getEasternParts = (date) => {
+  const formatted = new Intl.DateTimeFormat('en-US', {
+    timeZone: SESSION_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  return formatted.reduce((parts, part) => {
+    parts[part.type] = part.value;
+    return parts;
+  }, {});
+};
+
+/**
+ * UTC moment of a wall-clock time in the session timezone (America/New_York)
+ * @param {number} year - Year
+ * @param {number} month - Month, 0-based
+ * @param {number} day - Day of the month
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @returns {Date} UTC moment
+ */
+const easternToUtc = (year, month, day, hours, minutes) => {
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  const parts = getEasternParts(new Date(wallClock));
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - wallClock;
+  return new Date(wallClock - offset);
+};
+
+const getWeekStart = (date) => {
+  const day = parseDate(date);
+  const weekday = (day.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(day.getTime() - weekday * MS_PER_DAY).toISOString().split('T')[0];
+};
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  RISK_LIMIT_DEFAULTS,
+  getRiskLimits,
+  evaluateRiskState,
+  validateOverrideJustification,
+  describeLockout,
+  getSessionDate,
+  easternToUtc
+};
@@ -0,0 +1,96 @@
+/**
+ * Screenshot URL Service
+ * Links to uploaded screenshots that an <img> tag can load without an Authorization
+ * header: /uploads/<stored path>?expires=<unix seconds>&signature=<HMAC>, signed with
+ * AUTH_SECRET and valid for SCREENSHOT_URL_TTL seconds (an hour by default). Job
+ * results are stored with plain /uploads/ links and signed each time they are read.
+ */
+
+const crypto = require('crypto');
+const { getTokenSecret } = require('./auth');
+
+const SCREENSHOT_URL_TTL_SECONDS = parseInt(process.env.SCREENSHOT_URL_TTL) || 60 * 60;
+const LINK_PREFIX = '/uploads/';
+
+/**
+ * Stored path of a screenshot ('uploads/<date>/<file>') from a stored or requested path
+ * @param {string} value - Stored path, or a path below /uploads with or without its 'uploads/' prefix
+ * @returns {string} Stored path
+ */
+const toStoredScreenshotPath = (value) => {
+  const normalized = String(value).replace(/\\/g, '/').replace(/^\/+/, '');
+  return normalized.startsWith('uploads/') ? normalized : `uploads/${normalized}`;
+};
+
+/**
+ * Unsigned link to a screenshot, for results that are stored and signed when read
+ * @param {string} storedPath - Stored screenshot path
+ * @returns {string|null} /uploads/ link
+ */
+const toScreenshotLink = (storedPath) => (storedPath ? `${LINK_PREFIX}${toStoredScreenshotPath(storedPath)}` : null);
+
+/**
+ * Signed, expiring URL of a screenshot
+ * @param {string} storedPath - Stored screenshot path
+ * @param {Date} now - Moment the URL is issued (defaults to now)
+ * @returns {string|null} URL, or null without a path
+ */
+const createScreenshotUrl = (storedPath, now = new Date()) => {
+  if (!storedPath) return null;
+
+  const expires = Math.floor(now.getTime() / 1000) + SCREENSHOT_URL_TTL_SECONDS;
+  const signature = signScreenshot(toStoredScreenshotPath(storedPath), expires);
+  return `${toScreenshotLink(storedPath)}?expires=${expires}&signature=${signature}`;
+};
+
+/**
+ * Check the signature of a screenshot URL
+ * @param {string} storedPath - Stored screenshot path the URL points at
+ * @param {string} expires - expires query value
+ * @param {string} signature - signature query value
+ * @param {Date} now - Moment of the request (defaults to now)
+ * @returns {boolean} True when the signature matches and has not expired
+ */
+const verifyScreenshotUrl = (storedPath, expires, signature, now = new Date()) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || typeof signature !== 'string' || expiresAt < now.getTime() / 1000) return false;
+
+  const expected = Buffer.from(signScreenshot(toStoredScreenshotPath(storedPath), expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Sign every unsigned /uploads/ link in a stored result
+ * @param {*} value - Result, or any part of it
+ * @param {Date} now - Moment the URLs are issued (defaults to now)
+ * @returns {*} Copy with signed links
+ */
+const signScreenshotLinks = (value, now = new Date()) => {
+  if (typeof value === 'string') {
+    return value.startsWith(LINK_PREFIX) && !value.includes('?') ? createScreenshotUrl(value.slice(LINK_PREFIX.length), now) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => signScreenshotLinks(item, now));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, signScreenshotLinks(item, now)]));
+  }
+  return value;
+};
+
+// Helper functions
+
+const signScreenshot = (storedPath, expires) => crypto
+  .createHmac('sha256', getTokenSecret())
+  .update(`screenshot:${storedPath}:${expires}`)
+  .digest('base64url');
+
+module.exports = {
+  SCREENSHOT_URL_TTL_SECONDS,
+  toStoredScreenshotPath,
+  toScreenshotLink,
+  createScreenshotUrl,
+  verifyScreenshotUrl,
+  signScreenshotLinks
+};
@@ -0,0 +1,348 @@
+/**
+ * Performance Statistics Service
+ * Core trading statistics over closed trades: R-multiples from the planned stop
+ * distance, expectancy, profit factor, payoff ratio, SQN, Sharpe and Sortino on
+ * daily returns, Kelly fraction, extremes and win/loss runs. Shared by the
+ * statistics, pattern, session and dashboard endpoints so they agree.
+ */
+
+const { getInstrumentMap, getDefaultInstrumentSymbol } = require('./instruments');
+const { EXTERNAL_FLOW_TYPES } = require('./ledger');
+
+const STATISTICS_GROUPS = { pattern: 'pattern_type', session: 'session_timing', trading_style: 'trading_style' };
+const TRADING_DAYS_PER_YEAR = 252;
+const SQN_TRADE_CAP = 100; // Beyond ~100 trades SQN grows with sample size rather than edge
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate statistics query parameters
+ * @param {object} query - { pattern, session, trading_style, timeframes (comma-separated), from, to,
+ *   group_by, include_trades }
+ * @returns {object} Filters for getTradeStatistics (absent parameters stay undefined)
+ */
+const validateStatisticsQuery = (query = {}) => {
+  const problems = [];
+  const parsed = {};
+
+  ['pattern', 'session', 'trading_style'].forEach(name => {
+    if (query[name] === undefined) return;
+    if (typeof query[name] !== 'string' || query[name].trim() === '') problems.push(`${name} must be text`);
+    parsed[name] = String(query[name]).trim();
+  });
+
+  if (query.timeframes !== undefined) {
+    parsed.timeframes = normalizeTimeframes(query.timeframes);
+    if (parsed.timeframes.length === 0) problems.push('timeframes must list at least one timeframe');
+  }
+
+  ['from', 'to'].forEach(name => {
+    if (query[name] === undefined) return;
+    if (!isValidDate(query[name])) problems.push(`${name} must be YYYY-MM-DD`);
+    parsed[name] = query[name];
+  });
+  if (parsed.from && parsed.to && parsed.from > parsed.to) {
+    problems.push('from must not be after to');
+  }
+
+  if (query.group_by !== undefined) {
+    if (!STATISTICS_GROUPS[query.group_by]) {
+      problems.push(`group_by must be one of: ${Object.keys(STATISTICS_GROUPS).join(', ')}`);
+    }
+    parsed.group_by = query.group_by;
+  }
+
+  parsed.include_trades = query.include_trades === 'true';
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_ANALYTICS_QUERY';
+    throw error;
+  }
+
+  return parsed;
+};
+
+/**
+ * Load a user's closed trades with their R-multiples and the balances behind
+ * their daily returns
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {object} filters - { pattern, session, trading_style, timeframes, from, to }
+ * @returns {Promise<object>} { results, balances } for calculateStatistics
+ */
+const loadTradeResults = async (repos, filters = {}) => {
+  const [trades, instruments, defaultSymbol, entries] = await Promise.all([
+    repos.trades.findStatisticsTrades(filters),
+    getInstrumentMap(repos),
+    getDefaultInstrumentSymbol(repos),
+    repos.ledger.findAllUntil(filters.to || null)
+  ]);
+  const defaultRisk = parseFloat(process.env.MAX_RISK_PER_TRADE) || 50;
+
+  const results = trades
+    .filter(trade => !filters.timeframes || sameTimeframes(trade.timeframes_used, filters.timeframes))
+    .map(trade => {
+      const instrument = instruments[(trade.instrument || defaultSymbol).toUpperCase()];
+      const { risk, source } = getTradeRisk(trade, instrument, defaultRisk);
+
+      return {
+        trade_id: trade.id,
+        date: String(trade.timestamp).slice(0, 10),
+        pattern_type: trade.pattern_type,
+        session_timing: trade.session_timing,
+        trading_style: trade.trading_style,
+        pnl: trade.actual_pnl,
+        risk: roundMoney(risk),
+        risk_source: source,
+        r_multiple: Math.round(trade.actual_pnl / risk * 100) / 100
+      };
+    });
+
+  return { results, balances: getClosingBalances(entries) };
+};
+
+/**
+ * Dollar risk of a trade: planned stop distance x point value x contracts, else the
+ * recorded risk_amount, else the configured maximum risk per trade
+ * @param {object} trade - Trade row (findStatisticsTrades)
+ * @param {object|undefined} instrument - The trade's contract
+ * @param {number} defaultRisk - Fallback dollar risk
+ * @returns {object} { risk, source: 'planned_stop' | 'risk_amount' | 'default' }
+ */
+const getTradeRisk = (trade, instrument, defaultRisk) => {
+  const stopDistance = trade.planned_entry && trade.planned_stop
+    ? Math.abs(trade.planned_entry - trade.planned_stop)
+    : 0;
+
+  if (stopDistance > 0 && instrument) {
+    return { risk: stopDistance * instrument.point_value * (trade.contracts || 1), source: 'planned_stop' };
+  }
+  if (trade.risk_amount > 0) {
+    return { risk: trade.risk_amount, source: 'risk_amount' };
+  }
+  return { risk: defaultRisk, source: 'default' };
+};
+
+/**
+ * Performance statistics of a set of trade results
+ * @param {object[]} results - Trade results, oldest first (loadTradeResults)
+ * @param {object[]} balances - Closing ledger balances by date (loadTradeResults)
+ * @returns {object} Statistics; ratios are null when the sample cannot support them
+ */
+const calculateStatistics = (results, balances = []) => {
+  const wins = results.filter(result => result.pnl > 0);
+  const losses = results.filter(result => result.pnl < 0);
+  const rMultiples = results.map(result => result.r_multiple);
+
+  const grossProfit = sum(wins.map(result => result.pnl));
+  const grossLoss = sum(losses.map(result => result.pnl));
+  const winRate = results.length > 0 ? wins.length / results.length : 0;
+  const averageWin = wins.length > 0 ? grossProfit / wins.length : 0;
+  const averageLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+  const payoffRatio = wins.length > 0 && losses.length > 0 ? averageWin / Math.abs(averageLoss) : null;
+
+  const averageR = results.length > 0 ? sum(rMultiples) / results.length : 0;
+  const rDeviation = standardDeviation(rMultiples);
+  const daily = getDailyReturns(results, balances);
+  const ratiosUnsupported = daily.unpriced_days.length > 0;
+  const runs = getRuns(results);
+
+  const largestWin = wins.reduce((best, result) => (!best || result.pnl > best.pnl ? result : best), null);
+  const largestLoss = losses.reduce((worst, result) => (!worst || result.pnl < worst.pnl ? result : worst), null);
+
+  return {
+    trade_count: results.length,
+    wins: wins.length,
+    losses: losses.length,
+    breakeven: results.length - wins.length - losses.length,
+    win_rate: round(winRate * 100, 1),
+    net_pnl: roundMoney(grossProfit + grossLoss),
+    gross_profit: roundMoney(grossProfit),
+    gross_loss: roundMoney(grossLoss),
+    average_win: roundMoney(averageWin),
+    average_loss: roundMoney(averageLoss),
+    expectancy: results.length > 0 ? roundMoney((grossProfit + grossLoss) / results.length) : 0,
+    expectancy_r: round(averageR, 2),
+    profit_factor: grossLoss < 0 ? round(grossProfit / Math.abs(grossLoss), 2) : null,
+    payoff_ratio: payoffRatio === null ? null : round(payoffRatio, 2),
+    sqn: rDeviation > 0 ? round(Math.sqrt(Math.min(results.length, SQN_TRADE_CAP)) * averageR / rDeviation, 2) : null,
+    sharpe_ratio: ratiosUnsupported ? null : getSharpeRatio(daily.returns),
+    sortino_ratio: ratiosUnsupported ? null : getSortinoRatio(daily.returns),
+    ratio_warning: ratiosUnsupported
+      ? `Sharpe and Sortino omitted: no positive ledger balance before ${daily.unpriced_days.length} of the `
+        + `${daily.returns.length + daily.unpriced_days.length} trading days (first ${daily.unpriced_days[0]}); `
+        + 'record the deposits that funded them or set the starting capital'
+      : null,
+    trading_days: daily.returns.length + daily.unpriced_days.length,
+    kelly_fraction: payoffRatio ? round(winRate - (1 - winRate) / payoffRatio, 3) : null,
+    largest_win: largestWin ? { trade_id: largestWin.trade_id, pnl: largestWin.pnl, r_multiple: largestWin.r_multiple } : null,
+    largest_loss: largestLoss ? { trade_id: largestLoss.trade_id, pnl: largestLoss.pnl, r_multiple: largestLoss.r_multiple } : null,
+    max_consecutive_wins: runs.max_wins,
+    max_consecutive_losses: runs.max_losses,
+    current_streak: runs.current,
+    risk_sources: countBy(results, 'risk_source')
+  };
+};
+
+/**
+ * Statistics of results grouped by pattern, session or trading style
+ * @param {object[]} results - Trade results (loadTradeResults)
+ * @param {object[]} balances - Closing ledger balances by date (loadTradeResults)
+ * @param {string} groupBy - 'pattern', 'session' or 'trading_style'
+ * @returns {object[]} [{ group, ...statistics }] by expectancy, best first
+ */
+const groupStatistics = (results, balances, groupBy) => {
+  const column = STATISTICS_GROUPS[groupBy];
+  const groups = new Map();
+
+  results.forEach(result => {
+    const key = result[column] || 'unclassified';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  });
+
+  return [...groups.entries()]
+    .map(([group, groupResults]) => ({ group, ...calculateStatistics(groupResults, balances) }))
+    .sort((a, b) => b.expectancy - a.expectancy);
+};
+
+/**
+ * Load and calculate in one step
+ * @param {object} repos - The user's repositories
+ * @param {object} filters - { pattern, session, trading_style, timeframes, from, to }
+ * @returns {Promise<object>} Statistics (calculateStatistics)
+ */
+const getTradeStatistics = async (repos, filters = {}) => {
+  const { results, balances } = await loadTradeResults(repos, filters);
+  return calculateStatistics(results, balances);
+};
+
+// Helper functions
+
+// Each trading day's P&L as a fraction of the ledger balance that morning. Days without
+// a positive balance have no return; they are listed rather than dropped, since leaving
+// out losing days that wiped the account out would flatter the ratios.
+const getDailyReturns = (results, balances) => {
+  const days = new Map();
+  results.forEach(result => days.set(result.date, (days.get(result.date) || 0) + result.pnl));
+
+  const returns = [];
+  const unpricedDays = [];
+  days.forEach((pnl, date) => {
+    const balance = getBalanceBefore(balances, date);
+    if (balance > 0) returns.push(pnl / balance);
+    else unpricedDays.push(date);
+  });
+  return { returns, unpriced_days: unpricedDays };
+};
+
+const getSharpeRatio = (returns) => {
+  const deviation = standardDeviation(returns);
+  if (returns.length < 2 || deviation === 0) return null;
+  return round(mean(returns) / deviation * Math.sqrt(TRADING_DAYS_PER_YEAR), 2);
+};
+
+const getSortinoRatio = (returns) => {
+  if (returns.length < 2) return null;
+  const downside = Math.sqrt(mean(returns.map(value => Math.min(value, 0) ** 2)));
+  if (downside === 0) return null;
+  return round(mean(returns) / downside * Math.sqrt(TRADING_DAYS_PER_YEAR), 2);
+};
+
+// Longest and current winning/losing runs; a breakeven trade ends either run
+const getRuns = (results) => {
+  let maxWins = 0;
+  let maxLosses = 0;
+  let wins = 0;
+  let losses = 0;
+
+  results.forEach(result => {
+    wins = result.pnl > 0 ? wins + 1 : 0;
+    losses = result.pnl < 0 ? losses + 1 : 0;
+    maxWins = Math.max(maxWins, wins);
+    maxLosses = Math.max(maxLosses, losses);
+  });
+
+  return {
+    max_wins: maxWins,
+    max_losses: maxLosses,
+    current: wins > 0 ? { type: 'win', length: wins } : losses > 0 ? { type: 'loss', length: losses } : null
+  };
+};
+
+// Ledger balance at the close of each date with entries, oldest first, and the cash
+// moved in or out that day (deposits, withdrawals, adjustments)
+const getClosingBalances = (entries) => {
+  const closings = [];
+  let balance = 0;
+
+  entries.forEach(entry => {
+    balance += entry.amount;
+    const flow = EXTERNAL_FLOW_TYPES.includes(entry.entry_type) ? entry.amount : 0;
+    const last = closings[closings.length - 1];
+    if (last && last.date === entry.entry_date) {
+      last.balance = balance;
+      last.flows += flow;
+    } else {
+      closings.push({ date: entry.entry_date, balance, flows: flow });
+    }
+  });
+
+  return closings;
+};
+
+// Balance a day starts trading with: the previous close plus that day's cash flows
+const getBalanceBefore = (closings, date) => {
+  let balance = 0;
+  for (const closing of closings) {
+    if (closing.date > date) break;
+    balance = closing.date === date ? balance + closing.flows : closing.balance;
+  }
+  return balance;
+};
+
+const normalizeTimeframes = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))].sort();
+};
+
+const sameTimeframes = (timeframesUsed, wanted) => {
+  const used = normalizeTimeframes(timeframesUsed);
+  return used.length === wanted.length && used.every((timeframe, index) => timeframe === wanted[index]);
+};
+
+const countBy = (items, key) => {
+  return items.reduce((counts, item) => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const mean = (values) => (values.length > 0 ? sum(values) / values.length : 0);
+
+// Sample standard deviation
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(sum(values.map(value => (value - average) ** 2)) / (values.length - 1));
+};
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  STATISTICS_GROUPS,
+  validateStatisticsQuery,
+  loadTradeResults,
+  getTradeRisk,
+  calculateStatistics,
+  groupStatistics,
+  getTradeStatistics
+};
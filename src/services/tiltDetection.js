@@ -0,0 +1,310 @@
+/**
+ * Tilt Detection Service
+ * Watches the sequence of closed trades for emotional trading. Each session (US
+ * Eastern day) gets a 0-100 tilt score from four signals:
+ * - revenge trades: a trade taken within revenge_window_minutes of a loss
+ * - size increases after a loss: more contracts (or dollar risk) than the losing trade
+ * - overtrading after a red day: more trades than the previous, losing session
+ * - quality drop: setup_quality during a losing streak below the trader's baseline
+ * A session reaching tilt_threshold raises one HIGH risk alert of type TILT.
+ */
+
+const { EVENT_TYPES, publishEvent } = require('./eventBus');
+const { getSessionDate } = require('./riskState');
+
+const TILT_DEFAULTS = {
+  revenge_window_minutes: 15,
+  tilt_threshold: 50
+};
+
+// Points per occurrence and the most each signal can add to a session's score
+const SIGNAL_SCORING = {
+  revenge_trade: { points: 20, max: 40 },
+  size_increase_after_loss: { points: 15, max: 30 },
+  overtrading_after_red_day: { points: 20, max: 20 },
+  quality_drop: { points: 10, max: 30 } // per point of setup_quality below the baseline
+};
+
+const LOSING_STREAK = 2; // Consecutive losses before later trades count toward the quality drop
+const MIN_QUALITY_DROP = 1;
+const HISTORY_DAYS = 30; // Default range of the tilt history
+const ALERT_WINDOW_DAYS = 7; // Sessions older than this are scored but never alerted
+const CONTEXT_DAYS = 7; // Trades loaded before a range to find the previous session
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The user's detector settings: stored risk_management values over the defaults
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @returns {Promise<object>} { revenge_window_minutes, tilt_threshold }
+ */
+const getTiltSettings = async (repos) => {
+  const riskManagement = (await repos.settings.get())?.settings?.risk_management || {};
+
+  return {
+    revenge_window_minutes: parseFloat(riskManagement.revenge_window_minutes) || TILT_DEFAULTS.revenge_window_minutes,
+    tilt_threshold: parseFloat(riskManagement.tilt_threshold) || TILT_DEFAULTS.tilt_threshold
+  };
+};
+
+/**
+ * Validate a tilt history query
+ * @param {object} query - { from, to } (YYYY-MM-DD, optional)
+ * @param {Date} now - Moment the defaults are measured from
+ * @returns {object} { from, to } - defaults to the last 30 days
+ */
+const validateTiltQuery = (query = {}, now = new Date()) => {
+  const problems = [];
+  const to = query.to || getSessionDate(now);
+  const from = query.from || shiftDate(isValidDate(to) ? to : getSessionDate(now), -HISTORY_DAYS);
+
+  if (!isValidDate(from)) problems.push('from must be YYYY-MM-DD');
+  if (!isValidDate(to)) problems.push('to must be YYYY-MM-DD');
+  if (isValidDate(from) && isValidDate(to) && from > to) problems.push('from must not be after to');
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_ANALYTICS_QUERY';
+    throw error;
+  }
+
+  return { from, to };
+};
+
+/**
+ * Score each session of a trade sequence
+ * @param {object[]} trades - Closed trades, oldest first (findBehaviorTrades)
+ * @param {object} settings - { revenge_window_minutes, tilt_threshold }
+ * @returns {object[]} [{ session_date, trade_count, net_pnl, tilt_score, level, signals, tilt_started_at }], oldest first
+ */
+const scoreSessions = (trades, settings) => {
+  const baseline = average(trades.map(trade => trade.setup_quality).filter(isNumber));
+  const sessions = [];
+  let previous = null;
+
+  groupBySession(trades).forEach(([sessionDate, sessionTrades]) => {
+    const triggers = [];
+    const streakQualities = [];
+    let lossStreak = 0;
+
+    sessionTrades.forEach((trade, index) => {
+      const prior = sessionTrades[index - 1];
+
+      if (prior && prior.actual_pnl < 0) {
+        const minutes = (new Date(trade.timestamp) - new Date(prior.timestamp)) / 60000;
+        if (minutes <= settings.revenge_window_minutes) {
+          triggers.push(trigger(trade, 'revenge_trade', `Taken ${Math.round(minutes)} min after a $${formatMoney(-prior.actual_pnl)} loss`));
+        }
+
+        const size = getTradeSize(trade);
+        const priorSize = getTradeSize(prior);
+        if (size && priorSize && size.unit === priorSize.unit && size.value > priorSize.value) {
+          triggers.push(trigger(trade, 'size_increase_after_loss', `${describeSize(size)} after a loss on ${describeSize(priorSize)}`));
+        }
+      }
+
+      if (lossStreak >= LOSING_STREAK && isNumber(trade.setup_quality)) {
+        streakQualities.push(trade.setup_quality);
+      }
+      lossStreak = trade.actual_pnl < 0 ? lossStreak + 1 : 0;
+    });
+
+    const netPnl = roundMoney(sessionTrades.reduce((sum, trade) => sum + trade.actual_pnl, 0));
+    const redDayBefore = previous && previous.net_pnl < 0 && sessionTrades.length > previous.trade_count;
+    if (redDayBefore) {
+      triggers.push(trigger(
+        sessionTrades[previous.trade_count],
+        'overtrading_after_red_day',
+        `${sessionTrades.length} trades after ${previous.trade_count} on the losing session of ${previous.session_date}`
+      ));
+    }
+
+    const streakQuality = average(streakQualities);
+    const qualityDrop = baseline !== null && streakQuality !== null ? roundMoney(baseline - streakQuality) : null;
+
+    const count = (signal) => triggers.filter(item => item.signal === signal).length;
+    const score = Math.min(100,
+      scoreSignal('revenge_trade', count('revenge_trade')) +
+      scoreSignal('size_increase_after_loss', count('size_increase_after_loss')) +
+      scoreSignal('overtrading_after_red_day', redDayBefore ? 1 : 0) +
+      (qualityDrop !== null && qualityDrop >= MIN_QUALITY_DROP ? scoreSignal('quality_drop', qualityDrop) : 0)
+    );
+
+    triggers.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const session = {
+      session_date: sessionDate,
+      trade_count: sessionTrades.length,
+      net_pnl: netPnl,
+      tilt_score: score,
+      level: getTiltLevel(score, settings.tilt_threshold),
+      signals: {
+        revenge_trades: count('revenge_trade'),
+        size_increases_after_loss: count('size_increase_after_loss'),
+        overtrading_after_red_day: Boolean(redDayBefore),
+        quality_drop: qualityDrop !== null && qualityDrop >= MIN_QUALITY_DROP ? qualityDrop : null,
+        baseline_setup_quality: baseline !== null ? roundMoney(baseline) : null,
+        triggers
+      },
+      tilt_started_at: triggers.length > 0 ? triggers[0].timestamp : null
+    };
+
+    sessions.push(session);
+    previous = session;
+  });
+
+  return sessions;
+};
+
+/**
+ * Score the sessions in a date range, store them and raise a TILT alert for any
+ * recent session that reached the threshold
+ * @param {object} repos - The user's repositories
+ * @param {object} range - { from, to } (YYYY-MM-DD); defaults to the alert window ending today
+ * @param {Date} now - Moment to evaluate (defaults to now)
+ * @returns {Promise<object>} { settings, current, sessions } - current is today's session (null without trades)
+ */
+const evaluateTilt = async (repos, range = {}, now = new Date()) => {
+  const settings = await getTiltSettings(repos);
+  const today = getSessionDate(now);
+  const to = range.to || today;
+  const from = range.from || shiftDate(today, -ALERT_WINDOW_DAYS);
+
+  const trades = (await repos.trades.findBehaviorTrades(`${shiftDate(from, -CONTEXT_DAYS)}T00:00:00Z`))
+    .filter(trade => getSessionDate(new Date(trade.timestamp)) <= to);
+
+  const sessions = [];
+  for (const session of scoreSessions(trades, settings)) {
+    if (session.session_date < from) continue;
+
+    const stored = await repos.tilt.save(session);
+    if (stored.level === 'tilt' && !stored.alert_id && session.session_date >= shiftDate(today, -ALERT_WINDOW_DAYS)) {
+      stored.alert_id = await raiseTiltAlert(repos, stored);
+    }
+    sessions.push(stored);
+  }
+
+  return {
+    settings,
+    current: sessions.find(session => session.session_date === today) || null,
+    sessions
+  };
+};
+
+/**
+ * Totals over scored sessions
+ * @param {object[]} sessions - Sessions from evaluateTilt
+ * @returns {object} { sessions, tilted_sessions, elevated_sessions, avg_tilt_score, max_tilt_score, first_tilt_at }
+ */
+const summarizeTilt = (sessions) => {
+  const tilted = sessions.filter(session => session.level === 'tilt');
+
+  return {
+    sessions: sessions.length,
+    tilted_sessions: tilted.length,
+    elevated_sessions: sessions.filter(session => session.level === 'elevated').length,
+    avg_tilt_score: sessions.length > 0 ? roundMoney(average(sessions.map(session => session.tilt_score))) : null,
+    max_tilt_score: sessions.length > 0 ? Math.max(...sessions.map(session => session.tilt_score)) : null,
+    first_tilt_at: tilted.length > 0 ? tilted[0].tilt_started_at : null
+  };
+};
+
+const raiseTiltAlert = async (repos, session) => {
+  const signals = session.signals || {};
+  const reasons = [
+    signals.revenge_trades > 0 && `${signals.revenge_trades} revenge trade${signals.revenge_trades > 1 ? 's' : ''}`,
+    signals.size_increases_after_loss > 0 && `${signals.size_increases_after_loss} size increase${signals.size_increases_after_loss > 1 ? 's' : ''} after a loss`,
+    signals.overtrading_after_red_day && 'overtrading after a red day',
+    signals.quality_drop && `setup quality ${signals.quality_drop} below baseline while losing`
+  ].filter(Boolean);
+  const firstTrigger = (signals.triggers || [])[0];
+  const message = `Tilt detected on ${session.session_date} (score ${session.tilt_score}/100): ${reasons.join(', ')}`;
+
+  const alertId = await repos.alerts.create({
+    trade_id: firstTrigger ? firstTrigger.trade_id : null,
+    alert_type: 'TILT',
+    message,
+    severity: 'HIGH'
+  });
+  await repos.tilt.attachAlert(session.id, alertId);
+
+  repos.afterCommit(() => publishEvent(repos.userId, EVENT_TYPES.RISK_ALERT, {
+    alert_id: alertId,
+    trade_id: firstTrigger ? firstTrigger.trade_id : null,
+    alert_type: 'TILT',
+    message,
+    severity: 'HIGH',
+    tilt: {
+      session_date: session.session_date,
+      tilt_score: session.tilt_score,
+      tilt_started_at: session.tilt_started_at
+    }
+  }));
+
+  return alertId;
+};
+
+// Helper functions
+const groupBySession = (trades) => {
+  const groups = new Map();
+
+  trades.forEach(trade => {
+    const sessionDate = getSessionDate(new Date(trade.timestamp));
+    if (!groups.has(sessionDate)) groups.set(sessionDate, []);
+    groups.get(sessionDate).push(trade);
+  });
+
+  return [...groups.entries()];
+};
+
+// Contracts from imported fills, otherwise the dollar risk recorded with the analysis
+const getTradeSize = (trade) => {
+  if (trade.contracts > 0) return { unit: 'contracts', value: trade.contracts };
+  if (trade.risk_amount > 0) return { unit: 'risk', value: trade.risk_amount };
+  return null;
+};
+
+const describeSize = (size) => (size.unit === 'contracts'
+  ? `${size.value} contract${size.value > 1 ? 's' : ''}`
+  : `$${formatMoney(size.value)} risk`);
+
+const trigger = (trade, signal, detail) => ({
+  trade_id: trade.id,
+  timestamp: trade.timestamp,
+  signal,
+  detail
+});
+
+const scoreSignal = (signal, occurrences) => {
+  const scoring = SIGNAL_SCORING[signal];
+  return Math.min(scoring.max, Math.round(occurrences * scoring.points));
+};
+
+const getTiltLevel = (score, threshold) => {
+  if (score >= threshold) return 'tilt';
+  if (score >= threshold / 2) return 'elevated';
+  return 'calm';
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+const shiftDate = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * MS_PER_DAY).toISOString().split('T')[0];
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value) => (Number.isInteger(value) ? value.toString() : value.toFixed(2));
+
+module.exports = {
+  TILT_DEFAULTS,
+  getTiltSettings,
+  validateTiltQuery,
+  scoreSessions,
+  evaluateTilt,
+  summarizeTilt
+};
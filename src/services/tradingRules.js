@@ -0,0 +1,603 @@
+/**
+ * Trading Rules Service
+ * Rules each trader defines declaratively and that every pre-trade analysis and
+ * execution record is checked against:
+ * - field: a trade field compared with a threshold ({ field, operator, value })
+ * - time_window: the trade must fall inside a window in a timezone
+ *   ({ start, end, timezone, days })
+ * - frequency: at most max_trades records per day or week ({ max_trades, period, timezone })
+ * - confluence: screenshots of the required timeframes must be uploaded ({ timeframes })
+ * A violation is raised as a risk alert under the rule's alert_type and kept
+ * against the trade. Rules can be tested against the trader's history first.
+ */
+
+const { EVENT_TYPES, publishEvent } = require('./eventBus');
+
+const RULE_TYPES = ['field', 'time_window', 'frequency', 'confluence'];
+const RULE_SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+const RULE_PHASES = ['pre_trade', 'execution', 'both'];
+const FREQUENCY_PERIODS = ['day', 'week'];
+
+const NUMERIC_FIELDS = [
+  'risk_amount', 'risk_reward_ratio', 'planned_rr', 'actual_rr', 'setup_quality',
+  'confidence_score', 'trend_alignment_score', 'analysis_completeness_score',
+  'entry_variance', 'stop_variance', 'target_variance', 'actual_pnl'
+];
+const TEXT_FIELDS = [
+  'pattern_type', 'session_timing', 'recommendation', 'trading_style', 'instrument',
+  'entry_quality', 'stop_placement', 'target_selection', 'execution_timing',
+  'execution_quality_grade'
+];
+
+// Operator -> [test, wording]; a rule states what a compliant trade looks like
+const OPERATORS = {
+  lt: [(actual, expected) => actual < expected, 'below'],
+  lte: [(actual, expected) => actual <= expected, 'at most'],
+  gt: [(actual, expected) => actual > expected, 'above'],
+  gte: [(actual, expected) => actual >= expected, 'at least'],
+  eq: [(actual, expected) => actual === expected, 'equal to'],
+  neq: [(actual, expected) => actual !== expected, 'other than'],
+  in: [(actual, expected) => expected.includes(actual), 'one of'],
+  not_in: [(actual, expected) => !expected.includes(actual), 'none of']
+};
+const NUMERIC_OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq'];
+const TEXT_OPERATORS = ['eq', 'neq', 'in', 'not_in'];
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const MAX_PREVIEW_TRADES = 50;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ALERT_TYPE_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// The checks every trader starts with (formerly fixed in validateTradingRules)
+const DEFAULT_TRADING_RULES = [
+  {
+    name: 'Maximum risk per trade',
+    description: 'Risk no more than the per-trade limit',
+    rule_type: 'field',
+    condition: { field: 'risk_amount', operator: 'lte', value: parseFloat(process.env.MAX_RISK_PER_TRADE) || 50 },
+    severity: 'HIGH',
+    applies_to: 'pre_trade',
+    alert_type: 'MAX_RISK'
+  },
+  {
+    name: 'Optimal session window',
+    description: 'Trade the 9:30-10:15 AM Eastern window',
+    rule_type: 'time_window',
+    condition: { start: '09:30', end: '10:15', timezone: DEFAULT_TIMEZONE, days: null },
+    severity: 'MEDIUM',
+    applies_to: 'pre_trade',
+    alert_type: 'TRADING_HOURS'
+  },
+  {
+    name: 'Minimum risk/reward',
+    description: 'Only take setups offering at least 2:1',
+    rule_type: 'field',
+    condition: { field: 'risk_reward_ratio', operator: 'gte', value: 2 },
+    severity: 'MEDIUM',
+    applies_to: 'pre_trade',
+    alert_type: 'RISK_REWARD'
+  }
+];
+
+/**
+ * Validate a rule from a request
+ * @param {object} fields - Request body (a complete rule; merge updates onto the stored rule first)
+ * @returns {object} { name, description, rule_type, condition, severity, applies_to, alert_type, is_enabled }
+ */
+const validateRule = (fields = {}) => {
+  const problems = [];
+
+  const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+  if (!name || name.length > 100) {
+    problems.push('name is required (at most 100 characters)');
+  }
+
+  const description = typeof fields.description === 'string' && fields.description.trim()
+    ? fields.description.trim()
+    : null;
+  if (description && description.length > 500) {
+    problems.push('description must be at most 500 characters');
+  }
+
+  const ruleType = fields.rule_type;
+  if (!RULE_TYPES.includes(ruleType)) {
+    problems.push(`rule_type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  const severity = typeof fields.severity === 'string' ? fields.severity.toUpperCase() : 'MEDIUM';
+  if (!RULE_SEVERITIES.includes(severity)) {
+    problems.push(`severity must be one of: ${RULE_SEVERITIES.join(', ')}`);
+  }
+
+  const appliesTo = fields.applies_to || 'pre_trade';
+  if (!RULE_PHASES.includes(appliesTo)) {
+    problems.push(`applies_to must be one of: ${RULE_PHASES.join(', ')}`);
+  }
+
+  const alertType = typeof fields.alert_type === 'string' && fields.alert_type.trim()
+    ? fields.alert_type.trim().toUpperCase()
+    : toAlertType(name);
+  if (!ALERT_TYPE_PATTERN.test(alertType)) {
+    problems.push('alert_type must be 2 to 50 upper-case letters, digits or underscores');
+  }
+
+  const condition = RULE_TYPES.includes(ruleType)
+    ? validateCondition(ruleType, fields.condition, problems)
+    : null;
+
+  if (problems.length > 0) {
+    throw ruleError(problems.join('; '));
+  }
+
+  return {
+    name,
+    description,
+    rule_type: ruleType,
+    condition,
+    severity,
+    applies_to: appliesTo,
+    alert_type: alertType,
+    is_enabled: fields.is_enabled !== false && fields.is_enabled !== 'false'
+  };
+};
+
+/**
+ * Check a pre-trade or execution record against the user's enabled rules
+ * @param {object} repos - The user's repositories (createRepositories)
+ * @param {object} record - Trade record as stored (id, timestamp, trade_phase and the analysed fields)
+ * @returns {Promise<object>} { valid, errors: [{ rule, rule_id, rule_name, message, severity }] }
+ */
+const checkTradingRules = async (repos, record) => {
+  const phase = getRecordPhase(record);
+  const rules = (await repos.rules.findEnabled()).filter(rule => appliesTo(rule, phase));
+
+  let counter = null;
+  if (rules.some(rule => rule.rule_type === 'frequency')) {
+    // A week in any timezone starts within the last eight days
+    const at = new Date(record.timestamp);
+    const since = new Date(at.getTime() - 8 * MS_PER_DAY).toISOString();
+    const timestamps = await repos.trades.findPhaseTimestamps(phase, since, record.id);
+    counter = createTradeCounter(timestamps.filter(timestamp => new Date(timestamp) <= at));
+  }
+
+  const errors = rules
+    .map(rule => evaluateRule(rule, record, counter))
+    .filter(Boolean);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Raise risk alerts for rule violations and keep them against the trade
+ * @param {object} repos - The user's repositories
+ * @param {object} record - Trade record the violations were found on
+ * @param {object[]} errors - Violations from checkTradingRules
+ * @returns {Promise<void>}
+ */
+const recordRuleViolations = async (repos, record, errors) => {
+  for (const error of errors) {
+    const alertId = await repos.alerts.create({
+      trade_id: record.id,
+      alert_type: error.rule,
+      message: error.message,
+      severity: error.severity
+    });
+
+    await repos.rules.addViolation({
+      trade_id: record.id,
+      rule_id: error.rule_id,
+      rule_name: error.rule_name,
+      trade_phase: getRecordPhase(record),
+      severity: error.severity,
+      message: error.message,
+      alert_id: alertId
+    });
+
+    repos.afterCommit(() => publishEvent(repos.userId, EVENT_TYPES.RISK_ALERT, {
+      alert_id: alertId,
+      trade_id: record.id,
+      alert_type: error.rule,
+      message: error.message,
+      severity: error.severity,
+      rule_id: error.rule_id
+    }));
+  }
+};
+
+/**
+ * Validate the date range of a rule preview
+ * @param {object} query - { from, to } (YYYY-MM-DD, optional)
+ * @returns {object} { from, to }
+ */
+const validatePreviewRange = (query = {}) => {
+  const problems = [];
+  const from = query.from || null;
+  const to = query.to || null;
+
+  if (from && !isValidDate(from)) problems.push('from must be YYYY-MM-DD');
+  if (to && !isValidDate(to)) problems.push('to must be YYYY-MM-DD');
+  if (from && to && isValidDate(from) && isValidDate(to) && from > to) problems.push('from must not be after to');
+
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'INVALID_ANALYTICS_QUERY';
+    throw error;
+  }
+
+  return { from, to };
+};
+
+/**
+ * Test a rule against the trader's history: which past records would have broken
+ * it, and how those trades turned out compared with the ones that complied
+ * @param {object} repos - The user's repositories
+ * @param {object} rule - Validated rule (stored or not)
+ * @param {object} range - { from, to } from validatePreviewRange
+ * @returns {Promise<object>} { range, records_checked, violations, violation_rate, outcomes, violating_trades }
+ */
+const previewRule = async (repos, rule, range = {}) => {
+  const history = await repos.trades.findRuleHistory(range);
+  const counters = { pre_trade: createTradeCounter(), execution: createTradeCounter() };
+  const compliant = [];
+  const violating = [];
+
+  history.forEach(record => {
+    const phase = getRecordPhase(record);
+    if (!appliesTo(rule, phase)) return;
+
+    const violation = evaluateRule(rule, record, counters[phase]);
+    counters[phase].add(record.timestamp);
+
+    if (violation) {
+      violating.push({ record, message: violation.message });
+    } else {
+      compliant.push({ record });
+    }
+  });
+
+  const checked = compliant.length + violating.length;
+  const violatingOutcomes = summarizeOutcomes(violating.map(entry => entry.record));
+  const compliantOutcomes = summarizeOutcomes(compliant.map(entry => entry.record));
+
+  return {
+    range,
+    records_checked: checked,
+    violations: violating.length,
+    violation_rate: checked > 0 ? Math.round((violating.length / checked) * 1000) / 10 : 0,
+    outcomes: {
+      violating: violatingOutcomes,
+      compliant: compliantOutcomes,
+      avg_pnl_difference: violatingOutcomes.avg_pnl !== null && compliantOutcomes.avg_pnl !== null
+        ? roundMoney(compliantOutcomes.avg_pnl - violatingOutcomes.avg_pnl)
+        : null
+    },
+    violating_trades: violating.slice(-MAX_PREVIEW_TRADES).reverse().map(({ record, message }) => ({
+      trade_id: record.id,
+      timestamp: record.timestamp,
+      trade_phase: getRecordPhase(record),
+      pattern_type: record.pattern_type || null,
+      actual_pnl: record.actual_pnl === undefined ? null : record.actual_pnl,
+      message
+    }))
+  };
+};
+
+// Helper functions
+const validateCondition = (ruleType, condition, problems) => {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    problems.push('condition must be an object');
+    return null;
+  }
+
+  switch (ruleType) {
+    case 'field': {
+      const field = condition.field;
+      const operator = condition.operator;
+      const isNumeric = NUMERIC_FIELDS.includes(field);
+
+      if (!isNumeric && !TEXT_FIELDS.includes(field)) {
+        problems.push(`condition.field must be one of: ${[...NUMERIC_FIELDS, ...TEXT_FIELDS].join(', ')}`);
+        return null;
+      }
+
+      const operators = isNumeric ? NUMERIC_OPERATORS : TEXT_OPERATORS;
+      if (!operators.includes(operator)) {
+        problems.push(`condition.operator for ${field} must be one of: ${operators.join(', ')}`);
+        return null;
+      }
+
+      let value;
+      if (isNumeric) {
+        value = parseFloat(condition.value);
+        if (isNaN(value)) problems.push('condition.value must be a number');
+      } else if (operator === 'in' || operator === 'not_in') {
+        value = Array.isArray(condition.value) ? condition.value.map(item => String(item).trim()) : [];
+        if (value.length === 0 || value.some(item => !item)) problems.push('condition.value must be a non-empty list');
+      } else {
+        value = typeof condition.value === 'string' ? condition.value.trim() : '';
+        if (!value) problems.push('condition.value must be a non-empty string');
+      }
+
+      return { field, operator, value };
+    }
+
+    case 'time_window': {
+      const timezone = condition.timezone || DEFAULT_TIMEZONE;
+      const days = condition.days === undefined || condition.days === null ? null : condition.days;
+
+      if (!TIME_PATTERN.test(condition.start || '') || !TIME_PATTERN.test(condition.end || '')) {
+        problems.push('condition.start and condition.end must be HH:MM (24-hour)');
+      } else if (condition.start === condition.end) {
+        problems.push('condition.start and condition.end must differ');
+      }
+      if (!isValidTimezone(timezone)) {
+        problems.push('condition.timezone must be an IANA timezone such as America/New_York');
+      }
+      if (days !== null && (!Array.isArray(days) || days.length === 0 ||
+        days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        problems.push('condition.days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+      }
+
+      return {
+        start: condition.start,
+        end: condition.end,
+        timezone,
+        days: days ? [...new Set(days)].sort() : null
+      };
+    }
+
+    case 'frequency': {
+      const maxTrades = parseInt(condition.max_trades);
+      const period = condition.period || 'day';
+      const timezone = condition.timezone || DEFAULT_TIMEZONE;
+
+      if (isNaN(maxTrades) || maxTrades < 1 || String(maxTrades) !== String(condition.max_trades).trim()) {
+        problems.push('condition.max_trades must be a positive whole number');
+      }
+      if (!FREQUENCY_PERIODS.includes(period)) {
+        problems.push(`condition.period must be one of: ${FREQUENCY_PERIODS.join(', ')}`);
+      }
+      if (!isValidTimezone(timezone)) {
+        problems.push('condition.timezone must be an IANA timezone such as America/New_York');
+      }
+
+      return { max_trades: maxTrades, period, timezone };
+    }
+
+    case 'confluence': {
+      const timeframes = Array.isArray(condition.timeframes)
+        ? [...new Set(condition.timeframes.map(timeframe => String(timeframe).trim().toLowerCase()))]
+        : [];
+
+      if (timeframes.length === 0 || timeframes.some(timeframe => !timeframe)) {
+        problems.push('condition.timeframes must be a non-empty list of timeframe labels');
+      }
+
+      return { timeframes };
+    }
+
+    default:
+      return null;
+  }
+};
+
+// The violation a record commits against a rule, or null
+const evaluateRule = (rule, record, counter) => {
+  const condition = rule.condition;
+  let problem = null;
+
+  switch (rule.rule_type) {
+    case 'field': {
+      const raw = record[condition.field];
+      if (raw === undefined || raw === null || raw === '') break; // Not known for this record
+
+      // Text fields compare case-insensitively
+      const isNumeric = NUMERIC_FIELDS.includes(condition.field);
+      const normalize = (value) => (isNumeric ? value : String(value).trim().toLowerCase());
+      const actual = isNumeric ? parseFloat(raw) : normalize(raw);
+      if (isNumeric && isNaN(actual)) break;
+
+      const expected = Array.isArray(condition.value) ? condition.value.map(normalize) : normalize(condition.value);
+      const [test, wording] = OPERATORS[condition.operator];
+      if (!test(actual, expected)) {
+        const shown = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+        problem = `${condition.field} is ${isNumeric ? formatNumber(actual) : String(raw).trim()}, must be ${wording} ${shown}`;
+      }
+      break;
+    }
+
+    case 'time_window': {
+      const parts = getZonedParts(new Date(record.timestamp), condition.timezone);
+      if (!parts) break;
+
+      const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+      const start = toMinutes(condition.start);
+      const end = toMinutes(condition.end);
+      // A window whose end is before its start runs past midnight
+      const inWindow = start < end
+        ? minutes >= start && minutes <= end
+        : minutes >= start || minutes <= end;
+      const onDay = !condition.days || condition.days.includes(WEEKDAYS.indexOf(parts.weekday));
+
+      if (!inWindow || !onDay) {
+        const days = condition.days ? ` on ${condition.days.map(day => WEEKDAYS[day]).join('/')}` : '';
+        problem = `${parts.weekday} ${parts.hour}:${parts.minute} ${condition.timezone} is outside ${condition.start}-${condition.end}${days}`;
+      }
+      break;
+    }
+
+    case 'frequency': {
+      if (!counter) break;
+
+      const count = counter.countBefore(record.timestamp, condition.period, condition.timezone) + 1;
+      if (count > condition.max_trades) {
+        problem = `trade ${count} of the ${condition.period} exceeds the cap of ${condition.max_trades}`;
+      }
+      break;
+    }
+
+    case 'confluence': {
+      const uploaded = getRecordTimeframes(record);
+      const missing = condition.timeframes.filter(timeframe => !uploaded.includes(timeframe));
+
+      if (missing.length > 0) {
+        problem = `missing required timeframe${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`;
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  if (!problem) return null;
+
+  return {
+    rule: rule.alert_type,
+    rule_id: rule.id || null,
+    rule_name: rule.name,
+    message: `${rule.name}: ${problem}`,
+    severity: rule.severity
+  };
+};
+
+// Counts records per day or week in a timezone; periods and timezones vary by rule
+const createTradeCounter = (timestamps = []) => {
+  const seen = [...timestamps];
+  const tallies = new Map(); // 'period|timezone' -> Map(period key -> count)
+
+  const tally = (period, timezone) => {
+    const id = `${period}|${timezone}`;
+    if (!tallies.has(id)) {
+      const counts = new Map();
+      seen.forEach(timestamp => {
+        const key = getPeriodKey(timestamp, period, timezone);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      tallies.set(id, counts);
+    }
+    return tallies.get(id);
+  };
+
+  return {
+    countBefore: (timestamp, period, timezone) =>
+      tally(period, timezone).get(getPeriodKey(timestamp, period, timezone)) || 0,
+    add: (timestamp) => {
+      seen.push(timestamp);
+      tallies.forEach((counts, id) => {
+        const [period, timezone] = id.split('|');
+        const key = getPeriodKey(timestamp, period, timezone);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    }
+  };
+};
+
+// Local date of a moment (YYYY-MM-DD), or the Monday of its local week
+const getPeriodKey = (timestamp, period, timezone) => {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  if (!parts) return null;
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  if (period !== 'week') return date;
+
+  const day = new Date(`${date}T00:00:00Z`);
+  const weekday = (day.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(day.getTime() - weekday * MS_PER_DAY).toISOString().split('T')[0];
+};
+
+const getZonedParts = (date, timezone) => {
+  if (isNaN(date.getTime())) return null;
+
+  const formatted = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  return formatted.reduce((parts, part) => {
+    parts[part.type] = part.value;
+    return parts;
+  }, {});
+};
+
+// Completed pre-trades (linked to their execution) are still pre-trade analyses
+const getRecordPhase = (record) => (record.trade_phase === 'execution' ? 'execution' : 'pre_trade');
+
+const appliesTo = (rule, phase) => rule.applies_to === 'both' || rule.applies_to === phase;
+
+const getRecordTimeframes = (record) => {
+  const labels = record.timeframes_used || record.timeframes_uploaded || '';
+  return labels.split(',').map(label => label.trim().toLowerCase()).filter(Boolean);
+};
+
+const summarizeOutcomes = (records) => {
+  const closed = records.filter(record => record.actual_pnl !== null && record.actual_pnl !== undefined);
+  const totalPnl = closed.reduce((sum, record) => sum + record.actual_pnl, 0);
+  const wins = closed.filter(record => record.actual_pnl > 0).length;
+
+  return {
+    records: records.length,
+    closed: closed.length,
+    wins,
+    win_rate: closed.length > 0 ? Math.round((wins / closed.length) * 1000) / 10 : null,
+    total_pnl: roundMoney(totalPnl),
+    avg_pnl: closed.length > 0 ? roundMoney(totalPnl / closed.length) : null
+  };
+};
+
+const toAlertType = (name) => {
+  const alertType = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+  return /^[A-Z]/.test(alertType) && alertType.length >= 2 ? alertType : 'TRADING_RULE';
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+};
+
+const ruleError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TRADING_RULE';
+  return error;
+};
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  RULE_TYPES,
+  RULE_SEVERITIES,
+  DEFAULT_TRADING_RULES,
+  validateRule,
+  checkTradingRules,
+  recordRuleViolations,
+  validatePreviewRange,
+  previewRule
+};
@@ -0,0 +1,195 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { hashRequestImages } = require('./request');
+
+/**
+ * Anthropic Messages API vision provider
+ * Sends the prompt and chart images to Claude and returns the raw response text
+ */
+class AnthropicVisionProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.apiUrl = options.apiUrl || process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+    this.apiVersion = options.apiVersion || '2023-06-01';
+    this.model = options.model;
+    this.recordDir = options.recordDir || process.env.VISION_RECORD_DIR || null;
+  }
+
+  /**
+   * Run one analysis request
+   * @param {object} request - { kind, prompt, images, max_tokens, timeout }
+   * @returns {Promise<object>} { text, model, provider }
+   */
+  async complete(request) {
+    if (!this.apiKey) {
+      throw this.createError('Anthropic API key not configured', 'PROVIDER_AUTH_ERROR', 401);
+    }
+
+    const payload = {
+      model: this.model,
+      max_tokens: request.max_tokens,
+      messages: [
+        {
+          role: 'user',
+          content: this.buildContent(request)
+        }
+      ]
+    };
+
+    console.log('📤 Sending request to Claude API:', {
+      kind: request.kind,
+      model: payload.model,
+      max_tokens: payload.max_tokens,
+      images: request.images.length,
+      promptLength: request.prompt.length
+    });
+
+    let response;
+    try {
+      response = await axios.post(this.apiUrl, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': this.apiVersion
+        },
+        timeout: request.timeout,
+        validateStatus: (status) => status < 600
+      });
+    } catch (error) {
+      throw this.normalizeError(error, request);
+    }
+
+    if (response.status !== 200) {
+      console.error('❌ Non-200 response from Claude API:', {
+        status: response.status,
+        statusText: response.statusText,
+        data: response.data
+      });
+      throw this.normalizeError({ response }, request);
+    }
+
+    const text = this.extractText(response);
+    this.recordResponse(request, text);
+
+    return {
+      text,
+      model: response.data.model || this.model,
+      provider: this.name
+    };
+  }
+
+  buildContent(request) {
+    const content = [
+      {
+        type: 'text',
+        text: request.prompt
+      }
+    ];
+
+    request.images.forEach(image => {
+      if (image.label) {
+        content.push({
+          type: 'text',
+          text: `\n=== ${image.label} ===`
+        });
+      }
+
+      content.push({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: image.media_type,
+          data: image.data
+        }
+      });
+    });
+
+    return content;
+  }
+
+  extractText(response) {
+    // Proxies occasionally answer with an HTML error page
+    if (typeof response.data === 'string' && response.data.includes('<html>')) {
+      throw this.createError('Received HTML response from Claude API - possible proxy or network error', 'ANTHROPIC_API_ERROR', response.status);
+    }
+
+    if (!response.data || !Array.isArray(response.data.content)) {
+      throw this.createError('Invalid response structure from Claude API - missing content array', 'ANTHROPIC_API_ERROR', response.status);
+    }
+
+    const textBlock = response.data.content.find(block => block && typeof block.text === 'string');
+
+    if (!textBlock) {
+      throw this.createError('Empty content array in Claude API response', 'ANTHROPIC_API_ERROR', response.status);
+    }
+
+    return textBlock.text;
+  }
+
+  normalizeError(error, request) {
+    const status = error.response?.status;
+    const errorData = error.response?.data;
+
+    console.error('❌ Claude API Error Details:', {
+      kind: request.kind,
+      message: error.message,
+      status,
+      data: errorData,
+      code: error.code
+    });
+
+    if (status === 401) {
+      return this.createError('Invalid Anthropic API key - please check your ANTHROPIC_API_KEY environment variable', 'PROVIDER_AUTH_ERROR', status);
+    } else if (status === 429) {
+      return this.createError('API rate limit exceeded. Please try again later.', 'RATE_LIMIT', status);
+    } else if (status === 400) {
+      return this.createError(`Bad request to Claude API: ${errorData?.error?.message || 'Unknown error'}`, 'ANTHROPIC_API_ERROR', status);
+    } else if (status >= 500) {
+      return this.createError('Claude API server error. Please try again later.', 'SERVER_ERROR', status);
+    } else if (error.code === 'ECONNABORTED') {
+      return this.createError(`${request.kind} analysis request timed out`, 'ECONNABORTED');
+    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+      return this.createError('Unable to connect to Claude API. Please check your internet connection.', error.code);
+    } else if (status) {
+      return this.createError(`Claude API returned status ${status}: ${error.response.statusText}`, 'ANTHROPIC_API_ERROR', status);
+    }
+
+    const apiError = this.createError(`Failed to analyze ${request.kind} screenshot: ${error.message}`, 'ANTHROPIC_API_ERROR');
+    apiError.originalError = error;
+    return apiError;
+  }
+
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    if (status) error.status = status;
+    return error;
+  }
+
+  // Save successful responses so they can be served later by the replay provider
+  recordResponse(request, text) {
+    if (!this.recordDir) return;
+
+    try {
+      const kindDir = path.join(this.recordDir, request.kind);
+      if (!fs.existsSync(kindDir)) {
+        fs.mkdirSync(kindDir, { recursive: true });
+      }
+
+      const requestHash = hashRequestImages(request);
+      fs.writeFileSync(path.join(kindDir, `${requestHash}.json`), JSON.stringify({
+        kind: request.kind,
+        model: this.model,
+        request_hash: requestHash,
+        recorded_at: new Date().toISOString(),
+        text
+      }, null, 2));
+    } catch (error) {
+      console.error('Failed to record vision response:', error.message);
+    }
+  }
+}
+
+module.exports = AnthropicVisionProvider;
@@ -0,0 +1,302 @@
+/**
+ * Fallback vision provider
+ * Builds placeholder analyses locally when the Claude API is not available.
+ * Planned and actual prices are pulled from the trader's notes when present.
+ */
+class FallbackVisionProvider {
+  constructor(options = {}) {
+    this.name = 'fallback';
+    this.model = options.model || 'fallback';
+  }
+
+  async complete(request) {
+    const context = request.context || {};
+    const builders = {
+      trade: () => createFallbackAnalysis(context.notes),
+      execution: () => createFallbackExecutionAnalysis(context.notes),
+      multi_timeframe: () => createFallbackMultiTimeframeAnalysis(context.timeframes, context.notes),
+      universal: () => createFallbackUniversalAnalysis(context.timeframes, context.trading_context, context.hierarchy_data, context.notes),
+      frontend: () => createFallbackFrontendAnalysis(context.timeframes, context.trading_context)
+    };
+
+    const build = builders[request.kind];
+    if (!build) {
+      throw new Error(`Fallback provider does not support ${request.kind} analysis`);
+    }
+
+    return {
+      text: JSON.stringify(build()),
+      model: this.model,
+      provider: this.name
+    };
+  }
+}
+
+const createFallbackAnalysis = (notes = '') => {
+  const plannedPrices = extractPlannedPricesFromNotes(notes);
+
+  return {
+    setup_quality: 7,
+    risk_reward_ratio: plannedPrices.risk_reward || 2.0,
+    pattern_type: 'opening_breakout',
+    entry_quality: 'good',
+    stop_placement: 'appropriate',
+    target_selection: 'realistic',
+    ai_commentary: `Fallback analysis for testing. Notes: ${notes || ''}`,
+    risk_amount: 45,
+    within_limits: true,
+    session_timing: 'optimal',
+    trade_frequency: 'Within weekly limits',
+    learning_insights: 'Fallback mode - Claude API unavailable',
+    recommendation: 'EXECUTE',
+    confidence_score: 0.8,
+    specific_observations: [
+      'Test mode analysis',
+      'Claude API key not configured',
+      'Using placeholder values for testing'
+    ]
+  };
+};
+
+const extractPlannedPricesFromNotes = (notes) => {
+  const defaults = { entry: null, stop: null, target: null, risk_reward: 2.0 };
+
+  if (!notes) return defaults;
+
+  const entryMatch = notes.match(/entry.*?(\d+(?:\.\d+)?)/i);
+  const stopMatch = notes.match(/stop.*?(\d+(?:\.\d+)?)/i);
+  const targetMatch = notes.match(/target.*?(\d+(?:\.\d+)?)/i);
+
+  const entry = entryMatch ? parseFloat(entryMatch[1]) : null;
+  const stop = stopMatch ? parseFloat(stopMatch[1]) : null;
+  const target = targetMatch ? parseFloat(targetMatch[1]) : null;
+
+  let risk_reward = 2.0;
+  if (entry && stop && target) {
+    const risk = Math.abs(entry - stop);
+    const reward = Math.abs(target - entry);
+    risk_reward = risk > 0 ? reward / risk : 2.0;
+  }
+
+  return { entry, stop, target, risk_reward };
+};
+
+const createFallbackExecutionAnalysis = (notes = '') => {
+  const actualPrices = extractActualPricesFromNotes(notes);
+
+  return {
+    actual_prices: {
+      entry: actualPrices.entry,
+      stop: actualPrices.stop,
+      target: actualPrices.target
+    },
+    actual_rr: actualPrices.risk_reward,
+    execution_timing: 'optimal',
+    execution_quality_grade: 'B+',
+    behavioral_observations: [
+      'Fallback execution analysis for testing',
+      'Claude API unavailable',
+      'Using extracted prices from notes'
+    ],
+    coaching_insights: [
+      'Test mode execution analysis',
+      'Manual review recommended when API is available',
+      'Price extraction from notes successful'
+    ],
+    execution_grade_breakdown: {
+      entry_timing: 'B+ - Acceptable execution timing',
+      stop_management: 'B+ - Stop placement appropriate',
+      target_selection: 'B+ - Target achieved within plan',
+      overall_discipline: 'B+ - Good adherence to plan'
+    },
+    price_variance_analysis: {
+      entry_variance_reasoning: 'Minor variance from planned entry acceptable',
+      stop_variance_reasoning: 'Stop placement consistent with plan',
+      target_variance_reasoning: 'Target achieved as planned',
+      financial_impact: 'Minimal impact from execution variances'
+    },
+    learning_synthesis: {
+      pattern_confirmation: 'Execution confirmed pre-trade analysis',
+      skill_development_insights: 'Consistent execution discipline demonstrated',
+      next_setup_preparation: 'Continue current approach'
+    },
+    advanced_coaching: {
+      psychological_profile: 'Calm execution under test conditions',
+      market_adaptation: 'Good adaptation to market conditions',
+      professional_comparison: 'Execution meets professional standards'
+    }
+  };
+};
+
+const extractActualPricesFromNotes = (notes) => {
+  const defaults = { entry: null, stop: null, target: null, risk_reward: 2.0 };
+
+  if (!notes) return defaults;
+
+  // Look for "actual" prices in notes
+  const actualEntryMatch = notes.match(/actual\s+entry.*?(\d+(?:\.\d+)?)/i);
+  const actualStopMatch = notes.match(/actual\s+stop.*?(\d+(?:\.\d+)?)/i);
+  const actualTargetMatch = notes.match(/actual\s+target.*?(\d+(?:\.\d+)?)/i);
+
+  const entry = actualEntryMatch ? parseFloat(actualEntryMatch[1]) : null;
+  const stop = actualStopMatch ? parseFloat(actualStopMatch[1]) : null;
+  const target = actualTargetMatch ? parseFloat(actualTargetMatch[1]) : null;
+
+  let risk_reward = 2.0;
+  if (entry && stop && target) {
+    const risk = Math.abs(entry - stop);
+    const reward = Math.abs(target - entry);
+    risk_reward = risk > 0 ? reward / risk : 2.0;
+  }
+
+  return { entry, stop, target, risk_reward };
+};
+
+const createFallbackMultiTimeframeAnalysis = (timeframes = ['1min'], notes = '') => {
+  const baseAnalysis = createFallbackAnalysis(notes);
+
+  // Generate individual timeframe analysis
+  const individualAnalysis = {};
+  timeframes.forEach(tf => {
+    individualAnalysis[tf] = {
+      pattern_identified: 'opening_breakout',
+      trend_direction: 'neutral',
+      key_levels: ['19650', '19700', '19750'],
+      volume_analysis: 'Average volume observed',
+      entry_quality: 'fair',
+      individual_setup_score: 6
+    };
+  });
+
+  // Generate cross-timeframe analysis
+  const crossTimeframeAnalysis = {
+    trend_alignment: timeframes.length >= 3 ? 'moderate' : 'weak',
+    structure_confluence: timeframes.length >= 2 ? 'medium' : 'low',
+    entry_timing_quality: timeframes.length >= 3 ? 7 : 5,
+    overall_setup_strength: Math.min(8, 4 + timeframes.length),
+    risk_reward_context: 'Multi-timeframe analysis provides enhanced context',
+    session_appropriateness: 'acceptable'
+  };
+
+  return {
+    individual_timeframe_analysis: individualAnalysis,
+    cross_timeframe_analysis: crossTimeframeAnalysis,
+    enhanced_analysis: baseAnalysis,
+    timeframe_confluence_score: Math.min(0.8, 0.4 + (timeframes.length * 0.1)),
+    analysis_confidence: Math.min(0.9, 0.5 + (timeframes.length * 0.1)),
+    multi_timeframe_insights: `Analysis enhanced with ${timeframes.length} timeframes. Fallback mode active.`,
+    trend_alignment_score: Math.min(0.8, 0.3 + (timeframes.length * 0.125)),
+    structure_confirmation: `${timeframes.length} timeframes analyzed for structural confirmation`
+  };
+};
+
+const createFallbackUniversalAnalysis = (timeframes = ['1min'], tradingContext = {}, hierarchyData = {}, notes = '') => {
+  const baseAnalysis = createFallbackAnalysis(notes);
+  const hierarchy = hierarchyData.hierarchy || {};
+  const classifiedTimeframes = hierarchyData.classified_timeframes || [];
+
+  // Generate universal timeframe analysis
+  const universalAnalysis = {
+    timeframes_analyzed: timeframes,
+    primary_timeframe: tradingContext.primary_timeframe || timeframes[0],
+    timeframe_hierarchy: {
+      entry_timeframe: hierarchy.entry_timeframe?.timeframe_label || 'none',
+      structure_timeframe: hierarchy.structure_timeframe?.timeframe_label || 'none',
+      trend_timeframe: hierarchy.trend_timeframe?.timeframe_label || 'none'
+    },
+    cross_timeframe_confluence: timeframes.length >= 3 ? 'moderate' : 'weak'
+  };
+
+  // Generate individual timeframe analysis
+  const individualAnalysis = {};
+  timeframes.forEach(tf => {
+    const classification = classifiedTimeframes.find(tfObj => tfObj.timeframe_label === tf);
+    individualAnalysis[tf] = {
+      pattern_identified: 'opening_breakout',
+      trend_direction: 'neutral',
+      key_levels: ['19650', '19700', '19750'],
+      volume_analysis: 'Average volume for fallback analysis',
+      setup_quality: 6,
+      timeframe_role: classification?.classification.priority || 'context'
+    };
+  });
+
+  const isMNQScalping = tradingContext.instrument === 'MNQ' && tradingContext.trading_style === 'mnq_scalping';
+
+  const response = {
+    universal_timeframe_analysis: universalAnalysis,
+    individual_timeframe_analysis: individualAnalysis,
+    enhanced_analysis: baseAnalysis,
+    analysis_confidence: Math.min(0.8, 0.4 + (timeframes.length * 0.1)),
+    completeness_score: Math.min(100, hierarchyData.analysis_completeness || 70)
+  };
+
+  // Generate specialized insights based on trading context
+  if (isMNQScalping) {
+    response.mnq_specialized_insights = {
+      scalping_appropriateness: Math.min(8, 5 + timeframes.length),
+      session_timing_quality: 'acceptable',
+      micro_structure_analysis: 'Fallback MNQ analysis - standard microstructure assumed',
+      volatility_assessment: 'moderate with fallback analysis',
+      risk_reward_mnq_context: '1:2.0 appropriate for MNQ fallback context'
+    };
+  } else {
+    response.instrument_insights = {
+      trading_appropriateness: Math.min(8, 5 + timeframes.length),
+      session_quality: 'acceptable',
+      market_structure: `Fallback analysis for ${tradingContext.instrument}`,
+      volatility_context: `Standard volatility assessment for ${tradingContext.instrument}`
+    };
+  }
+
+  return response;
+};
+
+// Frontend-compatible fallback analysis
+const createFallbackFrontendAnalysis = (timeframes = ['1min'], tradingContext = {}) => {
+  return {
+    overall_setup_grade: {
+      grade: 'B',
+      description: 'Fallback analysis - manual review recommended for optimal results',
+      score: 7.0
+    },
+    pattern_recognition: {
+      primary_pattern: 'Opening Range Breakout',
+      confirmation_status: 'Pending',
+      volume_profile: 'Average',
+      market_structure: 'Neutral'
+    },
+    risk_analysis: {
+      risk_reward_ratio: '2.5:1',
+      stop_placement: 'Good',
+      position_size: 'Conservative'
+    },
+    detailed_insights: {
+      strengths: [
+        'Multiple timeframes uploaded for analysis',
+        `${timeframes.length} timeframes provide enhanced context`,
+        'Systematic approach to trade analysis',
+        'Risk management parameters within limits'
+      ],
+      improvements: [
+        'Claude API unavailable - manual chart review recommended',
+        'Verify pattern confirmation before execution'
+      ]
+    },
+    recommended_actions: [
+      `Monitor ${tradingContext.primary_timeframe} timeframe for clear breakout signal`,
+      'Confirm volume expansion on breakout',
+      'Set stop loss below recent support level'
+    ],
+    screenshots: {
+      primary_timeframe: tradingContext.primary_timeframe || timeframes[0],
+      available_timeframes: timeframes
+    },
+    confidence_score: 0.65,
+    analysis_confidence: 'Moderate',
+    session_quality: tradingContext.session_info?.includes('9:') || tradingContext.session_info?.includes('10:') ? 'good' : 'acceptable',
+    risk_amount_dollars: 45
+  };
+};
+
+module.exports = FallbackVisionProvider;
@@ -0,0 +1,54 @@
+const AnthropicVisionProvider = require('./anthropicProvider');
+const ReplayVisionProvider = require('./replayProvider');
+const FallbackVisionProvider = require('./fallbackProvider');
+const { ANALYSIS_KINDS, hashRequestImages } = require('./request');
+
+/**
+ * Vision provider selection
+ * VISION_PROVIDER picks the backend per deployment:
+ *   anthropic - Claude Messages API (default when ANTHROPIC_API_KEY is set)
+ *   replay    - recorded responses from fixture files (alias: mock)
+ *   fallback  - locally generated placeholder analyses (default without an API key)
+ * VISION_MODEL overrides the Claude model.
+ */
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+/**
+ * Create the configured vision provider
+ * @param {object} options - { provider, model, apiKey, fixturesDir } overrides for the environment
+ * @returns {object} Provider exposing complete(request)
+ */
+const createVisionProvider = (options = {}) => {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  const model = options.model || process.env.VISION_MODEL || DEFAULT_MODEL;
+  const providerName = (options.provider || process.env.VISION_PROVIDER || (apiKey ? 'anthropic' : 'fallback')).toLowerCase();
+
+  switch (providerName) {
+    case 'anthropic':
+      if (!apiKey) {
+        console.error('⚠️ ANTHROPIC_API_KEY not found in environment variables');
+      }
+      return new AnthropicVisionProvider({ apiKey, model });
+    case 'replay':
+    case 'mock':
+      return new ReplayVisionProvider({ model, fixturesDir: options.fixturesDir });
+    case 'fallback':
+      if (!options.provider && !process.env.VISION_PROVIDER) {
+        console.error('⚠️ ANTHROPIC_API_KEY not found - using fallback vision provider');
+      }
+      return new FallbackVisionProvider();
+    default:
+      throw new Error(`Unknown vision provider: ${providerName}. Expected anthropic, replay or fallback`);
+  }
+};
+
+module.exports = {
+  DEFAULT_MODEL,
+  ANALYSIS_KINDS,
+  createVisionProvider,
+  hashRequestImages,
+  AnthropicVisionProvider,
+  ReplayVisionProvider,
+  FallbackVisionProvider
+};
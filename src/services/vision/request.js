@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+/**
+ * Vision request helpers shared by every provider
+ *
+ * A request is a plain object:
+ *   kind        - 'trade' | 'execution' | 'multi_timeframe' | 'universal' | 'frontend'
+ *   prompt      - full prompt text
+ *   images      - [{ label, media_type, data }] with base64 data
+ *   max_tokens  - response token budget
+ *   timeout     - request timeout in ms
+ *   context     - inputs the offline providers need (notes, timeframes, pre_trade, ...)
+ */
+
+const ANALYSIS_KINDS = ['trade', 'execution', 'multi_timeframe', 'universal', 'frontend'];
+
+/**
+ * Hash the images of a request so identical screenshots map to the same recording.
+ * The prompt is left out on purpose: it embeds the current date and week.
+ * @param {object} request - Vision request
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequestImages = (request) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(request.kind);
+  (request.images || []).forEach(image => {
+    hash.update(image.label || '');
+    hash.update(image.data || '');
+  });
+  return hash.digest('hex');
+};
+
+module.exports = {
+  ANALYSIS_KINDS,
+  hashRequestImages
+};
@@ -0,0 +1,27 @@
+/**
+ * Letter Grades
+ * Letter grade of a 0-10 setup or execution quality score
+ */
+
+/**
+ * Convert a numeric score to a letter grade
+ * @param {number} score - Score from 0 to 10
+ * @returns {string} 'A+' through 'F'
+ */
+const convertScoreToGrade = (score) => {
+  if (score >= 9.5) return 'A+';
+  if (score >= 9) return 'A';
+  if (score >= 8.5) return 'A-';
+  if (score >= 8) return 'B+';
+  if (score >= 7.5) return 'B';
+  if (score >= 7) return 'B-';
+  if (score >= 6.5) return 'C+';
+  if (score >= 6) return 'C';
+  if (score >= 5.5) return 'C-';
+  if (score >= 5) return 'D';
+  return 'F';
+};
+
+module.exports = {
+  convertScoreToGrade
+};
@@ -276,7 +276,7 @@ const formatTimeframeMetadata = (timeframeFiles, hierarchyData) => {
   });
 
   return {
-    screenshots_metadata: JSON.stringify(screenshots_metadata),
+    screenshots_metadata: screenshots_metadata,
     timeframes_used: Object.keys(timeframeFiles).join(','),
     analysis_completeness_score: hierarchyData.analysis_completeness
   };
@@ -0,0 +1,68 @@
+/**
+ * Test server
+ * Starts the app on a free port against a fresh database in a temporary directory,
+ * which also receives the uploaded screenshots. Vision analysis replays the recorded
+ * fixtures, so no test needs a network or an API key.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Start a test server; call before anything requires the app or the database
+ * @returns {Promise<object>} { baseUrl, workDir, request, register, close }
+ */
+const startTestServer = async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-journal-'));
+  process.chdir(workDir);
+  process.env.DB_PATH = path.join(workDir, 'ghost_journal.db');
+  process.env.AUTH_SECRET = 'test-secret';
+  process.env.VISION_PROVIDER = 'replay';
+  process.env.VISION_FIXTURES_DIR = path.join(REPO_ROOT, 'src', 'services', 'vision', 'fixtures');
+  delete process.env.ANTHROPIC_API_KEY;
+
+  const app = require('../../server');
+  const { initializeDatabase, closeDatabase } = require('../../src/models/database');
+  await initializeDatabase();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request; body is sent as JSON unless it is FormData
+  const request = async (method, url, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Register a new account and return its access token
+  const register = async (email = `trader${Date.now()}@example.com`) => {
+    const { body } = await request('POST', '/api/auth/register', {
+      body: { email, password: 'Passw0rd!123' }
+    });
+    return body.data.token;
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+    process.chdir(REPO_ROOT);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, workDir, request, register, close };
+};
+
+module.exports = { startTestServer };
@@ -0,0 +1,36 @@
+const { runMonteCarlo } = require('../src/services/monteCarlo');
+const { DEFAULT_GOAL_PLAN } = require('../src/services/goalPlans');
+
+// Twelve closed trades over four weeks: eight 2R winners and four 1R losers
+const trades = Array.from({ length: 12 }, (_, index) => ({
+  actual_pnl: index % 3 === 2 ? -50 : 100,
+  risk_amount: 50,
+  timestamp: new Date(Date.UTC(2026, 0, 5 + index * 2, 15)).toISOString()
+}));
+
+const options = { from: '2026-03-02', paths: 500, weeks: 52 };
+
+describe('Monte Carlo projection', () => {
+  it('repeats the same bands and probabilities for the same seed', () => {
+    const first = runMonteCarlo(DEFAULT_GOAL_PLAN, trades, { ...options, seed: 42 });
+    const second = runMonteCarlo(DEFAULT_GOAL_PLAN, trades, { ...options, seed: 42 });
+
+    expect(second.bands).toEqual(first.bands);
+    expect(second.final_balance).toEqual(first.final_balance);
+    expect(second.goal.probability).toBe(first.goal.probability);
+    expect(second.drawdown).toEqual(first.drawdown);
+    expect(second.milestones).toEqual(first.milestones);
+  });
+
+  it('draws different paths for a different seed', () => {
+    const first = runMonteCarlo(DEFAULT_GOAL_PLAN, trades, { ...options, seed: 42 });
+    const other = runMonteCarlo(DEFAULT_GOAL_PLAN, trades, { ...options, seed: 7 });
+
+    expect(other.final_balance).not.toEqual(first.final_balance);
+  });
+
+  it('needs enough closed trades to sample from', () => {
+    expect(() => runMonteCarlo(DEFAULT_GOAL_PLAN, trades.slice(0, 9), { ...options, seed: 42 }))
+      .toThrow(expect.objectContaining({ code: 'INSUFFICIENT_TRADE_HISTORY' }));
+  });
+});
@@ -0,0 +1,107 @@
+const { startTestServer } = require('./helpers/testServer');
+const { createPng } = require('./helpers/png');
+
+// Fill time in the session's zone, which imports read zone-less times as
+const toSessionTime = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.month}/${parts.day}/${parts.year} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// Pre-trade upload that overrides the lockout
+const createOverrideUpload = (fields = {}) => {
+  const form = new FormData();
+  form.append('screenshot', new Blob([createPng()], { type: 'image/png' }), 'setup.png');
+  form.append('override_lockout', 'true');
+  form.append('override_justification', 'A+ setup at the open, sized down to one contract');
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  return form;
+};
+
+describe('trading lockout limits', () => {
+  let testServer;
+  let token;
+
+  beforeAll(async () => {
+    testServer = await startTestServer();
+    token = await testServer.register();
+
+    // One winning MNQ round trip closed a minute ago
+    const now = Date.now();
+    const csv = [
+      'orderId,Account,B/S,Contract,filledQty,avgPrice,Fill Time,Status',
+      `1,A1,Buy,MNQZ6,1,19700,${toSessionTime(new Date(now - 120000))},Filled`,
+      `2,A1,Sell,MNQZ6,1,19720,${toSessionTime(new Date(now - 60000))},Filled`
+    ].join('\n');
+    const { status } = await testServer.request('POST', '/api/imports/fills', { token, body: { csv } });
+    expect(status).toBe(200);
+  });
+
+  afterAll(async () => {
+    await testServer.close();
+  });
+
+  it('does not limit trades per day until a limit is saved', async () => {
+    const { body } = await testServer.request('GET', '/api/risk-state', { token });
+
+    expect(body.data.limits.max_trades_per_day).toBeNull();
+    expect(body.data.daily.trade_count).toBe(1);
+    expect(body.data.locked).toBe(false);
+  });
+
+  it('locks the account once a saved daily trade limit is reached', async () => {
+    const saved = await testServer.request('PUT', '/api/settings', {
+      token,
+      body: { settings: { trading_settings: { max_trades_per_day: 1 } } }
+    });
+    expect(saved.status).toBe(200);
+
+    const { body } = await testServer.request('GET', '/api/risk-state', { token });
+
+    expect(body.data.limits.max_trades_per_day).toBe(1);
+    expect(body.data.locked).toBe(true);
+    expect(body.data.lockout.reason).toBe('daily_trades');
+  });
+
+  it('keeps no override for a rejected upload', async () => {
+    const upload = await testServer.request('POST', '/api/upload-trade', {
+      token,
+      body: createOverrideUpload({ instrument: 'NOPE' })
+    });
+    expect(upload.status).toBe(400);
+
+    const { body } = await testServer.request('GET', '/api/risk-state', { token });
+
+    expect(body.data.overrides).toEqual([]);
+  });
+
+  it('records the override with the trade it let through', async () => {
+    const upload = await testServer.request('POST', '/api/upload-trade', { token, body: createOverrideUpload() });
+    expect(upload.status).toBe(200);
+
+    const { body } = await testServer.request('GET', '/api/risk-state', { token });
+
+    expect(body.data.overrides).toEqual([
+      expect.objectContaining({ trade_id: upload.body.data.trade_id, endpoint: '/api/upload-trade' })
+    ]);
+  });
+
+  it('lifts the limit again when it is set to null', async () => {
+    await testServer.request('PUT', '/api/settings', {
+      token,
+      body: { settings: { trading_settings: { max_trades_per_day: null } } }
+    });
+
+    const { body } = await testServer.request('GET', '/api/settings', { token });
+
+    expect(body.data.settings.trading_settings.max_trades_per_day).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+const { startTestServer } = require('./helpers/testServer');
+
+describe('tilt detector settings', () => {
+  let testServer;
+  let token;
+
+  beforeAll(async () => {
+    testServer = await startTestServer();
+    token = await testServer.register();
+  });
+
+  afterAll(async () => {
+    await testServer.close();
+  });
+
+  it('uses the defaults until settings are saved', async () => {
+    const { body } = await testServer.request('GET', '/api/behavior/tilt', { token });
+
+    expect(body.data.settings).toEqual({ revenge_window_minutes: 15, tilt_threshold: 50 });
+  });
+
+  it('rejects a threshold outside 0-100', async () => {
+    const { status, body } = await testServer.request('PUT', '/api/settings', {
+      token,
+      body: { settings: { risk_management: { tilt_threshold: 150 } } }
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('INVALID_TILT_SETTINGS');
+  });
+
+  it('scores sessions with the saved window and threshold', async () => {
+    const saved = await testServer.request('PUT', '/api/settings', {
+      token,
+      body: { settings: { risk_management: { revenge_window_minutes: 30, tilt_threshold: 40 } } }
+    });
+    expect(saved.status).toBe(200);
+
+    const { body } = await testServer.request('GET', '/api/behavior/tilt', { token });
+
+    expect(body.data.settings).toEqual({ revenge_window_minutes: 30, tilt_threshold: 40 });
+  });
+});
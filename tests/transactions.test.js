@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getConnection, closeConnection } = require('../src/models/connection');
+
+describe('after-commit callbacks', () => {
+  let workDir;
+  let db;
+
+  beforeAll(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-journal-'));
+    db = getConnection(path.join(workDir, 'transactions.db'));
+    await db.exec('CREATE TABLE notes (text TEXT)');
+  });
+
+  afterAll(async () => {
+    await closeConnection();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('runs callbacks once the transaction commits', async () => {
+    const calls = [];
+
+    await db.transaction(async () => {
+      await db.run('INSERT INTO notes (text) VALUES (?)', ['committed']);
+      db.afterCommit(() => calls.push('published'));
+      expect(calls).toEqual([]);
+    });
+
+    expect(calls).toEqual(['published']);
+  });
+
+  it('drops callbacks when the transaction rolls back', async () => {
+    const calls = [];
+
+    await expect(db.transaction(async () => {
+      await db.run('INSERT INTO notes (text) VALUES (?)', ['rolled back']);
+      db.afterCommit(() => calls.push('published'));
+      throw new Error('upload rejected');
+    })).rejects.toThrow('upload rejected');
+
+    expect(calls).toEqual([]);
+    expect(await db.get('SELECT COUNT(*) AS count FROM notes WHERE text = ?', ['rolled back'])).toEqual({ count: 0 });
+  });
+
+  it('drops only the callbacks of a rolled back savepoint', async () => {
+    const calls = [];
+
+    await db.transaction(async () => {
+      db.afterCommit(() => calls.push('outer'));
+      await db.transaction(async () => {
+        db.afterCommit(() => calls.push('inner'));
+        throw new Error('nested failure');
+      }).catch(() => {});
+    });
+
+    expect(calls).toEqual(['outer']);
+  });
+
+  it('runs callbacks right away outside a transaction', () => {
+    const calls = [];
+
+    db.afterCommit(() => calls.push('published'));
+
+    expect(calls).toEqual(['published']);
+  });
+});
@@ -0,0 +1,37 @@
+const { startTestServer } = require('./helpers/testServer');
+const { createPng } = require('./helpers/png');
+
+describe('screenshot upload with the replay vision provider', () => {
+  let testServer;
+  let token;
+
+  beforeAll(async () => {
+    testServer = await startTestServer();
+    token = await testServer.register();
+  });
+
+  afterAll(async () => {
+    await testServer.close();
+  });
+
+  it('analyses the screenshot and stores the trade', async () => {
+    const form = new FormData();
+    form.append('screenshot', new Blob([createPng()], { type: 'image/png' }), 'setup.png');
+
+    const upload = await testServer.request('POST', '/api/upload-trade', { token, body: form });
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.data.pre_trade_analysis.pattern_type).toBe('opening_breakout');
+
+    const { status, body } = await testServer.request('GET', `/api/trade/${upload.body.data.trade_id}`, { token });
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({
+      id: upload.body.data.trade_id,
+      trade_phase: 'pre_trade',
+      pattern_type: 'opening_breakout',
+      setup_quality: 7,
+      screenshot_path: upload.body.data.file_info.path
+    });
+  });
+});